@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { ACCOUNT_TYPES, DEFAULT_ACCOUNT_ID, getAccountCurrency, getAccountTypeLabel } from '../utils/accounts'; // Account types and defaults
+import { CURRENCIES, formatCurrency } from '../utils/currency'; // Selectable currencies and amount formatting
+
+/**
+ * AccountsModal Component
+ *
+ * This component renders a modal for creating, editing, and deleting accounts (wallets) such as
+ * cash, a bank account, or a credit card. Selecting an account in the list loads it into the
+ * form for editing. The default account, which holds transactions recorded before accounts
+ * existed, can be edited but not deleted.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
+ * @param {function} props.showConfirm - Function to display a confirmation modal (e.g., before deleting an account).
+ */
+const AccountsModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
+  // Destructure necessary state and functions from the TransactionContext.
+  const { accounts, baseCurrency, addAccount, updateAccount, deleteAccount } = useTransactions();
+
+  // --- Local State Management for Form Inputs ---
+  // editingAccountId: The ID of the account being edited, or null when adding a new one.
+  const [editingAccountId, setEditingAccountId] = useState(null);
+  const [name, setName] = useState('');
+  const [accountType, setAccountType] = useState('bank');
+  // openingBalance: The balance the account had before its first recorded transaction, as a string.
+  const [openingBalance, setOpeningBalance] = useState('');
+  const [currency, setCurrency] = useState(baseCurrency);
+
+  /**
+   * resetForm Function
+   *
+   * Clears the form back to adding a new account.
+   */
+  const resetForm = () => {
+    setEditingAccountId(null);
+    setName('');
+    setAccountType('bank');
+    setOpeningBalance('');
+    setCurrency(baseCurrency);
+  };
+
+  /**
+   * useEffect Hook
+   *
+   * Resets the form fields whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setEditingAccountId(null);
+      setName('');
+      setAccountType('bank');
+      setOpeningBalance('');
+      setCurrency(baseCurrency);
+    }
+  }, [isOpen, baseCurrency]);
+
+  /**
+   * handleEdit Function
+   *
+   * Loads an existing account into the form for editing.
+   * @param {object} account - The account to edit.
+   */
+  const handleEdit = (account) => {
+    setEditingAccountId(account.id);
+    setName(account.name);
+    setAccountType(account.type || 'other');
+    setOpeningBalance(String(account.openingBalance || 0));
+    setCurrency(getAccountCurrency(account, baseCurrency));
+  };
+
+  /**
+   * handleSubmit Function
+   *
+   * Validates the form and adds or updates the account via the TransactionContext.
+   * @param {object} e - The event object from the form submission.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!name.trim() || isNaN(parseFloat(openingBalance || '0'))) {
+      showMessage("Please enter an account name and a valid opening balance.", true);
+      return;
+    }
+
+    const accountData = {
+      name: name.trim(),
+      type: accountType,
+      openingBalance: parseFloat(openingBalance || '0'), // Negative for a card or loan that starts in debt
+      currency
+    };
+
+    const success = editingAccountId
+      ? await updateAccount(editingAccountId, accountData)
+      : await addAccount(accountData);
+
+    if (success) {
+      showMessage(`Account '${accountData.name}' ${editingAccountId ? 'updated' : 'added'}!`);
+      resetForm();
+    } else {
+      showMessage(`Error saving account '${accountData.name}'.`, true);
+    }
+  };
+
+  /**
+   * handleDelete Function
+   *
+   * Asks for confirmation and then deletes an account.
+   * @param {object} account - The account to delete.
+   */
+  const handleDelete = (account) => {
+    showConfirm(`Are you sure you want to delete the account '${account.name}'?`, async () => {
+      const success = await deleteAccount(account.id);
+      if (success) {
+        showMessage(`Account '${account.name}' deleted.`);
+      } else {
+        showMessage(`Could not delete '${account.name}'. Accounts that still have transactions cannot be deleted.`, true);
+      }
+    });
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto">
+        {/* Modal header: title and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Accounts</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Account form. */}
+        <form onSubmit={handleSubmit} className="mb-6">
+          <div className="mb-4">
+            <label htmlFor="accountName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              id="accountName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g., QNB Current Account"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <div>
+              <label htmlFor="accountType" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select
+                id="accountType"
+                value={accountType}
+                onChange={(e) => setAccountType(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              >
+                {ACCOUNT_TYPES.map(t => (
+                  <option key={t.value} value={t.value}>{t.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="accountCurrency" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+              <select
+                id="accountCurrency"
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              >
+                {CURRENCIES.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="mb-4">
+            <label htmlFor="accountOpeningBalance" className="block text-sm font-medium text-gray-700 mb-1">Opening Balance</label>
+            <input
+              type="number"
+              id="accountOpeningBalance"
+              value={openingBalance}
+              onChange={(e) => setOpeningBalance(e.target.value)}
+              step="0.01"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              placeholder="0.00"
+            />
+          </div>
+          <div className="flex justify-end space-x-3">
+            {editingAccountId && (
+              <button type="button" onClick={resetForm} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">Cancel</button>
+            )}
+            <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">
+              {editingAccountId ? 'Save Account' : 'Add Account'}
+            </button>
+          </div>
+        </form>
+
+        {/* Existing accounts list. */}
+        <h4 className="font-semibold text-gray-700 mb-3">Your Accounts</h4>
+        <div className="max-h-48 overflow-y-auto space-y-2">
+          {accounts.map(account => (
+            <div key={account.id} className="flex justify-between items-center p-2 bg-white border border-gray-200 rounded-lg shadow-sm">
+              <button type="button" onClick={() => handleEdit(account)} className="text-left">
+                <span className="text-gray-700 text-sm font-medium">{account.name}</span>
+                <span className="block text-xs text-gray-500">
+                  {getAccountTypeLabel(account.type) || 'Other'} · {getAccountCurrency(account, baseCurrency)} · opening {formatCurrency(account.openingBalance || 0, getAccountCurrency(account, baseCurrency))}
+                </span>
+              </button>
+              {/* The default account holds older transactions and cannot be deleted. */}
+              {account.id !== DEFAULT_ACCOUNT_ID && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(account)}
+                  className="text-red-500 hover:text-red-700 text-xs font-semibold p-1 rounded-full"
+                  title={`Delete ${account.name}`}
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountsModal;
@@ -1,11 +1,26 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { PAYMENT_METHODS } from '../utils/paymentMethods'; // Selectable payment methods
+import { CURRENCIES, getTransactionCurrency } from '../utils/currency'; // Selectable currencies
+import { DEFAULT_ACCOUNT_ID, getAccountCurrency, getTransactionAccountId } from '../utils/accounts'; // Account defaults
+import { TRANSFER_TYPE, getTransferAccounts, isTransfer } from '../utils/transfers'; // Transfers between accounts
+import { getWriteMessage } from '../utils/sync'; // Feedback for writes that have not reached the server yet
+import { getTodayKey, getTransactionDateKey } from '../utils/calendarDate'; // Dates for the date input
+import { buildCategoryTree, formatCategoryName, isDefaultCategory } from '../utils/categories'; // Built-in categories and subcategories
+import { FALLBACK_CATEGORY_STYLE } from '../utils/categoryStyles'; // Starting style for new categories
+import CategoryIcon from './CategoryIcon'; // Colored category icon
+import CategoryStylePicker from './CategoryStylePicker'; // Color and icon choice for new categories
+import TagInput from './TagInput'; // Tag chips with autocomplete
+import { getTransactionTags } from '../utils/tags'; // Tags of a saved transaction
 
 /**
  * AddTransactionModal Component
  *
- * This component renders a modal for adding new financial transactions (income or expense).
- * It manages the form's local state for transaction type, amount, category, and date.
+ * This component renders a modal for adding new financial transactions (income, expense, or a
+ * transfer between two accounts), or for editing an existing one when a `transaction` prop is supplied.
+ * A transfer is saved as a linked pair of transactions and is edited as a whole from either leg.
+ * It manages the form's local state for transaction type, amount, currency, account, category, and date, plus the
+ * optional payee, note, and payment method details and any number of tags (suggested from the tags used before).
  * It now also includes functionality for users to create and manage (add/delete) their
  * custom categories, which are expected to be persisted via the TransactionContext.
  *
@@ -14,60 +29,158 @@ import { useTransactions } from '../components/TransactionContext'; // Custom ho
  * @param {function} props.onClose - Callback function to close the modal.
  * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
  * @param {function} props.showConfirm - Function to display a confirmation modal (e.g., before deleting a category).
+ * @param {object|null} [props.transaction] - An existing transaction to edit. When provided, the form is
+ * pre-filled from it and submitting updates that transaction instead of adding a new one.
  */
-const AddTransactionModal = ({ isOpen, onClose, showMessage, showConfirm }) => { // Accepted showConfirm prop
+const AddTransactionModal = ({ isOpen, onClose, showMessage, showConfirm, transaction = null }) => { // Accepted showConfirm prop
   // Destructure necessary functions and data from the TransactionContext.
   // userIncomeCategories: Array of strings for user-defined income categories.
   // userExpenseCategories: Array of strings for user-defined expense categories.
   // addTransaction: Asynchronous function to add a new transaction to the backend.
+  // updateTransaction: Asynchronous function to update an existing transaction in the backend.
   // addCategory: Asynchronous function to add a new user-defined category.
   // deleteCategory: Asynchronous function to delete a user-defined category.
+  // categoryParents: The parent of each subcategory, by type.
+  // getCategoryStyle: Looks up the color and icon of a category.
+  // knownTags: Every tag used so far, suggested while typing tags.
   const {
     userIncomeCategories,
     userExpenseCategories,
+    baseCurrency,
+    accounts,
     addTransaction,
+    updateTransaction,
+    addTransfer,
+    updateTransfer,
     addCategory,
-    deleteCategory
+    deleteCategory,
+    categoryParents,
+    getCategoryStyle,
+    knownTags
   } = useTransactions();
 
   // --- Local State Management for Form Inputs ---
-  // type: Stores the selected transaction type ('income' or 'expense'). Default is 'income'.
+  // type: Stores the selected transaction type ('income', 'expense' or 'transfer'). Default is 'income'.
   const [type, setType] = useState('income');
   // amount: Stores the transaction amount as a string.
   const [amount, setAmount] = useState('');
+  // currency: Stores the ISO 4217 code of the amount's currency.
+  const [currency, setCurrency] = useState(baseCurrency);
+  // accountId: Stores the ID of the account the transaction is recorded against (the source account for transfers).
+  const [accountId, setAccountId] = useState(DEFAULT_ACCOUNT_ID);
+  // toAccountId: Stores the ID of the destination account, for transfers only.
+  const [toAccountId, setToAccountId] = useState('');
   // category: Stores the selected transaction category.
   const [category, setCategory] = useState('');
   // date: Stores the transaction date in 'YYYY-MM-DD' format.
   const [date, setDate] = useState('');
+  // payee: Stores the optional payee/merchant name.
+  const [payee, setPayee] = useState('');
+  // note: Stores the optional free-text note.
+  const [note, setNote] = useState('');
+  // paymentMethod: Stores the optional payment method ('cash', 'debit', 'credit' or '' for none).
+  const [paymentMethod, setPaymentMethod] = useState('');
+  // tags: The transaction's free-form tags.
+  const [tags, setTags] = useState([]);
   // newCategoryName: Stores the value of the input field for adding new categories.
   const [newCategoryName, setNewCategoryName] = useState('');
+  // newCategoryParent: The category a new category is added under, or '' for a top-level category.
+  const [newCategoryParent, setNewCategoryParent] = useState('');
+  // newCategoryStyle: The color and icon chosen for the new category.
+  const [newCategoryStyle, setNewCategoryStyle] = useState(FALLBACK_CATEGORY_STYLE);
   // showCategoryManagement: Boolean to toggle the visibility of the category management section.
   const [showCategoryManagement, setShowCategoryManagement] = useState(false);
 
+  // isEditing: True when the modal was opened for an existing transaction.
+  const isEditing = Boolean(transaction);
+  // isTransferForm: True when the form is recording a transfer rather than income or an expense.
+  const isTransferForm = type === TRANSFER_TYPE;
+
+  // baseCurrencyRef: The base currency, read when the form is reset. It is kept in a ref so that a
+  // base currency change (e.g., from another tab) does not reset a form the user is filling in.
+  const baseCurrencyRef = useRef(baseCurrency);
+  useEffect(() => {
+    baseCurrencyRef.current = baseCurrency;
+  }, [baseCurrency]);
+
   /**
    * useEffect Hook
    *
-   * This effect runs whenever the `isOpen` prop changes.
+   * This effect runs whenever the `isOpen` or `transaction` props change.
    * Its primary purpose is to reset the form fields and set the default date to today
-   * when the modal is opened.
+   * when the modal is opened, or to pre-fill them from the transaction being edited.
    */
   useEffect(() => {
     if (isOpen) {
-      // Reset form fields when the modal becomes open.
-      const today = new Date();
-      // Format today's date to 'YYYY-MM-DD' for the input type="date".
-      setDate(today.toISOString().split('T')[0]);
-      setAmount('');
-      // Reset category to an empty string to force selection if it's required.
-      setCategory('');
+      if (transaction) {
+        // Pre-fill the form from the selected transaction.
+        setType(transaction.type);
+        setAmount(String(transaction.amount));
+        setCurrency(getTransactionCurrency(transaction));
+        if (isTransfer(transaction)) {
+          // Either leg can be opened; the form always shows the transfer from source to destination.
+          const { fromAccountId, toAccountId: destinationAccountId } = getTransferAccounts(transaction);
+          setAccountId(fromAccountId);
+          setToAccountId(destinationAccountId);
+        } else {
+          setAccountId(getTransactionAccountId(transaction));
+          setToAccountId('');
+        }
+        setCategory(transaction.category || '');
+        // The transaction's day, as 'YYYY-MM-DD' for the input type="date".
+        setDate(getTransactionDateKey(transaction));
+        // Older transactions may not have the optional fields, so fall back to empty values.
+        setPayee(transaction.payee || '');
+        setNote(transaction.note || '');
+        setPaymentMethod(transaction.paymentMethod || '');
+        setTags(getTransactionTags(transaction));
+      } else {
+        // Reset form fields when the modal becomes open.
+        // Today's local date, as 'YYYY-MM-DD' for the input type="date".
+        setDate(getTodayKey());
+        setAmount('');
+        // New transactions default to the default account, in the user's base currency.
+        setAccountId(DEFAULT_ACCOUNT_ID);
+        setToAccountId('');
+        setCurrency(baseCurrencyRef.current);
+        // Reset category to an empty string to force selection if it's required.
+        setCategory('');
+        setPayee('');
+        setNote('');
+        setPaymentMethod('');
+        setTags([]);
+      }
       // Also reset new category name and hide management section on modal open.
       setNewCategoryName('');
+      setNewCategoryParent('');
+      setNewCategoryStyle(FALLBACK_CATEGORY_STYLE);
       setShowCategoryManagement(false);
     }
-  }, [isOpen]); // Dependency array: Effect re-runs only when `isOpen` changes.
+  }, [isOpen, transaction]); // Dependency array: Effect re-runs when `isOpen` or `transaction` changes.
+
+  /**
+   * handleAccountChange Function
+   *
+   * Selects an account and switches the currency to the one that account is kept in.
+   * @param {string} selectedAccountId - The ID of the chosen account.
+   */
+  const handleAccountChange = (selectedAccountId) => {
+    setAccountId(selectedAccountId);
+    const account = accounts.find(a => a.id === selectedAccountId);
+    if (account) {
+      setCurrency(getAccountCurrency(account, baseCurrency));
+    }
+  };
 
   // Dynamically determine which set of categories to use based on the selected transaction type.
   const categories = type === 'income' ? userIncomeCategories : userExpenseCategories;
+  // The edited transaction's category stays selectable even if it has since been hidden or deleted.
+  const categoryOptions = transaction && transaction.type === type && transaction.category && !categories.includes(transaction.category)
+    ? [...categories, transaction.category].sort()
+    : categories;
+  // The picker lists each top-level category followed by its subcategories.
+  const parents = categoryParents[type] || {};
+  const categoryTree = buildCategoryTree(categoryOptions, parents);
 
   /**
    * handleAddCategory Function
@@ -80,10 +193,12 @@ const AddTransactionModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
       showMessage("Please enter a name for the new category.", true);
       return;
     }
-    const success = await addCategory(newCategoryName.trim(), type);
+    const success = await addCategory(newCategoryName.trim(), type, newCategoryParent || null, newCategoryStyle);
     if (success) {
       showMessage(`Category '${newCategoryName.trim()}' added!`);
       setNewCategoryName(''); // Clear the input field
+      setNewCategoryParent('');
+      setNewCategoryStyle(FALLBACK_CATEGORY_STYLE);
     } else {
       showMessage(`Error adding category '${newCategoryName.trim()}'.`, true);
     }
@@ -104,12 +219,12 @@ const AddTransactionModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
         return;
     }
 
-    showConfirm(`Are you sure you want to delete the category '${categoryToDelete}'? This will not affect existing transactions.`, async () => {
+    showConfirm(`Are you sure you want to delete the category '${categoryToDelete}'?`, async () => {
       const success = await deleteCategory(categoryToDelete, type);
       if (success) {
         showMessage(`Category '${categoryToDelete}' deleted!`);
       } else {
-        showMessage(`Error deleting category '${categoryToDelete}'.`, true);
+        showMessage(`Could not delete '${categoryToDelete}'. Categories that still have transactions can be merged into another category from Categories instead.`, true);
       }
     });
   };
@@ -119,14 +234,20 @@ const AddTransactionModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
    *
    * This asynchronous function is called when the form is submitted.
    * It prevents the default form submission behavior, performs client-side validation,
-   * constructs the transaction object, calls the `addTransaction` function from context,
-   * and provides user feedback via `showMessage`.
+   * constructs the transaction object, calls the `addTransaction` function from context
+   * (or `updateTransaction` when editing), and provides user feedback via `showMessage`.
    *
    * @param {object} e - The event object from the form submission.
    */
   const handleSubmit = async (e) => {
     e.preventDefault(); // Prevent the default browser form submission.
 
+    // Transfers are validated and saved separately, as a linked pair of transactions.
+    if (isTransferForm) {
+      await submitTransfer();
+      return;
+    }
+
     // Client-side validation: Check if all required fields are filled and amount is positive.
     if (!amount || !category || !date || parseFloat(amount) <= 0) {
       // Display an error message if validation fails.
@@ -135,23 +256,70 @@ const AddTransactionModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
     }
 
     // Create the transaction object from the current state.
-    const transaction = {
+    const transactionData = {
       type,
       amount: parseFloat(amount), // Convert amount to a number.
+      currency,
+      accountId,
       category,
-      date // Date is already in 'YYYY-MM-DD' string format.
+      date, // Date is already in 'YYYY-MM-DD' string format.
+      // Optional details are stored as null when left empty.
+      payee: payee.trim() || null,
+      note: note.trim() || null,
+      paymentMethod: paymentMethod || null,
+      tags
     };
 
-    // Call the addTransaction function from the context.
+    // Call the addTransaction (or updateTransaction) function from the context.
     // This function is expected to handle the actual data persistence (e.g., to Firestore).
-    const success = await addTransaction(transaction);
+    const result = isEditing
+      ? await updateTransaction(transaction.id, transactionData)
+      : await addTransaction(transactionData);
 
-    // Provide feedback to the user based on the success of the transaction addition.
-    if (success) {
-      showMessage(`${type.charAt(0).toUpperCase() + type.slice(1)} added successfully!`);
-      onClose(); // Close the modal on successful addition.
+    // Provide feedback to the user based on the success of the operation. A write made offline
+    // is only saved on this device so far, and the message says so.
+    const action = isEditing ? 'updated' : 'added';
+    if (result) {
+      showMessage(getWriteMessage(result, `${type.charAt(0).toUpperCase() + type.slice(1)} ${action} successfully!`));
+      onClose(); // Close the modal on success.
     } else {
-      showMessage(`Error adding ${type}`, true); // Display an error if addition failed.
+      showMessage(`Error ${isEditing ? 'updating' : 'adding'} ${type}`, true); // Display an error if the operation failed.
+    }
+  };
+
+  /**
+   * submitTransfer Function
+   *
+   * Validates the form and adds (or updates) a transfer between two accounts.
+   */
+  const submitTransfer = async () => {
+    if (!amount || !date || parseFloat(amount) <= 0 || !toAccountId) {
+      showMessage("Please fill all fields with valid values.", true);
+      return;
+    }
+    if (accountId === toAccountId) {
+      showMessage("Please choose two different accounts for the transfer.", true);
+      return;
+    }
+
+    const transferData = {
+      fromAccountId: accountId,
+      toAccountId,
+      amount: parseFloat(amount),
+      currency,
+      date,
+      note: note.trim() || null
+    };
+
+    const result = isEditing
+      ? await updateTransfer(transaction.transferId, transferData)
+      : await addTransfer(transferData);
+
+    if (result) {
+      showMessage(getWriteMessage(result, `Transfer ${isEditing ? 'updated' : 'added'} successfully!`));
+      onClose();
+    } else {
+      showMessage(`Error ${isEditing ? 'updating' : 'adding'} transfer`, true);
     }
   };
 
@@ -167,7 +335,7 @@ const AddTransactionModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
       <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md">
         {/* Modal header: title and close button. */}
         <div className="flex justify-between items-center mb-4">
-          <h2 className="text-xl font-semibold text-gray-800">Add Transaction</h2>
+          <h2 className="text-xl font-semibold text-gray-800">{isEditing ? 'Edit Transaction' : 'Add Transaction'}</h2>
           {/* Close button: triggers the onClose prop. */}
           <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
             {/* SVG icon for close button. */}
@@ -188,101 +356,236 @@ const AddTransactionModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
                 setType(e.target.value);
                 setCategory(''); // Reset category when type changes for new options.
               }}
+              disabled={isEditing && isTransferForm} // A transfer cannot be turned back into a single transaction
               className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
             >
               <option value="income">Income</option>
               <option value="expense">Expense</option>
+              {/* An existing income or expense cannot become a transfer, which needs a second leg. */}
+              {(!isEditing || isTransferForm) && <option value={TRANSFER_TYPE}>Transfer</option>}
             </select>
           </div>
           {/* Transaction Amount Input */}
           <div className="mb-4">
-            <label htmlFor="transactionAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount (QAR)</label>
-            <input
-              type="number"
-              id="transactionAmount"
-              value={amount} // Controlled component: value is tied to 'amount' state.
-              onChange={(e) => setAmount(e.target.value)} // Update 'amount' state on change.
-              step="0.01" // Allow decimal values.
-              min="0.01" // Minimum positive value.
-              required // HTML5 validation: field is required.
-              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
-              placeholder="e.g., 50.00"
-            />
+            <label htmlFor="transactionAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+            <div className="flex">
+              <input
+                type="number"
+                id="transactionAmount"
+                value={amount} // Controlled component: value is tied to 'amount' state.
+                onChange={(e) => setAmount(e.target.value)} // Update 'amount' state on change.
+                step="0.01" // Allow decimal values.
+                min="0.01" // Minimum positive value.
+                required // HTML5 validation: field is required.
+                className="flex-grow p-2 border border-gray-300 rounded-l-lg focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g., 50.00"
+              />
+              <select
+                id="transactionCurrency"
+                value={currency} // Controlled component: value is tied to 'currency' state.
+                onChange={(e) => setCurrency(e.target.value)} // Update 'currency' state on change.
+                className="p-2 border border-l-0 border-gray-300 rounded-r-lg focus:ring-blue-500 focus:border-blue-500"
+                aria-label="Currency"
+              >
+                {CURRENCIES.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
           </div>
-          {/* Transaction Category Selection */}
+          {/* Account Selection (the source account for transfers) */}
           <div className="mb-4">
-            <label htmlFor="transactionCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+            <label htmlFor="transactionAccount" className="block text-sm font-medium text-gray-700 mb-1">{isTransferForm ? 'From Account' : 'Account'}</label>
             <select
-              id="transactionCategory"
-              value={category} // Controlled component: value is tied to 'category' state.
-              onChange={(e) => setCategory(e.target.value)} // Update 'category' state on change.
-              required // HTML5 validation: field is required.
+              id="transactionAccount"
+              value={accountId} // Controlled component: value is tied to 'accountId' state.
+              onChange={(e) => handleAccountChange(e.target.value)} // Update 'accountId' (and currency) on change.
               className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
             >
-              <option value="">Select a category</option> {/* Placeholder option */}
-              {/* Map over the dynamically determined categories (income or expense) to create options. */}
-              {categories.map(cat => (
-                <option key={cat} value={cat}>{cat}</option>
+              {accounts.map(account => (
+                <option key={account.id} value={account.id}>{account.name}</option>
               ))}
             </select>
           </div>
+          {/* Destination Account Selection (transfers only) */}
+          {isTransferForm && (
+            <div className="mb-4">
+              <label htmlFor="transactionToAccount" className="block text-sm font-medium text-gray-700 mb-1">To Account</label>
+              <select
+                id="transactionToAccount"
+                value={toAccountId} // Controlled component: value is tied to 'toAccountId' state.
+                onChange={(e) => setToAccountId(e.target.value)} // Update 'toAccountId' state on change.
+                required // HTML5 validation: field is required.
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Select an account</option> {/* Placeholder option */}
+                {accounts.filter(account => account.id !== accountId).map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
 
-          {/* Button to toggle category management section */}
-          <div className="mb-4 text-center">
-            <button
-              type="button"
-              onClick={() => setShowCategoryManagement(prev => !prev)}
-              className="text-blue-600 hover:text-blue-800 font-semibold text-sm py-2 px-4 rounded-lg border border-blue-600 hover:border-blue-800 transition-colors"
-            >
-              {showCategoryManagement ? 'Hide Category Management' : 'Manage Categories'}
-            </button>
-          </div>
+          {/* Category, payee and payment method only apply to income and expenses. */}
+          {!isTransferForm && (
+            <>
+              {/* Transaction Category Selection */}
+              <div className="mb-4">
+                <label htmlFor="transactionCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                <div className="flex items-center">
+                  {/* The chosen category's icon, as it will appear in the transaction list. */}
+                  {category && (
+                    <span className="mr-2">
+                      <CategoryIcon {...getCategoryStyle(category, type)} />
+                    </span>
+                  )}
+                  <select
+                    id="transactionCategory"
+                    value={category} // Controlled component: value is tied to 'category' state.
+                    onChange={(e) => setCategory(e.target.value)} // Update 'category' state on change.
+                    required // HTML5 validation: field is required.
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">Select a category</option> {/* Placeholder option */}
+                    {/* Map over the dynamically determined categories (income or expense) to create options,
+                        with each category's subcategories indented beneath it. */}
+                    {categoryTree.map(({ name, children }) => [
+                      <option key={name} value={name}>{name}</option>,
+                      ...children.map(child => (
+                        <option key={child} value={child}>{'\u00a0\u00a0\u00a0\u00a0'}{child}</option>
+                      ))
+                    ])}
+                  </select>
+                </div>
+              </div>
 
-          {/* Category Management Section (conditionally rendered) */}
-          {showCategoryManagement && (
-            <div className="mb-6 p-4 border border-gray-200 rounded-lg bg-gray-50">
-              <h4 className="font-semibold text-gray-700 mb-3">Add New Category</h4>
-              <div className="flex mb-4">
-                <input
-                  type="text"
-                  value={newCategoryName}
-                  onChange={(e) => setNewCategoryName(e.target.value)}
-                  placeholder="New category name"
-                  className="flex-grow p-2 border border-gray-300 rounded-l-lg focus:ring-blue-500 focus:border-blue-500"
-                />
+              {/* Button to toggle category management section */}
+              <div className="mb-4 text-center">
                 <button
                   type="button"
-                  onClick={handleAddCategory}
-                  className="px-4 py-2 text-sm font-medium text-white bg-green-500 hover:bg-green-600 rounded-r-lg"
+                  onClick={() => setShowCategoryManagement(prev => !prev)}
+                  className="text-blue-600 hover:text-blue-800 font-semibold text-sm py-2 px-4 rounded-lg border border-blue-600 hover:border-blue-800 transition-colors"
                 >
-                  Add
+                  {showCategoryManagement ? 'Hide Category Management' : 'Manage Categories'}
                 </button>
               </div>
 
-              <h4 className="font-semibold text-gray-700 mb-3">Existing Categories</h4>
-              <div className="max-h-32 overflow-y-auto space-y-2">
-                {categories.length === 0 ? (
-                  <p className="text-gray-500 text-sm text-center">No custom categories added yet.</p>
-                ) : (
-                  categories.map(cat => (
-                    <div key={cat} className="flex justify-between items-center p-2 bg-white border border-gray-200 rounded-lg shadow-sm">
-                      <span className="text-gray-700 text-sm">{cat}</span>
-                      {/* Disable deletion for default categories. */}
-                      {/* This check uses a hardcoded list of default categories. Make sure it aligns with your TransactionContext's default categories. */}
-                      {!(["Salary", "Business", "Freelance", "Gifts", "Adjusted", "Food", "Transport", "Rent", "Utilities", "Entertainment", "Health", "Shopping", "Education"].includes(cat)) && (
-                          <button
-                            type="button"
-                            onClick={() => handleDeleteCategory(cat)}
-                            className="text-red-500 hover:text-red-700 text-xs font-semibold p-1 rounded-full"
-                            title={`Delete ${cat}`}
-                          >
-                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
-                          </button>
-                      )}
-                    </div>
-                  ))
-                )}
+              {/* Category Management Section (conditionally rendered) */}
+              {showCategoryManagement && (
+                <div className="mb-6 p-4 border border-gray-200 rounded-lg bg-gray-50">
+                  <h4 className="font-semibold text-gray-700 mb-3">Add New Category</h4>
+                  <div className="flex mb-4">
+                    <input
+                      type="text"
+                      value={newCategoryName}
+                      onChange={(e) => setNewCategoryName(e.target.value)}
+                      placeholder="New category name"
+                      className="flex-grow p-2 border border-gray-300 rounded-l-lg focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleAddCategory}
+                      className="px-4 py-2 text-sm font-medium text-white bg-green-500 hover:bg-green-600 rounded-r-lg"
+                    >
+                      Add
+                    </button>
+                  </div>
+                  <div className="flex items-center mb-4 text-sm">
+                    <label htmlFor="newCategoryParent" className="text-gray-600 mr-2">Under</label>
+                    <select
+                      id="newCategoryParent"
+                      value={newCategoryParent}
+                      onChange={(e) => setNewCategoryParent(e.target.value)}
+                      className="flex-grow p-1 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">No parent (top-level)</option>
+                      {/* Categories are one level deep, so only top-level categories can be parents. */}
+                      {categories.filter(cat => !parents[cat]).map(cat => (
+                        <option key={cat} value={cat}>{cat}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="mb-4">
+                    <CategoryStylePicker value={newCategoryStyle} onChange={setNewCategoryStyle} />
+                  </div>
+
+                  <h4 className="font-semibold text-gray-700 mb-3">Existing Categories</h4>
+                  <div className="max-h-32 overflow-y-auto space-y-2">
+                    {categories.length === 0 ? (
+                      <p className="text-gray-500 text-sm text-center">No custom categories added yet.</p>
+                    ) : (
+                      categories.map(cat => (
+                        <div key={cat} className="flex justify-between items-center p-2 bg-white border border-gray-200 rounded-lg shadow-sm">
+                          <span className="flex items-center text-gray-700 text-sm">
+                            <span className="mr-2"><CategoryIcon {...getCategoryStyle(cat, type)} size="sm" /></span>
+                            {formatCategoryName(cat, parents)}
+                          </span>
+                          {/* Built-in categories cannot be deleted; they can be hidden from the Categories screen. */}
+                          {!isDefaultCategory(cat, type) && (
+                              <button
+                                type="button"
+                                onClick={() => handleDeleteCategory(cat)}
+                                className="text-red-500 hover:text-red-700 text-xs font-semibold p-1 rounded-full"
+                                title={`Delete ${cat}`}
+                              >
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
+                              </button>
+                          )}
+                        </div>
+                      ))
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Payee / Merchant Input (optional) */}
+              <div className="mb-4">
+                <label htmlFor="transactionPayee" className="block text-sm font-medium text-gray-700 mb-1">Payee / Merchant <span className="text-gray-400">(optional)</span></label>
+                <input
+                  type="text"
+                  id="transactionPayee"
+                  value={payee} // Controlled component: value is tied to 'payee' state.
+                  onChange={(e) => setPayee(e.target.value)} // Update 'payee' state on change.
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="e.g., Lulu Hypermarket"
+                />
+              </div>
+              {/* Payment Method Selection (optional) */}
+              <div className="mb-4">
+                <label htmlFor="transactionPaymentMethod" className="block text-sm font-medium text-gray-700 mb-1">Payment Method <span className="text-gray-400">(optional)</span></label>
+                <select
+                  id="transactionPaymentMethod"
+                  value={paymentMethod} // Controlled component: value is tied to 'paymentMethod' state.
+                  onChange={(e) => setPaymentMethod(e.target.value)} // Update 'paymentMethod' state on change.
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Not specified</option>
+                  {PAYMENT_METHODS.map(method => (
+                    <option key={method.value} value={method.value}>{method.label}</option>
+                  ))}
+                </select>
               </div>
+            </>
+          )}
+
+          {/* Note Input (optional) */}
+          <div className="mb-4">
+            <label htmlFor="transactionNote" className="block text-sm font-medium text-gray-700 mb-1">Note <span className="text-gray-400">(optional)</span></label>
+            <textarea
+              id="transactionNote"
+              value={note} // Controlled component: value is tied to 'note' state.
+              onChange={(e) => setNote(e.target.value)} // Update 'note' state on change.
+              rows="2"
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g., Weekly groceries"
+            />
+          </div>
+
+          {/* Tags Input (optional) */}
+          {!isTransferForm && (
+            <div className="mb-4">
+              <label htmlFor="transactionTags" className="block text-sm font-medium text-gray-700 mb-1">Tags <span className="text-gray-400">(optional)</span></label>
+              <TagInput id="transactionTags" value={tags} onChange={setTags} knownTags={knownTags} />
             </div>
           )}
 
@@ -301,7 +604,7 @@ const AddTransactionModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
           {/* Form Action Buttons */}
           <div className="flex justify-end space-x-3">
             <button type="button" onClick={onClose} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">Cancel</button>
-            <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">Add Transaction</button>
+            <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">{isEditing ? 'Save Changes' : 'Add Transaction'}</button>
           </div>
         </form>
       </div>
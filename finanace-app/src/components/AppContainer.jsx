@@ -2,9 +2,22 @@ import React from 'react';
 import { useAuth } from '../hooks/useAuth'; // Custom hook for authentication state and functions
 import { useTransactions } from '../components/TransactionContext'; // Custom hook for transaction-related state and functions
 import UserInfo from './UserInfo'; // Component to display user information
+import SyncStatusIndicator from './SyncStatusIndicator'; // Online/syncing/offline status shown in the header
 import OverviewSection from './OverviewSection'; // Component for financial overview (income, expenses, balance)
 import TransactionsSection from './TransactionsSection'; // Component to list monthly transactions
 import AddTransactionModal from './AddTransactionModal'; // Modal for adding new transactions
+import RecurringRulesModal from './RecurringRulesModal'; // Modal for managing recurring transaction rules
+import BudgetsModal from './BudgetsModal'; // Modal for managing monthly category budgets
+import AccountsModal from './AccountsModal'; // Modal for managing accounts/wallets
+import CategoryManagerModal from './CategoryManagerModal'; // Screen for renaming, merging, and hiding categories
+import SearchModal from './SearchModal'; // Search and filter view across all transactions
+import TrendModal from './TrendModal'; // Month-by-month income vs. expense trend view
+import TagReportModal from './TagReportModal'; // All-time totals of each tag
+import ImportModal from './ImportModal'; // Modal for importing transactions from bank statements
+import ExportModal from './ExportModal'; // Modal for exporting transactions to CSV or JSON
+import CurrencySettingsModal from './CurrencySettingsModal'; // Modal for the base currency and exchange rates
+import MergeAccountModal from './MergeAccountModal'; // Offers to merge guest data into an existing account
+import EmailAuthModal from './EmailAuthModal'; // Email sign-in and registration for guests
 import MessageModal from './MessageModal'; // Generic modal for displaying messages (success/error)
 import ConfirmModal from './ConfirmModal'; // Generic modal for user confirmations
 import LoadingIndicator from './LoadingIndicator'; // Component to display a loading spinner
@@ -23,15 +36,54 @@ const AppContainer = () => {
   // currentUser: The currently authenticated user object (or null if not authenticated).
   // signOutUser: Function to sign out the current user.
   // signInWithGoogle: Function to initiate Google Sign-In, used for upgrading anonymous accounts.
-  const { currentUser, signOutUser, signInWithGoogle } = useAuth();
+  // pendingMerge / cancelMerge: An existing account the guest may merge into, and the way to decline.
+  // needsEmailVerification / resendVerificationEmail / refreshEmailVerification: The email verification state and actions.
+  const {
+    currentUser,
+    signOutUser,
+    signInWithGoogle,
+    pendingMerge,
+    cancelMerge,
+    needsEmailVerification,
+    resendVerificationEmail,
+    refreshEmailVerification,
+    clearError
+  } = useAuth();
 
   // Destructure loading state from the useTransactions hook.
   // transactionsLoading: A boolean indicating if transaction data is currently being loaded.
-  const { loading: transactionsLoading } = useTransactions(); // Renamed to avoid potential conflict with auth loading state
+  // syncStatus: Whether the app is online, syncing changes made on this device, or offline.
+  const { loading: transactionsLoading, syncStatus } = useTransactions(); // Renamed to avoid potential conflict with auth loading state
 
   // --- State Management for Modals ---
   // showAddModal: Controls the visibility of the AddTransactionModal.
   const [showAddModal, setShowAddModal] = React.useState(false);
+  // editingTransaction: The transaction currently open for editing in the AddTransactionModal (null when adding).
+  const [editingTransaction, setEditingTransaction] = React.useState(null);
+  // showRecurringModal: Controls the visibility of the RecurringRulesModal.
+  const [showRecurringModal, setShowRecurringModal] = React.useState(false);
+  // showBudgetsModal: Controls the visibility of the BudgetsModal.
+  const [showBudgetsModal, setShowBudgetsModal] = React.useState(false);
+  // showAccountsModal: Controls the visibility of the AccountsModal.
+  const [showAccountsModal, setShowAccountsModal] = React.useState(false);
+  // showCategoryModal: Controls the visibility of the CategoryManagerModal.
+  const [showCategoryModal, setShowCategoryModal] = React.useState(false);
+  // showSearchModal: Controls the visibility of the SearchModal.
+  const [showSearchModal, setShowSearchModal] = React.useState(false);
+  // showTrendModal: Controls the visibility of the TrendModal.
+  const [showTrendModal, setShowTrendModal] = React.useState(false);
+  // showTagReportModal: Controls the visibility of the TagReportModal.
+  const [showTagReportModal, setShowTagReportModal] = React.useState(false);
+  // categoryFilter: The category ({ category, type }) the transaction list is filtered to, chosen in the category chart, or null.
+  const [categoryFilter, setCategoryFilter] = React.useState(null);
+  // showImportModal: Controls the visibility of the ImportModal.
+  const [showImportModal, setShowImportModal] = React.useState(false);
+  // showExportModal: Controls the visibility of the ExportModal.
+  const [showExportModal, setShowExportModal] = React.useState(false);
+  // showEmailAuthModal: Controls the visibility of the EmailAuthModal.
+  const [showEmailAuthModal, setShowEmailAuthModal] = React.useState(false);
+  // showCurrencyModal: Controls the visibility of the CurrencySettingsModal.
+  const [showCurrencyModal, setShowCurrencyModal] = React.useState(false);
   // showMessageModal: Controls the visibility of the MessageModal.
   const [showMessageModal, setShowMessageModal] = React.useState(false);
   // showConfirmModal: Controls the visibility of the ConfirmModal.
@@ -74,6 +126,63 @@ const AppContainer = () => {
     setShowConfirmModal(true); // Open the confirmation modal
   };
 
+  /**
+   * openEditModal Function
+   *
+   * Opens the AddTransactionModal in edit mode, pre-filled from the given transaction.
+   * @param {object} transaction - The transaction selected in the TransactionsSection.
+   */
+  const openEditModal = (transaction) => {
+    setEditingTransaction(transaction);
+    setShowAddModal(true);
+  };
+
+  /**
+   * closeAddModal Function
+   *
+   * Closes the AddTransactionModal and clears any transaction being edited.
+   */
+  const closeAddModal = () => {
+    setShowAddModal(false);
+    setEditingTransaction(null);
+  };
+
+  /**
+   * closeEmailAuthModal Function
+   *
+   * Closes the EmailAuthModal, dropping any error left over from it.
+   */
+  const closeEmailAuthModal = () => {
+    setShowEmailAuthModal(false);
+    clearError();
+  };
+
+  /**
+   * handleResendVerification Function
+   *
+   * Sends another verification email and reports the result.
+   */
+  const handleResendVerification = async () => {
+    if (await resendVerificationEmail()) {
+      showMessage(`We've sent a new verification link to ${currentUser.email}.`);
+    } else {
+      showMessage("Could not send the verification email. Please wait a moment and try again.", true);
+    }
+  };
+
+  /**
+   * handleRefreshVerification Function
+   *
+   * Re-checks whether the user has verified their email address and reports the result.
+   */
+  const handleRefreshVerification = async () => {
+    if (await refreshEmailVerification()) {
+      showMessage("Thanks, your email address is verified.");
+    } else {
+      showMessage("Your email address is not verified yet. Open the link in the email we sent you, then try again.", true);
+    }
+  };
+
   // If there's no current user at all (not even anonymous), return null.
   // The root App component will then handle rendering the AuthContainer.
   if (!currentUser) return null;
@@ -84,6 +193,8 @@ const AppContainer = () => {
     <div className="w-full max-w-md">
       {/* Header section displaying user information and sign-out button. */}
       <header className="mb-6 text-center bg-white p-4 rounded-xl shadow-lg">
+        {/* Connection and sync status, so it is clear whether changes have reached the server. */}
+        <SyncStatusIndicator status={syncStatus} />
         {/* UserInfo component: displays current user details and handles sign-out and Google sign-in. */}
         {/* Pass currentUser, signOutUser, and signInWithGoogle to UserInfo */}
         {currentUser && (
@@ -91,14 +202,27 @@ const AppContainer = () => {
             user={currentUser}
             onSignOut={signOutUser}
             onSignInGoogle={signInWithGoogle} // This prop allows UserInfo to show Google Sign-In for anonymous users
+            onSignInEmail={() => setShowEmailAuthModal(true)} // Opens the EmailAuthModal for anonymous users
+            needsEmailVerification={needsEmailVerification}
+            onResendVerification={handleResendVerification}
+            onRefreshVerification={handleRefreshVerification}
           />
         )}
       </header>
 
       {/* Main content area, styled with a white background, rounded corners, and shadow. */}
       <div className="bg-white rounded-xl shadow-2xl p-6">
-        {/* OverviewSection component: displays total income, expenses, and balance. */}
-        <OverviewSection />
+        {/* OverviewSection component: displays total income, expenses, balance, and budget progress. */}
+        <OverviewSection
+          onManageBudgets={() => setShowBudgetsModal(true)} // Opens the BudgetsModal
+          onManageAccounts={() => setShowAccountsModal(true)} // Opens the AccountsModal
+          onSearch={() => setShowSearchModal(true)} // Opens the SearchModal
+          onShowTrends={() => setShowTrendModal(true)} // Opens the TrendModal
+          onShowTags={() => setShowTagReportModal(true)} // Opens the TagReportModal
+          selectedCategory={categoryFilter} // Highlights the chart slice the list is filtered to
+          onSelectCategory={setCategoryFilter} // Filters the transaction list to a chart slice's category
+          onExport={() => setShowExportModal(true)} // Opens the ExportModal
+        />
         {/* Button to open the Add New Transaction modal. */}
         <div className="mb-6">
           <button
@@ -107,12 +231,45 @@ const AppContainer = () => {
           >
             Add New Transaction
           </button>
+          <div className="flex mt-2 space-x-2">
+            {/* Button to open the Recurring Transactions modal. */}
+            <button
+              onClick={() => setShowRecurringModal(true)} // Set state to open the RecurringRulesModal
+              className="flex-1 text-blue-600 hover:text-blue-800 font-semibold text-sm py-2 px-4 rounded-lg border border-blue-600 hover:border-blue-800 transition-colors"
+            >
+              Recurring Transactions
+            </button>
+            {/* Button to open the Categories screen. */}
+            <button
+              onClick={() => setShowCategoryModal(true)} // Set state to open the CategoryManagerModal
+              className="flex-1 text-blue-600 hover:text-blue-800 font-semibold text-sm py-2 px-4 rounded-lg border border-blue-600 hover:border-blue-800 transition-colors"
+            >
+              Categories
+            </button>
+            {/* Button to open the Import modal. */}
+            <button
+              onClick={() => setShowImportModal(true)} // Set state to open the ImportModal
+              className="flex-1 text-blue-600 hover:text-blue-800 font-semibold text-sm py-2 px-4 rounded-lg border border-blue-600 hover:border-blue-800 transition-colors"
+            >
+              Import
+            </button>
+            {/* Button to open the Currencies modal. */}
+            <button
+              onClick={() => setShowCurrencyModal(true)} // Set state to open the CurrencySettingsModal
+              className="flex-1 text-blue-600 hover:text-blue-800 font-semibold text-sm py-2 px-4 rounded-lg border border-blue-600 hover:border-blue-800 transition-colors"
+            >
+              Currencies
+            </button>
+          </div>
         </div>
         {/* TransactionsSection component: displays the list of transactions. */}
         {/* Passes showConfirm and showMessage functions for interaction within the section. */}
         <TransactionsSection
           showConfirm={showConfirm}
           showMessage={showMessage}
+          onEditTransaction={openEditModal} // Opens the clicked row in the edit modal
+          categoryFilter={categoryFilter} // Limits the list to the chart slice's category
+          onClearCategoryFilter={() => setCategoryFilter(null)} // Shows every category again
         />
       </div>
 
@@ -120,11 +277,98 @@ const AppContainer = () => {
       {/* Pass isOpen, onClose, showMessage, and showConfirm to AddTransactionModal */}
       <AddTransactionModal
         isOpen={showAddModal} // Controls modal visibility
-        onClose={() => setShowAddModal(false)} // Callback to close the modal
+        onClose={closeAddModal} // Callback to close the modal
+        transaction={editingTransaction} // Transaction being edited, or null when adding
         showMessage={showMessage} // Passes the showMessage helper function
         showConfirm={showConfirm} // Passes the showConfirm function for category deletion confirmation
       />
 
+      {/* RecurringRulesModal: conditionally rendered based on showRecurringModal state. */}
+      <RecurringRulesModal
+        isOpen={showRecurringModal} // Controls modal visibility
+        onClose={() => setShowRecurringModal(false)} // Callback to close the modal
+        showMessage={showMessage} // Passes the showMessage helper function
+        showConfirm={showConfirm} // Passes the showConfirm function for rule deletion confirmation
+      />
+
+      {/* BudgetsModal: conditionally rendered based on showBudgetsModal state. */}
+      <BudgetsModal
+        isOpen={showBudgetsModal} // Controls modal visibility
+        onClose={() => setShowBudgetsModal(false)} // Callback to close the modal
+        showMessage={showMessage} // Passes the showMessage helper function
+        showConfirm={showConfirm} // Passes the showConfirm function for budget removal confirmation
+      />
+
+      {/* AccountsModal: conditionally rendered based on showAccountsModal state. */}
+      <AccountsModal
+        isOpen={showAccountsModal} // Controls modal visibility
+        onClose={() => setShowAccountsModal(false)} // Callback to close the modal
+        showMessage={showMessage} // Passes the showMessage helper function
+        showConfirm={showConfirm} // Passes the showConfirm function for account deletion confirmation
+      />
+
+      {/* CategoryManagerModal: conditionally rendered based on showCategoryModal state. */}
+      <CategoryManagerModal
+        isOpen={showCategoryModal} // Controls modal visibility
+        onClose={() => setShowCategoryModal(false)} // Callback to close the modal
+        showMessage={showMessage} // Passes the showMessage helper function
+        showConfirm={showConfirm} // Passes the showConfirm function for merge and deletion confirmation
+      />
+
+      {/* SearchModal: conditionally rendered based on showSearchModal state. */}
+      <SearchModal
+        isOpen={showSearchModal} // Controls modal visibility
+        onClose={() => setShowSearchModal(false)} // Callback to close the modal
+      />
+
+      {/* TrendModal: conditionally rendered based on showTrendModal state. */}
+      <TrendModal
+        isOpen={showTrendModal} // Controls modal visibility
+        onClose={() => setShowTrendModal(false)} // Callback to close the modal
+      />
+
+      {/* TagReportModal: conditionally rendered based on showTagReportModal state. */}
+      <TagReportModal
+        isOpen={showTagReportModal} // Controls modal visibility
+        onClose={() => setShowTagReportModal(false)} // Callback to close the modal
+      />
+
+      {/* ImportModal: conditionally rendered based on showImportModal state. */}
+      <ImportModal
+        isOpen={showImportModal} // Controls modal visibility
+        onClose={() => setShowImportModal(false)} // Callback to close the modal
+        showMessage={showMessage} // Passes the showMessage helper function
+      />
+
+      {/* ExportModal: conditionally rendered based on showExportModal state. */}
+      <ExportModal
+        isOpen={showExportModal} // Controls modal visibility
+        onClose={() => setShowExportModal(false)} // Callback to close the modal
+        showMessage={showMessage} // Passes the showMessage helper function
+      />
+
+      {/* CurrencySettingsModal: conditionally rendered based on showCurrencyModal state. */}
+      <CurrencySettingsModal
+        isOpen={showCurrencyModal} // Controls modal visibility
+        onClose={() => setShowCurrencyModal(false)} // Callback to close the modal
+        showMessage={showMessage} // Passes the showMessage helper function
+        showConfirm={showConfirm} // Passes the showConfirm function for rate deletion confirmation
+      />
+
+      {/* EmailAuthModal: conditionally rendered based on showEmailAuthModal state. */}
+      <EmailAuthModal
+        isOpen={showEmailAuthModal} // Controls modal visibility
+        onClose={closeEmailAuthModal} // Callback to close the modal
+        showMessage={showMessage} // Passes the showMessage helper function
+      />
+
+      {/* MergeAccountModal: shown when a guest signs in to an account that already exists. */}
+      <MergeAccountModal
+        isOpen={Boolean(pendingMerge)} // Controls modal visibility
+        onClose={cancelMerge} // Stays signed in as a guest
+        showMessage={showMessage} // Passes the showMessage helper function
+      />
+
       {/* MessageModal: conditionally rendered based on showMessageModal state. */}
       <MessageModal
         isOpen={showMessageModal} // Controls modal visibility
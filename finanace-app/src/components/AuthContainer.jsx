@@ -1,6 +1,7 @@
 import React from 'react';
 import { useAuth } from '../hooks/useAuth'; // Custom hook for authentication state and functions
 import LoadingIndicator from './LoadingIndicator'; // Component to display a loading spinner
+import EmailAuthForm from './EmailAuthForm'; // Email/password sign-in, registration, and password reset
 
 /**
  * AuthContainer Component
@@ -8,14 +9,15 @@ import LoadingIndicator from './LoadingIndicator'; // Component to display a loa
  * This component is responsible for rendering the authentication interface of the Finance Tracker application.
  * It primarily handles the display of a loading indicator during the initial authentication check
  * (including automatic anonymous sign-in). If no user is authenticated after this check, it provides
- * a button to sign in with Google.
+ * a button to sign in with Google and a form to sign in, register, or reset a password with an
+ * email address. Errors from either are shown by the email form.
  */
 const AuthContainer = () => {
   // Destructure authentication-related state and functions from the useAuth hook.
   // currentUser: The currently authenticated user object (null if not authenticated).
   // signInWithGoogle: Function to initiate the Google sign-in process.
   // loading: A boolean indicating if an authentication operation is in progress.
-  const { currentUser, signInWithGoogle, loading, error } = useAuth(); // Also get error for feedback
+  const { currentUser, signInWithGoogle, loading } = useAuth();
 
   // --- Conditional Rendering Logic ---
 
@@ -42,7 +44,7 @@ const AuthContainer = () => {
   // 3. If loading is false AND there's no currentUser, it means:
   //    - The initial anonymous sign-in attempt failed.
   //    - The user explicitly signed out from a Google/anonymous session.
-  //    In this case, we offer the Google sign-in option.
+  //    In this case, we offer the Google and email sign-in options.
   return (
     // Main container for the authentication screen, styled for centering and appearance.
     <div className="text-center bg-white p-8 rounded-xl shadow-2xl max-w-md w-full">
@@ -50,13 +52,9 @@ const AuthContainer = () => {
       <h1 className="text-3xl font-bold text-gray-800 mb-2">Finance Tracker</h1>
       {/* Introductory text for the sign-in prompt. */}
       <p className="text-gray-600 mb-8">
-        Welcome! You can sign in with your Google account to save your data across devices.
+        Welcome! Sign in with your Google account or an email address to save your data across devices.
       </p>
 
-      {error && ( // Display error message if anonymous sign-in failed
-        <p className="text-red-500 mb-4">{error}</p>
-      )}
-
       {/* Google Sign-In Button. */}
       <button
         onClick={signInWithGoogle} // Attaches the signInWithGoogle function to the button's click event.
@@ -71,6 +69,16 @@ const AuthContainer = () => {
         </svg>
         Sign in with Google
       </button>
+
+      {/* Divider between the two sign-in options. */}
+      <div className="flex items-center my-6">
+        <div className="flex-grow border-t border-gray-300"></div>
+        <span className="mx-3 text-sm text-gray-500">or</span>
+        <div className="flex-grow border-t border-gray-300"></div>
+      </div>
+
+      {/* Email/password sign-in, registration, and password reset. */}
+      <EmailAuthForm />
     </div>
   );
 };
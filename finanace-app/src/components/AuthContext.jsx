@@ -1,12 +1,231 @@
 import React, { createContext, useEffect, useState, useContext } from "react"; // Added useContext for the useAuth hook pattern
-import { auth, db, provider } from "../firebase"; // Assuming 'auth', 'db', and 'provider' are Firebase instances. 'db' is needed for user profiles.
+import { auth, db, provider, appId, firebaseConfig } from "../firebase"; // Assuming 'auth', 'db', and 'provider' are Firebase instances. 'db' is needed for user profiles.
+import { initializeApp, deleteApp } from "firebase/app"; // A second app instance is used while merging guest data
 import {
+  getAuth,
+  GoogleAuthProvider,
+  EmailAuthProvider,
   signInWithPopup,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  signInWithCredential,
+  linkWithPopup, // Upgrades an anonymous user in place, keeping their uid
+  linkWithCredential, // Same, for a new email and password
   signOut,
   onAuthStateChanged, // Make sure onAuthStateChanged is explicitly imported
   signInAnonymously as firebaseSignInAnonymously, // Import as an alias to avoid naming conflicts
 } from "firebase/auth";
-import { doc, setDoc, Timestamp } from "firebase/firestore"; // Import Firestore methods for user profiles
+import { getFirestore, collection, query, limit, getDoc, getDocs, writeBatch, deleteDoc, doc, setDoc, Timestamp } from "firebase/firestore"; // Firestore methods for user profiles and merging guest data
+import { DEFAULT_ACCOUNT_ID, DEFAULT_ACCOUNT_NAME, getAccountCurrency, getTransactionAccountId } from "../utils/accounts"; // The guest's default account merges into the account's own
+import { DEFAULT_CURRENCY } from "../utils/currency"; // Currency of a default account with none set
+import { findTag } from "../utils/tags"; // Tags are merged regardless of case
+import { getAuthErrorMessage } from "../utils/authErrors"; // Readable messages for Firebase auth error codes
+
+// Firestore allows at most 500 writes in a single batch.
+const MAX_BATCH_SIZE = 500;
+
+// Every collection under a user's data path, all of which are deleted once a guest's data has been merged.
+const USER_DATA_COLLECTIONS = ['transactions', 'categories', 'accounts', 'recurringRules', 'budgets', 'exchangeRates', 'settings'];
+
+/**
+ * commitInBatches Function
+ *
+ * Applies a write for each item using batched writes, committing up to 500 writes per batch.
+ * @param {object} firestore - The Firestore instance to write with.
+ * @param {Array} items - The items to write.
+ * @param {function} addWrite - Called with the batch and an item; adds that item's write to the batch.
+ */
+const commitInBatches = async (firestore, items, addWrite) => {
+  for (let start = 0; start < items.length; start += MAX_BATCH_SIZE) {
+    const batch = writeBatch(firestore);
+    items.slice(start, start + MAX_BATCH_SIZE).forEach(item => addWrite(batch, item));
+    await batch.commit();
+  }
+};
+
+/**
+ * withAccount Function
+ *
+ * Signs in to an account on a second Firebase app instance and runs a function as that account,
+ * so the guest stays signed in on the main instance. A wrong password or expired credential is
+ * reported by the sign-in before anything else happens.
+ * @param {object} credential - The Google or email/password credential of the account.
+ * @param {function} run - Called with the account's user and Firestore instance.
+ * @returns {Promise<*>} What `run` returns.
+ */
+const withAccount = async (credential, run) => {
+  const accountApp = initializeApp(firebaseConfig, 'guest-merge');
+  try {
+    const { user } = await signInWithCredential(getAuth(accountApp), credential);
+    return await run(user, getFirestore(accountApp));
+  } finally {
+    await deleteApp(accountApp);
+  }
+};
+
+/**
+ * readCollections Function
+ *
+ * Reads every document of some of a user's collections.
+ * @param {object} firestore - The Firestore instance to read with.
+ * @param {string} userPath - The user's data path.
+ * @param {string[]} names - The collection names.
+ * @returns {Promise<object>} The document snapshots of each collection, keyed by name.
+ */
+const readCollections = async (firestore, userPath, names) => Object.fromEntries(await Promise.all(
+  names.map(async name => [name, (await getDocs(collection(firestore, `${userPath}/${name}`))).docs])
+));
+
+/**
+ * hasGuestData Function
+ *
+ * Checks whether a guest has stored anything worth keeping: any transaction, category, account,
+ * recurring rule, budget, or exchange rate, or a preference they chose themselves.
+ * @param {string} guestUid - The anonymous user's ID.
+ * @returns {Promise<boolean>} True if merging would carry anything over.
+ */
+const hasGuestData = async (guestUid) => {
+  const guestPath = `artifacts/${appId}/users/${guestUid}`;
+  const snapshots = await Promise.all(USER_DATA_COLLECTIONS
+    .filter(name => name !== 'settings')
+    .map(name => getDocs(query(collection(db, `${guestPath}/${name}`), limit(1)))));
+  if (snapshots.some(snapshot => !snapshot.empty)) return true;
+
+  // The preferences document is also written by the app itself to record data upgrades.
+  const preferences = await getDoc(doc(db, `${guestPath}/settings`, 'preferences'));
+  const { transactionFieldsVersion: _version, ...chosen } = preferences.exists() ? preferences.data() : {};
+  return Object.keys(chosen).length > 0;
+};
+
+/**
+ * deleteGuestData Function
+ *
+ * Deletes everything a guest has stored, and their user profile.
+ * @param {string} guestUid - The anonymous user's ID (signed in on the main app instance).
+ */
+const deleteGuestData = async (guestUid) => {
+  for (const collectionName of USER_DATA_COLLECTIONS) {
+    const querySnapshot = await getDocs(collection(db, `artifacts/${appId}/users/${guestUid}/${collectionName}`));
+    await commitInBatches(db, querySnapshot.docs, (batch, guestDoc) => batch.delete(guestDoc.ref));
+  }
+  await deleteDoc(doc(db, `users`, guestUid));
+};
+
+/**
+ * mergeGuestData Function
+ *
+ * Moves everything a guest has stored into an existing account, then deletes it from the guest.
+ * The account is written through a second Firebase app instance (see withAccount), so the guest
+ * can still delete its own data once the copy has succeeded. Every step can be run again after a
+ * failure without copying anything twice, so a failed merge can simply be retried.
+ *
+ * Transactions, accounts, recurring rules, budgets, and exchange rates keep their document IDs, so
+ * transfer pairs and generated transactions stay linked. What the account already has wins:
+ * categories with the same name, budgets for the same category, rates for the same currencies and
+ * day, and its own base currency and week start are kept. Tags, hidden built-in categories, and
+ * category colors are added to the account's own.
+ *
+ * The guest's default account merges into the account's own default account, adding its opening
+ * balance; if the two are kept in different currencies and the guest's has an opening balance, it
+ * is copied as an account of its own instead, with its transactions moved to it.
+ *
+ * @param {string} guestUid - The anonymous user's ID (signed in on the main app instance).
+ * @param {object} credential - The Google or email/password credential of the existing account.
+ * @returns {Promise<number>} The number of transactions that were merged.
+ */
+const mergeGuestData = (guestUid, credential) => withAccount(credential, async (targetUser, targetDb) => {
+  const guestPath = `artifacts/${appId}/users/${guestUid}`;
+  const targetPath = `artifacts/${appId}/users/${targetUser.uid}`;
+  const [guest, target] = await Promise.all([
+    readCollections(db, guestPath, USER_DATA_COLLECTIONS),
+    readCollections(targetDb, targetPath, ['categories', 'accounts', 'budgets', 'exchangeRates', 'settings'])
+  ]);
+  const findData = (docs, id) => docs.find(d => d.id === id)?.data();
+  const guestPreferences = findData(guest.settings, 'preferences') || {};
+  const targetPreferences = findData(target.settings, 'preferences') || {};
+
+  // Where the guest's default account goes: into the account's own, or apart when the currencies differ.
+  const guestDefault = findData(guest.accounts, DEFAULT_ACCOUNT_ID) || {};
+  const targetDefault = findData(target.accounts, DEFAULT_ACCOUNT_ID) || {};
+  const guestDefaultCurrency = getAccountCurrency(guestDefault, guestPreferences.baseCurrency || DEFAULT_CURRENCY);
+  const targetDefaultCurrency = getAccountCurrency(targetDefault, targetPreferences.baseCurrency || DEFAULT_CURRENCY);
+  const keepDefaultApart = Boolean(guestDefault.openingBalance) && guestDefaultCurrency !== targetDefaultCurrency;
+  const guestDefaultId = keepDefaultApart ? `guest-${guestUid}` : DEFAULT_ACCOUNT_ID;
+
+  await commitInBatches(targetDb, guest.transactions, (batch, guestDoc) => {
+    const transaction = guestDoc.data();
+    const accountId = getTransactionAccountId(transaction) === DEFAULT_ACCOUNT_ID ? guestDefaultId : transaction.accountId;
+    batch.set(doc(targetDb, `${targetPath}/transactions`, guestDoc.id), { ...transaction, accountId });
+  });
+
+  const existingCategories = new Set(target.categories.map(categoryDoc => `${categoryDoc.data().type}:${categoryDoc.data().name}`));
+  const newCategories = guest.categories.filter(categoryDoc => !existingCategories.has(`${categoryDoc.data().type}:${categoryDoc.data().name}`));
+  await commitInBatches(targetDb, newCategories, (batch, guestDoc) => {
+    batch.set(doc(collection(targetDb, `${targetPath}/categories`)), guestDoc.data());
+  });
+
+  const otherAccounts = guest.accounts.filter(accountDoc => accountDoc.id !== DEFAULT_ACCOUNT_ID);
+  await commitInBatches(targetDb, otherAccounts, (batch, guestDoc) => {
+    batch.set(doc(targetDb, `${targetPath}/accounts`, guestDoc.id), guestDoc.data());
+  });
+
+  const budgetedCategories = new Set(target.budgets.map(budgetDoc => budgetDoc.data().category));
+  const newBudgets = guest.budgets.filter(budgetDoc => !budgetedCategories.has(budgetDoc.data().category));
+  const rateKey = rate => `${rate.currency}:${rate.baseCurrency}:${rate.date}`;
+  const existingRates = new Set(target.exchangeRates.map(rateDoc => rateKey(rateDoc.data())));
+  const newRates = guest.exchangeRates.filter(rateDoc => !existingRates.has(rateKey(rateDoc.data())));
+  const copies = [
+    ...guest.recurringRules.map(guestDoc => ['recurringRules', guestDoc]),
+    ...newBudgets.map(guestDoc => ['budgets', guestDoc]),
+    ...newRates.map(guestDoc => ['exchangeRates', guestDoc])
+  ];
+  await commitInBatches(targetDb, copies, (batch, [collectionName, guestDoc]) => {
+    batch.set(doc(targetDb, `${targetPath}/${collectionName}`, guestDoc.id), guestDoc.data());
+  });
+
+  // The default account and preferences are written together, with a note of the merged guest so
+  // a retry does not add the opening balance again.
+  const mergedGuestIds = targetPreferences.mergedGuestIds || [];
+  if (!mergedGuestIds.includes(guestUid)) {
+    const batch = writeBatch(targetDb);
+    if (keepDefaultApart) {
+      batch.set(doc(targetDb, `${targetPath}/accounts`, guestDefaultId), {
+        ...guestDefault,
+        name: `${guestDefault.name || DEFAULT_ACCOUNT_NAME} (guest)`,
+        currency: guestDefaultCurrency
+      });
+    } else if (guestDefault.openingBalance) {
+      batch.set(doc(targetDb, `${targetPath}/accounts`, DEFAULT_ACCOUNT_ID), {
+        name: DEFAULT_ACCOUNT_NAME,
+        type: 'bank',
+        currency: null,
+        ...targetDefault,
+        openingBalance: (targetDefault.openingBalance || 0) + guestDefault.openingBalance
+      });
+    }
+
+    const targetTags = targetPreferences.tags || [];
+    const mergeByType = (guestValues = {}, targetValues = {}, combine) => Object.fromEntries(['income', 'expense'].map(type => (
+      [type, combine(guestValues[type], targetValues[type])]
+    )));
+    batch.set(doc(targetDb, `${targetPath}/settings`, 'preferences'), {
+      tags: [...targetTags, ...(guestPreferences.tags || []).filter(tag => !findTag(targetTags, tag))],
+      hiddenCategories: mergeByType(guestPreferences.hiddenCategories, targetPreferences.hiddenCategories,
+        (guestHidden = [], targetHidden = []) => [...new Set([...targetHidden, ...guestHidden])]),
+      categoryStyles: mergeByType(guestPreferences.categoryStyles, targetPreferences.categoryStyles,
+        (guestStyles = {}, targetStyles = {}) => ({ ...guestStyles, ...targetStyles })),
+      mergedGuestIds: [...mergedGuestIds, guestUid]
+    }, { merge: true });
+    await batch.commit();
+  }
+
+  // Only now that everything has been copied is the guest's data deleted.
+  await deleteGuestData(guestUid);
+
+  return guest.transactions.length;
+});
 
 /**
  * AuthContext
@@ -39,6 +258,10 @@ export function useAuth() {
  * (currentUser, loading, error) and provides functions for signing in and signing out.
  * All child components wrapped by AuthProvider will have access to these values.
  * It automatically attempts to sign in users anonymously if they are not authenticated.
+ * A guest who signs in with Google or registers with an email and password is upgraded in place,
+ * keeping their data; if a guest signs in to an account that already exists, they are offered a
+ * merge of their data into it (see pendingMerge), unless they have not stored anything yet.
+ * Email/password accounts are sent a verification email when they are created.
  *
  * @param {object} props - The component's props.
  * @param {React.ReactNode} props.children - The child components that will consume the AuthContext.
@@ -50,6 +273,11 @@ export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true); // Start as true to indicate initial auth check
   // error: Stores any authentication-related errors for display.
   const [error, setError] = useState(null);
+  // pendingMerge: Set when a guest with data of their own signs in to an account that already exists,
+  // holding that account's (checked) credential and email until the guest chooses what to do.
+  const [pendingMerge, setPendingMerge] = useState(null);
+  // Linking and reloading update the same user object in place, so this counter forces consumers to re-render.
+  const [, setUserRevision] = useState(0);
 
   /**
    * Helper function to create or update a user document in Firestore.
@@ -108,7 +336,7 @@ export function AuthProvider({ children }) {
           // which will then fall into the 'if (user)' block above.
         } catch (err) {
           console.error("Failed to sign in anonymously automatically:", err);
-          setError("Could not sign in as a guest. Please try signing in with Google.");
+          setError("Could not sign in as a guest. Please sign in with Google or an email address.");
           setLoading(false); // Stop loading even if anonymous sign-in failed
         }
       }
@@ -118,26 +346,257 @@ export function AuthProvider({ children }) {
     return unsubscribe;
   }, []); // Empty dependency array ensures this effect runs only once on mount.
 
+  /**
+   * switchFromGuest Function
+   *
+   * Handles a guest signing in to an account that already exists. The credential is checked first
+   * (see withAccount), so a wrong password is reported straight away. A guest who has stored
+   * nothing is simply switched to the account; otherwise pendingMerge is set so they can choose
+   * whether to merge their data into it.
+   * @param {object} credential - The Google or email/password credential of the account.
+   * @param {string|null} email - The account's email address, for the prompt.
+   */
+  const switchFromGuest = async (credential, email) => {
+    await withAccount(credential, () => {});
+    const guestUid = auth.currentUser.uid;
+    if (await hasGuestData(guestUid)) {
+      setPendingMerge({ credential, email });
+    } else {
+      await deleteGuestData(guestUid);
+      await signInWithCredential(auth, credential); // onAuthStateChanged switches to the account
+    }
+  };
+
   /**
    * signInWithGoogle Function
    *
    * Initiates the Google sign-in process using a Firebase popup.
+   * A guest (anonymous user) is linked to the Google account instead, so they keep their uid and
+   * everything they entered. If the Google account is already in use, the guest is switched to it
+   * (see switchFromGuest).
    * Sets loading state to true during the operation and handles potential errors.
    */
   const signInWithGoogle = async () => {
     setLoading(true); // Start loading indicator
     setError(null); // Clear previous errors
     try {
-      await signInWithPopup(auth, provider); // Perform Google sign-in with popup
-      // The onAuthStateChanged listener will automatically update currentUser and loading states on success.
+      if (auth.currentUser && auth.currentUser.isAnonymous) {
+        const result = await linkWithPopup(auth.currentUser, provider); // Upgrade the guest in place
+        await createUserProfile(result.user); // Record the Google details on the same profile
+        setUserRevision(revision => revision + 1); // onAuthStateChanged does not fire for a link
+      } else {
+        await signInWithPopup(auth, provider); // Perform Google sign-in with popup
+        // The onAuthStateChanged listener will automatically update currentUser and loading states on success.
+      }
     } catch (err) {
-      console.error("Error signing in with Google:", err); // Log any errors during sign-in
-      setError(err.message); // Set error message for display
+      if (err.code === 'auth/credential-already-in-use') {
+        // The Google account already has its own data; let the guest decide whether to merge.
+        try {
+          await switchFromGuest(GoogleAuthProvider.credentialFromError(err), err.customData?.email || null);
+        } catch (switchErr) {
+          console.error("Error signing in to the existing Google account:", switchErr);
+          setError(getAuthErrorMessage(switchErr));
+        }
+      } else {
+        console.error("Error signing in with Google:", err); // Log any errors during sign-in
+        setError(getAuthErrorMessage(err)); // Set a readable error message for display
+      }
     } finally {
       setLoading(false); // Ensure loading is false, even if onAuthStateChanged takes time or fails.
     }
   };
 
+  /**
+   * registerWithEmail Function
+   *
+   * Creates an account with an email and password and sends it a verification email.
+   * A guest (anonymous user) is linked to the new email and password instead, so they keep their
+   * uid and everything they entered.
+   * Unlike the Google flow, this does not set the global loading state: the form shows its own
+   * progress, and unmounting it behind the loading indicator would clear what was typed.
+   * @param {string} email - The email address for the account.
+   * @param {string} password - The password for the account.
+   * @returns {Promise<boolean>} True if the account was created, false on error.
+   */
+  const registerWithEmail = async (email, password) => {
+    setError(null);
+    try {
+      let user;
+      if (auth.currentUser && auth.currentUser.isAnonymous) {
+        const result = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password)); // Upgrade the guest in place
+        user = result.user;
+        await createUserProfile(user); // Record the email on the same profile
+        setUserRevision(revision => revision + 1); // onAuthStateChanged does not fire for a link
+      } else {
+        const result = await createUserWithEmailAndPassword(auth, email, password);
+        user = result.user;
+        // The onAuthStateChanged listener will switch to the new user and create their profile.
+      }
+      await sendEmailVerification(user);
+      return true;
+    } catch (err) {
+      console.error("Error registering with email:", err);
+      setError(getAuthErrorMessage(err));
+      return false;
+    }
+  };
+
+  /**
+   * signInWithEmail Function
+   *
+   * Signs in to an existing email/password account.
+   * A guest is switched to the account through switchFromGuest, just as when the Google account
+   * they pick already exists: the password is checked first, and a guest with data of their own is
+   * asked whether to merge it.
+   * @param {string} email - The account's email address.
+   * @param {string} password - The account's password.
+   * @returns {Promise<boolean>} True if the user was signed in (or offered a merge), false on error.
+   */
+  const signInWithEmail = async (email, password) => {
+    setError(null);
+    try {
+      if (auth.currentUser && auth.currentUser.isAnonymous) {
+        await switchFromGuest(EmailAuthProvider.credential(email, password), email);
+      } else {
+        await signInWithEmailAndPassword(auth, email, password);
+        // The onAuthStateChanged listener will automatically update currentUser.
+      }
+      return true;
+    } catch (err) {
+      console.error("Error signing in with email:", err);
+      setError(getAuthErrorMessage(err));
+      return false;
+    }
+  };
+
+  /**
+   * resetPassword Function
+   *
+   * Sends a password reset email to the given address.
+   * @param {string} email - The account's email address.
+   * @returns {Promise<boolean>} True if the email was sent, false on error.
+   */
+  const resetPassword = async (email) => {
+    setError(null);
+    try {
+      await sendPasswordResetEmail(auth, email);
+      return true;
+    } catch (err) {
+      console.error("Error sending password reset email:", err);
+      setError(getAuthErrorMessage(err));
+      return false;
+    }
+  };
+
+  /**
+   * resendVerificationEmail Function
+   *
+   * Sends the signed-in user another email verification link.
+   * @returns {Promise<boolean>} True if the email was sent, false on error.
+   */
+  const resendVerificationEmail = async () => {
+    if (!auth.currentUser) return false;
+    setError(null);
+    try {
+      await sendEmailVerification(auth.currentUser);
+      return true;
+    } catch (err) {
+      console.error("Error sending verification email:", err);
+      setError(getAuthErrorMessage(err));
+      return false;
+    }
+  };
+
+  /**
+   * refreshEmailVerification Function
+   *
+   * Reloads the signed-in user from Firebase to pick up an email address verified in another tab
+   * or device, and refreshes their ID token so the verified state also reaches Firestore.
+   * @returns {Promise<boolean>} True if the user's email is now verified, false otherwise.
+   */
+  const refreshEmailVerification = async () => {
+    if (!auth.currentUser) return false;
+    setError(null);
+    try {
+      await auth.currentUser.reload();
+      await auth.currentUser.getIdToken(true);
+      setUserRevision(revision => revision + 1); // reload() updates the user object in place
+      return auth.currentUser.emailVerified;
+    } catch (err) {
+      console.error("Error refreshing email verification:", err);
+      setError(getAuthErrorMessage(err));
+      return false;
+    }
+  };
+
+  /**
+   * mergeGuestAccount Function
+   *
+   * Merges the signed-in guest's data into the existing account from pendingMerge (see
+   * mergeGuestData), then signs in to that account.
+   * @returns {Promise<number|false>} The number of transactions merged, or false on error.
+   */
+  const mergeGuestAccount = async () => {
+    if (!pendingMerge || !auth.currentUser || !auth.currentUser.isAnonymous) {
+      console.warn("Cannot merge: No guest user or no account waiting to be merged.");
+      return false;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const mergedCount = await mergeGuestData(auth.currentUser.uid, pendingMerge.credential);
+      await signInWithCredential(auth, pendingMerge.credential); // onAuthStateChanged switches to the account
+      setPendingMerge(null);
+      return mergedCount;
+    } catch (err) {
+      console.error("Error merging guest data:", err);
+      setError(getAuthErrorMessage(err));
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * signInWithoutMerging Function
+   *
+   * Deletes the signed-in guest's data and signs in to the existing account from pendingMerge,
+   * leaving that account as it was.
+   * @returns {Promise<boolean>} True if the user was signed in, false on error.
+   */
+  const signInWithoutMerging = async () => {
+    if (!pendingMerge || !auth.currentUser || !auth.currentUser.isAnonymous) {
+      console.warn("Cannot sign in: No guest user or no account waiting to be signed in to.");
+      return false;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      await deleteGuestData(auth.currentUser.uid);
+      await signInWithCredential(auth, pendingMerge.credential); // onAuthStateChanged switches to the account
+      setPendingMerge(null);
+      return true;
+    } catch (err) {
+      console.error("Error signing in without merging:", err);
+      setError(getAuthErrorMessage(err));
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * cancelMerge Function
+   *
+   * Keeps the user signed in as a guest instead of merging into the existing account.
+   */
+  const cancelMerge = () => {
+    setPendingMerge(null);
+    setError(null);
+  };
+
   /**
    * signOutUser Function
    *
@@ -153,7 +612,7 @@ export function AuthProvider({ children }) {
       // After signOut, the useEffect will attempt to sign in anonymously again.
     } catch (err) {
       console.error("Error signing out:", err); // Log any errors during sign-out
-      setError(err.message); // Set error message for display
+      setError(getAuthErrorMessage(err)); // Set a readable error message for display
     } finally {
       setLoading(false); // Ensure loading is false
     }
@@ -163,9 +622,22 @@ export function AuthProvider({ children }) {
   const value = {
     currentUser,
     signInWithGoogle,
+    registerWithEmail,
+    signInWithEmail,
+    resetPassword,
+    resendVerificationEmail,
+    refreshEmailVerification,
+    // True for an email/password account whose address has not been verified yet (guests have no
+    // email, and Google accounts are verified by Google).
+    needsEmailVerification: Boolean(currentUser && !currentUser.isAnonymous && !currentUser.emailVerified),
     signOutUser,
+    pendingMerge, // { credential, email } of an existing account a guest may merge into
+    mergeGuestAccount,
+    signInWithoutMerging,
+    cancelMerge,
     loading,
     error, // Expose error state
+    clearError: () => setError(null), // Lets forms drop a stale error when switching views
   };
 
   // Render the AuthContext.Provider, making the 'value' available to its children.
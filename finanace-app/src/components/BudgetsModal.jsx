@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { formatCurrency } from '../utils/currency'; // Currency-aware amount formatting
+
+/**
+ * BudgetsModal Component
+ *
+ * This component renders a modal for setting a monthly budget amount per expense category,
+ * in the user's base currency. Each budget can optionally roll unused amounts into the next month. Saving a budget for a
+ * category that already has one updates it.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
+ * @param {function} props.showConfirm - Function to display a confirmation modal (e.g., before removing a budget).
+ */
+const BudgetsModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
+  // Destructure necessary state and functions from the TransactionContext.
+  const { budgets, userExpenseCategories, setBudget, deleteBudget, baseCurrency } = useTransactions();
+
+  // --- Local State Management for Form Inputs ---
+  // category: The expense category the budget applies to.
+  const [category, setCategory] = useState('');
+  // amount: The monthly budget amount as a string.
+  const [amount, setAmount] = useState('');
+  // rollover: Whether unused budget carries into the next month.
+  const [rollover, setRollover] = useState(false);
+
+  /**
+   * useEffect Hook
+   *
+   * Resets the form fields whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setCategory('');
+      setAmount('');
+      setRollover(false);
+    }
+  }, [isOpen]);
+
+  /**
+   * handleCategoryChange Function
+   *
+   * Selects a category and pre-fills the form from its existing budget, if any.
+   * @param {string} selectedCategory - The chosen expense category.
+   */
+  const handleCategoryChange = (selectedCategory) => {
+    setCategory(selectedCategory);
+    const existing = budgets.find(b => b.category === selectedCategory);
+    setAmount(existing ? String(existing.amount) : '');
+    setRollover(existing ? Boolean(existing.rollover) : false);
+  };
+
+  /**
+   * handleSubmit Function
+   *
+   * Validates the form and saves the budget via the TransactionContext.
+   * @param {object} e - The event object from the form submission.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!category || !amount || parseFloat(amount) <= 0) {
+      showMessage("Please choose a category and enter a positive budget amount.", true);
+      return;
+    }
+
+    const success = await setBudget(category, parseFloat(amount), rollover);
+    if (success) {
+      showMessage(`Budget for '${category}' saved!`);
+      setCategory('');
+      setAmount('');
+      setRollover(false);
+    } else {
+      showMessage(`Error saving budget for '${category}'.`, true);
+    }
+  };
+
+  /**
+   * handleDelete Function
+   *
+   * Asks for confirmation and then removes a category's budget.
+   * @param {object} budget - The budget to remove.
+   */
+  const handleDelete = (budget) => {
+    showConfirm(`Are you sure you want to remove the budget for '${budget.category}'?`, async () => {
+      const success = await deleteBudget(budget.id);
+      if (success) {
+        showMessage(`Budget for '${budget.category}' removed.`);
+      } else {
+        showMessage(`Error removing budget for '${budget.category}'.`, true);
+      }
+    });
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md">
+        {/* Modal header: title and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Monthly Budgets</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Budget form. */}
+        <form onSubmit={handleSubmit} className="mb-6">
+          <div className="mb-4">
+            <label htmlFor="budgetCategory" className="block text-sm font-medium text-gray-700 mb-1">Expense Category</label>
+            <select
+              id="budgetCategory"
+              value={category}
+              onChange={(e) => handleCategoryChange(e.target.value)}
+              required
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">Select a category</option>
+              {userExpenseCategories.map(cat => (
+                <option key={cat} value={cat}>{cat}</option>
+              ))}
+            </select>
+          </div>
+          <div className="mb-4">
+            <label htmlFor="budgetAmount" className="block text-sm font-medium text-gray-700 mb-1">Monthly Budget ({baseCurrency})</label>
+            <input
+              type="number"
+              id="budgetAmount"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              step="0.01"
+              min="0.01"
+              required
+              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              placeholder="e.g., 1500.00"
+            />
+          </div>
+          <div className="mb-4 flex items-center">
+            <input
+              type="checkbox"
+              id="budgetRollover"
+              checked={rollover}
+              onChange={(e) => setRollover(e.target.checked)}
+              className="mr-2"
+            />
+            <label htmlFor="budgetRollover" className="text-sm text-gray-700">Roll unused budget into the next month</label>
+          </div>
+          <button type="submit" className="w-full px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">Save Budget</button>
+        </form>
+
+        {/* Existing budgets list. */}
+        <h4 className="font-semibold text-gray-700 mb-3">Current Budgets</h4>
+        <div className="max-h-48 overflow-y-auto space-y-2">
+          {budgets.length === 0 ? (
+            <p className="text-gray-500 text-sm text-center">No budgets set yet.</p>
+          ) : (
+            budgets.map(budget => (
+              <div key={budget.id} className="flex justify-between items-center p-2 bg-white border border-gray-200 rounded-lg shadow-sm">
+                <button type="button" onClick={() => handleCategoryChange(budget.category)} className="text-left">
+                  <span className="text-gray-700 text-sm font-medium">{budget.category}</span>
+                  <span className="block text-xs text-gray-500">
+                    {formatCurrency(budget.amount, baseCurrency)} / month{budget.rollover ? ' · rolls over' : ''}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(budget)}
+                  className="text-red-500 hover:text-red-700 text-xs font-semibold p-1 rounded-full"
+                  title={`Remove budget for ${budget.category}`}
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BudgetsModal;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { formatCurrency } from '../utils/currency'; // Currency-aware amount formatting
+import CategoryIcon from './CategoryIcon'; // Colored category icon
+
+// The donut is drawn with circle strokes. A radius of 100 / (2π) makes the circumference exactly
+// 100 units, so each slice's dash length is simply its percentage.
+const RADIUS = 100 / (2 * Math.PI);
+const CENTER = 21;
+const STROKE_WIDTH = 6;
+
+/**
+ * CategoryChart Component
+ *
+ * This component renders a plain SVG donut chart of amounts by category, with a legend that
+ * lists each category's amount and percentage, with its icon when the slices have one. It has no
+ * charting library dependency.
+ * Clicking a slice (or its legend entry) selects that category; clicking it again clears it.
+ *
+ * @param {object} props - The component's props.
+ * @param {{category: string, amount: number, share: number, color: string, icon?: string}[]} props.slices - The
+ * slices to draw, as returned by getCategoryBreakdown.
+ * @param {string} props.currency - The ISO 4217 code the amounts are in.
+ * @param {string|null} props.selectedCategory - The currently selected category, if any.
+ * @param {function} props.onSelectCategory - Called with a category name, or null to clear the selection.
+ * @param {string} props.emptyMessage - Shown instead of the chart when there are no slices.
+ */
+const CategoryChart = ({ slices, currency, selectedCategory, onSelectCategory, emptyMessage }) => {
+  if (slices.length === 0) {
+    return <p className="text-sm text-gray-500 text-center py-2">{emptyMessage}</p>;
+  }
+
+  const total = slices.reduce((sum, slice) => sum + slice.amount, 0);
+
+  /**
+   * handleSelect Function
+   *
+   * Selects a category, or clears the selection if it is already selected.
+   * @param {string} category - The clicked category.
+   */
+  const handleSelect = (category) => {
+    onSelectCategory(category === selectedCategory ? null : category);
+  };
+
+  // Each slice starts where the previous one ended, beginning at 12 o'clock.
+  let offset = 0;
+  const arcs = slices.map(slice => {
+    const length = slice.share * 100;
+    const arc = { ...slice, length, start: offset };
+    offset += length;
+    return arc;
+  });
+
+  // --- Component JSX Structure ---
+  return (
+    <div className="flex flex-col sm:flex-row items-center gap-4">
+      {/* Donut chart. */}
+      <svg viewBox="0 0 42 42" className="w-40 h-40 flex-shrink-0" role="img" aria-label="Breakdown by category">
+        {/* Background ring, visible in the gaps between slices. */}
+        <circle cx={CENTER} cy={CENTER} r={RADIUS} fill="transparent" stroke="#e5e7eb" strokeWidth={STROKE_WIDTH} />
+        {arcs.map(arc => (
+          <circle
+            key={arc.category}
+            cx={CENTER}
+            cy={CENTER}
+            r={RADIUS}
+            fill="transparent"
+            stroke={arc.color}
+            strokeWidth={STROKE_WIDTH}
+            strokeDasharray={`${arc.length} ${100 - arc.length}`}
+            strokeDashoffset={25 - arc.start} // 25 units rotates the start from 3 o'clock to 12 o'clock
+            opacity={selectedCategory && selectedCategory !== arc.category ? 0.3 : 1}
+            className="cursor-pointer transition-opacity"
+            onClick={() => handleSelect(arc.category)}
+          >
+            <title>{`${arc.category}: ${formatCurrency(arc.amount, currency)} (${Math.round(arc.share * 100)}%)`}</title>
+          </circle>
+        ))}
+        {/* Total in the middle of the donut. */}
+        <text x={CENTER} y={CENTER} textAnchor="middle" dominantBaseline="middle" className="fill-gray-700" fontSize="3.5" fontWeight="600">
+          {formatCurrency(total, currency)}
+        </text>
+      </svg>
+
+      {/* Legend with amounts and percentages. */}
+      <ul className="w-full space-y-1">
+        {slices.map(slice => (
+          <li key={slice.category}>
+            <button
+              type="button"
+              onClick={() => handleSelect(slice.category)}
+              aria-pressed={selectedCategory === slice.category}
+              className={`w-full flex items-center justify-between text-sm px-2 py-1 rounded ${
+                selectedCategory === slice.category ? 'bg-blue-50 font-semibold' : 'hover:bg-gray-50'
+              }`}
+            >
+              <span className="flex items-center">
+                {slice.icon ? (
+                  <span className="mr-2"><CategoryIcon color={slice.color} icon={slice.icon} size="sm" /></span>
+                ) : (
+                  <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: slice.color }}></span>
+                )}
+                {slice.category}
+              </span>
+              <span className="text-gray-600">
+                {formatCurrency(slice.amount, currency)} · {(slice.share * 100).toFixed(1)}%
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CategoryChart;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { CATEGORY_ICONS } from '../utils/categoryIcons'; // Bundled icon paths
+import { FALLBACK_CATEGORY_STYLE } from '../utils/categoryStyles'; // Shown for an unknown icon
+
+// Circle and icon sizes, in Tailwind classes.
+const SIZES = {
+  sm: { circle: 'w-5 h-5', icon: 'w-3 h-3' },
+  md: { circle: 'w-9 h-9', icon: 'w-5 h-5' }
+};
+
+/**
+ * CategoryIcon Component
+ *
+ * This component shows a category's icon in white on a circle of the category's color. It is
+ * decorative: the category name is always shown beside it.
+ *
+ * @param {object} props - The component's props.
+ * @param {string} props.color - The category color (a hex code).
+ * @param {string} props.icon - The key of the icon in CATEGORY_ICONS.
+ * @param {'sm' | 'md'} [props.size='md'] - The size to draw it at.
+ */
+const CategoryIcon = ({ color, icon, size = 'md' }) => {
+  const { path } = CATEGORY_ICONS[icon] || CATEGORY_ICONS[FALLBACK_CATEGORY_STYLE.icon];
+
+  // --- Component JSX Structure ---
+  return (
+    <span
+      className={`inline-flex flex-shrink-0 items-center justify-center rounded-full ${SIZES[size].circle}`}
+      style={{ backgroundColor: color }}
+      aria-hidden="true"
+    >
+      <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="white" className={SIZES[size].icon}>
+        <path strokeLinecap="round" strokeLinejoin="round" d={path} />
+      </svg>
+    </span>
+  );
+};
+
+export default CategoryIcon;
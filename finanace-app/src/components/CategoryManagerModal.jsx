@@ -0,0 +1,450 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { DEFAULT_CATEGORIES, buildCategoryTree, isDefaultCategory } from '../utils/categories'; // Built-in categories and subcategories
+import { FALLBACK_CATEGORY_STYLE } from '../utils/categoryStyles'; // Starting style for new categories
+import CategoryIcon from './CategoryIcon'; // Colored category icon
+import CategoryStylePicker from './CategoryStylePicker'; // Color and icon choice
+
+/**
+ * CategoryManagerModal Component
+ *
+ * This component renders a screen for managing the income and expense categories: adding,
+ * renaming, recoloring, merging, and deleting them, and hiding the built-in ones. Every category,
+ * built-in ones included, can be given a color and an icon. Each category shows how
+ * many transactions use it. Renaming or merging a category also moves its transactions,
+ * recurring rules, and budget. Names found on loaded transactions whose category has been
+ * deleted are listed too, so they can be renamed or merged into a current category. The user's
+ * own categories can be filed under a top-level category as subcategories, which are listed
+ * beneath their parent.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
+ * @param {function} props.showConfirm - Function to display a confirmation modal (e.g., before merging two categories).
+ */
+const CategoryManagerModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
+  // Destructure necessary state and functions from the TransactionContext.
+  const {
+    transactions,
+    userIncomeCategories,
+    userExpenseCategories,
+    hiddenCategories,
+    addCategory,
+    deleteCategory,
+    renameCategory,
+    mergeCategories,
+    setCategoryHidden,
+    categoryParents,
+    setCategoryParent,
+    getCategoryStyle,
+    setCategoryStyle,
+    getCategoryUsageCounts
+  } = useTransactions();
+
+  // --- Local State Management ---
+  // type: Which categories are shown ('expense' or 'income').
+  const [type, setType] = useState('expense');
+  // newCategoryName: The name typed into the add form.
+  const [newCategoryName, setNewCategoryName] = useState('');
+  // newCategoryParent: The category the new category is added under, or '' for the top level.
+  const [newCategoryParent, setNewCategoryParent] = useState('');
+  // newCategoryStyle: The color and icon chosen for the new category.
+  const [newCategoryStyle, setNewCategoryStyle] = useState(FALLBACK_CATEGORY_STYLE);
+  // renaming: The category being edited, with the new name typed for it, its parent ('' for none),
+  // and its color and icon, or null.
+  const [renaming, setRenaming] = useState(null);
+  // merging: The category being merged and the category chosen to merge it into, or null.
+  const [merging, setMerging] = useState(null);
+  // usageCounts: Transactions per category name, or null while counting (or if counting failed).
+  const [usageCounts, setUsageCounts] = useState(null);
+  // usageVersion: Bumped after every change, so the counts are read again.
+  const [usageVersion, setUsageVersion] = useState(0);
+
+  // visibleCategories: The categories offered in the pickers for the chosen type.
+  const visibleCategories = type === 'income' ? userIncomeCategories : userExpenseCategories;
+  // orphanedCategories: Names on loaded transactions that are no longer a category of the type.
+  const orphanedCategories = [...new Set(transactions
+    .filter(t => t.type === type && t.category && !visibleCategories.includes(t.category) && !isDefaultCategory(t.category, type))
+    .map(t => t.category))];
+  // allCategories: Every category to list, including hidden built-in ones and orphaned names.
+  const allCategories = [...new Set([...DEFAULT_CATEGORIES[type], ...visibleCategories, ...orphanedCategories])].sort();
+  // Joined into a string so the counts are only re-read when the listed names change.
+  const categoryList = allCategories.join('\n');
+  // parents: The parent of each subcategory of the type.
+  const parents = categoryParents[type];
+  // categoryRows: The listed categories in order, each top-level category followed by its subcategories.
+  const categoryRows = buildCategoryTree(allCategories, parents).flatMap(({ name, children }) => [
+    { name, isSubcategory: false, hasSubcategories: children.length > 0 },
+    ...children.map(child => ({ name: child, isSubcategory: true, hasSubcategories: false }))
+  ]);
+  // parentOptions: The categories others can be filed under; categories are only one level deep.
+  const parentOptions = visibleCategories.filter(name => !parents[name]);
+
+  /**
+   * useEffect Hook
+   *
+   * Resets the screen whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setType('expense');
+      setNewCategoryName('');
+      setNewCategoryParent('');
+      setNewCategoryStyle(FALLBACK_CATEGORY_STYLE);
+      setRenaming(null);
+      setMerging(null);
+    }
+  }, [isOpen]);
+
+  /**
+   * useEffect Hook
+   *
+   * Counts the transactions in each listed category whenever the list or the data changes.
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setUsageCounts(null);
+    getCategoryUsageCounts(type, categoryList.split('\n')).then((counts) => {
+      if (!cancelled) setUsageCounts(counts);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, type, categoryList, usageVersion, getCategoryUsageCounts]);
+
+  /**
+   * handleTypeChange Function
+   *
+   * Switches between income and expense categories, closing any open rename or merge form.
+   * @param {'income' | 'expense'} newType - The type to show.
+   */
+  const handleTypeChange = (newType) => {
+    setType(newType);
+    setNewCategoryParent('');
+    setRenaming(null);
+    setMerging(null);
+  };
+
+  /**
+   * describeUsage Function
+   *
+   * Describes how many transactions use a category.
+   * @param {string} name - The category name.
+   * @returns {string} e.g., "12 transactions", or an empty string while counting.
+   */
+  const describeUsage = (name) => {
+    if (!usageCounts || usageCounts[name] === undefined) return '';
+    return `${usageCounts[name]} transaction${usageCounts[name] === 1 ? '' : 's'}`;
+  };
+
+  /**
+   * handleAdd Function
+   *
+   * Adds a new category of the chosen type.
+   * @param {object} e - The event object from the form submission.
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newCategoryName.trim();
+    if (!name) {
+      showMessage("Please enter a name for the new category.", true);
+      return;
+    }
+    if (allCategories.includes(name)) {
+      showMessage(`There is already a category called '${name}'.`, true);
+      return;
+    }
+
+    const success = await addCategory(name, type, newCategoryParent || null, newCategoryStyle);
+    if (success) {
+      showMessage(`Category '${name}' added!`);
+      setNewCategoryName('');
+      setNewCategoryParent('');
+      setNewCategoryStyle(FALLBACK_CATEGORY_STYLE);
+    } else {
+      showMessage(`Error adding category '${name}'.`, true);
+    }
+  };
+
+  /**
+   * handleRename Function
+   *
+   * Saves the edit form: files the category under its chosen parent, renames it with all of its
+   * transactions, and saves its color and icon.
+   * @param {object} e - The event object from the form submission.
+   */
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const { name, newName, parent, style } = renaming;
+    const trimmedName = newName.trim();
+    const parentChanged = parent !== (parents[name] || '');
+    const currentStyle = getCategoryStyle(name, type);
+    const styleChanged = style.color !== currentStyle.color || style.icon !== currentStyle.icon;
+    if (!trimmedName || (trimmedName === name && !parentChanged && !styleChanged)) {
+      setRenaming(null);
+      return;
+    }
+    if (trimmedName !== name && allCategories.includes(trimmedName)) {
+      showMessage(`There is already a category called '${trimmedName}'. Use Merge to combine the two.`, true);
+      return;
+    }
+
+    if (parentChanged) {
+      const success = await setCategoryParent(name, type, parent || null);
+      if (!success) {
+        showMessage(`Error moving '${name}'.`, true);
+        return;
+      }
+    }
+
+    let updatedCount = null;
+    if (trimmedName !== name) {
+      updatedCount = await renameCategory(name, trimmedName, type);
+      if (updatedCount === false) {
+        showMessage(`Error renaming '${name}'.`, true);
+        return;
+      }
+    }
+
+    // Saved under the new name, since a renamed built-in category is replaced by one of the user's own.
+    if (styleChanged && !(await setCategoryStyle(trimmedName, type, style))) {
+      showMessage(`Error saving the color and icon of '${trimmedName}'.`, true);
+      return;
+    }
+
+    if (updatedCount !== null) {
+      showMessage(`Renamed '${name}' to '${trimmedName}' (${updatedCount} transaction${updatedCount === 1 ? '' : 's'} updated).`);
+      setUsageVersion(version => version + 1);
+    } else if (parentChanged) {
+      showMessage(parent ? `Moved '${name}' under '${parent}'.` : `Moved '${name}' to the top level.`);
+    } else {
+      showMessage(`Updated the color and icon of '${name}'.`);
+    }
+    setRenaming(null);
+  };
+
+  /**
+   * handleMerge Function
+   *
+   * Asks for confirmation and then merges the category in the merge form into the chosen one.
+   */
+  const handleMerge = () => {
+    const { name, target } = merging;
+    if (!target) {
+      showMessage("Please choose the category to merge into.", true);
+      return;
+    }
+
+    showConfirm(`Move every transaction in '${name}' to '${target}' and remove '${name}'? This cannot be undone.`, async () => {
+      const movedCount = await mergeCategories(name, target, type);
+      if (movedCount === false) {
+        showMessage(`Error merging '${name}' into '${target}'.`, true);
+        return;
+      }
+      showMessage(`Merged '${name}' into '${target}' (${movedCount} transaction${movedCount === 1 ? '' : 's'} moved).`);
+      setMerging(null);
+      setUsageVersion(version => version + 1);
+    });
+  };
+
+  /**
+   * handleToggleHidden Function
+   *
+   * Hides a built-in category from the category pickers, or shows it again.
+   * @param {string} name - The built-in category.
+   * @param {boolean} hidden - True to hide it, false to show it again.
+   */
+  const handleToggleHidden = async (name, hidden) => {
+    const success = await setCategoryHidden(name, type, hidden);
+    if (!success) {
+      showMessage(`Error ${hidden ? 'hiding' : 'showing'} '${name}'.`, true);
+    }
+  };
+
+  /**
+   * handleDelete Function
+   *
+   * Asks for confirmation and then deletes an unused category.
+   * @param {string} name - The category to delete.
+   */
+  const handleDelete = (name) => {
+    showConfirm(`Are you sure you want to delete the category '${name}'?`, async () => {
+      const success = await deleteCategory(name, type);
+      if (success) {
+        showMessage(`Category '${name}' deleted!`);
+      } else {
+        showMessage(`Could not delete '${name}'. Categories that still have transactions can be merged into another category instead.`, true);
+      }
+    });
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-lg max-h-full overflow-y-auto">
+        {/* Modal header: title and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Categories</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Type switch. */}
+        <div className="flex mb-4 rounded-lg border border-gray-300 overflow-hidden">
+          {[{ value: 'expense', label: 'Expense' }, { value: 'income', label: 'Income' }].map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => handleTypeChange(option.value)}
+              className={`flex-1 py-2 text-sm font-semibold ${type === option.value ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Add form. */}
+        <form onSubmit={handleAdd} className="mb-6">
+          <div className="flex mb-2">
+            <input
+              type="text"
+              value={newCategoryName}
+              onChange={(e) => setNewCategoryName(e.target.value)}
+              placeholder="New category name"
+              aria-label="New category name"
+              className="flex-grow p-2 border border-gray-300 rounded-l-lg focus:ring-blue-500 focus:border-blue-500"
+            />
+            <select
+              value={newCategoryParent}
+              onChange={(e) => setNewCategoryParent(e.target.value)}
+              aria-label="Parent category"
+              className="p-2 text-sm border-y border-gray-300 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="">No parent</option>
+              {parentOptions.map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-green-500 hover:bg-green-600 rounded-r-lg">
+              Add
+            </button>
+          </div>
+          <CategoryStylePicker value={newCategoryStyle} onChange={setNewCategoryStyle} />
+        </form>
+
+        {/* Category list. */}
+        <div className="space-y-2">
+          {categoryRows.map(({ name, isSubcategory, hasSubcategories }) => {
+            const isDefault = isDefaultCategory(name, type);
+            const isHidden = isDefault && hiddenCategories[type].includes(name);
+            const isOrphaned = orphanedCategories.includes(name);
+            // Only the user's own categories without subcategories of their own can become subcategories.
+            const canHaveParent = !isDefault && !isOrphaned && !hasSubcategories;
+            const style = getCategoryStyle(name, type);
+            return (
+              <div key={name} className={`p-2 bg-white border border-gray-200 rounded-lg shadow-sm ${isSubcategory ? 'ml-6' : ''}`}>
+                {renaming && renaming.name === name ? (
+                  // Rename form.
+                  <form onSubmit={handleRename} className="flex flex-wrap gap-2">
+                    <input
+                      type="text"
+                      value={renaming.newName}
+                      onChange={(e) => setRenaming({ ...renaming, newName: e.target.value })}
+                      aria-label={`New name for ${name}`}
+                      autoFocus
+                      className="flex-grow p-1 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    {canHaveParent && (
+                      <select
+                        value={renaming.parent}
+                        onChange={(e) => setRenaming({ ...renaming, parent: e.target.value })}
+                        aria-label={`Parent of ${name}`}
+                        className="p-1 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="">No parent</option>
+                        {parentOptions.filter(other => other !== name).map(other => (
+                          <option key={other} value={other}>{other}</option>
+                        ))}
+                      </select>
+                    )}
+                    <button type="submit" className="px-3 py-1 text-xs font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">Save</button>
+                    <button type="button" onClick={() => setRenaming(null)} className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">Cancel</button>
+                    {/* Orphaned names are only renamed or merged; they are not categories that can be styled. */}
+                    {!isOrphaned && (
+                      <div className="w-full">
+                        <CategoryStylePicker value={renaming.style} onChange={(newStyle) => setRenaming({ ...renaming, style: newStyle })} />
+                      </div>
+                    )}
+                  </form>
+                ) : (
+                  <div className="flex justify-between items-center">
+                    <div className="flex items-center">
+                      <span className={`mr-2 ${isHidden ? 'opacity-50' : ''}`}><CategoryIcon color={style.color} icon={style.icon} /></span>
+                      <div>
+                        <span className={`text-sm font-medium ${isHidden ? 'text-gray-400' : 'text-gray-700'}`}>{name}</span>
+                        {isDefault && <span className="ml-2 text-xs text-gray-500">Built-in{isHidden && ' · hidden'}</span>}
+                        {isOrphaned && <span className="ml-2 text-xs text-yellow-700">Deleted category</span>}
+                        <span className="block text-xs text-gray-500">{describeUsage(name)}</span>
+                      </div>
+                    </div>
+                    <div className="flex space-x-2 text-xs font-semibold">
+                      <button type="button" onClick={() => { setMerging(null); setRenaming({ name, newName: name, parent: parents[name] || '', style }); }} className="text-blue-600 hover:text-blue-800">Edit</button>
+                      <button type="button" onClick={() => { setRenaming(null); setMerging({ name, target: '' }); }} className="text-blue-600 hover:text-blue-800">Merge</button>
+                      {isDefault && (
+                        <button type="button" onClick={() => handleToggleHidden(name, !isHidden)} className="text-gray-600 hover:text-gray-800">
+                          {isHidden ? 'Show' : 'Hide'}
+                        </button>
+                      )}
+                      {/* Only unused categories of the user's own can be deleted; used ones are merged instead. */}
+                      {!isDefault && !isOrphaned && usageCounts && usageCounts[name] === 0 && (
+                        <button type="button" onClick={() => handleDelete(name)} className="text-red-500 hover:text-red-700">Delete</button>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {/* Merge form. */}
+                {merging && merging.name === name && (
+                  <div className="flex space-x-2 mt-2">
+                    <select
+                      value={merging.target}
+                      onChange={(e) => setMerging({ ...merging, target: e.target.value })}
+                      aria-label={`Merge ${name} into`}
+                      className="flex-grow p-1 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Merge into…</option>
+                      {visibleCategories.filter(other => other !== name).map(other => (
+                        <option key={other} value={other}>{other}</option>
+                      ))}
+                    </select>
+                    <button type="button" onClick={handleMerge} className="px-3 py-1 text-xs font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">Merge</button>
+                    <button type="button" onClick={() => setMerging(null)} className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">Cancel</button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Counts come from the server, so they are missing while offline. */}
+        {usageCounts === null && (
+          <p className="mt-3 text-xs text-gray-500">Counting transactions… (counts need a connection)</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManagerModal;
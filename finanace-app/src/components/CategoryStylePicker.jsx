@@ -0,0 +1,55 @@
+import React from 'react';
+import { CATEGORY_ICONS } from '../utils/categoryIcons'; // Bundled icons
+import { CATEGORY_COLORS } from '../utils/categoryStyles'; // Category colors
+import CategoryIcon from './CategoryIcon'; // Colored category icon
+
+/**
+ * CategoryStylePicker Component
+ *
+ * This component lets the user choose the color and icon of a category, from the bundled colors
+ * and icons. Each icon is previewed in the chosen color.
+ *
+ * @param {object} props - The component's props.
+ * @param {{color: string, icon: string}} props.value - The chosen color and icon.
+ * @param {function} props.onChange - Called with the new `{ color, icon }` when either changes.
+ */
+const CategoryStylePicker = ({ value, onChange }) => {
+  // --- Component JSX Structure ---
+  return (
+    <div className="space-y-2">
+      {/* Color swatches. */}
+      <div className="flex flex-wrap gap-1" role="group" aria-label="Color">
+        {CATEGORY_COLORS.map(color => (
+          <button
+            key={color.value}
+            type="button"
+            onClick={() => onChange({ ...value, color: color.value })}
+            aria-label={color.label}
+            aria-pressed={value.color === color.value}
+            title={color.label}
+            className={`w-6 h-6 rounded-full border-2 ${value.color === color.value ? 'border-gray-800' : 'border-transparent'}`}
+            style={{ backgroundColor: color.value }}
+          ></button>
+        ))}
+      </div>
+      {/* Icons, drawn in the chosen color. */}
+      <div className="flex flex-wrap gap-1" role="group" aria-label="Icon">
+        {Object.entries(CATEGORY_ICONS).map(([key, icon]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => onChange({ ...value, icon: key })}
+            aria-label={icon.label}
+            aria-pressed={value.icon === key}
+            title={icon.label}
+            className={`p-0.5 rounded-full border-2 ${value.icon === key ? 'border-gray-800' : 'border-transparent'}`}
+          >
+            <CategoryIcon color={value.color} icon={key} size="sm" />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CategoryStylePicker;
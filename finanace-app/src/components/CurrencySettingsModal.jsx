@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { CURRENCIES } from '../utils/currency'; // Selectable currencies
+import { getTodayKey } from '../utils/calendarDate'; // Today's local date as 'YYYY-MM-DD'
+
+/**
+ * CurrencySettingsModal Component
+ *
+ * This component renders a modal for choosing the base currency that totals are shown in, and
+ * for maintaining the table of dated exchange rates used to convert other currencies to it.
+ * Each rate reads "1 <currency> = <rate> <base currency>" from its date onwards.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
+ * @param {function} props.showConfirm - Function to display a confirmation modal (e.g., before deleting a rate).
+ */
+const CurrencySettingsModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
+  // Destructure necessary state and functions from the TransactionContext.
+  const { baseCurrency, setBaseCurrency, exchangeRates, addExchangeRate, deleteExchangeRate } = useTransactions();
+
+  // --- Local State Management for the New Rate Form ---
+  const [currency, setCurrency] = useState('');
+  const [rate, setRate] = useState('');
+  const [date, setDate] = useState('');
+
+  /**
+   * useEffect Hook
+   *
+   * Resets the new rate form whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setCurrency('');
+      setRate('');
+      setDate(getTodayKey());
+    }
+  }, [isOpen]);
+
+  /**
+   * handleBaseCurrencyChange Function
+   *
+   * Saves a new base currency.
+   * @param {string} newBaseCurrency - The chosen ISO 4217 currency code.
+   */
+  const handleBaseCurrencyChange = async (newBaseCurrency) => {
+    const success = await setBaseCurrency(newBaseCurrency);
+    if (!success) {
+      showMessage("Error saving the base currency.", true);
+    }
+  };
+
+  /**
+   * handleAddRate Function
+   *
+   * Validates the form and adds the exchange rate via the TransactionContext.
+   * @param {object} e - The event object from the form submission.
+   */
+  const handleAddRate = async (e) => {
+    e.preventDefault();
+
+    if (!currency || !date || !rate || parseFloat(rate) <= 0) {
+      showMessage("Please choose a currency, a date, and a positive rate.", true);
+      return;
+    }
+
+    const success = await addExchangeRate({ currency, rate: parseFloat(rate), date });
+    if (success) {
+      showMessage(`Rate for ${currency} added!`);
+    } else {
+      showMessage(`Error adding rate for ${currency}.`, true);
+    }
+  };
+
+  /**
+   * handleDeleteRate Function
+   *
+   * Asks for confirmation and then deletes an exchange rate.
+   * @param {object} exchangeRate - The rate to delete.
+   */
+  const handleDeleteRate = (exchangeRate) => {
+    showConfirm(`Are you sure you want to delete the ${exchangeRate.currency} rate from ${exchangeRate.date}?`, async () => {
+      const success = await deleteExchangeRate(exchangeRate.id);
+      if (!success) {
+        showMessage("Error deleting the exchange rate.", true);
+      }
+    });
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  const inputClassName = "w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+  const labelClassName = "block text-sm font-medium text-gray-700 mb-1";
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto">
+        {/* Modal header: title and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Currencies</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Base currency selection. */}
+        <div className="mb-6">
+          <label htmlFor="baseCurrency" className={labelClassName}>Base currency</label>
+          <select id="baseCurrency" value={baseCurrency} onChange={(e) => handleBaseCurrencyChange(e.target.value)} className={inputClassName}>
+            {CURRENCIES.map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">Totals and budgets are shown in this currency.</p>
+        </div>
+
+        {/* New exchange rate form. */}
+        <h4 className="font-semibold text-gray-700 mb-3">Add Exchange Rate</h4>
+        <form onSubmit={handleAddRate} className="mb-6">
+          <div className="grid grid-cols-3 gap-3 mb-3">
+            <div>
+              <label htmlFor="rateCurrency" className={labelClassName}>1 unit of</label>
+              <select id="rateCurrency" value={currency} onChange={(e) => setCurrency(e.target.value)} required className={inputClassName}>
+                <option value="">—</option>
+                {CURRENCIES.filter(code => code !== baseCurrency).map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="rateValue" className={labelClassName}>= {baseCurrency}</label>
+              <input type="number" id="rateValue" value={rate} onChange={(e) => setRate(e.target.value)} step="any" min="0" required className={inputClassName} placeholder="e.g., 3.64" />
+            </div>
+            <div>
+              <label htmlFor="rateDate" className={labelClassName}>From</label>
+              <input type="date" id="rateDate" value={date} onChange={(e) => setDate(e.target.value)} required className={inputClassName} />
+            </div>
+          </div>
+          <button type="submit" className="w-full px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">Add Rate</button>
+        </form>
+
+        {/* Existing exchange rates, newest first. */}
+        <h4 className="font-semibold text-gray-700 mb-3">Exchange Rates</h4>
+        <div className="max-h-48 overflow-y-auto space-y-2">
+          {exchangeRates.length === 0 ? (
+            <p className="text-gray-500 text-sm text-center">No exchange rates added yet.</p>
+          ) : (
+            exchangeRates.map(exchangeRate => (
+              <div key={exchangeRate.id} className="flex justify-between items-center p-2 bg-white border border-gray-200 rounded-lg shadow-sm">
+                <span className="text-gray-700 text-sm">
+                  1 {exchangeRate.currency} = {exchangeRate.rate} {exchangeRate.baseCurrency}
+                  <span className="block text-xs text-gray-500">from {exchangeRate.date}</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteRate(exchangeRate)}
+                  className="text-red-500 hover:text-red-700 text-xs font-semibold p-1 rounded-full"
+                  title="Delete rate"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" /></svg>
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CurrencySettingsModal;
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { useAuth } from '../hooks/useAuth'; // Custom hook for authentication state and functions
+
+// Firebase rejects passwords shorter than this; checking it here saves a round trip.
+const MIN_PASSWORD_LENGTH = 6;
+
+// Heading and submit button label for each view of the form.
+const MODES = {
+  signIn: { title: 'Sign in with Email', submitLabel: 'Sign In' },
+  register: { title: 'Create an Account', submitLabel: 'Create Account' },
+  reset: { title: 'Reset Your Password', submitLabel: 'Send Reset Link' },
+};
+
+/**
+ * EmailAuthForm Component
+ *
+ * This component renders the email/password sign-in form, along with the registration and
+ * password-reset views the user can switch to from it. It is shown on the sign-in screen
+ * (AuthContainer) and, for guests, in the EmailAuthModal.
+ *
+ * @param {object} props - The component's props.
+ * @param {function} [props.onComplete] - Called with the view ('signIn' or 'register') after the user
+ * signs in or creates an account (a guest signing in is offered a merge instead, see AuthContext).
+ */
+const EmailAuthForm = ({ onComplete }) => {
+  // Destructure the email/password functions and error state from the AuthContext.
+  const { signInWithEmail, registerWithEmail, resetPassword, error, clearError } = useAuth();
+
+  // State for the current view and the form inputs.
+  const [mode, setMode] = useState('signIn');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  // State for a problem found before anything is sent to Firebase.
+  const [formError, setFormError] = useState('');
+  // State for the confirmation shown after a password reset email is sent.
+  const [notice, setNotice] = useState('');
+  // State to disable the submit button while a request is in flight.
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * switchMode Function
+   *
+   * Changes to another view of the form, keeping the email address but clearing any messages.
+   * @param {'signIn'|'register'|'reset'} nextMode - The view to show.
+   */
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setPassword('');
+    setConfirmPassword('');
+    setFormError('');
+    setNotice('');
+    clearError();
+  };
+
+  /**
+   * handleSubmit Function
+   *
+   * Signs in, creates the account, or sends the reset email, depending on the current view.
+   * @param {Event} e - The form submission event.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    setNotice('');
+    clearError();
+
+    if (mode === 'register') {
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        setFormError(`Your password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+        return;
+      }
+      if (password !== confirmPassword) {
+        setFormError("The passwords don't match.");
+        return;
+      }
+    }
+
+    setSubmitting(true);
+    const trimmedEmail = email.trim();
+    let success;
+    if (mode === 'reset') {
+      success = await resetPassword(trimmedEmail);
+      if (success) {
+        setNotice(`If an account exists for ${trimmedEmail}, we've sent it a link to reset the password.`);
+      }
+    } else if (mode === 'register') {
+      success = await registerWithEmail(trimmedEmail, password);
+    } else {
+      success = await signInWithEmail(trimmedEmail, password);
+    }
+    setSubmitting(false);
+
+    if (success && mode !== 'reset' && onComplete) {
+      onComplete(mode);
+    }
+  };
+
+  const { title, submitLabel } = MODES[mode];
+  const shownError = formError || error;
+
+  // --- Component JSX Structure ---
+  return (
+    <form onSubmit={handleSubmit} className="text-left">
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">{title}</h2>
+
+      {/* Email input, used by every view. */}
+      <div className="mb-4">
+        <label htmlFor="authEmail" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+        <input
+          type="email"
+          id="authEmail"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          autoComplete="email"
+          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+          placeholder="you@example.com"
+        />
+      </div>
+
+      {/* Password input, not needed to request a reset link. */}
+      {mode !== 'reset' && (
+        <div className="mb-4">
+          <label htmlFor="authPassword" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+          <input
+            type="password"
+            id="authPassword"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+      )}
+
+      {/* Password confirmation, only when creating an account. */}
+      {mode === 'register' && (
+        <div className="mb-4">
+          <label htmlFor="authConfirmPassword" className="block text-sm font-medium text-gray-700 mb-1">Confirm Password</label>
+          <input
+            type="password"
+            id="authConfirmPassword"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+            autoComplete="new-password"
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+      )}
+
+      {shownError && <p className="text-sm text-red-500 mb-4">{shownError}</p>}
+      {notice && <p className="text-sm text-green-600 mb-4">{notice}</p>}
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitting ? 'Please wait...' : submitLabel}
+      </button>
+
+      {/* Links to the other views. */}
+      <div className="mt-4 flex justify-between text-sm">
+        {mode === 'signIn' ? (
+          <>
+            <button type="button" onClick={() => switchMode('register')} className="text-blue-600 hover:text-blue-800 font-semibold">
+              Create an account
+            </button>
+            <button type="button" onClick={() => switchMode('reset')} className="text-blue-600 hover:text-blue-800 font-semibold">
+              Forgot password?
+            </button>
+          </>
+        ) : (
+          <button type="button" onClick={() => switchMode('signIn')} className="text-blue-600 hover:text-blue-800 font-semibold">
+            Back to sign in
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default EmailAuthForm;
@@ -0,0 +1,53 @@
+import React from 'react';
+import EmailAuthForm from './EmailAuthForm'; // Email/password sign-in, registration, and password reset
+
+/**
+ * EmailAuthModal Component
+ *
+ * This component lets a guest sign in or register with an email address from inside the app.
+ * Registering keeps everything they entered as a guest; signing in to an existing account offers
+ * to merge it (see MergeAccountModal), or switches straight to it if the guest has stored nothing.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
+ */
+const EmailAuthModal = ({ isOpen, onClose, showMessage }) => {
+  /**
+   * handleComplete Function
+   *
+   * Closes the modal once the guest has registered or chosen an account to sign in to.
+   * @param {'signIn'|'register'} mode - What the guest did.
+   */
+  const handleComplete = (mode) => {
+    onClose();
+    if (mode === 'register') {
+      showMessage("Account created! We've sent you an email with a link to verify your address.");
+    }
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto">
+        {/* Close button. */}
+        <div className="flex justify-end">
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <EmailAuthForm onComplete={handleComplete} />
+      </div>
+    </div>
+  );
+};
+
+export default EmailAuthModal;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { filterTransactionsForExport, transactionsToCSV, transactionsToJSON } from '../utils/transactionExport'; // Export helpers
+import { downloadFile } from '../utils/download'; // Browser file download helper
+import { toDateKey } from '../utils/calendarDate'; // Formats dates for the date inputs
+
+/**
+ * ExportModal Component
+ *
+ * This component renders a modal for exporting transactions to a CSV or JSON file. Transactions
+ * can be narrowed down by date range, type, and category. The chosen date range is read from
+ * Firestore when it changes, so the export is not limited to the months loaded for the overview.
+ * The date range defaults to the period (day, week, month, year, or custom range) currently shown in the OverviewSection.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
+ */
+const ExportModal = ({ isOpen, onClose, showMessage }) => {
+  // Destructure necessary state from the TransactionContext.
+  const { fetchTransactions, viewRange, userIncomeCategories, userExpenseCategories } = useTransactions();
+
+  // --- Local State Management for Form Inputs ---
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  // type: 'income', 'expense', or '' for both.
+  const [type, setType] = useState('');
+  // category: A category name, or '' for all.
+  const [category, setCategory] = useState('');
+  // format: 'csv' or 'json'.
+  const [format, setFormat] = useState('csv');
+  // rangeTransactions: The transactions in the chosen date range, or null while they are being read.
+  const [rangeTransactions, setRangeTransactions] = useState(null);
+
+  // The displayed period as 'YYYY-MM-DD' strings, the default export range.
+  const viewStartDate = toDateKey(viewRange.start);
+  const viewEndDate = toDateKey(viewRange.end);
+
+  /**
+   * useEffect Hook
+   *
+   * Resets the filters to the currently displayed period whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setStartDate(viewStartDate);
+      setEndDate(viewEndDate);
+      setType('');
+      setCategory('');
+      setFormat('csv');
+    }
+  }, [isOpen, viewStartDate, viewEndDate]);
+
+  /**
+   * useEffect Hook
+   *
+   * Reads the transactions in the chosen date range whenever it changes.
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setRangeTransactions(null);
+    fetchTransactions(startDate || null, endDate || null).then((fetched) => {
+      if (!cancelled) setRangeTransactions(fetched || []);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, startDate, endDate, fetchTransactions]);
+
+  // Categories offered in the filter follow the chosen type.
+  const categories = type === 'income'
+    ? userIncomeCategories
+    : type === 'expense'
+      ? userExpenseCategories
+      : [...new Set([...userIncomeCategories, ...userExpenseCategories])].sort();
+
+  const matchingTransactions = filterTransactionsForExport(rangeTransactions || [], { startDate, endDate, type, category });
+
+  /**
+   * handleExport Function
+   *
+   * Serializes the matching transactions and downloads them as a file.
+   * @param {object} e - The event object from the form submission.
+   */
+  const handleExport = (e) => {
+    e.preventDefault();
+
+    if (startDate && endDate && endDate < startDate) {
+      showMessage("The end date cannot be before the start date.", true);
+      return;
+    }
+    if (rangeTransactions === null) return; // Still reading the date range
+    if (matchingTransactions.length === 0) {
+      showMessage("No transactions match the selected filters.", true);
+      return;
+    }
+
+    const range = `${startDate || 'start'}_to_${endDate || 'end'}`;
+    if (format === 'json') {
+      downloadFile(transactionsToJSON(matchingTransactions), `transactions_${range}.json`, 'application/json');
+    } else {
+      downloadFile(transactionsToCSV(matchingTransactions), `transactions_${range}.csv`, 'text/csv');
+    }
+    onClose();
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  const inputClassName = "w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+  const labelClassName = "block text-sm font-medium text-gray-700 mb-1";
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md">
+        {/* Modal header: title and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Export Transactions</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <form onSubmit={handleExport}>
+          <div className="mb-4 grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="exportStartDate" className={labelClassName}>From</label>
+              <input type="date" id="exportStartDate" value={startDate} onChange={(e) => setStartDate(e.target.value)} className={inputClassName} />
+            </div>
+            <div>
+              <label htmlFor="exportEndDate" className={labelClassName}>To</label>
+              <input type="date" id="exportEndDate" value={endDate} onChange={(e) => setEndDate(e.target.value)} min={startDate} className={inputClassName} />
+            </div>
+          </div>
+          <div className="mb-4 grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="exportType" className={labelClassName}>Type</label>
+              <select
+                id="exportType"
+                value={type}
+                onChange={(e) => {
+                  setType(e.target.value);
+                  setCategory(''); // Reset category when type changes for new options.
+                }}
+                className={inputClassName}
+              >
+                <option value="">All</option>
+                <option value="income">Income</option>
+                <option value="expense">Expense</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="exportCategory" className={labelClassName}>Category</label>
+              <select id="exportCategory" value={category} onChange={(e) => setCategory(e.target.value)} className={inputClassName}>
+                <option value="">All</option>
+                {categories.map(cat => (
+                  <option key={cat} value={cat}>{cat}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="mb-6">
+            <span className={labelClassName}>Format</span>
+            <div className="flex space-x-4">
+              {['csv', 'json'].map(option => (
+                <label key={option} className="flex items-center text-sm text-gray-700">
+                  <input type="radio" name="exportFormat" value={option} checked={format === option} onChange={() => setFormat(option)} className="mr-2" />
+                  {option.toUpperCase()}
+                </label>
+              ))}
+            </div>
+          </div>
+          {/* Form Action Buttons */}
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={onClose} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">Cancel</button>
+            <button type="submit" disabled={rangeTransactions === null} className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 disabled:opacity-50 rounded-lg">
+              {rangeTransactions === null
+                ? 'Loading...'
+                : `Export ${matchingTransactions.length} Transaction${matchingTransactions.length === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
@@ -0,0 +1,484 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { parseCSV } from '../utils/csv'; // CSV parser
+import {
+  DATE_FORMATS,
+  SIGN_CONVENTIONS,
+  buildImportRowsFromCsv,
+  findUnknownCategories
+} from '../utils/transactionImport'; // Helpers that map imported rows to transactions
+import {
+  detectStatementFormat,
+  parseOFX,
+  parseQIF,
+  buildImportRowsFromStatement
+} from '../utils/statementParsers'; // OFX/QIF bank statement parsers
+import { formatCurrency } from '../utils/currency'; // Currency-aware amount formatting
+
+// Sentinel value used in the category resolution selects for "create this category".
+const CREATE_CATEGORY = '__create__';
+
+// The transaction fields a CSV column can be mapped to.
+const MAPPABLE_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'amount', label: 'Amount', required: true },
+  { key: 'type', label: 'Type' },
+  { key: 'category', label: 'Category' },
+  { key: 'payee', label: 'Payee / Merchant' },
+  { key: 'note', label: 'Note / Description' },
+];
+
+/**
+ * ImportModal Component
+ *
+ * This component renders a multi-step modal for importing transactions from a bank CSV export
+ * or an OFX/QFX/QIF statement:
+ * 1. Upload: choose the file, which is parsed in the browser.
+ * 2. Mapping: for CSV, map columns to transaction fields and choose the date format and sign
+ *    convention; for statements, choose fallback categories (and the date format for QIF).
+ * 3. Review: preview every row with invalid ones flagged, decide whether each unknown category
+ *    is created or mapped to an existing one, then commit the valid rows in batches.
+ *    Statement entries that were already imported (matched by account and FITID, or by entry hash) are skipped.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
+ */
+const ImportModal = ({ isOpen, onClose, showMessage }) => {
+  // Destructure necessary state and functions from the TransactionContext.
+  const { userIncomeCategories, userExpenseCategories, baseCurrency, addCategory, importTransactions, findExistingImportIds } = useTransactions();
+
+  // --- Local State Management ---
+  // step: The current step of the import flow ('upload', 'mapping' or 'review').
+  const [step, setStep] = useState('upload');
+  // fileName: The name of the chosen file, shown for reference.
+  const [fileName, setFileName] = useState('');
+  // fileFormat: The detected file format ('csv', 'ofx' or 'qif').
+  const [fileFormat, setFileFormat] = useState('csv');
+  // statementText: The raw contents of an OFX/QIF statement, parsed when previewing.
+  const [statementText, setStatementText] = useState('');
+  // csvRows: All parsed rows of the file, including a header row if there is one.
+  const [csvRows, setCsvRows] = useState([]);
+  // hasHeaderRow: Whether the first row holds column names rather than data.
+  const [hasHeaderRow, setHasHeaderRow] = useState(true);
+  // mapping: Column index (as a string) chosen for each transaction field, '' when unmapped.
+  const [mapping, setMapping] = useState({});
+  // dateFormat / signConvention: How dates and amount signs are read.
+  const [dateFormat, setDateFormat] = useState('YMD');
+  const [signConvention, setSignConvention] = useState('negativeIsExpense');
+  // fallbackCategories: Categories for rows that have none, per type.
+  const [fallbackCategories, setFallbackCategories] = useState({ income: '', expense: '' });
+  // importRows: The mapped and validated rows shown in the review step.
+  const [importRows, setImportRows] = useState([]);
+  // categoryResolutions: For each unknown 'type:name' category, CREATE_CATEGORY or an existing category name.
+  const [categoryResolutions, setCategoryResolutions] = useState({});
+
+  /**
+   * useEffect Hook
+   *
+   * Resets the whole flow whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setStep('upload');
+      setFileName('');
+      setFileFormat('csv');
+      setStatementText('');
+      setCsvRows([]);
+      setHasHeaderRow(true);
+      setMapping({});
+      setDateFormat('YMD');
+      setSignConvention('negativeIsExpense');
+      setFallbackCategories({ income: '', expense: '' });
+      setImportRows([]);
+      setCategoryResolutions({});
+    }
+  }, [isOpen]);
+
+  const existingCategories = { income: userIncomeCategories, expense: userExpenseCategories };
+  const columnCount = csvRows.reduce((max, row) => Math.max(max, row.length), 0);
+  const headers = Array.from({ length: columnCount }, (_, i) =>
+    hasHeaderRow && csvRows[0]?.[i]?.trim() ? csvRows[0][i].trim() : `Column ${i + 1}`
+  );
+  const dataRows = hasHeaderRow ? csvRows.slice(1) : csvRows;
+  const validRows = importRows.filter(row => row.errors.length === 0);
+  const unknownCategories = findUnknownCategories(importRows, existingCategories);
+
+  /**
+   * handleFileChange Function
+   *
+   * Reads the chosen file and detects its format. CSV files are parsed and an initial column
+   * mapping is guessed from the header names; statements are kept for parsing at preview time.
+   * Either way the flow moves on to the mapping step.
+   * @param {object} e - The change event from the file input.
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const format = detectStatementFormat(file.name, text);
+      setFileName(file.name);
+      setFileFormat(format);
+
+      if (format !== 'csv') {
+        setStatementText(text);
+        // QIF files from most banks use US-style dates.
+        setDateFormat(format === 'qif' ? 'MDY' : 'YMD');
+        setStep('mapping');
+        return;
+      }
+
+      const rows = parseCSV(text);
+      if (rows.length === 0) {
+        showMessage("The selected file has no rows to import.", true);
+        return;
+      }
+
+      // Pre-select columns whose header names look like a transaction field.
+      const guessedMapping = {};
+      rows[0].forEach((header, index) => {
+        const name = header.trim().toLowerCase();
+        MAPPABLE_FIELDS.forEach(({ key }) => {
+          if (guessedMapping[key] === undefined && name.includes(key)) guessedMapping[key] = String(index);
+        });
+        if (guessedMapping.note === undefined && name.includes('description')) guessedMapping.note = String(index);
+        if (guessedMapping.payee === undefined && name.includes('merchant')) guessedMapping.payee = String(index);
+      });
+
+      setCsvRows(rows);
+      setMapping(guessedMapping);
+      setStep('mapping');
+    } catch (error) {
+      console.error("Error reading import file:", error);
+      showMessage("Could not read the selected file.", true);
+    }
+  };
+
+  /**
+   * previewStatement Function
+   *
+   * Parses an OFX/QIF statement into import rows and flags entries that were already imported,
+   * either in an earlier import or earlier in the same file.
+   * @returns {Promise<object[]>} The import rows.
+   */
+  const previewStatement = async () => {
+    const entries = fileFormat === 'ofx' ? parseOFX(statementText) : parseQIF(statementText, dateFormat);
+    const rows = buildImportRowsFromStatement(entries, { fallbackCategories });
+    const existingIds = await findExistingImportIds([...new Set(rows.map(row => row.transaction.importId))]);
+
+    const seenIds = new Set();
+    rows.forEach(row => {
+      const { importId } = row.transaction;
+      if (existingIds.has(importId) || seenIds.has(importId)) row.errors.push('Already imported');
+      seenIds.add(importId);
+    });
+    return rows;
+  };
+
+  /**
+   * handlePreview Function
+   *
+   * Applies the mapping and options to every data row (or parses the statement) and moves on
+   * to the review step.
+   */
+  const handlePreview = async () => {
+    if (fileFormat !== 'csv') {
+      try {
+        const rows = await previewStatement();
+        if (rows.length === 0) {
+          showMessage("No transactions were found in the statement.", true);
+          return;
+        }
+        showReview(rows);
+      } catch (error) {
+        console.error("Error reading statement:", error);
+        showMessage("Could not read the statement.", true);
+      }
+      return;
+    }
+
+    if (mapping.date === undefined || mapping.date === '' || mapping.amount === undefined || mapping.amount === '') {
+      showMessage("Please map the date and amount columns.", true);
+      return;
+    }
+    if (signConvention === 'typeColumn' && (mapping.type === undefined || mapping.type === '')) {
+      showMessage("Please map the type column, or choose a different sign convention.", true);
+      return;
+    }
+
+    const numericMapping = Object.fromEntries(
+      Object.entries(mapping).map(([key, value]) => [key, value === '' ? '' : Number(value)])
+    );
+    showReview(buildImportRowsFromCsv(dataRows, numericMapping, { dateFormat, signConvention, fallbackCategories }));
+  };
+
+  /**
+   * showReview Function
+   *
+   * Moves to the review step with the given import rows.
+   * @param {object[]} rows - The mapped and validated import rows.
+   */
+  const showReview = (rows) => {
+    const unknown = findUnknownCategories(rows, existingCategories);
+
+    setImportRows(rows);
+    // Default every unknown category to being created.
+    setCategoryResolutions(Object.fromEntries(unknown.map(c => [`${c.type}:${c.name}`, CREATE_CATEGORY])));
+    setStep('review');
+  };
+
+  /**
+   * handleCommit Function
+   *
+   * Creates the unknown categories the user chose to keep, remaps the others, and imports
+   * all valid rows through the TransactionContext.
+   */
+  const handleCommit = async () => {
+    if (validRows.length === 0) {
+      showMessage("There are no valid rows to import.", true);
+      return;
+    }
+
+    // Create the unknown categories marked for creation.
+    for (const { type, name } of unknownCategories) {
+      if (categoryResolutions[`${type}:${name}`] === CREATE_CATEGORY) {
+        await addCategory(name, type);
+      }
+    }
+
+    // Remap categories the user chose to map onto existing ones.
+    const transactionsToImport = validRows.map(({ transaction }) => {
+      const resolution = categoryResolutions[`${transaction.type}:${transaction.category}`];
+      return resolution && resolution !== CREATE_CATEGORY ? { ...transaction, category: resolution } : transaction;
+    });
+
+    const importedCount = await importTransactions(transactionsToImport, fileFormat);
+    if (importedCount === false) {
+      showMessage("Error importing transactions.", true);
+    } else {
+      showMessage(`${importedCount} transaction${importedCount === 1 ? '' : 's'} imported successfully!`);
+      onClose();
+    }
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  const inputClassName = "w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+  const labelClassName = "block text-sm font-medium text-gray-700 mb-1";
+
+  // Fallback category selects, shared by the CSV and statement mapping steps.
+  const fallbackCategorySelects = (
+    <div className="grid grid-cols-2 gap-3 mb-6">
+      {['income', 'expense'].map(type => (
+        <div key={type}>
+          <label htmlFor={`importFallback-${type}`} className={labelClassName}>
+            Category for {type} rows without one
+          </label>
+          <select
+            id={`importFallback-${type}`}
+            value={fallbackCategories[type]}
+            onChange={(e) => setFallbackCategories(prev => ({ ...prev, [type]: e.target.value }))}
+            className={inputClassName}
+          >
+            <option value="">None (flag as invalid)</option>
+            {existingCategories[type].map(cat => (
+              <option key={cat} value={cat}>{cat}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: wider than the other modals to fit the preview table. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-full overflow-y-auto">
+        {/* Modal header: title and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Import Transactions</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Step 1: Upload */}
+        {step === 'upload' && (
+          <div>
+            <p className="text-sm text-gray-600 mb-4">Choose a CSV, OFX/QFX or QIF file exported from your bank.</p>
+            <input
+              type="file"
+              accept=".csv,text/csv,.ofx,.qfx,.qif"
+              onChange={handleFileChange}
+              className="w-full text-sm text-gray-700"
+            />
+          </div>
+        )}
+
+        {/* Step 2 (statements): Date format and fallback categories */}
+        {step === 'mapping' && fileFormat !== 'csv' && (
+          <div>
+            <p className="text-sm text-gray-600 mb-4">{fileName} · {fileFormat.toUpperCase()} statement</p>
+            {fileFormat === 'qif' && (
+              <div className="mb-4">
+                <label htmlFor="importQifDateFormat" className={labelClassName}>Date format</label>
+                <select id="importQifDateFormat" value={dateFormat} onChange={(e) => setDateFormat(e.target.value)} className={inputClassName}>
+                  {DATE_FORMATS.map(f => (
+                    <option key={f.value} value={f.value}>{f.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {fallbackCategorySelects}
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={() => setStep('upload')} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">Back</button>
+              <button type="button" onClick={handlePreview} className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">Preview</button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 2 (CSV): Column mapping and options */}
+        {step === 'mapping' && fileFormat === 'csv' && (
+          <div>
+            <p className="text-sm text-gray-600 mb-4">{fileName} · {dataRows.length} row{dataRows.length === 1 ? '' : 's'}</p>
+            <div className="mb-4 flex items-center">
+              <input type="checkbox" id="importHasHeader" checked={hasHeaderRow} onChange={(e) => setHasHeaderRow(e.target.checked)} className="mr-2" />
+              <label htmlFor="importHasHeader" className="text-sm text-gray-700">First row contains column headers</label>
+            </div>
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              {MAPPABLE_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label htmlFor={`importMap-${field.key}`} className={labelClassName}>
+                    {field.label}{!field.required && <span className="text-gray-400"> (optional)</span>}
+                  </label>
+                  <select
+                    id={`importMap-${field.key}`}
+                    value={mapping[field.key] ?? ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                    className={inputClassName}
+                  >
+                    <option value="">Not mapped</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={String(index)}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              <div>
+                <label htmlFor="importDateFormat" className={labelClassName}>Date format</label>
+                <select id="importDateFormat" value={dateFormat} onChange={(e) => setDateFormat(e.target.value)} className={inputClassName}>
+                  {DATE_FORMATS.map(f => (
+                    <option key={f.value} value={f.value}>{f.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="importSignConvention" className={labelClassName}>Income vs. expense</label>
+                <select id="importSignConvention" value={signConvention} onChange={(e) => setSignConvention(e.target.value)} className={inputClassName}>
+                  {SIGN_CONVENTIONS.map(c => (
+                    <option key={c.value} value={c.value}>{c.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {fallbackCategorySelects}
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={() => setStep('upload')} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">Back</button>
+              <button type="button" onClick={handlePreview} className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">Preview</button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 3: Review and commit */}
+        {step === 'review' && (
+          <div>
+            <p className="text-sm text-gray-600 mb-3">
+              {validRows.length} of {importRows.length} row{importRows.length === 1 ? '' : 's'} will be imported.
+              {importRows.length > validRows.length && ' Rows flagged in red will be skipped.'}
+            </p>
+
+            {/* Preview table of every row, with invalid rows flagged. */}
+            <div className="max-h-64 overflow-auto border border-gray-200 rounded-lg mb-4">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr className="text-left text-gray-600">
+                    <th className="p-2">#</th>
+                    <th className="p-2">Date</th>
+                    <th className="p-2">Type</th>
+                    <th className="p-2">Category</th>
+                    <th className="p-2 text-right">Amount</th>
+                    <th className="p-2">Issues</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {importRows.map(({ rowNumber, transaction, errors }) => (
+                    <tr key={rowNumber} className={errors.length > 0 ? 'bg-red-50 text-red-700' : 'border-t border-gray-100'}>
+                      <td className="p-2">{rowNumber}</td>
+                      <td className="p-2">{transaction.date || '—'}</td>
+                      <td className="p-2 capitalize">{transaction.type || '—'}</td>
+                      <td className="p-2">{transaction.category || '—'}</td>
+                      <td className="p-2 text-right">{transaction.amount === null ? '—' : formatCurrency(transaction.amount, transaction.currency || baseCurrency)}</td>
+                      <td className="p-2">{errors.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Resolution of categories that do not exist yet. */}
+            {unknownCategories.length > 0 && (
+              <div className="mb-4 p-4 border border-gray-200 rounded-lg bg-gray-50">
+                <h4 className="font-semibold text-gray-700 mb-3">New categories</h4>
+                <div className="space-y-2">
+                  {unknownCategories.map(({ type, name }) => {
+                    const key = `${type}:${name}`;
+                    return (
+                      <div key={key} className="flex items-center justify-between">
+                        <span className="text-sm text-gray-700">{name} <span className="text-gray-400">({type})</span></span>
+                        <select
+                          value={categoryResolutions[key] || CREATE_CATEGORY}
+                          onChange={(e) => setCategoryResolutions(prev => ({ ...prev, [key]: e.target.value }))}
+                          className="p-1 border border-gray-300 rounded-lg text-sm"
+                          aria-label={`Resolve category ${name}`}
+                        >
+                          <option value={CREATE_CATEGORY}>Create '{name}'</option>
+                          {existingCategories[type].map(cat => (
+                            <option key={cat} value={cat}>Map to {cat}</option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={() => setStep('mapping')} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">Back</button>
+              <button
+                type="button"
+                onClick={handleCommit}
+                disabled={validRows.length === 0}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg disabled:opacity-50"
+              >
+                Import {validRows.length} Transaction{validRows.length === 1 ? '' : 's'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportModal;
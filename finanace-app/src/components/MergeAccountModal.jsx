@@ -0,0 +1,87 @@
+import React from 'react';
+import { useAuth } from '../hooks/useAuth'; // Custom hook for authentication state and functions
+
+/**
+ * MergeAccountModal Component
+ *
+ * This component renders the choice a guest with data of their own gets when the Google or email
+ * account they signed in with already exists: merge everything they entered into it (and switch to
+ * it), switch to it and discard the guest data, or stay signed in as a guest.
+ * If the merge fails (for example because the connection drops), the reason is shown here; merging
+ * again carries on without copying anything twice.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal without merging.
+ * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
+ */
+const MergeAccountModal = ({ isOpen, onClose, showMessage }) => {
+  // Destructure the pending merge, the merge function, and the error state from the AuthContext.
+  const { pendingMerge, mergeGuestAccount, signInWithoutMerging, error } = useAuth();
+
+  /**
+   * handleMerge Function
+   *
+   * Merges the guest's data into the existing account and reports the result.
+   */
+  const handleMerge = async () => {
+    const mergedCount = await mergeGuestAccount();
+    // On failure the modal stays open and shows the error from the AuthContext.
+    if (mergedCount !== false) {
+      showMessage(`Merged ${mergedCount} transaction${mergedCount === 1 ? '' : 's'} into your account.`);
+    }
+  };
+
+  /**
+   * handleSignInWithoutMerging Function
+   *
+   * Discards the guest's data and signs in to the existing account.
+   */
+  const handleSignInWithoutMerging = async () => {
+    if (await signInWithoutMerging()) {
+      showMessage('Signed in. Your guest data was discarded.');
+    }
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md">
+        <h2 className="text-xl font-semibold text-gray-800 mb-3">Account Already in Use</h2>
+        <p className="text-gray-700 mb-2">
+          {pendingMerge && pendingMerge.email ? <strong>{pendingMerge.email}</strong> : 'This account'} already has its own data.
+        </p>
+        <p className="text-sm text-gray-600 mb-6">
+          Merging moves everything you entered as a guest (transactions, categories, accounts, budgets, recurring
+          transactions, exchange rates, and tags) into that account and signs you in to it. Where the account
+          already has its own budget, rate, or setting, it is kept. Signing in without merging deletes the guest data.
+        </p>
+        {error && (
+          <p className="text-sm text-red-500 mb-4">
+            Could not finish: {error} Part of your guest data may already be in the account; merging again finishes the
+            job without copying anything twice.
+          </p>
+        )}
+        {/* Action Buttons */}
+        <div className="flex justify-end space-x-3">
+          <button type="button" onClick={onClose} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">
+            Stay as Guest
+          </button>
+          <button type="button" onClick={handleSignInWithoutMerging} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">
+            Sign In Without Merging
+          </button>
+          <button type="button" onClick={handleMerge} className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">
+            Merge and Sign In
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeAccountModal;
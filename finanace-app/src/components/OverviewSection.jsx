@@ -1,64 +1,228 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { getBudgetStatus } from '../utils/budgets'; // Budget vs. spending calculations
+import { formatCurrency } from '../utils/currency'; // Currency-aware amount formatting
+import { getAccountCurrency, getTransactionAccountId } from '../utils/accounts'; // Account currencies and membership
+import { isTransfer } from '../utils/transfers'; // Identifies transfers between accounts
+import { getCategoryBreakdown } from '../utils/categoryBreakdown'; // Groups amounts by category for the chart
+import { VIEW_MODES, WEEKDAYS, isWithinRange } from '../utils/viewRange'; // View modes and period boundaries
+import { formatDateKey, getMonthStartKey, toDateKey } from '../utils/calendarDate'; // Calendar days and months
+import CategoryChart from './CategoryChart'; // SVG donut chart of amounts by category
 
 /**
  * OverviewSection Component
  *
- * This component displays a financial overview for the currently selected month and year.
- * It shows the total income, total expenses, and the net balance for that specific month.
- * It also provides navigation buttons to change the displayed month.
+ * This component displays a financial overview for the period currently being viewed: a day, a
+ * week, a month, a year, or a custom date range, chosen with the view mode switch.
+ * It shows the total income, total expenses, and the net balance for that period,
+ * converted to the user's base currency at the exchange rate for each transaction's date.
+ * It also provides navigation buttons to move to the previous or next period, and shows spent vs. budget
+ * progress (for the month containing the viewed date) for every expense category that has a monthly budget. The monthly totals can be
+ * narrowed to a single account, and every account's current balance is listed. A donut chart
+ * breaks the period's expenses (or income) down by category; clicking a slice filters the
+ * transaction list to that category. The chart shows either top-level categories, with their
+ * subcategories rolled up into them, or every category on its own; budgets on a parent category
+ * always include its subcategories.
+ *
+ * @param {object} props - The component's props.
+ * @param {function} props.onManageBudgets - Callback to open the budget management modal.
+ * @param {function} props.onExport - Callback to open the export modal.
+ * @param {function} props.onManageAccounts - Callback to open the account management modal.
+ * @param {function} props.onSearch - Callback to open the search view across all transactions.
+ * @param {function} props.onShowTrends - Callback to open the month-by-month income vs. expense trend view.
+ * @param {function} props.onShowTags - Callback to open the all-time totals of each tag.
+ * @param {{category: string, type: string, includeSubcategories?: boolean}|null} props.selectedCategory - The
+ * category (and its type) the transaction list is filtered to, if any, and whether its subcategories are included.
+ * @param {function} props.onSelectCategory - Called with `{ category, type, includeSubcategories }` (or null)
+ * when a chart slice is clicked.
  */
-const OverviewSection = () => {
+const OverviewSection = ({ onManageBudgets, onExport, onManageAccounts, onSearch, onShowTrends, onShowTags, selectedCategory, onSelectCategory }) => {
   // Destructure necessary state and functions from the useTransactions hook.
-  // transactions: An array of all financial transactions.
-  // currentMonth: The index of the currently selected month (0-11).
+  // transactions: The loaded financial transactions (always including the viewed period).
+  // currentMonth: The index of the currently selected month (0-11), used for budgets.
   // currentYear: The currently selected year.
-  // changeMonth: A function to change the current month (e.g., -1 for previous, 1 for next).
-  const { transactions, currentMonth, currentYear, changeMonth } = useTransactions();
+  // viewMode / setViewMode: The period type being viewed, and its setter.
+  // viewRange / viewLabel: The boundaries and description of the period being viewed.
+  // navigateView: A function to move by whole periods (e.g., -1 for previous, 1 for next).
+  // customRange / setCustomRange: The dates of the custom range view.
+  // weekStartsOn / setWeekStartsOn: The first day of the week, and its (persisted) setter.
+  // budgets: The user's monthly per-category budgets.
+  // budgetCarryOvers: The amount each rollover budget carries into the budget month, keyed by budget ID.
+  // baseCurrency / toBaseAmount: The currency totals are shown in, and the converter to it.
+  // accounts / accountBalances: The user's accounts, and each one's all-time balance (keyed by account ID).
+  // categoryParents / getCategoryStyle: The parent of each subcategory, by type, and the color and icon of a category.
+  const {
+    transactions,
+    currentMonth,
+    currentYear,
+    viewMode,
+    setViewMode,
+    viewRange,
+    viewLabel,
+    navigateView,
+    customRange,
+    setCustomRange,
+    weekStartsOn,
+    setWeekStartsOn,
+    budgets,
+    budgetCarryOvers,
+    baseCurrency,
+    toBaseAmount,
+    accounts,
+    accountBalances,
+    categoryParents,
+    getCategoryStyle
+  } = useTransactions();
+
+  // selectedAccountId: The account the totals are limited to, or '' for all accounts.
+  const [selectedAccountId, setSelectedAccountId] = useState('');
+  // chartType: Whether the category chart shows 'expense' or 'income'.
+  const [chartType, setChartType] = useState('expense');
+  // categoryLevel: Whether the chart shows 'parent' categories (subcategories rolled up) or every 'leaf' category.
+  const [categoryLevel, setCategoryLevel] = useState('parent');
 
-  // Format the current month and year for display (e.g., "July 2025").
-  const monthYear = new Date(currentYear, currentMonth).toLocaleString('default', {
+  // Format the budget month for display (e.g., "July 2025").
+  const monthYear = formatDateKey(getMonthStartKey(currentYear, currentMonth), {
     month: 'long',  // Full month name
     year: 'numeric' // Full year
   });
 
-  // --- Transaction Filtering Logic ---
-  // Determine the start and end dates for the current month to filter transactions.
-  // The filter will now be for the entire month.
-  const monthStart = new Date(currentYear, currentMonth, 1); // First day of the current month
-  const monthEnd = new Date(currentYear, currentMonth + 1, 0, 23, 59, 59, 999); // Last millisecond of the last day of the current month
+  /**
+   * handleViewModeChange Function
+   *
+   * Switches the view mode. Switching to a custom range starts it from the period that was
+   * being viewed, so the user only has to adjust it.
+   * @param {string} mode - The new view mode.
+   */
+  const handleViewModeChange = (mode) => {
+    if (mode === 'custom' && (!customRange.startDate || !customRange.endDate)) {
+      setCustomRange({ startDate: toDateKey(viewRange.start), endDate: toDateKey(viewRange.end) });
+    }
+    setViewMode(mode);
+  };
 
-  // Filter the full list of transactions to include only those within the current month.
+  // --- Transaction Filtering Logic ---
+  // Filter the full list of transactions to include only those within the period being viewed
+  // (and the selected account, if one is chosen).
   const filteredTransactions = transactions.filter(t => {
-    const transactionDate = t.date.toDate(); // Convert Firestore Timestamp to JavaScript Date object
-    return transactionDate >= monthStart && transactionDate <= monthEnd; // Check if transaction date is within the current month
+    if (selectedAccountId && getTransactionAccountId(t) !== selectedAccountId) return false;
+    return isWithinRange(t, viewRange); // Check if transaction date is within the viewed period
   });
 
   // --- Calculation of Totals ---
   let totalIncome = 0; // Initialize total income
   let totalExpenses = 0; // Initialize total expenses
+  let unconvertedCount = 0; // Transactions left out because no exchange rate is known
 
-  // Iterate through the filtered transactions to calculate total income and expenses.
+  // Iterate through the filtered transactions to calculate total income and expenses in the base currency.
+  // Transfers only move money between the user's own accounts, so they count as neither.
   filteredTransactions.forEach(t => {
-    if (t.type === 'income') {
-      totalIncome += t.amount; // Add to income if transaction type is 'income'
+    if (isTransfer(t)) return;
+    const amount = toBaseAmount(t);
+    if (amount === null) {
+      unconvertedCount++;
+    } else if (t.type === 'income') {
+      totalIncome += amount; // Add to income if transaction type is 'income'
     } else {
-      totalExpenses += t.amount; // Add to expenses if transaction type is 'expense'
+      totalExpenses += amount; // Add to expenses if transaction type is 'expense'
     }
   });
 
   // Calculate the net balance.
   const balance = totalIncome - totalExpenses;
 
+  // --- Category Breakdown ---
+  // The period's totals per category, for the selected chart type and level.
+  const chartParents = categoryParents[chartType];
+  const hasSubcategories = Object.keys(chartParents).length > 0;
+  const isParentLevel = hasSubcategories && categoryLevel === 'parent';
+  const categorySlices = getCategoryBreakdown(
+    filteredTransactions,
+    chartType,
+    toBaseAmount,
+    isParentLevel ? chartParents : undefined,
+    category => getCategoryStyle(category, chartType) // Slices use the category's own color and icon
+  );
+
+  // --- Account Balances ---
+  // Each account's all-time balance, in the account's own currency. Balances are summed by
+  // Firestore, so an account's entry is missing until its first total arrives.
+  const accountSummaries = accounts.map(account => ({
+    account,
+    currency: getAccountCurrency(account, baseCurrency),
+    balance: accountBalances[account.id]
+  }));
+
+  // --- Budget Progress ---
+  // Compare each category budget against this month's spending (including any rolled-over amount,
+  // which counts as nothing until its first total arrives).
+  const budgetStatuses = budgets.map(budget => getBudgetStatus(
+    budget, transactions, currentYear, currentMonth, toBaseAmount, categoryParents.expense, budgetCarryOvers[budget.id]
+  ));
+
   // --- Component JSX Structure ---
   return (
     // Section container for the financial overview.
     <section className="mb-6">
-      {/* Month navigation and display. */}
+      {/* View mode switch (day, week, month, year, custom). */}
+      <div className="flex justify-center mb-3">
+        <div className="flex text-sm rounded-lg border border-gray-300 overflow-hidden">
+          {VIEW_MODES.map(mode => (
+            <button
+              key={mode.value}
+              onClick={() => handleViewModeChange(mode.value)}
+              aria-pressed={viewMode === mode.value}
+              className={`px-3 py-1 ${viewMode === mode.value ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Mode-specific settings: the custom range dates, or the first day of the week. */}
+      {viewMode === 'custom' && (
+        <div className="flex justify-center items-center gap-2 mb-3 text-sm">
+          <input
+            type="date"
+            value={customRange.startDate}
+            onChange={(e) => setCustomRange(prev => ({ ...prev, startDate: e.target.value }))}
+            max={customRange.endDate || undefined}
+            className="p-1 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            aria-label="Range start"
+          />
+          <span className="text-gray-500">to</span>
+          <input
+            type="date"
+            value={customRange.endDate}
+            onChange={(e) => setCustomRange(prev => ({ ...prev, endDate: e.target.value }))}
+            min={customRange.startDate || undefined}
+            className="p-1 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            aria-label="Range end"
+          />
+        </div>
+      )}
+      {viewMode === 'week' && (
+        <div className="flex justify-center items-center gap-2 mb-3 text-sm text-gray-600">
+          <label htmlFor="weekStartsOn">Weeks start on</label>
+          <select
+            id="weekStartsOn"
+            value={weekStartsOn}
+            onChange={(e) => setWeekStartsOn(Number(e.target.value))}
+            className="p-1 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+          >
+            {WEEKDAYS.map((dayName, index) => (
+              <option key={dayName} value={index}>{dayName}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Period navigation and display. */}
       <div className="flex justify-between items-center mb-4">
-        {/* Button to navigate to the previous month. */}
+        {/* Button to navigate to the previous period. */}
         <button
-          onClick={() => changeMonth(-1)} // Calls changeMonth with -1 to go back one month
+          onClick={() => navigateView(-1)} // Moves back one day, week, month, year, or range length
           className="p-2 rounded-full hover:bg-gray-200 transition-colors"
         >
           {/* SVG icon for previous arrow. */}
@@ -66,11 +230,57 @@ const OverviewSection = () => {
             <path strokeLinecap="round" strokeLinejoin="round" d="M15.75 19.5L8.25 12l7.5-7.5" />
           </svg>
         </button>
-        {/* Display of the current month and year. */}
-        <h2 className="text-xl font-semibold text-gray-700">{monthYear}</h2>
-        {/* Button to navigate to the next month. */}
+        {/* Display of the current period, with the search, trend, tag, and export actions beside it. */}
+        <div className="flex items-center">
+          <h2 className="text-xl font-semibold text-gray-700 text-center">{viewLabel}</h2>
+          <button
+            onClick={onSearch} // Opens the search view
+            className="ml-2 p-1 rounded-full hover:bg-gray-200 transition-colors"
+            aria-label="Search Transactions"
+            title="Search all transactions"
+          >
+            {/* SVG icon for search (magnifying glass). */}
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-5 h-5 text-gray-600">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M21 21l-5.197-5.197m0 0A7.5 7.5 0 105.196 5.196a7.5 7.5 0 0010.607 10.607z" />
+            </svg>
+          </button>
+          <button
+            onClick={onShowTrends} // Opens the trend view
+            className="ml-1 p-1 rounded-full hover:bg-gray-200 transition-colors"
+            aria-label="Show Trends"
+            title="Income vs. expenses by month"
+          >
+            {/* SVG icon for a bar chart. */}
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-5 h-5 text-gray-600">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M3 13.125C3 12.504 3.504 12 4.125 12h2.25c.621 0 1.125.504 1.125 1.125v6.75C7.5 20.496 6.996 21 6.375 21h-2.25A1.125 1.125 0 013 19.875v-6.75zM9.75 8.625c0-.621.504-1.125 1.125-1.125h2.25c.621 0 1.125.504 1.125 1.125v11.25c0 .621-.504 1.125-1.125 1.125h-2.25a1.125 1.125 0 01-1.125-1.125V8.625zM16.5 4.125c0-.621.504-1.125 1.125-1.125h2.25C20.496 3 21 3.504 21 4.125v15.75c0 .621-.504 1.125-1.125 1.125h-2.25a1.125 1.125 0 01-1.125-1.125V4.125z" />
+            </svg>
+          </button>
+          <button
+            onClick={onShowTags} // Opens the tag report
+            className="ml-1 p-1 rounded-full hover:bg-gray-200 transition-colors"
+            aria-label="Show Tag Totals"
+            title="All-time totals by tag"
+          >
+            {/* SVG icon for a tag. */}
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-5 h-5 text-gray-600">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M9.568 3H5.25A2.25 2.25 0 003 5.25v4.318c0 .597.237 1.17.659 1.591l9.581 9.581c.699.699 1.78.872 2.607.33a18.095 18.095 0 005.223-5.223c.542-.827.369-1.908-.33-2.607L11.16 3.66A2.25 2.25 0 009.568 3zM6 6h.008v.008H6V6z" />
+            </svg>
+          </button>
+          <button
+            onClick={onExport} // Opens the export modal
+            className="ml-1 p-1 rounded-full hover:bg-gray-200 transition-colors"
+            aria-label="Export Transactions"
+            title="Export transactions"
+          >
+            {/* SVG icon for download/export. */}
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-5 h-5 text-gray-600">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" />
+            </svg>
+          </button>
+        </div>
+        {/* Button to navigate to the next period. */}
         <button
-          onClick={() => changeMonth(1)} // Calls changeMonth with 1 to go forward one month
+          onClick={() => navigateView(1)} // Moves forward one day, week, month, year, or range length
           className="p-2 rounded-full hover:bg-gray-200 transition-colors"
         >
           {/* SVG icon for next arrow. */}
@@ -80,19 +290,36 @@ const OverviewSection = () => {
         </button>
       </div>
 
+      {/* Account filter for the monthly totals, only shown once there is more than one account. */}
+      {accounts.length > 1 && (
+        <div className="flex justify-end mb-2">
+          <select
+            value={selectedAccountId}
+            onChange={(e) => setSelectedAccountId(e.target.value)}
+            className="p-1 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            aria-label="Filter by account"
+          >
+            <option value="">All accounts</option>
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>{account.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {/* Grid layout for displaying total income, expenses, and balance. */}
       <div className="grid grid-cols-3 gap-4 mb-4 text-center">
         {/* Total Income display card. */}
         <div className="bg-green-50 p-4 rounded-lg shadow">
           <p className="text-sm text-green-700 font-medium">Total Income</p>
           {/* Displays total income, formatted to two decimal places. */}
-          <p className="text-xl font-bold text-green-600">QAR {totalIncome.toFixed(2)}</p>
+          <p className="text-xl font-bold text-green-600">{formatCurrency(totalIncome, baseCurrency)}</p>
         </div>
         {/* Total Expenses display card. */}
         <div className="bg-red-50 p-4 rounded-lg shadow">
           <p className="text-sm text-red-700 font-medium">Total Expenses</p>
           {/* Displays total expenses, formatted to two decimal places. */}
-          <p className="text-xl font-bold text-red-600">QAR {totalExpenses.toFixed(2)}</p>
+          <p className="text-xl font-bold text-red-600">{formatCurrency(totalExpenses, baseCurrency)}</p>
         </div>
         {/* Balance display card. */}
         <div className="bg-blue-50 p-4 rounded-lg shadow">
@@ -100,10 +327,129 @@ const OverviewSection = () => {
           {/* Displays balance, with dynamic text color based on positive/negative value. */}
           {/* Uses Math.abs() to display the absolute value, as the color indicates positive/negative. */}
           <p className={`text-xl font-bold ${balance >= 0 ? 'text-blue-600' : 'text-red-600'}`}>
-            QAR {Math.abs(balance).toFixed(2)}
+            {formatCurrency(Math.abs(balance), baseCurrency)}
           </p>
         </div>
       </div>
+
+      {/* Warning for transactions that could not be converted to the base currency. */}
+      {unconvertedCount > 0 && (
+        <p className="text-xs text-yellow-700 text-center mb-2">
+          {unconvertedCount} transaction{unconvertedCount === 1 ? ' is' : 's are'} not included because no exchange rate to {baseCurrency} is set.
+        </p>
+      )}
+
+      {/* Category breakdown chart for the current month. */}
+      <div className="mt-4">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-semibold text-gray-700">By Category</h3>
+          {/* Toggle between parent categories and subcategories, once there are any subcategories. */}
+          {hasSubcategories && (
+            <div className="flex text-sm rounded-lg border border-gray-300 overflow-hidden ml-auto mr-2">
+              {[['parent', 'Grouped'], ['leaf', 'Detailed']].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setCategoryLevel(value)}
+                  aria-pressed={categoryLevel === value}
+                  className={`px-3 py-1 ${categoryLevel === value ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          {/* Toggle between the expense and income breakdowns. */}
+          <div className="flex text-sm rounded-lg border border-gray-300 overflow-hidden">
+            {[['expense', 'Expenses'], ['income', 'Income']].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setChartType(value)}
+                aria-pressed={chartType === value}
+                className={`px-3 py-1 ${chartType === value ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <CategoryChart
+          slices={categorySlices}
+          currency={baseCurrency}
+          // Categories such as 'Adjusted' exist for both types, so the selection carries the chart type.
+          // A grouped slice stands for its subcategories too, so selecting it filters to all of them.
+          selectedCategory={selectedCategory && selectedCategory.type === chartType && Boolean(selectedCategory.includeSubcategories) === isParentLevel ? selectedCategory.category : null}
+          onSelectCategory={(category) => onSelectCategory(category ? { category, type: chartType, includeSubcategories: isParentLevel } : null)}
+          emptyMessage={`No ${chartType === 'income' ? 'income' : 'expenses'} recorded in this period.`}
+        />
+      </div>
+
+      {/* Current balance of every account. */}
+      <div className="mt-4">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-semibold text-gray-700">Accounts</h3>
+          <button
+            onClick={onManageAccounts} // Opens the account management modal
+            className="text-sm text-blue-600 hover:text-blue-800 font-semibold"
+          >
+            Manage Accounts
+          </button>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          {accountSummaries.map(({ account, currency, balance }) => (
+            <div key={account.id} className="p-2 bg-gray-50 border border-gray-200 rounded-lg">
+              <p className="text-sm text-gray-600 truncate">{account.name}</p>
+              {balance === undefined ? (
+                <p className="font-semibold text-gray-400">…</p>
+              ) : (
+                <p className={`font-semibold ${balance >= 0 ? 'text-gray-800' : 'text-red-600'}`}>{formatCurrency(balance, currency)}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Budget progress bars for the current month. */}
+      <div className="mt-4">
+        <div className="flex justify-between items-center mb-2">
+          {/* Budgets are monthly; outside the month view, name the month they are for. */}
+          <h3 className="text-lg font-semibold text-gray-700">Budgets{viewMode !== 'month' && <span className="text-sm font-normal text-gray-500"> · {monthYear}</span>}</h3>
+          <button
+            onClick={onManageBudgets} // Opens the budget management modal
+            className="text-sm text-blue-600 hover:text-blue-800 font-semibold"
+          >
+            Manage Budgets
+          </button>
+        </div>
+        {budgetStatuses.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-2">No budgets set for your expense categories.</p>
+        ) : (
+          <div className="space-y-3">
+            {budgetStatuses.map(status => (
+              <div key={status.category}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="font-medium text-gray-700">{status.category}</span>
+                  <span className={status.isOverBudget ? 'text-red-600 font-semibold' : 'text-gray-600'}>
+                    {formatCurrency(status.spent, baseCurrency)} / {formatCurrency(status.limit, baseCurrency)}
+                  </span>
+                </div>
+                {/* Progress bar: red when over budget, amber when close to the limit, green otherwise. */}
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className={`h-2 rounded-full ${status.isOverBudget ? 'bg-red-500' : status.isNearLimit ? 'bg-yellow-400' : 'bg-green-500'}`}
+                    style={{ width: `${Math.min(100, status.ratio * 100)}%` }}
+                  ></div>
+                </div>
+                {status.isOverBudget && (
+                  <p className="text-xs text-red-600 mt-1">Over budget by {formatCurrency(Math.abs(status.remaining), baseCurrency)}</p>
+                )}
+                {status.carryOver > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">Includes {formatCurrency(status.carryOver, baseCurrency)} rolled over from last month</p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
     </section>
   );
 };
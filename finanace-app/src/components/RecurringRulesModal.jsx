@@ -0,0 +1,360 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { PAYMENT_METHODS } from '../utils/paymentMethods'; // Selectable payment methods
+import { RECURRENCE_FREQUENCIES, describeRecurrence } from '../utils/recurrence'; // Schedule helpers
+import { getTodayKey } from '../utils/calendarDate'; // Today's local date as 'YYYY-MM-DD'
+import { CURRENCIES, formatCurrency, getTransactionCurrency } from '../utils/currency'; // Currency helpers
+
+/**
+ * RecurringRulesModal Component
+ *
+ * This component renders a modal for managing recurring transaction rules (e.g., salary, rent,
+ * subscriptions). It lists the user's rules and lets them add, edit, pause/resume, and delete them.
+ * The transactions themselves are generated by the TransactionContext when rules fall due.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ * @param {function} props.showMessage - Function to display messages (e.g., success or error notifications) to the user.
+ * @param {function} props.showConfirm - Function to display a confirmation modal (e.g., before deleting a rule).
+ */
+const RecurringRulesModal = ({ isOpen, onClose, showMessage, showConfirm }) => {
+  // Destructure necessary state and functions from the TransactionContext.
+  const {
+    recurringRules,
+    baseCurrency,
+    userIncomeCategories,
+    userExpenseCategories,
+    addRecurringRule,
+    updateRecurringRule,
+    deleteRecurringRule
+  } = useTransactions();
+
+  // --- Local State Management ---
+  // showForm: Whether the add/edit form is shown instead of the rules list.
+  const [showForm, setShowForm] = useState(false);
+  // editingRuleId: The ID of the rule being edited, or null when adding a new rule.
+  const [editingRuleId, setEditingRuleId] = useState(null);
+  // Form fields for the rule's schedule.
+  const [name, setName] = useState('');
+  const [frequency, setFrequency] = useState('monthly');
+  const [ruleInterval, setRuleInterval] = useState('1');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [dayOfMonth, setDayOfMonth] = useState('');
+  // Form fields for the template transaction.
+  const [type, setType] = useState('expense');
+  const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState(baseCurrency);
+  const [category, setCategory] = useState('');
+  const [payee, setPayee] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('');
+  const [note, setNote] = useState('');
+
+  /**
+   * resetForm Function
+   *
+   * Fills the form from an existing rule, or resets it to defaults for a new rule.
+   * @param {object|null} rule - The rule to edit, or null for a new rule.
+   */
+  const resetForm = (rule) => {
+    const template = rule?.template || {};
+    setEditingRuleId(rule?.id || null);
+    setName(rule?.name || '');
+    setFrequency(rule?.frequency || 'monthly');
+    setRuleInterval(String(rule?.interval || 1));
+    setStartDate(rule?.startDate || getTodayKey());
+    setEndDate(rule?.endDate || '');
+    setDayOfMonth(rule?.dayOfMonth ? String(rule.dayOfMonth) : '');
+    setType(template.type || 'expense');
+    setAmount(template.amount ? String(template.amount) : '');
+    setCurrency(template.type ? getTransactionCurrency(template) : baseCurrency);
+    setCategory(template.category || '');
+    setPayee(template.payee || '');
+    setPaymentMethod(template.paymentMethod || '');
+    setNote(template.note || '');
+  };
+
+  /**
+   * useEffect Hook
+   *
+   * Returns to the rules list whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setShowForm(false);
+    }
+  }, [isOpen]);
+
+  // Dynamically determine which set of categories to use based on the selected transaction type.
+  const categories = type === 'income' ? userIncomeCategories : userExpenseCategories;
+
+  /**
+   * openForm Function
+   *
+   * Shows the add/edit form, pre-filled from the given rule when editing.
+   * @param {object|null} rule - The rule to edit, or null to add a new rule.
+   */
+  const openForm = (rule = null) => {
+    resetForm(rule);
+    setShowForm(true);
+  };
+
+  /**
+   * handleTogglePaused Function
+   *
+   * Pauses an active rule or resumes a paused one.
+   * @param {object} rule - The rule to pause or resume.
+   */
+  const handleTogglePaused = async (rule) => {
+    const success = await updateRecurringRule(rule.id, { paused: !rule.paused });
+    if (!success) {
+      showMessage(`Error ${rule.paused ? 'resuming' : 'pausing'} '${rule.name}'.`, true);
+    }
+  };
+
+  /**
+   * handleDelete Function
+   *
+   * Asks for confirmation and then deletes a rule. Transactions it already created are kept.
+   * @param {object} rule - The rule to delete.
+   */
+  const handleDelete = (rule) => {
+    showConfirm(`Are you sure you want to delete the recurring rule '${rule.name}'? Transactions it already created will be kept.`, async () => {
+      const success = await deleteRecurringRule(rule.id);
+      if (success) {
+        showMessage(`Recurring rule '${rule.name}' deleted.`);
+      } else {
+        showMessage(`Error deleting recurring rule '${rule.name}'.`, true);
+      }
+    });
+  };
+
+  /**
+   * handleSubmit Function
+   *
+   * Validates the form and adds or updates the rule via the TransactionContext.
+   * @param {object} e - The event object from the form submission.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const parsedInterval = parseInt(ruleInterval, 10);
+    const parsedDayOfMonth = dayOfMonth ? parseInt(dayOfMonth, 10) : null;
+
+    if (!name.trim() || !amount || !category || !startDate || parseFloat(amount) <= 0 || !(parsedInterval >= 1)) {
+      showMessage("Please fill all required fields with valid values.", true);
+      return;
+    }
+    if (endDate && endDate < startDate) {
+      showMessage("The end date cannot be before the start date.", true);
+      return;
+    }
+    if (parsedDayOfMonth !== null && (parsedDayOfMonth < 1 || parsedDayOfMonth > 31)) {
+      showMessage("Day of month must be between 1 and 31.", true);
+      return;
+    }
+
+    const rule = {
+      name: name.trim(),
+      frequency,
+      interval: parsedInterval,
+      startDate,
+      endDate: endDate || null,
+      // Day of month only applies to monthly rules; others follow the start date.
+      dayOfMonth: frequency === 'monthly' ? parsedDayOfMonth : null,
+      template: {
+        type,
+        amount: parseFloat(amount),
+        currency,
+        category,
+        payee: payee.trim() || null,
+        note: note.trim() || null,
+        paymentMethod: paymentMethod || null
+      }
+    };
+
+    const success = editingRuleId
+      ? await updateRecurringRule(editingRuleId, rule)
+      : await addRecurringRule(rule);
+
+    if (success) {
+      showMessage(`Recurring rule '${rule.name}' ${editingRuleId ? 'updated' : 'added'}!`);
+      setShowForm(false);
+    } else {
+      showMessage(`Error ${editingRuleId ? 'updating' : 'adding'} recurring rule.`, true);
+    }
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  const inputClassName = "w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+  const labelClassName = "block text-sm font-medium text-gray-700 mb-1";
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: scrollable so the full form fits on small screens. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto">
+        {/* Modal header: title and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">
+            {showForm ? (editingRuleId ? 'Edit Recurring Rule' : 'New Recurring Rule') : 'Recurring Transactions'}
+          </h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {showForm ? (
+          // Add/edit rule form.
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label htmlFor="ruleName" className={labelClassName}>Name</label>
+              <input type="text" id="ruleName" value={name} onChange={(e) => setName(e.target.value)} required className={inputClassName} placeholder="e.g., Monthly Rent" />
+            </div>
+            <div className="mb-4 grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="ruleType" className={labelClassName}>Type</label>
+                <select
+                  id="ruleType"
+                  value={type}
+                  onChange={(e) => {
+                    setType(e.target.value);
+                    setCategory(''); // Reset category when type changes for new options.
+                  }}
+                  className={inputClassName}
+                >
+                  <option value="income">Income</option>
+                  <option value="expense">Expense</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="ruleAmount" className={labelClassName}>Amount</label>
+                <input type="number" id="ruleAmount" value={amount} onChange={(e) => setAmount(e.target.value)} step="0.01" min="0.01" required className={inputClassName} />
+              </div>
+            </div>
+            <div className="mb-4">
+              <label htmlFor="ruleCurrency" className={labelClassName}>Currency</label>
+              <select id="ruleCurrency" value={currency} onChange={(e) => setCurrency(e.target.value)} className={inputClassName}>
+                {CURRENCIES.map(code => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </div>
+            <div className="mb-4">
+              <label htmlFor="ruleCategory" className={labelClassName}>Category</label>
+              <select id="ruleCategory" value={category} onChange={(e) => setCategory(e.target.value)} required className={inputClassName}>
+                <option value="">Select a category</option>
+                {categories.map(cat => (
+                  <option key={cat} value={cat}>{cat}</option>
+                ))}
+              </select>
+            </div>
+            <div className="mb-4 grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="ruleFrequency" className={labelClassName}>Repeats</label>
+                <select id="ruleFrequency" value={frequency} onChange={(e) => setFrequency(e.target.value)} className={inputClassName}>
+                  {RECURRENCE_FREQUENCIES.map(f => (
+                    <option key={f.value} value={f.value}>{f.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="ruleInterval" className={labelClassName}>Every</label>
+                <input type="number" id="ruleInterval" value={ruleInterval} onChange={(e) => setRuleInterval(e.target.value)} min="1" step="1" required className={inputClassName} />
+              </div>
+            </div>
+            {frequency === 'monthly' && (
+              <div className="mb-4">
+                <label htmlFor="ruleDayOfMonth" className={labelClassName}>Day of month <span className="text-gray-400">(optional)</span></label>
+                <input type="number" id="ruleDayOfMonth" value={dayOfMonth} onChange={(e) => setDayOfMonth(e.target.value)} min="1" max="31" className={inputClassName} placeholder="Same day as the start date" />
+              </div>
+            )}
+            <div className="mb-4 grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="ruleStartDate" className={labelClassName}>Start date</label>
+                <input type="date" id="ruleStartDate" value={startDate} onChange={(e) => setStartDate(e.target.value)} required className={inputClassName} />
+              </div>
+              <div>
+                <label htmlFor="ruleEndDate" className={labelClassName}>End date <span className="text-gray-400">(optional)</span></label>
+                <input type="date" id="ruleEndDate" value={endDate} onChange={(e) => setEndDate(e.target.value)} min={startDate} className={inputClassName} />
+              </div>
+            </div>
+            <div className="mb-4">
+              <label htmlFor="rulePayee" className={labelClassName}>Payee / Merchant <span className="text-gray-400">(optional)</span></label>
+              <input type="text" id="rulePayee" value={payee} onChange={(e) => setPayee(e.target.value)} className={inputClassName} />
+            </div>
+            <div className="mb-4">
+              <label htmlFor="rulePaymentMethod" className={labelClassName}>Payment Method <span className="text-gray-400">(optional)</span></label>
+              <select id="rulePaymentMethod" value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)} className={inputClassName}>
+                <option value="">Not specified</option>
+                {PAYMENT_METHODS.map(method => (
+                  <option key={method.value} value={method.value}>{method.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="mb-6">
+              <label htmlFor="ruleNote" className={labelClassName}>Note <span className="text-gray-400">(optional)</span></label>
+              <textarea id="ruleNote" value={note} onChange={(e) => setNote(e.target.value)} rows="2" className={inputClassName} />
+            </div>
+            {/* Form Action Buttons */}
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={() => setShowForm(false)} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg">Back</button>
+              <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg">{editingRuleId ? 'Save Changes' : 'Add Rule'}</button>
+            </div>
+          </form>
+        ) : (
+          // List of existing rules.
+          <div>
+            <div className="space-y-2 max-h-80 overflow-y-auto mb-4">
+              {recurringRules.length === 0 ? (
+                <p className="text-gray-500 text-center py-4">No recurring transactions yet.</p>
+              ) : (
+                recurringRules.map(rule => (
+                  <div
+                    key={rule.id}
+                    className={`p-3 rounded-lg shadow flex justify-between items-center ${rule.paused ? 'bg-gray-100 opacity-70' : 'bg-white border border-gray-200'}`}
+                  >
+                    <div>
+                      <p className="font-semibold">
+                        {rule.name}
+                        {rule.paused && <span className="ml-2 text-xs font-medium text-gray-500">(Paused)</span>}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {rule.template?.category} - {formatCurrency(Number(rule.template?.amount || 0), getTransactionCurrency(rule.template || {}))}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {describeRecurrence(rule)} from {rule.startDate}{rule.endDate ? ` until ${rule.endDate}` : ''}
+                      </p>
+                    </div>
+                    <div className="flex flex-col items-end space-y-1">
+                      <button type="button" onClick={() => openForm(rule)} className="text-xs text-blue-600 hover:text-blue-800 font-semibold">Edit</button>
+                      <button type="button" onClick={() => handleTogglePaused(rule)} className="text-xs text-gray-600 hover:text-gray-800 font-semibold">
+                        {rule.paused ? 'Resume' : 'Pause'}
+                      </button>
+                      <button type="button" onClick={() => handleDelete(rule)} className="text-xs text-red-500 hover:text-red-700 font-semibold">Delete</button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+            <button
+              type="button"
+              onClick={() => openForm()}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg"
+            >
+              Add Recurring Rule
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecurringRulesModal;
@@ -0,0 +1,320 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { EMPTY_SEARCH_FILTERS, searchTransactions, summarizeTransactions } from '../utils/transactionSearch'; // Search helpers
+import { formatCurrency, getTransactionCurrency } from '../utils/currency'; // Currency-aware amount formatting
+import { isTransfer } from '../utils/transfers'; // Identifies transfers between accounts
+import { addDays, formatDateKey, getTransactionDateKey } from '../utils/calendarDate'; // Displays transaction days
+import { mergeTransactionLists } from '../utils/transactionRanges'; // Combines loaded and fetched transactions
+
+// Only this many matches are listed at once; the subtotals always cover every match.
+const MAX_RESULTS_SHOWN = 100;
+
+/**
+ * SearchModal Component
+ *
+ * This component renders a search view over every loaded transaction, not just the selected day
+ * or month. History before the current month is loaded a page at a time with the "Load older
+ * transactions" button, until the search covers everything; a From date before the loaded history
+ * reads the rest of that range straight away. Transactions can be filtered by free text (category, payee, note),
+ * amount range, type, any number of categories, and a date range. Income, expense, and net
+ * subtotals for the matching transactions (in the base currency) update as the filters change,
+ * and are marked as incomplete while part of the searched range is not loaded.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ */
+const SearchModal = ({ isOpen, onClose }) => {
+  // Destructure necessary state from the TransactionContext.
+  const {
+    transactions,
+    userIncomeCategories,
+    userExpenseCategories,
+    baseCurrency,
+    toBaseAmount,
+    fetchTransactions,
+    loadOlderTransactions,
+    hasMoreHistory,
+    historyLoading,
+    historyLoadedFrom
+  } = useTransactions();
+
+  // filters: The current search filters (see EMPTY_SEARCH_FILTERS).
+  const [filters, setFilters] = useState(EMPTY_SEARCH_FILTERS);
+  // earlierTransactions: The transactions from the From date up to the loaded history, read once;
+  // null while they are being read, or false if they could not be read.
+  const [earlierTransactions, setEarlierTransactions] = useState([]);
+
+  // The From date reaches back before the loaded history, so the days in between must be read.
+  const needsEarlier = Boolean(filters.startDate && historyLoadedFrom && filters.startDate < historyLoadedFrom);
+  const earlierStart = needsEarlier ? filters.startDate : null;
+  const earlierEnd = needsEarlier
+    ? [addDays(historyLoadedFrom, -1), filters.endDate].filter(Boolean).sort()[0]
+    : null;
+
+  /**
+   * useEffect Hook
+   *
+   * Clears the filters whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setFilters(EMPTY_SEARCH_FILTERS);
+    }
+  }, [isOpen]);
+
+  /**
+   * useEffect Hook
+   *
+   * Reads the transactions between the From date and the loaded history whenever that range
+   * changes, so the matches and subtotals cover the whole searched period.
+   */
+  useEffect(() => {
+    if (!isOpen || !earlierStart) {
+      setEarlierTransactions([]);
+      return;
+    }
+
+    let cancelled = false;
+    setEarlierTransactions(null);
+    fetchTransactions(earlierStart, earlierEnd).then((fetched) => {
+      if (!cancelled) setEarlierTransactions(fetched || false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, earlierStart, earlierEnd, fetchTransactions]);
+
+  /**
+   * updateFilter Function
+   *
+   * Sets a single filter value.
+   * @param {string} name - The filter name (a key of EMPTY_SEARCH_FILTERS).
+   * @param {*} value - The new value.
+   */
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * handleTypeChange Function
+   *
+   * Sets the type filter and drops selected categories that do not belong to the new type.
+   * @param {string} type - 'income', 'expense', 'transfer', or '' for all.
+   */
+  const handleTypeChange = (type) => {
+    const allowed = type === 'income' ? userIncomeCategories : type === 'expense' ? userExpenseCategories : null;
+    setFilters(prev => ({
+      ...prev,
+      type,
+      categories: type === 'transfer' ? [] : allowed ? prev.categories.filter(c => allowed.includes(c)) : prev.categories
+    }));
+  };
+
+  /**
+   * toggleCategory Function
+   *
+   * Adds a category to, or removes it from, the category filter.
+   * @param {string} category - The category name.
+   */
+  const toggleCategory = (category) => {
+    setFilters(prev => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter(c => c !== category)
+        : [...prev.categories, category]
+    }));
+  };
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  // Categories offered in the filter follow the chosen type; transfers have none.
+  const categories = filters.type === 'income'
+    ? userIncomeCategories
+    : filters.type === 'expense'
+      ? userExpenseCategories
+      : filters.type === 'transfer'
+        ? []
+        : [...new Set([...userIncomeCategories, ...userExpenseCategories])].sort();
+
+  const matches = searchTransactions(mergeTransactionLists([transactions, earlierTransactions || []]), filters);
+  const summary = summarizeTransactions(matches, toBaseAmount);
+
+  // The subtotals are final only once every day the filters reach is loaded or has been read.
+  const searchedFrom = needsEarlier && Array.isArray(earlierTransactions) ? filters.startDate : historyLoadedFrom;
+  const isComplete = !searchedFrom || Boolean(filters.startDate && filters.startDate >= searchedFrom);
+
+  const inputClassName = "w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+  const labelClassName = "block text-sm font-medium text-gray-700 mb-1";
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-full overflow-y-auto">
+        {/* Modal header: title and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Search Transactions</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Filters. */}
+        <div className="mb-3">
+          <input
+            type="search"
+            value={filters.text}
+            onChange={(e) => updateFilter('text', e.target.value)}
+            className={inputClassName}
+            placeholder="Search category, payee, or note"
+            aria-label="Search text"
+          />
+        </div>
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-3">
+          <div>
+            <label htmlFor="searchType" className={labelClassName}>Type</label>
+            <select id="searchType" value={filters.type} onChange={(e) => handleTypeChange(e.target.value)} className={inputClassName}>
+              <option value="">All</option>
+              <option value="income">Income</option>
+              <option value="expense">Expense</option>
+              <option value="transfer">Transfer</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="searchMinAmount" className={labelClassName}>Min amount</label>
+            <input type="number" id="searchMinAmount" value={filters.minAmount} onChange={(e) => updateFilter('minAmount', e.target.value)} step="0.01" min="0" className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="searchMaxAmount" className={labelClassName}>Max amount</label>
+            <input type="number" id="searchMaxAmount" value={filters.maxAmount} onChange={(e) => updateFilter('maxAmount', e.target.value)} step="0.01" min="0" className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="searchStartDate" className={labelClassName}>From</label>
+            <input type="date" id="searchStartDate" value={filters.startDate} onChange={(e) => updateFilter('startDate', e.target.value)} className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="searchEndDate" className={labelClassName}>To</label>
+            <input type="date" id="searchEndDate" value={filters.endDate} onChange={(e) => updateFilter('endDate', e.target.value)} className={inputClassName} />
+          </div>
+        </div>
+        {categories.length > 0 && (
+          <div className="mb-3">
+            <div className="flex justify-between items-center mb-1">
+              <span className="text-sm font-medium text-gray-700">Categories</span>
+              {filters.categories.length > 0 && (
+                <button type="button" onClick={() => updateFilter('categories', [])} className="text-xs text-blue-600 hover:text-blue-800 font-semibold">
+                  Clear ({filters.categories.length})
+                </button>
+              )}
+            </div>
+            {/* Category chips: any number can be selected; none selected means all categories. */}
+            <div className="flex flex-wrap gap-2">
+              {categories.map(cat => (
+                <button
+                  key={cat}
+                  type="button"
+                  onClick={() => toggleCategory(cat)}
+                  aria-pressed={filters.categories.includes(cat)}
+                  className={`px-2 py-1 text-xs rounded-full border ${
+                    filters.categories.includes(cat)
+                      ? 'bg-blue-500 border-blue-500 text-white'
+                      : 'bg-white border-gray-300 text-gray-700 hover:border-blue-400'
+                  }`}
+                >
+                  {cat}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Live subtotals for every matching transaction, in the base currency (faded while incomplete). */}
+        <div className={`grid grid-cols-4 gap-2 mb-2 text-center ${isComplete ? '' : 'opacity-60'}`}>
+          <div className="bg-gray-50 p-2 rounded-lg">
+            <p className="text-xs text-gray-600">Matches</p>
+            <p className="font-bold text-gray-800">{summary.count}</p>
+          </div>
+          <div className="bg-green-50 p-2 rounded-lg">
+            <p className="text-xs text-green-700">Income</p>
+            <p className="font-bold text-green-600">{formatCurrency(summary.income, baseCurrency)}</p>
+          </div>
+          <div className="bg-red-50 p-2 rounded-lg">
+            <p className="text-xs text-red-700">Expenses</p>
+            <p className="font-bold text-red-600">{formatCurrency(summary.expenses, baseCurrency)}</p>
+          </div>
+          <div className="bg-blue-50 p-2 rounded-lg">
+            <p className="text-xs text-blue-700">Net</p>
+            <p className={`font-bold ${summary.net >= 0 ? 'text-blue-600' : 'text-red-600'}`}>{formatCurrency(summary.net, baseCurrency)}</p>
+          </div>
+        </div>
+        {!isComplete && (
+          <p role="status" className="text-xs text-yellow-700 text-center mb-2">
+            {earlierTransactions === null
+              ? `Reading transactions from ${formatDateKey(filters.startDate)}...`
+              : `Totals incomplete: only transactions from ${formatDateKey(searchedFrom)} on are included. Load older transactions or set a From date to include earlier ones.`}
+          </p>
+        )}
+        {summary.unconvertedCount > 0 && (
+          <p className="text-xs text-yellow-700 text-center mb-2">
+            {summary.unconvertedCount} match{summary.unconvertedCount === 1 ? ' is' : 'es are'} not included in the totals because no exchange rate to {baseCurrency} is set.
+          </p>
+        )}
+
+        {/* Matching transactions, newest first. */}
+        <div className="max-h-72 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+          {matches.length === 0 ? (
+            <p className="text-gray-500 text-sm text-center py-4">No transactions match these filters.</p>
+          ) : (
+            matches.slice(0, MAX_RESULTS_SHOWN).map(t => (
+              <div key={t.id} className="flex justify-between items-center px-3 py-2 text-sm">
+                <div>
+                  <span className="font-medium text-gray-800">{isTransfer(t) ? 'Transfer' : t.category}</span>
+                  {t.payee && <span className="text-gray-600"> · {t.payee}</span>}
+                  <span className="block text-xs text-gray-500">
+                    {formatDateKey(getTransactionDateKey(t))}
+                    {t.note && ` · ${t.note}`}
+                  </span>
+                </div>
+                <span className={`font-semibold ${t.type === 'income' ? 'text-green-600' : isTransfer(t) ? 'text-blue-600' : 'text-red-600'}`}>
+                  {t.type === 'expense' ? '-' : ''}{formatCurrency(t.amount, getTransactionCurrency(t))}
+                </span>
+              </div>
+            ))
+          )}
+        </div>
+        {matches.length > MAX_RESULTS_SHOWN && (
+          <p className="text-xs text-gray-500 text-center mt-2">
+            Showing the {MAX_RESULTS_SHOWN} most recent of {matches.length} matches. Narrow the filters to see the rest.
+          </p>
+        )}
+
+        {/* How far back the search reaches, and a button to read the next page of older history. */}
+        <div className="flex justify-between items-center mt-2 text-xs text-gray-500">
+          <span>
+            {searchedFrom
+              ? `Searching transactions from ${formatDateKey(searchedFrom)} on.`
+              : 'Searching all transactions.'}
+          </span>
+          {hasMoreHistory && (
+            <button
+              type="button"
+              onClick={() => loadOlderTransactions()}
+              disabled={historyLoading}
+              className="text-blue-600 hover:text-blue-800 font-semibold disabled:opacity-50"
+            >
+              {historyLoading ? 'Loading...' : 'Load older transactions'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchModal;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { SYNC_STATUSES } from '../utils/sync'; // Labels and colors for each sync status
+
+/**
+ * SyncStatusIndicator Component
+ *
+ * This component displays a small colored dot and label showing whether the app is online,
+ * syncing changes made on this device with the server, or offline (changes are kept on this
+ * device and sent when the connection returns).
+ *
+ * @param {object} props - The component's props.
+ * @param {'online'|'syncing'|'offline'} props.status - The current sync status, from the TransactionContext.
+ */
+const SyncStatusIndicator = ({ status }) => {
+  const { label, dotClassName, textClassName } = SYNC_STATUSES[status];
+
+  // --- Component JSX Structure ---
+  return (
+    // role="status" lets screen readers announce changes to the connection state.
+    <div role="status" className={`flex items-center justify-end text-xs font-medium ${textClassName}`}>
+      <span className={`inline-block w-2 h-2 mr-1 rounded-full ${dotClassName}`}></span>
+      {label}
+    </div>
+  );
+};
+
+export default SyncStatusIndicator;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { MAX_TAGS, addTag, getTagSuggestions } from '../utils/tags'; // Tag tidying and autocomplete
+
+/**
+ * TagInput Component
+ *
+ * This component edits a list of free-form tags. The chosen tags are shown as chips that can be
+ * removed; typing offers the previously used tags that match, and Enter or a comma adds what
+ * has been typed. Backspace in the empty field removes the last tag.
+ *
+ * @param {object} props - The component's props.
+ * @param {string} props.id - The ID of the text field, for its label.
+ * @param {string[]} props.value - The chosen tags.
+ * @param {function} props.onChange - Called with the new list of tags.
+ * @param {string[]} props.knownTags - Every tag used before, offered as suggestions.
+ */
+const TagInput = ({ id, value, onChange, knownTags }) => {
+  // text: The tag being typed.
+  const [text, setText] = useState('');
+
+  const suggestions = getTagSuggestions(text, knownTags, value);
+
+  /**
+   * commitTag Function
+   *
+   * Adds a tag (typed or suggested) and clears the field.
+   * @param {string} tag - The tag to add.
+   */
+  const commitTag = (tag) => {
+    onChange(addTag(value, tag, knownTags));
+    setText('');
+  };
+
+  /**
+   * handleKeyDown Function
+   *
+   * Adds the typed tag on Enter or a comma, and removes the last tag on Backspace in an empty field.
+   * @param {object} e - The keyboard event.
+   */
+  const handleKeyDown = (e) => {
+    if ((e.key === 'Enter' || e.key === ',') && text.trim()) {
+      e.preventDefault(); // Enter would otherwise submit the form
+      commitTag(text);
+    } else if (e.key === ',') {
+      e.preventDefault();
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  // --- Component JSX Structure ---
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 p-2 border border-gray-300 rounded-lg focus-within:ring-1 focus-within:ring-blue-500">
+        {value.map(tag => (
+          <span key={tag} className="inline-flex items-center px-2 py-0.5 text-sm bg-blue-100 text-blue-800 rounded-full">
+            {tag}
+            <button
+              type="button"
+              onClick={() => onChange(value.filter(other => other !== tag))}
+              className="ml-1 text-blue-600 hover:text-blue-900"
+              aria-label={`Remove tag ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {value.length < MAX_TAGS && (
+          <input
+            type="text"
+            id={id}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => text.trim() && commitTag(text)} // A typed tag is kept even without pressing Enter
+            className="flex-grow min-w-[8rem] p-0.5 outline-none"
+            placeholder={value.length === 0 ? 'e.g., Trip to Doha 2026' : ''}
+            autoComplete="off"
+          />
+        )}
+      </div>
+      {/* Previously used tags matching the text. They are picked on mouse down, before the field loses focus. */}
+      {suggestions.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-1" aria-label="Tag suggestions">
+          {suggestions.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => commitTag(tag)}
+              className="px-2 py-0.5 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-full"
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { summarizeTransactions } from '../utils/transactionSearch'; // Income/expense totals of a list of transactions
+import { formatCurrency } from '../utils/currency'; // Currency-aware amount formatting
+
+/**
+ * TagReportModal Component
+ *
+ * This component renders a modal with the totals of every tag the user has used. Unlike the rest
+ * of the overview, the totals are not limited to a month: each tag's transactions are loaded from
+ * the whole history when the modal opens, so a trip or project that spans several months adds up
+ * in one row. Amounts are in the base currency.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ */
+const TagReportModal = ({ isOpen, onClose }) => {
+  // Destructure necessary state and functions from the TransactionContext.
+  const { knownTags, fetchTaggedTransactions, baseCurrency, toBaseAmount } = useTransactions();
+
+  // taggedTransactions: Each tag's transactions, keyed by tag; null until they have loaded.
+  const [taggedTransactions, setTaggedTransactions] = useState(null);
+  // loadFailed: Whether any tag's transactions could not be loaded.
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  /**
+   * useEffect Hook
+   *
+   * Loads the transactions of every known tag whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    setTaggedTransactions(null);
+    setLoadFailed(false);
+
+    Promise.all(knownTags.map(tag => fetchTaggedTransactions(tag))).then(lists => {
+      if (cancelled) return;
+      setLoadFailed(lists.some(list => list === null));
+      setTaggedTransactions(Object.fromEntries(knownTags.map((tag, index) => [tag, lists[index] || []])));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, knownTags, fetchTaggedTransactions]);
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  // Each tag's totals, the tags with the most transactions first.
+  const rows = taggedTransactions
+    ? knownTags
+      .map(tag => ({ tag, ...summarizeTransactions(taggedTransactions[tag], toBaseAmount) }))
+      .filter(row => row.count > 0)
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    : [];
+  const unconvertedCount = rows.reduce((sum, row) => sum + row.unconvertedCount, 0);
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-full overflow-y-auto">
+        {/* Modal header: title and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Totals by Tag</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">All-time totals of every tag, across all months.</p>
+
+        {loadFailed && (
+          <p className="text-sm text-red-600 mb-2">Some tags could not be loaded. Please try again.</p>
+        )}
+
+        {knownTags.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">No tags yet. Add tags to transactions to see their totals here.</p>
+        ) : !taggedTransactions ? (
+          <p className="text-center text-gray-500 py-4">Loading tags...</p>
+        ) : rows.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">No transactions carry these tags any more.</p>
+        ) : (
+          // Table of each tag's totals.
+          <div className="max-h-96 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-white">
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-1 font-medium">Tag</th>
+                  <th className="py-1 font-medium text-right">Transactions</th>
+                  <th className="py-1 font-medium text-right">Income</th>
+                  <th className="py-1 font-medium text-right">Expenses</th>
+                  <th className="py-1 font-medium text-right">Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.tag} className="border-b border-gray-100">
+                    <td className="py-1 text-gray-700">{row.tag}</td>
+                    <td className="py-1 text-right text-gray-600">{row.count}</td>
+                    <td className="py-1 text-right text-green-600">{formatCurrency(row.income, baseCurrency)}</td>
+                    <td className="py-1 text-right text-red-600">{formatCurrency(row.expenses, baseCurrency)}</td>
+                    <td className={`py-1 text-right font-semibold ${row.net >= 0 ? 'text-blue-600' : 'text-red-600'}`}>{formatCurrency(row.net, baseCurrency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Transactions in another currency without an exchange rate are counted but not totalled. */}
+        {unconvertedCount > 0 && (
+          <p className="text-xs text-gray-500 mt-2">
+            {unconvertedCount} transaction{unconvertedCount === 1 ? ' is' : 's are'} not included in the totals because no exchange rate to {baseCurrency} is set.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TagReportModal;
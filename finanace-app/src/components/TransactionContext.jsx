@@ -1,17 +1,57 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { db, appId } from '../firebase'; // Import Firestore instance (db) and app ID from firebase configuration
 import {
   collection,
   query,
   onSnapshot,
+  orderBy,
+  startAfter,
   addDoc,
+  setDoc,
+  updateDoc,
   deleteDoc,
   doc,
+  getDoc,
+  writeBatch,
+  documentId,
   Timestamp,
   where, // Added for querying categories by type
-  getDocs // Added for checking category existence
+  getDocs, // Added for checking category existence
+  limit,
+  getAggregateFromServer,
+  sum,
+  count
 } from 'firebase/firestore'; // Firebase Firestore methods
 import { useAuth } from '../hooks/useAuth'; // Custom hook to get the current authenticated user
+import { getDueOccurrences } from '../utils/recurrence'; // Schedule helpers for recurring rules
+import { DEFAULT_CURRENCY, convertAmount, getTransactionCurrency } from '../utils/currency'; // Currency conversion helpers
+import {
+  addDays,
+  fromDateKey,
+  getDateKeyParts,
+  getMonthStartKey,
+  getTodayKey,
+  getTransactionDateKey,
+  makeDateKey,
+  toDateKey,
+  toStoredDate
+} from '../utils/calendarDate'; // Timezone-independent calendar days
+import { DEFAULT_ACCOUNT_ID, DEFAULT_ACCOUNT_NAME, getAccountBalance, getAccountCurrency } from '../utils/accounts'; // Default account and balances
+import { buildTransferLegs } from '../utils/transfers'; // Builds the linked pair of transfer documents
+import { EMPTY_HIDDEN_CATEGORIES, getVisibleCategories, isDefaultCategory } from '../utils/categories'; // Built-in and hidden categories
+import { isValidCategoryStyle, resolveCategoryStyle } from '../utils/categoryStyles'; // Category colors and icons
+import { addBudgetAmount, getRolloverAmount, getRolloverMonthKeys } from '../utils/budgets'; // Budget amount history and carry-over
+import { findTag } from '../utils/tags'; // Free-form transaction tags
+import { DEFAULT_WEEK_START, getViewRange, shiftCustomRange, shiftViewDate, formatViewLabel } from '../utils/viewRange'; // Day/week/month/year/custom periods
+import {
+  HISTORY_PAGE_SIZE,
+  MAX_CACHED_MONTHS,
+  getMonthKey,
+  getMonthBounds,
+  getMonthKeysInRange,
+  mergeTransactionLists
+} from '../utils/transactionRanges'; // Month-by-month loading of transactions
+import { SYNC_WAIT_MS, WRITE_SYNCED, WRITE_PENDING, getSyncStatus } from '../utils/sync'; // Offline write tracking
 
 /**
  * TransactionContext
@@ -21,6 +61,142 @@ import { useAuth } from '../hooks/useAuth'; // Custom hook to get the current au
  */
 const TransactionContext = createContext();
 
+// Firestore allows at most 500 writes in a single batch.
+const MAX_BATCH_SIZE = 500;
+
+// Firestore allows at most 30 values in a single 'in' query.
+const MAX_IN_QUERY_VALUES = 30;
+
+// Every transaction document is guaranteed to have the fields of this version (see normalizeTransactionFields).
+// Version 1 added `accountId` and `currency`; version 2 added `dateKey`.
+const TRANSACTION_FIELDS_VERSION = 2;
+
+/**
+ * getDateFields Function
+ *
+ * Returns the fields a transaction stores its day in: the `dateKey` itself, and the `date`
+ * Timestamp queries and sorting use (see calendarDate.js).
+ * @param {string} dateKey - The transaction's day ('YYYY-MM-DD').
+ * @returns {{date: Timestamp, dateKey: string}} The date fields.
+ */
+const getDateFields = (dateKey) => ({ date: Timestamp.fromDate(toStoredDate(dateKey)), dateKey });
+
+/**
+ * normalizeTransactionFields Function
+ *
+ * Transactions saved before accounts and currencies existed have no `accountId` or `currency`
+ * field, and Firestore queries cannot match a missing field. This fills both in (the default
+ * account and the default currency, which is what they already meant) so account balances can be
+ * summed by Firestore. Transactions saved before `dateKey` existed get it from their stored date.
+ * It reads the whole collection once per user; afterwards a version number in the preferences
+ * document marks the work as done.
+ *
+ * @param {string} uid - The current user's ID.
+ * @returns {Promise<number>} The number of transactions that were updated.
+ */
+const normalizeTransactionFields = async (uid) => {
+  const preferencesRef = doc(db, `artifacts/${appId}/users/${uid}/settings`, 'preferences');
+  const preferences = await getDoc(preferencesRef);
+  if (preferences.exists() && preferences.data().transactionFieldsVersion >= TRANSACTION_FIELDS_VERSION) return 0;
+
+  const querySnapshot = await getDocs(collection(db, `artifacts/${appId}/users/${uid}/transactions`));
+  const outdated = querySnapshot.docs.filter(transactionDoc => {
+    const data = transactionDoc.data();
+    return !data.accountId || !data.currency || !data.dateKey;
+  });
+  for (let start = 0; start < outdated.length; start += MAX_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    outdated.slice(start, start + MAX_BATCH_SIZE).forEach((transactionDoc) => {
+      batch.update(transactionDoc.ref, {
+        accountId: transactionDoc.data().accountId || DEFAULT_ACCOUNT_ID,
+        currency: getTransactionCurrency(transactionDoc.data()),
+        dateKey: getTransactionDateKey(transactionDoc.data())
+      });
+    });
+    await batch.commit();
+  }
+
+  await setDoc(preferencesRef, { transactionFieldsVersion: TRANSACTION_FIELDS_VERSION }, { merge: true });
+  return outdated.length;
+};
+
+/**
+ * findExistingDocumentIds Function
+ *
+ * Checks which of the given document IDs already exist in a collection, reading them in 'in'
+ * queries of up to MAX_IN_QUERY_VALUES IDs at a time.
+ * @param {object} collectionRef - The collection to look in.
+ * @param {string[]} ids - The document IDs to check.
+ * @returns {Promise<Set<string>>} The IDs that exist.
+ */
+const findExistingDocumentIds = async (collectionRef, ids) => {
+  const chunks = [];
+  for (let start = 0; start < ids.length; start += MAX_IN_QUERY_VALUES) {
+    chunks.push(ids.slice(start, start + MAX_IN_QUERY_VALUES));
+  }
+  const snapshots = await Promise.all(chunks.map(chunk => getDocs(query(collectionRef, where(documentId(), "in", chunk)))));
+  return new Set(snapshots.flatMap(querySnapshot => querySnapshot.docs.map(existingDoc => existingDoc.id)));
+};
+
+/**
+ * generateRecurringTransactions Function
+ *
+ * Creates the transactions that are due for the given recurring rules, up to today.
+ * Each generated transaction uses a deterministic document ID (`{ruleId}_{YYYY-MM-DD}`). The IDs
+ * that are due are checked in bulk and only the missing ones are written, in batches, so running
+ * this twice never creates the same occurrence twice (and a second tab doing the same at the same
+ * time writes the same documents rather than new ones). A rule that has not run for a long time is
+ * caught up completely, MAX_OCCURRENCES dates at a time (see getDueOccurrences). Afterwards the
+ * rule's `lastGeneratedDate` is advanced once, so occurrences the user has since deleted are not
+ * re-created.
+ *
+ * @param {string} uid - The current user's ID.
+ * @param {object[]} rules - The recurring rules (with their document `id`) to process.
+ * @returns {Promise<number>} The number of transactions that were created.
+ */
+const generateRecurringTransactions = async (uid, rules) => {
+  const today = getTodayKey();
+  const transactionsCol = collection(db, `artifacts/${appId}/users/${uid}/transactions`);
+  let createdCount = 0;
+
+  for (const rule of rules) {
+    if (rule.paused) continue; // Paused rules generate nothing until resumed
+
+    let lastGeneratedDate = rule.lastGeneratedDate || null;
+    let dueDates = getDueOccurrences(rule, today);
+    if (dueDates.length === 0) continue;
+
+    while (dueDates.length > 0) {
+      const existingIds = await findExistingDocumentIds(transactionsCol, dueDates.map(occurrence => `${rule.id}_${occurrence}`));
+      const missingDates = dueDates.filter(occurrence => !existingIds.has(`${rule.id}_${occurrence}`));
+
+      for (let start = 0; start < missingDates.length; start += MAX_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        const chunk = missingDates.slice(start, start + MAX_BATCH_SIZE);
+        chunk.forEach((occurrence) => {
+          batch.set(doc(transactionsCol, `${rule.id}_${occurrence}`), {
+            ...rule.template,
+            accountId: rule.template.accountId || DEFAULT_ACCOUNT_ID, // Rules saved before accounts existed
+            currency: getTransactionCurrency(rule.template), // Rules saved before currencies existed
+            ...getDateFields(occurrence),
+            recurringRuleId: rule.id,
+            createdAt: Timestamp.now()
+          });
+        });
+        await batch.commit();
+        createdCount += chunk.length;
+      }
+
+      lastGeneratedDate = dueDates[dueDates.length - 1];
+      dueDates = getDueOccurrences({ ...rule, lastGeneratedDate }, today);
+    }
+
+    await updateDoc(doc(db, `artifacts/${appId}/users/${uid}/recurringRules`, rule.id), { lastGeneratedDate });
+  }
+
+  return createdCount;
+};
+
 /**
  * useTransactions Hook
  *
@@ -41,91 +217,171 @@ export function useTransactions() {
  * TransactionProvider Component
  *
  * This component acts as a provider for the TransactionContext. It manages:
- * - The list of financial transactions.
- * - The currently displayed month, year, and day for filtering transactions.
+ * - The list of loaded financial transactions. Only the months the UI needs (the viewed period,
+ *   the current month, months needed for budget rollover, and ranges components ask for) are
+ *   queried, each by its own live listener; months that were viewed before stay cached. Older
+ *   history is read a page at a time on request.
+ * - The currently displayed month, year, and day for filtering transactions, and the view mode
+ *   (day, week, month, year, or a custom range) that decides which period around them is shown.
  * - The loading state for transaction operations.
  * - User-defined categories for income and expenses (fetched from Firestore).
- * - Functions to add, delete, and fetch transactions from Firestore.
+ * - Recurring rules (rent, salary, subscriptions) and the transactions they generate.
+ * - Monthly per-category budgets for expense categories.
+ * - The user's base currency and their table of dated exchange rates, used to convert
+ *   transactions in other currencies for totals.
+ * - The user's accounts (cash, bank, credit card, ...) that transactions are recorded against,
+ *   and each account's all-time balance, summed by Firestore.
+ * - Functions to add, update, delete, and fetch transactions from Firestore.
  * - Functions to add and delete user-defined categories in Firestore.
- * - Functions to change the current month/year view and the current day view.
+ * - Functions to change the current month/year view and the current day view, and to move the
+ *   selected view forwards or backwards by whole periods.
  *
  * @param {object} props - The component's props.
  * @param {React.ReactNode} props.children - The child components that will consume the TransactionContext.
  */
 export function TransactionProvider({ children }) {
-  // transactions: State to store the array of financial transactions.
-  const [transactions, setTransactions] = useState([]);
+  // monthTransactions: The transactions of each loaded month, keyed by 'YYYY-MM'. A month only
+  // has an entry once its listener has delivered its first snapshot.
+  const [monthTransactions, setMonthTransactions] = useState({});
+  // requiredRanges: Extra periods that components (e.g., the trend view) need loaded, keyed by component.
+  const [requiredRanges, setRequiredRanges] = useState({});
+  // olderTransactions: Transactions from before the current month, read a page at a time, newest first.
+  const [olderTransactions, setOlderTransactions] = useState([]);
+  // hasMoreHistory: Whether there may be older transactions left to read.
+  const [hasMoreHistory, setHasMoreHistory] = useState(true);
+  // historyLoading: True while a page of older transactions is being read.
+  const [historyLoading, setHistoryLoading] = useState(false);
+  // monthMetadata: Snapshot metadata of each loaded month ({ hasPendingWrites, fromCache }), keyed like monthTransactions.
+  const [monthMetadata, setMonthMetadata] = useState({});
+  // isOnline: Whether the browser reports a network connection.
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // unsyncedWriteCount: Transaction writes saved on this device that the server has not confirmed yet.
+  const [unsyncedWriteCount, setUnsyncedWriteCount] = useState(0);
+  // monthListenersRef: The active month listeners (month key -> unsubscribe function), least recently used first.
+  const monthListenersRef = useRef(new Map());
+  // historyCursorRef: The last document read by loadOlderTransactions; the next page starts after it.
+  const historyCursorRef = useRef(null);
   // currentMonth: State to store the index of the currently displayed month (0-11).
-  const [currentMonth, setCurrentMonth] = useState(new Date().getMonth());
+  const [currentMonth, setCurrentMonth] = useState(() => getDateKeyParts(getTodayKey()).month);
   // currentYear: State to store the currently displayed year.
-  const [currentYear, setCurrentYear] = useState(new Date().getFullYear());
+  const [currentYear, setCurrentYear] = useState(() => getDateKeyParts(getTodayKey()).year);
   // currentDay: State to store the currently displayed day of the month (1-31).
-  const [currentDay, setCurrentDay] = useState(new Date().getDate());
+  const [currentDay, setCurrentDay] = useState(() => getDateKeyParts(getTodayKey()).day);
+  // viewMode: Which period the overview and transaction list show ('day', 'week', 'month', 'year', or 'custom').
+  const [viewMode, setViewMode] = useState('month');
+  // customRange: The dates ('YYYY-MM-DD') shown in the 'custom' view mode.
+  const [customRange, setCustomRange] = useState({ startDate: '', endDate: '' });
+  // weekStartsOn: The first day of the week (0 = Sunday), stored in the user's preferences document.
+  const [weekStartsOn, setWeekStartsOnState] = useState(DEFAULT_WEEK_START);
   // loading: State to indicate if transaction data or category data is being fetched or modified.
   const [loading, setLoading] = useState(false);
   // currentUser: Get the authenticated user from the AuthContext.
   const { currentUser } = useAuth();
 
-  // NEW: State for user-defined categories, fetched from Firestore
-  const [userIncomeCategories, setUserIncomeCategories] = useState([]);
-  const [userExpenseCategories, setUserExpenseCategories] = useState([]);
+  // savedCategories: The names of the user's own categories of each type, fetched from Firestore.
+  const [savedCategories, setSavedCategories] = useState({ income: [], expense: [] });
+  // categoryParents: The parent of each subcategory, keyed by type and then by subcategory name.
+  const [categoryParents, setCategoryParents] = useState({ income: {}, expense: {} });
+  // hiddenCategories: The built-in categories of each type the user has hidden, stored in the preferences document.
+  const [hiddenCategories, setHiddenCategories] = useState(EMPTY_HIDDEN_CATEGORIES);
+  // customCategoryStyles: The color and icon of the user's own categories, by type and name.
+  const [customCategoryStyles, setCustomCategoryStyles] = useState({ income: {}, expense: {} });
+  // builtInCategoryStyles: The colors and icons chosen for built-in categories, stored in the preferences document.
+  const [builtInCategoryStyles, setBuiltInCategoryStyles] = useState({ income: {}, expense: {} });
+  // knownTags: Every tag used on a transaction so far, stored in the preferences document for autocomplete.
+  const [knownTags, setKnownTags] = useState([]);
 
-  // Default categories - these are now just initial values, not the main source.
-  // We'll add these if the user has no categories, or keep them if they're already present.
-  const defaultIncomeCategories = ["Salary", "Business", "Freelance", "Gifts", "Adjusted"];
-  const defaultExpenseCategories = ["Food", "Transport", "Rent", "Utilities", "Entertainment", "Health", "Shopping", "Education", "Adjusted"];
+  // recurringRules: State for the user's recurring transaction rules, fetched from Firestore.
+  const [recurringRules, setRecurringRules] = useState([]);
+
+  // budgets: State for the user's monthly per-category budgets, fetched from Firestore.
+  const [budgets, setBudgets] = useState([]);
+  // budgetCarryOvers: The amount each rollover budget carries into the viewed budget month, keyed by budget ID.
+  const [budgetCarryOvers, setBudgetCarryOvers] = useState({});
+
+  // baseCurrency: The currency totals are shown in, stored in the user's preferences document.
+  const [baseCurrency, setBaseCurrencyState] = useState(DEFAULT_CURRENCY);
+  // exchangeRates: The user-maintained table of dated exchange rates.
+  const [exchangeRates, setExchangeRates] = useState([]);
+
+  // accounts: The user's accounts/wallets, always including the default account.
+  const [accounts, setAccounts] = useState([]);
+  // accountBalances: Each account's all-time balance in its own currency, keyed by account ID.
+  const [accountBalances, setAccountBalances] = useState({});
+  // transactionFieldsReady: True once older transactions have been given the fields balances are summed by.
+  const [transactionFieldsReady, setTransactionFieldsReady] = useState(false);
+  // writeCount: Counts transaction writes, so balances are summed again even when the changed
+  // transaction is in a month that is not loaded.
+  const [writeCount, setWriteCount] = useState(0);
+
+  // userIncomeCategories / userExpenseCategories: The categories offered for each type (see getVisibleCategories).
+  const userIncomeCategories = useMemo(
+    () => getVisibleCategories('income', savedCategories.income, hiddenCategories.income),
+    [savedCategories, hiddenCategories]
+  );
+  const userExpenseCategories = useMemo(
+    () => getVisibleCategories('expense', savedCategories.expense, hiddenCategories.expense),
+    [savedCategories, hiddenCategories]
+  );
+
+  /**
+   * getCategoryStyle Function
+   *
+   * Looks up the color and icon a category is shown with (see resolveCategoryStyle).
+   * @param {string} name - The category name.
+   * @param {'income' | 'expense'} type - The category type.
+   * @returns {{color: string, icon: string}} The color and icon key.
+   */
+  const getCategoryStyle = useCallback((name, type) => resolveCategoryStyle(
+    name,
+    type,
+    { ...builtInCategoryStyles[type], ...customCategoryStyles[type] },
+    categoryParents[type]
+  ), [builtInCategoryStyles, customCategoryStyles, categoryParents]);
 
   /**
-   * useEffect Hook for Loading Transactions and Categories
+   * useEffect Hook for Loading Categories and Settings
    *
-   * This effect sets up real-time listeners (onSnapshot) to fetch both transactions
-   * and user-defined categories from Firestore for the current user.
+   * This effect sets up real-time listeners (onSnapshot) to fetch user-defined categories,
+   * recurring rules, budgets, preferences, exchange rates, and accounts from Firestore for the
+   * current user. Transactions are loaded month by month by the range listeners further down.
    * It runs whenever the `currentUser` changes.
    */
   useEffect(() => {
-    let unsubscribeTransactions = () => {};
     let unsubscribeCategories = () => {};
+    let unsubscribeRecurringRules = () => {};
+    let unsubscribeBudgets = () => {};
+    let unsubscribePreferences = () => {};
+    let unsubscribeExchangeRates = () => {};
+    let unsubscribeAccounts = () => {};
 
     // If no user is logged in, clear all data and stop loading.
     if (!currentUser) {
-      setTransactions([]);
-      setUserIncomeCategories([]);
-      setUserExpenseCategories([]);
+      setSavedCategories({ income: [], expense: [] });
+      setCategoryParents({ income: {}, expense: {} });
+      setHiddenCategories(EMPTY_HIDDEN_CATEGORIES);
+      setCustomCategoryStyles({ income: {}, expense: {} });
+      setBuiltInCategoryStyles({ income: {}, expense: {} });
+      setKnownTags([]);
+      setRecurringRules([]);
+      setBudgets([]);
+      setBaseCurrencyState(DEFAULT_CURRENCY);
+      setWeekStartsOnState(DEFAULT_WEEK_START);
+      setExchangeRates([]);
+      setAccounts([]);
       setLoading(false);
       return;
     }
 
     setLoading(true); // Set loading to true when starting to fetch data
 
-    // --- Setup Transactions Listener ---
-    try {
-      const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
-      const qTransactions = query(transactionsCol);
-
-      unsubscribeTransactions = onSnapshot(qTransactions, (querySnapshot) => {
-        const transactionsData = [];
-        querySnapshot.forEach((doc) => {
-          transactionsData.push({ id: doc.id, ...doc.data() });
-        });
-        transactionsData.sort((a, b) => b.date.toDate().getTime() - a.date.toDate().getTime());
-        setTransactions(transactionsData);
-        // Only set loading to false after both transactions AND categories are loaded
-        // This is handled better by a combined loading state if more complex.
-        // For simplicity, we'll let category loading handle final setLoading(false).
-      }, (error) => {
-        console.error("Error loading transactions:", error);
-        setLoading(false);
-      });
-    } catch (error) {
-      console.error("Error setting up transaction listener:", error);
-      setLoading(false);
-    }
-
     // --- Setup Categories Listener ---
     const categoriesCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/categories`);
     unsubscribeCategories = onSnapshot(categoriesCol, async (querySnapshot) => {
       const fetchedIncomeCategories = [];
       const fetchedExpenseCategories = [];
+      const fetchedParents = { income: {}, expense: {} };
+      const fetchedStyles = { income: {}, expense: {} };
       querySnapshot.forEach((doc) => {
         const catData = doc.data();
         if (catData.type === 'income') {
@@ -133,40 +389,201 @@ export function TransactionProvider({ children }) {
         } else if (catData.type === 'expense') {
           fetchedExpenseCategories.push(catData.name);
         }
+        if (catData.parent && fetchedParents[catData.type]) {
+          fetchedParents[catData.type][catData.name] = catData.parent;
+        }
+        if (catData.color && catData.icon && fetchedStyles[catData.type]) {
+          fetchedStyles[catData.type][catData.name] = { color: catData.color, icon: catData.icon };
+        }
       });
 
-      // Ensure default categories are present if user hasn't added any yet or they are missing
-      const finalIncomeCategories = [...new Set([...defaultIncomeCategories, ...fetchedIncomeCategories])].sort();
-      const finalExpenseCategories = [...new Set([...defaultExpenseCategories, ...fetchedExpenseCategories])].sort();
-
-      setUserIncomeCategories(finalIncomeCategories);
-      setUserExpenseCategories(finalExpenseCategories);
-      setLoading(false); // Set loading to false once categories are loaded (and implicitly transactions too, if that listener fired)
+      // The built-in categories are merged in when the lists are derived (see userIncomeCategories).
+      setSavedCategories({ income: fetchedIncomeCategories, expense: fetchedExpenseCategories });
+      setCategoryParents(fetchedParents);
+      setCustomCategoryStyles(fetchedStyles);
+      setLoading(false); // Set loading to false once categories are loaded
     }, (error) => {
       console.error("Error loading categories:", error);
       setLoading(false);
     });
 
+    // --- Setup Recurring Rules Listener ---
+    const recurringRulesCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/recurringRules`);
+    unsubscribeRecurringRules = onSnapshot(recurringRulesCol, (querySnapshot) => {
+      const rulesData = [];
+      querySnapshot.forEach((doc) => {
+        rulesData.push({ id: doc.id, ...doc.data() });
+      });
+      rulesData.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      setRecurringRules(rulesData);
+    }, (error) => {
+      console.error("Error loading recurring rules:", error);
+    });
+
+    // --- Setup Budgets Listener ---
+    // Budgets live next to the categories collection, one document per expense category.
+    const budgetsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/budgets`);
+    unsubscribeBudgets = onSnapshot(budgetsCol, (querySnapshot) => {
+      const budgetsData = [];
+      querySnapshot.forEach((doc) => {
+        budgetsData.push({ id: doc.id, ...doc.data() });
+      });
+      budgetsData.sort((a, b) => a.category.localeCompare(b.category));
+      setBudgets(budgetsData);
+    }, (error) => {
+      console.error("Error loading budgets:", error);
+    });
+
+    // --- Setup Preferences Listener ---
+    const preferencesRef = doc(db, `artifacts/${appId}/users/${currentUser.uid}/settings`, 'preferences');
+    unsubscribePreferences = onSnapshot(preferencesRef, (docSnapshot) => {
+      const preferences = docSnapshot.exists() ? docSnapshot.data() : {};
+      setBaseCurrencyState(preferences.baseCurrency || DEFAULT_CURRENCY);
+      setWeekStartsOnState(Number.isInteger(preferences.weekStartsOn) ? preferences.weekStartsOn : DEFAULT_WEEK_START);
+      setHiddenCategories({ ...EMPTY_HIDDEN_CATEGORIES, ...preferences.hiddenCategories });
+      setBuiltInCategoryStyles({ income: {}, expense: {}, ...preferences.categoryStyles });
+      setKnownTags(Array.isArray(preferences.tags) ? [...preferences.tags].sort((a, b) => a.localeCompare(b)) : []);
+    }, (error) => {
+      console.error("Error loading preferences:", error);
+    });
+
+    // --- Setup Exchange Rates Listener ---
+    const exchangeRatesCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/exchangeRates`);
+    unsubscribeExchangeRates = onSnapshot(exchangeRatesCol, (querySnapshot) => {
+      const ratesData = [];
+      querySnapshot.forEach((doc) => {
+        ratesData.push({ id: doc.id, ...doc.data() });
+      });
+      // Newest first, which is how the rate table is displayed.
+      ratesData.sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency));
+      setExchangeRates(ratesData);
+    }, (error) => {
+      console.error("Error loading exchange rates:", error);
+    });
+
+    // --- Setup Accounts Listener ---
+    const accountsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/accounts`);
+    unsubscribeAccounts = onSnapshot(accountsCol, (querySnapshot) => {
+      const accountsData = [];
+      querySnapshot.forEach((doc) => {
+        accountsData.push({ id: doc.id, ...doc.data() });
+      });
+      // The default account only gets a document once the user edits it, but it always exists.
+      if (!accountsData.some(a => a.id === DEFAULT_ACCOUNT_ID)) {
+        accountsData.push({ id: DEFAULT_ACCOUNT_ID, name: DEFAULT_ACCOUNT_NAME, type: 'bank', openingBalance: 0, currency: null });
+      }
+      // Default account first, the rest by name.
+      accountsData.sort((a, b) => (b.id === DEFAULT_ACCOUNT_ID) - (a.id === DEFAULT_ACCOUNT_ID) || a.name.localeCompare(b.name));
+      setAccounts(accountsData);
+    }, (error) => {
+      console.error("Error loading accounts:", error);
+    });
+
     // Return cleanup function to unsubscribe from listeners
     return () => {
-      unsubscribeTransactions();
       unsubscribeCategories();
+      unsubscribeRecurringRules();
+      unsubscribeBudgets();
+      unsubscribePreferences();
+      unsubscribeExchangeRates();
+      unsubscribeAccounts();
     };
   }, [currentUser, appId]); // Dependency array includes appId now
 
+  /**
+   * useEffect Hook for Generating Recurring Transactions
+   *
+   * When a user is loaded, this effect reads their recurring rules once and creates any
+   * transactions that have fallen due since the app was last opened. It runs in the
+   * background and does not toggle the global loading state.
+   */
+  useEffect(() => {
+    if (!currentUser) return;
+
+    const recurringRulesCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/recurringRules`);
+    getDocs(recurringRulesCol)
+      .then((querySnapshot) => {
+        const rules = querySnapshot.docs.map(ruleDoc => ({ id: ruleDoc.id, ...ruleDoc.data() }));
+        return generateRecurringTransactions(currentUser.uid, rules);
+      })
+      .then((createdCount) => {
+        if (createdCount > 0) setWriteCount(count => count + 1);
+      })
+      .catch((error) => {
+        console.error("Error generating recurring transactions:", error);
+      });
+  }, [currentUser]);
+
+  /**
+   * useEffect Hook for Tracking the Connection
+   *
+   * Follows the browser's online and offline events, for the sync status shown in the header.
+   */
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  /**
+   * useEffect Hook for Normalizing Older Transactions
+   *
+   * When a user is loaded, this effect makes sure every transaction has an `accountId` and a
+   * `currency` (see normalizeTransactionFields) before account balances are summed. After the
+   * first run for a user it only reads the preferences document.
+   */
+  useEffect(() => {
+    setTransactionFieldsReady(false);
+    if (!currentUser) return;
+
+    normalizeTransactionFields(currentUser.uid)
+      .then(() => setTransactionFieldsReady(true))
+      .catch((error) => {
+        console.error("Error normalizing transaction fields:", error);
+      });
+  }, [currentUser]);
+
+  /**
+   * canBeParentCategory Function
+   *
+   * Checks whether a category can have subcategories: it must be an existing top-level category
+   * of the type, since categories are only one level deep.
+   * @param {string} name - The proposed parent category.
+   * @param {'income' | 'expense'} type - The category type.
+   * @returns {boolean} True if the category can be a parent.
+   */
+  const canBeParentCategory = (name, type) => (
+    (isDefaultCategory(name, type) || savedCategories[type].includes(name)) && !categoryParents[type][name]
+  );
+
   /**
    * addCategory Function
    *
-   * Adds a new user-defined category to Firestore.
+   * Adds a new user-defined category to Firestore, optionally as a subcategory of another.
    * @param {string} name - The name of the new category.
    * @param {'income' | 'expense'} type - The type of category (income or expense).
+   * @param {string|null} [parent=null] - The top-level category of the same type to file it under.
+   * @param {{color: string, icon: string}|null} [style=null] - The color and icon to show it with.
    * @returns {Promise<boolean>} True if the category was added successfully, false otherwise.
    */
-  const addCategory = async (name, type) => {
+  const addCategory = async (name, type, parent = null, style = null) => {
     if (!currentUser || !name.trim() || !type) {
       console.warn("Cannot add category: Missing user, name, or type.");
       return false;
     }
+    if (parent && (parent === name.trim() || !canBeParentCategory(parent, type))) {
+      console.warn(`Category '${parent}' cannot have subcategories.`);
+      return false;
+    }
+    if (style && !isValidCategoryStyle(style)) {
+      console.warn("Cannot add category: Unknown color or icon.");
+      return false;
+    }
 
     // Check if category already exists to prevent duplicates
     const categoriesRef = collection(db, `artifacts/${appId}/users/${currentUser.uid}/categories`);
@@ -183,6 +600,8 @@ export function TransactionProvider({ children }) {
       await addDoc(categoriesRef, {
         name: name.trim(),
         type: type,
+        ...(parent && { parent }),
+        ...(style && { color: style.color, icon: style.icon }),
         createdAt: Timestamp.now()
       });
       return true;
@@ -197,7 +616,9 @@ export function TransactionProvider({ children }) {
   /**
    * deleteCategory Function
    *
-   * Deletes a user-defined category from Firestore.
+   * Deletes a user-defined category from Firestore. A category that transactions still use is
+   * not deleted, so no transaction is left with a category that no longer exists; it has to be
+   * merged into another category instead (see mergeCategories).
    * @param {string} name - The name of the category to delete.
    * @param {'income' | 'expense'} type - The type of category (income or expense).
    * @returns {Promise<boolean>} True if the category was deleted successfully, false otherwise.
@@ -220,9 +641,19 @@ export function TransactionProvider({ children }) {
         return false;
       }
 
+      const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+      const inUse = await getDocs(query(transactionsCol, where("type", "==", type), where("category", "==", name), limit(1)));
+      if (!inUse.empty) {
+        console.warn(`Category '${name}' is still used by transactions.`);
+        return false;
+      }
+
       // Assuming unique names per type, delete the first found document
       const docToDelete = querySnapshot.docs[0];
       await deleteDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/categories`, docToDelete.id));
+      // Its subcategories become top-level categories.
+      const children = await getDocs(query(categoriesRef, where("type", "==", type), where("parent", "==", name)));
+      await Promise.all(children.docs.map(childDoc => updateDoc(childDoc.ref, { parent: null, updatedAt: Timestamp.now() })));
       return true;
     } catch (error) {
       console.error("Error deleting category:", error);
@@ -233,28 +664,236 @@ export function TransactionProvider({ children }) {
   };
 
   /**
-   * addTransaction Function
+   * setCategoryHidden Function
    *
-   * Adds a new transaction document to the current user's transactions collection in Firestore.
-   * @param {object} transaction - The transaction object containing type, amount, category, and date.
-   * @returns {Promise<boolean>} True if the transaction was added successfully, false otherwise.
+   * Hides a built-in category from the category pickers, or shows it again. Transactions that
+   * already use it keep it.
+   * @param {string} name - The name of the built-in category.
+   * @param {'income' | 'expense'} type - The type of category (income or expense).
+   * @param {boolean} hidden - True to hide the category, false to show it again.
+   * @returns {Promise<boolean>} True if the preference was saved successfully, false otherwise.
    */
-  const addTransaction = async (transaction) => {
-    if (!currentUser) {
-      console.warn("Cannot add transaction: No user authenticated.");
+  const setCategoryHidden = async (name, type, hidden) => {
+    if (!currentUser || !isDefaultCategory(name, type)) {
+      console.warn("Cannot hide category: Missing user, or not a built-in category.");
       return false;
     }
 
-    setLoading(true);
     try {
-      await addDoc(collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`), {
-        ...transaction,
-        date: Timestamp.fromDate(new Date(transaction.date)),
-        createdAt: Timestamp.now()
-      });
+      const hiddenNames = hiddenCategories[type].filter(hiddenName => hiddenName !== name);
+      await setDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/settings`, 'preferences'), {
+        hiddenCategories: { ...hiddenCategories, [type]: hidden ? [...hiddenNames, name] : hiddenNames },
+        updatedAt: Timestamp.now()
+      }, { merge: true });
       return true;
     } catch (error) {
-      console.error("Error adding transaction:", error);
+      console.error("Error saving hidden categories:", error);
+      return false;
+    }
+  };
+
+  /**
+   * setCategoryParent Function
+   *
+   * Files one of the user's categories under another category of the same type, or moves it back
+   * to the top level. Built-in categories are always top-level, and a category that has
+   * subcategories of its own cannot become one.
+   * @param {string} name - The name of the user's category.
+   * @param {'income' | 'expense'} type - The type of category (income or expense).
+   * @param {string|null} parent - The new parent category, or null for the top level.
+   * @returns {Promise<boolean>} True if the category was updated successfully, false otherwise.
+   */
+  const setCategoryParent = async (name, type, parent) => {
+    if (!currentUser || !name || !type) {
+      console.warn("Cannot set parent category: Missing user, name, or type.");
+      return false;
+    }
+    const hasChildren = Object.values(categoryParents[type]).includes(name);
+    if (parent && (parent === name || hasChildren || !canBeParentCategory(parent, type))) {
+      console.warn(`Category '${name}' cannot be filed under '${parent}'.`);
+      return false;
+    }
+
+    try {
+      const categoriesRef = collection(db, `artifacts/${appId}/users/${currentUser.uid}/categories`);
+      const querySnapshot = await getDocs(query(categoriesRef, where("name", "==", name), where("type", "==", type)));
+      if (querySnapshot.empty) {
+        console.warn(`Category '${name}' not found.`);
+        return false;
+      }
+      await updateDoc(querySnapshot.docs[0].ref, { parent: parent || null, updatedAt: Timestamp.now() });
+      return true;
+    } catch (error) {
+      console.error("Error setting parent category:", error);
+      return false;
+    }
+  };
+
+  /**
+   * setCategoryStyle Function
+   *
+   * Changes the color and icon a category is shown with. A user's own category keeps them on its
+   * document; the choices for built-in categories are kept in the preferences document.
+   * @param {string} name - The category name.
+   * @param {'income' | 'expense'} type - The type of category (income or expense).
+   * @param {{color: string, icon: string}} style - One of the bundled colors and icons.
+   * @returns {Promise<boolean>} True if the style was saved successfully, false otherwise.
+   */
+  const setCategoryStyle = async (name, type, style) => {
+    if (!currentUser || !name || !type || !isValidCategoryStyle(style)) {
+      console.warn("Cannot set category style: Missing user, name, or type, or an unknown color or icon.");
+      return false;
+    }
+
+    try {
+      const userPath = `artifacts/${appId}/users/${currentUser.uid}`;
+      const querySnapshot = await getDocs(query(collection(db, `${userPath}/categories`), where("name", "==", name), where("type", "==", type)));
+      if (!querySnapshot.empty) {
+        await updateDoc(querySnapshot.docs[0].ref, { color: style.color, icon: style.icon, updatedAt: Timestamp.now() });
+        return true;
+      }
+      if (!isDefaultCategory(name, type)) {
+        console.warn(`Category '${name}' not found.`);
+        return false;
+      }
+      await setDoc(doc(db, `${userPath}/settings`, 'preferences'), {
+        categoryStyles: { ...builtInCategoryStyles, [type]: { ...builtInCategoryStyles[type], [name]: { color: style.color, icon: style.icon } } },
+        updatedAt: Timestamp.now()
+      }, { merge: true });
+      return true;
+    } catch (error) {
+      console.error("Error saving category style:", error);
+      return false;
+    }
+  };
+
+  /**
+   * getCategoryUsageCounts Function
+   *
+   * Counts the transactions in each category of a type, across all history (not only the loaded
+   * months). The counts are worked out by Firestore, so only one read per category is billed.
+   * @param {'income' | 'expense'} type - The type of category (income or expense).
+   * @param {string[]} names - The category names to count.
+   * @returns {Promise<object|null>} The counts keyed by category name, or null on error (e.g., offline).
+   */
+  const getCategoryUsageCounts = useCallback(async (type, names) => {
+    if (!currentUser) return null;
+
+    try {
+      const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+      const counts = await Promise.all(names.map(async (name) => {
+        const snapshot = await getAggregateFromServer(
+          query(transactionsCol, where("type", "==", type), where("category", "==", name)),
+          { transactionCount: count() }
+        );
+        return [name, snapshot.data().transactionCount];
+      }));
+      return Object.fromEntries(counts);
+    } catch (error) {
+      console.error("Error counting category usage:", error);
+      return null;
+    }
+  }, [currentUser]);
+
+  /**
+   * moveCategory Function
+   *
+   * Moves everything filed under one category to another: every transaction of the type (in
+   * batches of up to 500), the recurring rules that create them, and, for expenses, the budget.
+   * A budget is only moved if the other category has none, otherwise it is removed. Subcategories
+   * move under the other category, or under its parent if it is a subcategory itself.
+   * @param {string} fromName - The category to move away from.
+   * @param {string} toName - The category to move to.
+   * @param {'income' | 'expense'} type - The type of both categories.
+   * @returns {Promise<number>} The number of transactions that were moved.
+   */
+  const moveCategory = async (fromName, toName, type) => {
+    const userPath = `artifacts/${appId}/users/${currentUser.uid}`;
+    const querySnapshot = await getDocs(query(
+      collection(db, `${userPath}/transactions`),
+      where("type", "==", type),
+      where("category", "==", fromName)
+    ));
+    const updatedAt = Timestamp.now();
+    for (let start = 0; start < querySnapshot.docs.length; start += MAX_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      querySnapshot.docs.slice(start, start + MAX_BATCH_SIZE).forEach((transactionDoc) => {
+        batch.update(transactionDoc.ref, { category: toName, updatedAt });
+      });
+      await commitWrite(batch.commit());
+    }
+
+    // Rules and budgets are few, and are all loaded already.
+    const batch = writeBatch(db);
+    recurringRules
+      .filter(rule => rule.template && rule.template.type === type && rule.template.category === fromName)
+      .forEach((rule) => {
+        batch.update(doc(db, `${userPath}/recurringRules`, rule.id), { template: { ...rule.template, category: toName } });
+      });
+    const budget = type === 'expense' && budgets.find(b => b.category === fromName);
+    if (budget) {
+      const budgetRef = doc(db, `${userPath}/budgets`, budget.id);
+      if (budgets.some(b => b.category === toName)) {
+        batch.delete(budgetRef);
+      } else {
+        batch.update(budgetRef, { category: toName, updatedAt });
+      }
+    }
+    const targetParent = categoryParents[type][toName];
+    const newParent = targetParent && targetParent !== fromName ? targetParent : toName;
+    const children = await getDocs(query(
+      collection(db, `${userPath}/categories`),
+      where("type", "==", type),
+      where("parent", "==", fromName)
+    ));
+    children.docs.forEach((childDoc) => {
+      // A subcategory merged into from its own parent becomes top-level.
+      batch.update(childDoc.ref, { parent: childDoc.data().name === toName ? null : newParent, updatedAt });
+    });
+    await commitWrite(batch.commit());
+
+    setWriteCount(writes => writes + 1);
+    await refreshOlderTransactions(querySnapshot.docs.map(transactionDoc => transactionDoc.id));
+    return querySnapshot.size;
+  };
+
+  /**
+   * renameCategory Function
+   *
+   * Renames a category, along with every transaction, recurring rule, and budget filed under it.
+   * Renaming a built-in category hides it and adds a category with the new name in its place,
+   * with the same color and icon.
+   * @param {string} name - The current name of the category.
+   * @param {string} newName - The new name; must not be taken by another category of the same type.
+   * @param {'income' | 'expense'} type - The type of category (income or expense).
+   * @returns {Promise<number|false>} The number of transactions that were updated, or false on error.
+   */
+  const renameCategory = async (name, newName, type) => {
+    const trimmedName = (newName || '').trim();
+    if (!currentUser || !name || !trimmedName || !type || trimmedName === name) {
+      console.warn("Cannot rename category: Missing user, name, new name, or type.");
+      return false;
+    }
+    if (isDefaultCategory(trimmedName, type) || savedCategories[type].includes(trimmedName)) {
+      console.warn(`Category '${trimmedName}' already exists for ${type}.`);
+      return false; // Merging is the way to combine two existing categories
+    }
+
+    setLoading(true);
+    try {
+      const categoriesRef = collection(db, `artifacts/${appId}/users/${currentUser.uid}/categories`);
+      const querySnapshot = await getDocs(query(categoriesRef, where("name", "==", name), where("type", "==", type)));
+      if (querySnapshot.empty) {
+        await addDoc(categoriesRef, { name: trimmedName, type, ...getCategoryStyle(name, type), createdAt: Timestamp.now() });
+      } else {
+        await updateDoc(querySnapshot.docs[0].ref, { name: trimmedName, updatedAt: Timestamp.now() });
+      }
+      if (isDefaultCategory(name, type)) {
+        await setCategoryHidden(name, type, true);
+      }
+      return await moveCategory(name, trimmedName, type);
+    } catch (error) {
+      console.error("Error renaming category:", error);
       return false;
     } finally {
       setLoading(false);
@@ -262,24 +901,34 @@ export function TransactionProvider({ children }) {
   };
 
   /**
-   * deleteTransaction Function
+   * mergeCategories Function
    *
-   * Deletes a specific transaction document from the current user's transactions collection in Firestore.
-   * @param {string} transactionId - The ID of the transaction document to delete.
-   * @returns {Promise<boolean>} True if the transaction was deleted successfully, false otherwise.
+   * Merges one category into another: everything filed under the source (transactions, recurring
+   * rules, and its budget) moves to the target, and the source is then deleted, or hidden if it
+   * is a built-in category.
+   * @param {string} sourceName - The category to merge away.
+   * @param {string} targetName - The category to merge into.
+   * @param {'income' | 'expense'} type - The type of both categories.
+   * @returns {Promise<number|false>} The number of transactions that were moved, or false on error.
    */
-  const deleteTransaction = async (transactionId) => {
-    if (!currentUser) {
-      console.warn("Cannot delete transaction: No user authenticated.");
+  const mergeCategories = async (sourceName, targetName, type) => {
+    if (!currentUser || !sourceName || !targetName || !type || sourceName === targetName) {
+      console.warn("Cannot merge categories: Missing user, type, or two different categories.");
       return false;
     }
 
     setLoading(true);
     try {
-      await deleteDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`, transactionId));
-      return true;
+      const movedCount = await moveCategory(sourceName, targetName, type);
+      const categoriesRef = collection(db, `artifacts/${appId}/users/${currentUser.uid}/categories`);
+      const querySnapshot = await getDocs(query(categoriesRef, where("name", "==", sourceName), where("type", "==", type)));
+      await Promise.all(querySnapshot.docs.map(categoryDoc => deleteDoc(categoryDoc.ref)));
+      if (isDefaultCategory(sourceName, type)) {
+        await setCategoryHidden(sourceName, type, true);
+      }
+      return movedCount;
     } catch (error) {
-      console.error("Error deleting transaction:", error);
+      console.error("Error merging categories:", error);
       return false;
     } finally {
       setLoading(false);
@@ -287,61 +936,1260 @@ export function TransactionProvider({ children }) {
   };
 
   /**
-   * changeMonth Function
+   * setBudget Function
    *
-   * Updates the currentMonth and currentYear states to navigate between months.
-   * When changing months, the day is reset to 1 to avoid issues with month-end dates.
-   * @param {number} delta - The change in months (e.g., -1 for previous month, 1 for next month).
+   * Creates or updates the monthly budget for an expense category in Firestore. A new amount
+   * applies from the current month on; earlier months keep theirs in the budget's amount history.
+   * @param {string} category - The expense category name.
+   * @param {number} amount - The monthly budget amount (must be positive).
+   * @param {boolean} [rollover=false] - Whether unused budget rolls into the next month.
+   * @returns {Promise<boolean>} True if the budget was saved successfully, false otherwise.
    */
-  const changeMonth = (delta) => {
-    setCurrentMonth(prev => {
-      let newMonth = prev + delta;
-      let newYear = currentYear;
-
-      if (newMonth < 0) {
-        newMonth = 11;
-        newYear--;
-      } else if (newMonth > 11) {
-        newMonth = 0;
-        newYear++;
-      }
+  const setBudget = async (category, amount, rollover = false) => {
+    if (!currentUser || !category || !(amount > 0)) {
+      console.warn("Cannot set budget: Missing user, category, or a positive amount.");
+      return false;
+    }
 
-      setCurrentYear(newYear);
-      setCurrentDay(1); // Reset day to 1 when month changes
-      return newMonth;
-    });
+    setLoading(true);
+    try {
+      const budgetsRef = collection(db, `artifacts/${appId}/users/${currentUser.uid}/budgets`);
+      // Find the existing budget for this category, if there is one
+      const q = query(budgetsRef, where("category", "==", category));
+      const querySnapshot = await getDocs(q);
+      const currentMonthKey = getTodayKey().slice(0, 7);
+
+      if (querySnapshot.empty) {
+        await addDoc(budgetsRef, {
+          category,
+          amount,
+          amountHistory: addBudgetAmount(null, currentMonthKey, amount),
+          rollover,
+          createdAt: Timestamp.now()
+        });
+      } else {
+        const existing = querySnapshot.docs[0];
+        await updateDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/budgets`, existing.id), {
+          amount,
+          amountHistory: addBudgetAmount(existing.data(), currentMonthKey, amount),
+          rollover,
+          updatedAt: Timestamp.now()
+        });
+      }
+      return true;
+    } catch (error) {
+      console.error("Error saving budget:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
   };
 
   /**
-   * changeDay Function
+   * deleteBudget Function
    *
-   * Updates the currentDay, currentMonth, and currentYear states to navigate between days.
-   * It handles day, month, and year rollovers correctly.
-   * @param {number} delta - The change in days (e.g., -1 for previous day, 1 for next day).
+   * Removes the monthly budget for an expense category from Firestore.
+   * @param {string} budgetId - The ID of the budget document to delete.
+   * @returns {Promise<boolean>} True if the budget was deleted successfully, false otherwise.
    */
-  const changeDay = (delta) => {
-    const currentDate = new Date(currentYear, currentMonth, currentDay);
-    currentDate.setDate(currentDate.getDate() + delta);
+  const deleteBudget = async (budgetId) => {
+    if (!currentUser) {
+      console.warn("Cannot delete budget: No user authenticated.");
+      return false;
+    }
 
-    setCurrentYear(currentDate.getFullYear());
-    setCurrentMonth(currentDate.getMonth());
-    setCurrentDay(currentDate.getDate());
-  };
+    setLoading(true);
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/budgets`, budgetId));
+      return true;
+    } catch (error) {
+      console.error("Error deleting budget:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * setBaseCurrency Function
+   *
+   * Saves the currency that totals are converted to and displayed in.
+   * @param {string} currency - The ISO 4217 currency code.
+   * @returns {Promise<boolean>} True if the preference was saved successfully, false otherwise.
+   */
+  const setBaseCurrency = async (currency) => {
+    if (!currentUser || !currency) {
+      console.warn("Cannot set base currency: Missing user or currency.");
+      return false;
+    }
+
+    try {
+      await setDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/settings`, 'preferences'), {
+        baseCurrency: currency,
+        updatedAt: Timestamp.now()
+      }, { merge: true });
+      return true;
+    } catch (error) {
+      console.error("Error saving base currency:", error);
+      return false;
+    }
+  };
+
+  /**
+   * setWeekStartsOn Function
+   *
+   * Saves the day weeks start on, used by the week view.
+   * @param {number} day - The first day of the week (0 = Sunday ... 6 = Saturday).
+   * @returns {Promise<boolean>} True if the preference was saved successfully, false otherwise.
+   */
+  const setWeekStartsOn = async (day) => {
+    if (!currentUser || !Number.isInteger(day) || day < 0 || day > 6) {
+      console.warn("Cannot set week start: Missing user or invalid day.");
+      return false;
+    }
+
+    try {
+      await setDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/settings`, 'preferences'), {
+        weekStartsOn: day,
+        updatedAt: Timestamp.now()
+      }, { merge: true });
+      return true;
+    } catch (error) {
+      console.error("Error saving week start:", error);
+      return false;
+    }
+  };
+
+  /**
+   * addExchangeRate Function
+   *
+   * Adds a dated exchange rate, meaning "1 `currency` = `rate` units of the base currency" on
+   * `date`. The base currency at the time is stored with the rate, so rates stay valid if the
+   * base currency is changed later.
+   * @param {object} exchangeRate - The rate: currency, rate, and date ('YYYY-MM-DD').
+   * @returns {Promise<boolean>} True if the rate was added successfully, false otherwise.
+   */
+  const addExchangeRate = async ({ currency, rate, date }) => {
+    if (!currentUser || !currency || !(rate > 0) || !date || currency === baseCurrency) {
+      console.warn("Cannot add exchange rate: Missing user, currency, positive rate, or date.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await addDoc(collection(db, `artifacts/${appId}/users/${currentUser.uid}/exchangeRates`), {
+        currency,
+        baseCurrency,
+        rate,
+        date,
+        createdAt: Timestamp.now()
+      });
+      return true;
+    } catch (error) {
+      console.error("Error adding exchange rate:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * deleteExchangeRate Function
+   *
+   * Deletes an exchange rate from the user's rate table.
+   * @param {string} rateId - The ID of the exchange rate document to delete.
+   * @returns {Promise<boolean>} True if the rate was deleted successfully, false otherwise.
+   */
+  const deleteExchangeRate = async (rateId) => {
+    if (!currentUser) {
+      console.warn("Cannot delete exchange rate: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/exchangeRates`, rateId));
+      return true;
+    } catch (error) {
+      console.error("Error deleting exchange rate:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * addAccount Function
+   *
+   * Adds a new account (wallet) to Firestore.
+   * @param {object} account - The account: name, type, openingBalance, and currency.
+   * @returns {Promise<boolean>} True if the account was added successfully, false otherwise.
+   */
+  const addAccount = async (account) => {
+    if (!currentUser || !account.name || !account.name.trim()) {
+      console.warn("Cannot add account: Missing user or account name.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await addDoc(collection(db, `artifacts/${appId}/users/${currentUser.uid}/accounts`), {
+        ...account,
+        name: account.name.trim(),
+        createdAt: Timestamp.now()
+      });
+      return true;
+    } catch (error) {
+      console.error("Error adding account:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * updateAccount Function
+   *
+   * Updates an account's details. Uses a merging write so the default account, which has no
+   * document until it is first edited, can be updated the same way as any other account.
+   * @param {string} accountId - The ID of the account to update.
+   * @param {object} updates - The fields to update (name, type, openingBalance, and/or currency).
+   * @returns {Promise<boolean>} True if the account was updated successfully, false otherwise.
+   */
+  const updateAccount = async (accountId, updates) => {
+    if (!currentUser) {
+      console.warn("Cannot update account: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const { id: _id, createdAt: _createdAt, ...fields } = updates; // Never overwrite the document ID or creation time
+      await setDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/accounts`, accountId), {
+        ...fields,
+        updatedAt: Timestamp.now()
+      }, { merge: true });
+      return true;
+    } catch (error) {
+      console.error("Error updating account:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * deleteAccount Function
+   *
+   * Deletes an account from Firestore. The default account cannot be deleted, and neither can
+   * an account that still has transactions recorded against it.
+   * @param {string} accountId - The ID of the account to delete.
+   * @returns {Promise<boolean>} True if the account was deleted successfully, false otherwise.
+   */
+  const deleteAccount = async (accountId) => {
+    if (!currentUser || accountId === DEFAULT_ACCOUNT_ID) {
+      console.warn("Cannot delete account: Missing user, or the account is the default account.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+      const inUse = await getDocs(query(transactionsCol, where("accountId", "==", accountId), limit(1)));
+      if (!inUse.empty) {
+        console.warn(`Account '${accountId}' still has transactions.`);
+        return false;
+      }
+
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/accounts`, accountId));
+      return true;
+    } catch (error) {
+      console.error("Error deleting account:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * commitWrite Function
+   *
+   * Waits for a transaction write and reports whether it reached the server. With the persistent
+   * local cache a write is applied on this device straight away, but its promise only settles once
+   * the server confirms it, which never happens while offline. So the server gets a short time to
+   * confirm (none while offline); after that the write is reported as pending and counted as
+   * unsynced until Firestore has sent it.
+   * @param {Promise} write - The write's promise (from addDoc, updateDoc, deleteDoc, or a batch commit).
+   * @returns {Promise<string>} WRITE_SYNCED if the server has the write, WRITE_PENDING if it is only saved locally so far.
+   * @throws {Error} If the write is rejected before it is reported as pending.
+   */
+  const commitWrite = async (write) => {
+    const timeout = new Promise(resolve => setTimeout(() => resolve(WRITE_PENDING), isOnline ? SYNC_WAIT_MS : 0));
+    const result = await Promise.race([write.then(() => WRITE_SYNCED), timeout]);
+    if (result === WRITE_PENDING) {
+      setUnsyncedWriteCount(count => count + 1);
+      write
+        .catch((error) => {
+          console.error("Error syncing write:", error);
+        })
+        .finally(() => setUnsyncedWriteCount(count => count - 1));
+    }
+    return result;
+  };
+
+  /**
+   * toCurrencyAmount Function
+   *
+   * Converts a transaction's amount to the given currency at the rate for the transaction's date.
+   * @param {object} transaction - The transaction.
+   * @param {string} currency - The ISO 4217 code to convert to.
+   * @returns {number|null} The converted amount, or null if no exchange rate is known.
+   */
+  const toCurrencyAmount = (transaction, currency) => convertAmount(
+    transaction.amount,
+    getTransactionCurrency(transaction),
+    currency,
+    getTransactionDateKey(transaction),
+    exchangeRates
+  );
+
+  /**
+   * toBaseAmount Function
+   *
+   * Converts a transaction's amount to the base currency at the rate for the transaction's date.
+   * @param {object} transaction - The transaction.
+   * @returns {number|null} The amount in the base currency, or null if no exchange rate is known.
+   */
+  const toBaseAmount = (transaction) => toCurrencyAmount(transaction, baseCurrency);
+
+  /**
+   * rememberTags Function
+   *
+   * Adds the tags of a saved transaction to the known tags offered for autocomplete, if any of
+   * them are new. Failing to remember them does not fail the transaction write.
+   * @param {string[]} tags - The transaction's tags.
+   */
+  const rememberTags = async (tags) => {
+    const newTags = (tags || []).filter(tag => !findTag(knownTags, tag));
+    if (newTags.length === 0) return;
+
+    try {
+      await commitWrite(setDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/settings`, 'preferences'), {
+        tags: [...knownTags, ...newTags],
+        updatedAt: Timestamp.now()
+      }, { merge: true }));
+    } catch (error) {
+      console.error("Error saving tags:", error);
+    }
+  };
+
+  /**
+   * addTransaction Function
+   *
+   * Adds a new transaction document to the current user's transactions collection in Firestore.
+   * @param {object} transaction - The transaction object containing type, amount, category, and date,
+   * plus the currency code, the accountId, and the optional payee, note, paymentMethod ('cash' | 'debit' | 'credit'), and tags fields.
+   * @returns {Promise<string|false>} WRITE_SYNCED if the server has the transaction, WRITE_PENDING if it is
+   * only saved on this device so far (see commitWrite), or false on error.
+   */
+  const addTransaction = async (transaction) => {
+    if (!currentUser) {
+      console.warn("Cannot add transaction: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const result = await commitWrite(addDoc(collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`), {
+        ...transaction,
+        accountId: transaction.accountId || DEFAULT_ACCOUNT_ID,
+        ...getDateFields(transaction.date),
+        createdAt: Timestamp.now()
+      }));
+      setWriteCount(count => count + 1);
+      await rememberTags(transaction.tags);
+      return result;
+    } catch (error) {
+      console.error("Error adding transaction:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * updateTransaction Function
+   *
+   * Updates an existing transaction document in the current user's transactions collection.
+   * The original `createdAt` timestamp is preserved and an `updatedAt` timestamp is recorded.
+   * @param {string} transactionId - The ID of the transaction document to update.
+   * @param {object} updates - The fields to update (type, amount, category, tags, and/or date as 'YYYY-MM-DD').
+   * @returns {Promise<string|false>} WRITE_SYNCED or WRITE_PENDING (see commitWrite), or false on error.
+   */
+  const updateTransaction = async (transactionId, updates) => {
+    if (!currentUser) {
+      console.warn("Cannot update transaction: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      // Never overwrite the document ID or creation time, or store the local sync flag
+      const { id: _id, createdAt: _createdAt, hasPendingWrites: _hasPendingWrites, ...fields } = updates;
+      const result = await commitWrite(updateDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`, transactionId), {
+        ...fields,
+        ...(fields.date !== undefined && getDateFields(fields.date)),
+        updatedAt: Timestamp.now()
+      }));
+      setWriteCount(count => count + 1);
+      await refreshOlderTransactions([transactionId]);
+      await rememberTags(fields.tags);
+      return result;
+    } catch (error) {
+      console.error("Error updating transaction:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * addTransfer Function
+   *
+   * Records a transfer between two of the user's accounts. Both legs (the 'out' leg on the
+   * source account and the 'in' leg on the destination account) are written in a single batch,
+   * so either both exist or neither does.
+   * @param {object} transfer - The transfer: fromAccountId, toAccountId, amount, currency,
+   * date ('YYYY-MM-DD'), and an optional note.
+   * @returns {Promise<string|false>} WRITE_SYNCED or WRITE_PENDING (see commitWrite), or false on error.
+   */
+  const addTransfer = async (transfer) => {
+    if (!currentUser || !transfer.fromAccountId || !transfer.toAccountId || transfer.fromAccountId === transfer.toAccountId) {
+      console.warn("Cannot add transfer: Missing user, or the source and destination accounts are not two different accounts.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+      const outRef = doc(transactionsCol);
+      const inRef = doc(transactionsCol);
+      const legs = buildTransferLegs(transfer, outRef.id); // The 'out' leg's ID links the pair
+      const dateFields = getDateFields(transfer.date);
+      const createdAt = Timestamp.now();
+
+      const batch = writeBatch(db);
+      batch.set(outRef, { ...legs.out, ...dateFields, createdAt });
+      batch.set(inRef, { ...legs.in, ...dateFields, createdAt });
+      const result = await commitWrite(batch.commit());
+      setWriteCount(count => count + 1);
+      return result;
+    } catch (error) {
+      console.error("Error adding transfer:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * getTransferLegRefs Function
+   *
+   * Finds the document references of both legs of a transfer. This queries Firestore rather
+   * than the loaded transactions, so a leg outside the loaded range is never missed.
+   * @param {string} transferId - The ID linking the two legs.
+   * @returns {Promise<object[]>} The leg document references.
+   */
+  const getTransferLegRefs = async (transferId) => {
+    const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+    const querySnapshot = await getDocs(query(transactionsCol, where("transferId", "==", transferId)));
+    return querySnapshot.docs.map(legDoc => legDoc.ref);
+  };
+
+  /**
+   * updateTransfer Function
+   *
+   * Updates both legs of a transfer together in a single batch.
+   * @param {string} transferId - The ID linking the two legs.
+   * @param {object} transfer - The updated transfer, in the same shape addTransfer accepts.
+   * @returns {Promise<string|false>} WRITE_SYNCED or WRITE_PENDING (see commitWrite), or false on error.
+   */
+  const updateTransfer = async (transferId, transfer) => {
+    if (!currentUser || !transfer.fromAccountId || !transfer.toAccountId || transfer.fromAccountId === transfer.toAccountId) {
+      console.warn("Cannot update transfer: Missing user, or the source and destination accounts are not two different accounts.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const legRefs = await getTransferLegRefs(transferId);
+      const legs = buildTransferLegs(transfer, transferId);
+      const dateFields = getDateFields(transfer.date);
+      const updatedAt = Timestamp.now();
+
+      // Legs keep their documents; each is rewritten with the fields for its direction.
+      const batch = writeBatch(db);
+      legRefs.forEach((legRef) => {
+        const direction = legRef.id === transferId ? 'out' : 'in';
+        batch.update(legRef, { ...legs[direction], ...dateFields, updatedAt });
+      });
+      const result = await commitWrite(batch.commit());
+      setWriteCount(count => count + 1);
+      await refreshOlderTransactions(legRefs.map(legRef => legRef.id));
+      return result;
+    } catch (error) {
+      console.error("Error updating transfer:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * deleteTransfer Function
+   *
+   * Deletes both legs of a transfer together in a single batch.
+   * @param {string} transferId - The ID linking the two legs.
+   * @returns {Promise<string|false>} WRITE_SYNCED or WRITE_PENDING (see commitWrite), or false on error.
+   */
+  const deleteTransfer = async (transferId) => {
+    if (!currentUser) {
+      console.warn("Cannot delete transfer: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const legRefs = await getTransferLegRefs(transferId);
+      const batch = writeBatch(db);
+      legRefs.forEach((legRef) => batch.delete(legRef));
+      const result = await commitWrite(batch.commit());
+      setWriteCount(count => count + 1);
+      await refreshOlderTransactions(legRefs.map(legRef => legRef.id));
+      return result;
+    } catch (error) {
+      console.error("Error deleting transfer:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * importTransactions Function
+   *
+   * Adds many transactions at once (e.g., from an imported bank statement) using batched
+   * Firestore writes, committing up to 500 documents per batch. Batches that were already
+   * committed are kept if a later one fails. Offline, the batches are saved on this device and
+   * sent when the connection returns (see commitWrite).
+   * @param {object[]} transactionsToImport - Transactions in the same shape addTransaction accepts.
+   * @param {string} source - Where the transactions came from (e.g., 'csv'); stored as `importSource`.
+   * @returns {Promise<number|false>} The number of transactions imported, or false on error.
+   */
+  const importTransactions = async (transactionsToImport, source) => {
+    if (!currentUser) {
+      console.warn("Cannot import transactions: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+      for (let start = 0; start < transactionsToImport.length; start += MAX_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        transactionsToImport.slice(start, start + MAX_BATCH_SIZE).forEach((transaction) => {
+          batch.set(doc(transactionsCol), {
+            ...transaction,
+            accountId: transaction.accountId || DEFAULT_ACCOUNT_ID,
+            currency: transaction.currency || baseCurrency, // Files without a currency are in the base currency
+            ...getDateFields(transaction.date),
+            importSource: source,
+            createdAt: Timestamp.now()
+          });
+        });
+        await commitWrite(batch.commit());
+      }
+      setWriteCount(count => count + 1);
+      return transactionsToImport.length;
+    } catch (error) {
+      console.error("Error importing transactions:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * findExistingImportIds Function
+   *
+   * Looks up which statement entries have already been imported. Imported transactions carry
+   * the `importId` of the statement entry they came from (its FITID or a hash of the entry).
+   * This queries Firestore rather than the loaded transactions so older history is covered too.
+   * @param {string[]} importIds - The import IDs to check.
+   * @returns {Promise<Set<string>>} The subset of IDs that already exist.
+   */
+  const findExistingImportIds = async (importIds) => {
+    const existing = new Set();
+    if (!currentUser || importIds.length === 0) return existing;
+
+    const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+    for (let start = 0; start < importIds.length; start += MAX_IN_QUERY_VALUES) {
+      const chunk = importIds.slice(start, start + MAX_IN_QUERY_VALUES);
+      const querySnapshot = await getDocs(query(transactionsCol, where("importId", "in", chunk)));
+      querySnapshot.forEach((doc) => existing.add(doc.data().importId));
+    }
+    return existing;
+  };
+
+  /**
+   * deleteTransaction Function
+   *
+   * Deletes a specific transaction document from the current user's transactions collection in Firestore.
+   * @param {string} transactionId - The ID of the transaction document to delete.
+   * @returns {Promise<string|false>} WRITE_SYNCED or WRITE_PENDING (see commitWrite), or false on error.
+   */
+  const deleteTransaction = async (transactionId) => {
+    if (!currentUser) {
+      console.warn("Cannot delete transaction: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const result = await commitWrite(deleteDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`, transactionId)));
+      setWriteCount(count => count + 1);
+      await refreshOlderTransactions([transactionId]);
+      return result;
+    } catch (error) {
+      console.error("Error deleting transaction:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * addRecurringRule Function
+   *
+   * Adds a new recurring rule to Firestore and immediately creates any transactions that are
+   * already due for it (e.g., a monthly rent rule whose start date is in the past).
+   * @param {object} rule - The rule: name, frequency, interval, startDate, endDate, dayOfMonth,
+   * and a `template` transaction (type, amount, category, and the optional detail fields).
+   * Dates are 'YYYY-MM-DD' strings.
+   * @returns {Promise<boolean>} True if the rule was added successfully, false otherwise.
+   */
+  const addRecurringRule = async (rule) => {
+    if (!currentUser) {
+      console.warn("Cannot add recurring rule: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const newRule = {
+        ...rule,
+        paused: false,
+        lastGeneratedDate: null,
+        createdAt: Timestamp.now()
+      };
+      const ruleRef = await addDoc(collection(db, `artifacts/${appId}/users/${currentUser.uid}/recurringRules`), newRule);
+      await generateRecurringTransactions(currentUser.uid, [{ id: ruleRef.id, ...newRule }]);
+      setWriteCount(count => count + 1);
+      return true;
+    } catch (error) {
+      console.error("Error adding recurring rule:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * updateRecurringRule Function
+   *
+   * Updates an existing recurring rule (including pausing or resuming it) and creates any
+   * transactions that are due under the updated schedule. Transactions generated before the
+   * update are left as they are.
+   * @param {string} ruleId - The ID of the rule document to update.
+   * @param {object} updates - The fields to update.
+   * @returns {Promise<boolean>} True if the rule was updated successfully, false otherwise.
+   */
+  const updateRecurringRule = async (ruleId, updates) => {
+    if (!currentUser) {
+      console.warn("Cannot update recurring rule: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      const { id: _id, ...fields } = updates; // Never write the document ID into the document
+      await updateDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/recurringRules`, ruleId), {
+        ...fields,
+        updatedAt: Timestamp.now()
+      });
+      const existingRule = recurringRules.find(r => r.id === ruleId) || {};
+      await generateRecurringTransactions(currentUser.uid, [{ ...existingRule, ...fields, id: ruleId }]);
+      setWriteCount(count => count + 1);
+      return true;
+    } catch (error) {
+      console.error("Error updating recurring rule:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * deleteRecurringRule Function
+   *
+   * Deletes a recurring rule from Firestore. Transactions it already generated are kept.
+   * @param {string} ruleId - The ID of the rule document to delete.
+   * @returns {Promise<boolean>} True if the rule was deleted successfully, false otherwise.
+   */
+  const deleteRecurringRule = async (ruleId) => {
+    if (!currentUser) {
+      console.warn("Cannot delete recurring rule: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await deleteDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/recurringRules`, ruleId));
+      return true;
+    } catch (error) {
+      console.error("Error deleting recurring rule:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // viewDateKey: The day being viewed ('YYYY-MM-DD'); the viewed period is the one that contains it.
+  const viewDateKey = makeDateKey(currentYear, currentMonth, currentDay);
+
+  /**
+   * changeMonth Function
+   *
+   * Updates the currentMonth and currentYear states to navigate between months.
+   * When changing months, the day is reset to 1 to avoid issues with month-end dates.
+   * @param {number} delta - The change in months (e.g., -1 for previous month, 1 for next month).
+   */
+  const changeMonth = (delta) => {
+    setViewDateKey(getMonthStartKey(currentYear, currentMonth + delta)); // Reset day to 1 when month changes
+  };
+
+  /**
+   * changeDay Function
+   *
+   * Updates the currentDay, currentMonth, and currentYear states to navigate between days.
+   * It handles day, month, and year rollovers correctly.
+   * @param {number} delta - The change in days (e.g., -1 for previous day, 1 for next day).
+   */
+  const changeDay = (delta) => {
+    setViewDateKey(addDays(viewDateKey, delta));
+  };
+
+  /**
+   * setViewDateKey Function
+   *
+   * Jumps the view to the period containing the given day.
+   * @param {string} dateKey - The day to view ('YYYY-MM-DD').
+   */
+  const setViewDateKey = (dateKey) => {
+    const { year, month, day } = getDateKeyParts(dateKey);
+    setCurrentYear(year);
+    setCurrentMonth(month);
+    setCurrentDay(day);
+  };
+
+  /**
+   * setViewDate Function
+   *
+   * Jumps the view to the period containing the given date.
+   * @param {Date} date - The date to view (its local calendar day is used).
+   */
+  const setViewDate = (date) => setViewDateKey(toDateKey(date));
+
+  /**
+   * navigateView Function
+   *
+   * Moves the view forwards or backwards by whole periods of the current view mode (days, weeks,
+   * months, or years). A custom range moves by its own length.
+   * @param {number} delta - How many periods to move (e.g., -1 for previous, 1 for next).
+   */
+  const navigateView = (delta) => {
+    if (viewMode === 'custom') {
+      setCustomRange(prev => shiftCustomRange(prev, delta));
+      return;
+    }
+    setViewDate(shiftViewDate(viewMode, fromDateKey(viewDateKey), delta));
+  };
+
+  // viewRange / viewLabel: The boundaries and description of the period currently being viewed.
+  const viewRange = getViewRange(viewMode, fromDateKey(viewDateKey), { weekStartsOn, customRange });
+  const viewLabel = formatViewLabel(viewMode, viewRange);
+
+  // --- Transaction Loading ---
+  // The months that must be loaded right now: the current month (older history is paged from
+  // before it), every month the viewed period touches, the budget month, and any ranges
+  // components have asked for. Budget rollover only needs totals for the months before the
+  // budget month, which are summed by Firestore (see budgetCarryOvers). Joined into a string
+  // so the listener effect only re-runs when the set of months actually changes.
+  const today = getDateKeyParts(getTodayKey());
+  const requiredMonthKeys = new Set([
+    getMonthKey(today.year, today.month),
+    ...getMonthKeysInRange(viewRange),
+    ...Object.values(requiredRanges).flatMap(getMonthKeysInRange)
+  ]);
+  if (budgets.length > 0) requiredMonthKeys.add(getMonthKey(currentYear, currentMonth));
+  const requiredMonthKeyList = [...requiredMonthKeys].sort().join(',');
+
+  /**
+   * useEffect Hook for Resetting Loaded Transactions
+   *
+   * Clears the month cache and the older history whenever the user changes, and stops every
+   * month listener when the user signs out or the provider unmounts.
+   */
+  useEffect(() => {
+    const listeners = monthListenersRef.current;
+    setMonthTransactions({});
+    setMonthMetadata({});
+    setOlderTransactions([]);
+    setHasMoreHistory(true);
+    historyCursorRef.current = null;
+
+    return () => {
+      listeners.forEach(unsubscribe => unsubscribe());
+      listeners.clear();
+    };
+  }, [currentUser]);
+
+  /**
+   * useEffect Hook for Loading Transactions by Month
+   *
+   * Starts a real-time listener for each required month that is not loaded yet. Each listener
+   * queries only its own month (`where` on the date, ordered newest first). Listeners for months
+   * that are no longer required are kept, so going back to a month shows it straight from the
+   * cache; once more than MAX_CACHED_MONTHS of them pile up, the least recently used are stopped.
+   */
+  useEffect(() => {
+    if (!currentUser) return;
+
+    const listeners = monthListenersRef.current;
+    const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+    const monthKeys = requiredMonthKeyList.split(',');
+
+    monthKeys.forEach((monthKey) => {
+      const existing = listeners.get(monthKey);
+      if (existing) {
+        // Re-inserting moves the month to the most recently used end of the map.
+        listeners.delete(monthKey);
+        listeners.set(monthKey, existing);
+        return;
+      }
+
+      const { start, end } = getMonthBounds(monthKey);
+      const qMonth = query(
+        transactionsCol,
+        where("date", ">=", Timestamp.fromDate(start)),
+        where("date", "<=", Timestamp.fromDate(end)),
+        orderBy("date", "desc")
+      );
+      // Metadata changes are included so a transaction is re-delivered once the server confirms it.
+      listeners.set(monthKey, onSnapshot(qMonth, { includeMetadataChanges: true }, (querySnapshot) => {
+        const monthData = querySnapshot.docs.map(transactionDoc => ({
+          id: transactionDoc.id,
+          ...transactionDoc.data(),
+          hasPendingWrites: transactionDoc.metadata.hasPendingWrites // Local changes the server does not have yet
+        }));
+        setMonthTransactions(prev => ({ ...prev, [monthKey]: monthData }));
+        setMonthMetadata(prev => ({
+          ...prev,
+          [monthKey]: { hasPendingWrites: querySnapshot.metadata.hasPendingWrites, fromCache: querySnapshot.metadata.fromCache }
+        }));
+      }, (error) => {
+        console.error("Error loading transactions:", error);
+      }));
+    });
+
+    // Evict the least recently used months that are not required, beyond the cache size.
+    const cachedOnly = [...listeners.keys()].filter(monthKey => !monthKeys.includes(monthKey));
+    cachedOnly.slice(0, Math.max(0, cachedOnly.length - MAX_CACHED_MONTHS)).forEach((monthKey) => {
+      listeners.get(monthKey)();
+      listeners.delete(monthKey);
+      setMonthTransactions((prev) => {
+        const { [monthKey]: _evicted, ...rest } = prev;
+        return rest;
+      });
+      setMonthMetadata((prev) => {
+        const { [monthKey]: _evicted, ...rest } = prev;
+        return rest;
+      });
+    });
+  }, [currentUser, requiredMonthKeyList]);
+
+  // transactions: Every loaded transaction (cached months and older history), newest first.
+  const transactions = useMemo(
+    () => mergeTransactionLists([...Object.values(monthTransactions), olderTransactions]),
+    [monthTransactions, olderTransactions]
+  );
+
+  /**
+   * requireRange Function
+   *
+   * Asks for a period to be loaded (and kept live) for as long as a component needs it, e.g.,
+   * the months shown by the trend view. Calling it again with the same key replaces the range.
+   * @param {string} key - Identifies the component asking (e.g., 'trend').
+   * @param {{start: Date, end: Date}|null} range - The period to load, or null when it is no longer needed.
+   */
+  const requireRange = useCallback((key, range) => {
+    setRequiredRanges((prev) => {
+      const { [key]: _previous, ...rest } = prev;
+      return range ? { ...rest, [key]: range } : rest;
+    });
+  }, []);
+
+  /**
+   * isRangeLoaded Function
+   *
+   * Checks whether every month of a period has been loaded.
+   * @param {{start: Date, end: Date}} range - The period.
+   * @returns {boolean} True if the transactions in the period are all available.
+   */
+  const isRangeLoaded = (range) => getMonthKeysInRange(range).every(monthKey => monthTransactions[monthKey] !== undefined);
+
+  /**
+   * loadOlderTransactions Function
+   *
+   * Reads the next page of history from before the current month, continuing after the last
+   * document of the previous page (cursor-based, so pages never overlap or skip documents).
+   * The pages are read once rather than listened to; the TransactionContext's own writes keep
+   * them up to date.
+   * @returns {Promise<boolean>} True if a page was read successfully, false otherwise.
+   */
+  const loadOlderTransactions = async () => {
+    if (!currentUser || historyLoading || !hasMoreHistory) return false;
+
+    setHistoryLoading(true);
+    try {
+      const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+      const currentMonthStart = toStoredDate(getMonthStartKey(today.year, today.month));
+      const querySnapshot = await getDocs(query(
+        transactionsCol,
+        where("date", "<", Timestamp.fromDate(currentMonthStart)),
+        orderBy("date", "desc"),
+        ...(historyCursorRef.current ? [startAfter(historyCursorRef.current)] : []),
+        limit(HISTORY_PAGE_SIZE)
+      ));
+
+      if (!querySnapshot.empty) {
+        historyCursorRef.current = querySnapshot.docs[querySnapshot.docs.length - 1];
+      }
+      const page = querySnapshot.docs.map(transactionDoc => ({ id: transactionDoc.id, ...transactionDoc.data() }));
+      setOlderTransactions(prev => [...prev, ...page]);
+      setHasMoreHistory(querySnapshot.size === HISTORY_PAGE_SIZE);
+      return true;
+    } catch (error) {
+      console.error("Error loading older transactions:", error);
+      return false;
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  /**
+   * refreshOlderTransactions Function
+   *
+   * Re-reads transactions that were changed or deleted, if they are held in the older history
+   * pages (which, unlike loaded months, have no listener to pick up the change).
+   * @param {string[]} transactionIds - The IDs of the changed transactions.
+   */
+  const refreshOlderTransactions = async (transactionIds) => {
+    const stale = olderTransactions.filter(t => transactionIds.includes(t.id));
+    if (stale.length === 0) return;
+
+    const freshDocs = await Promise.all(stale.map(t => getDoc(doc(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`, t.id))));
+    setOlderTransactions(prev => prev.flatMap((t) => {
+      const freshDoc = freshDocs.find(d => d.id === t.id);
+      if (!freshDoc) return [t];
+      return freshDoc.exists() ? [{ id: freshDoc.id, ...freshDoc.data() }] : [];
+    }));
+  };
+
+  // historyLoadedFrom: The day ('YYYY-MM-DD') from which every transaction is loaded, or null once all history is.
+  const historyLoadedFrom = !hasMoreHistory
+    ? null
+    : olderTransactions.length > 0
+      ? getTransactionDateKey(olderTransactions[olderTransactions.length - 1])
+      : getMonthStartKey(today.year, today.month);
+
+  /**
+   * fetchTransactions Function
+   *
+   * Reads the transactions in a date range once, without keeping a listener (e.g., for an export).
+   * @param {string|null} startKey - The first day to include ('YYYY-MM-DD'), or null for no lower bound.
+   * @param {string|null} endKey - The last day to include ('YYYY-MM-DD'), or null for no upper bound.
+   * @returns {Promise<object[]|null>} The transactions, newest first, or null on error.
+   */
+  const fetchTransactions = useCallback(async (startKey, endKey) => {
+    if (!currentUser) return null;
+
+    try {
+      const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+      const querySnapshot = await getDocs(query(
+        transactionsCol,
+        ...(startKey ? [where("date", ">=", Timestamp.fromDate(toStoredDate(startKey)))] : []),
+        ...(endKey ? [where("date", "<=", Timestamp.fromDate(toStoredDate(endKey)))] : []),
+        orderBy("date", "desc")
+      ));
+      return querySnapshot.docs.map(transactionDoc => ({ id: transactionDoc.id, ...transactionDoc.data() }));
+    } catch (error) {
+      console.error("Error fetching transactions:", error);
+      return null;
+    }
+  }, [currentUser]);
+
+  /**
+   * fetchTaggedTransactions Function
+   *
+   * Reads every transaction carrying a tag once, across all history (e.g., for the tag report).
+   * @param {string} tag - The tag, spelled as it is stored.
+   * @returns {Promise<object[]|null>} The transactions, newest first, or null on error.
+   */
+  const fetchTaggedTransactions = useCallback(async (tag) => {
+    if (!currentUser) return null;
+
+    try {
+      const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+      const querySnapshot = await getDocs(query(transactionsCol, where("tags", "array-contains", tag)));
+      return querySnapshot.docs
+        .map(transactionDoc => ({ id: transactionDoc.id, ...transactionDoc.data() }))
+        // Sorted here rather than by the query, which would need a composite index.
+        .sort((a, b) => getTransactionDateKey(b).localeCompare(getTransactionDateKey(a)));
+    } catch (error) {
+      console.error("Error fetching tagged transactions:", error);
+      return null;
+    }
+  }, [currentUser]);
+
+  // balanceSignature: The balance-relevant fields of every loaded transaction, joined into a string
+  // so the balances are only summed again when one of them actually changes.
+  const balanceSignature = useMemo(() => Object.values(monthTransactions)
+    .flat()
+    .map(t => [t.id, t.amount, t.accountId, t.currency, t.type, t.transferDirection].join(':'))
+    .sort()
+    .join(','), [monthTransactions]);
+
+  /**
+   * useEffect Hook for Account Balances
+   *
+   * Works out every account's all-time balance without loading its history: Firestore sums the
+   * account's income, expenses, and transfers in the account's own currency, and only the
+   * transactions in other currencies are read so they can be converted at their own date's rate.
+   * It runs again after every write, when accounts or rates change, and when a loaded transaction's
+   * amount, account, currency, or type changes (e.g., from another device); snapshots that only
+   * confirm a write do not change that signature. Sums need the server, so while offline the last
+   * known balances are kept.
+   */
+  useEffect(() => {
+    if (!currentUser || !transactionFieldsReady || !isOnline) return;
+
+    let cancelled = false;
+    const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+
+    Promise.all(accounts.map(async (account) => {
+      const currency = getAccountCurrency(account, baseCurrency);
+      const inAccount = where("accountId", "==", account.id);
+      const sumAmounts = async (filter) => {
+        const snapshot = await getAggregateFromServer(
+          query(transactionsCol, inAccount, where("currency", "==", currency), filter),
+          { total: sum("amount") }
+        );
+        return snapshot.data().total;
+      };
+
+      const [income, expenses, transfersIn, transfersOut, otherCurrencySnapshot] = await Promise.all([
+        sumAmounts(where("type", "==", "income")),
+        sumAmounts(where("type", "==", "expense")),
+        sumAmounts(where("transferDirection", "==", "in")),
+        sumAmounts(where("transferDirection", "==", "out")),
+        getDocs(query(transactionsCol, inAccount, where("currency", "!=", currency)))
+      ]);
+      const otherTransactions = otherCurrencySnapshot.docs.map(transactionDoc => ({ id: transactionDoc.id, ...transactionDoc.data() }));
+      const balance = getAccountBalance(
+        account,
+        { income, expenses, transfersIn, transfersOut },
+        otherTransactions,
+        t => convertAmount(t.amount, getTransactionCurrency(t), currency, getTransactionDateKey(t), exchangeRates)
+      );
+      return [account.id, balance];
+    }))
+      .then((entries) => {
+        if (!cancelled) setAccountBalances(Object.fromEntries(entries));
+      })
+      .catch((error) => {
+        console.error("Error calculating account balances:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser, transactionFieldsReady, isOnline, accounts, baseCurrency, exchangeRates, balanceSignature, writeCount]);
+
+  /**
+   * useEffect Hook for Budget Carry-Over
+   *
+   * Works out what each rollover budget carries into the viewed budget month without loading the
+   * months before it: Firestore sums each past month's base-currency spending in the budget's
+   * category and its subcategories, and only the expenses in other currencies are read so they
+   * can be converted at their own date's rate. Like the account balances, it runs again after
+   * every write, and the last known amounts are kept while offline.
+   */
+  useEffect(() => {
+    if (!currentUser || !transactionFieldsReady || !isOnline) return;
+
+    let cancelled = false;
+    const transactionsCol = collection(db, `artifacts/${appId}/users/${currentUser.uid}/transactions`);
+
+    Promise.all(budgets.map(async (budget) => {
+      const monthKeys = getRolloverMonthKeys(budget, currentYear, currentMonth);
+      if (monthKeys.length === 0) return [budget.id, 0];
+
+      const categories = [
+        budget.category,
+        ...Object.keys(categoryParents.expense).filter(name => categoryParents.expense[name] === budget.category)
+      ];
+      const categoryChunks = [];
+      for (let start = 0; start < categories.length; start += MAX_IN_QUERY_VALUES) {
+        categoryChunks.push(categories.slice(start, start + MAX_IN_QUERY_VALUES));
+      }
+      const expensesIn = (chunk, start, end) => [
+        where("type", "==", "expense"),
+        where("category", "in", chunk),
+        where("date", ">=", Timestamp.fromDate(start)),
+        where("date", "<=", Timestamp.fromDate(end))
+      ];
+
+      const monthlySpending = {};
+      const addSpending = (monthKey, amount) => {
+        monthlySpending[monthKey] = (monthlySpending[monthKey] || 0) + amount;
+      };
+
+      await Promise.all(monthKeys.flatMap(monthKey => categoryChunks.map(async (chunk) => {
+        const { start, end } = getMonthBounds(monthKey);
+        const snapshot = await getAggregateFromServer(
+          query(transactionsCol, ...expensesIn(chunk, start, end), where("currency", "==", baseCurrency)),
+          { total: sum("amount") }
+        );
+        addSpending(monthKey, snapshot.data().total);
+      })));
+
+      const rangeStart = getMonthBounds(monthKeys[0]).start;
+      const rangeEnd = getMonthBounds(monthKeys[monthKeys.length - 1]).end;
+      const otherCurrencySnapshots = await Promise.all(categoryChunks.map(chunk => getDocs(
+        query(transactionsCol, ...expensesIn(chunk, rangeStart, rangeEnd), where("currency", "!=", baseCurrency))
+      )));
+      otherCurrencySnapshots.flatMap(snapshot => snapshot.docs).forEach((transactionDoc) => {
+        const t = transactionDoc.data();
+        const dateKey = getTransactionDateKey(t);
+        const amount = convertAmount(t.amount, getTransactionCurrency(t), baseCurrency, dateKey, exchangeRates);
+        // Amounts that cannot be converted are left out, as in the budget month itself.
+        if (amount !== null) addSpending(dateKey.slice(0, 7), amount);
+      });
+
+      return [budget.id, getRolloverAmount(budget, monthlySpending, currentYear, currentMonth)];
+    }))
+      .then((entries) => {
+        if (!cancelled) setBudgetCarryOvers(Object.fromEntries(entries));
+      })
+      .catch((error) => {
+        console.error("Error calculating budget carry-over:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser, transactionFieldsReady, isOnline, budgets, categoryParents, currentYear, currentMonth, baseCurrency, exchangeRates, writeCount]);
+
+  // syncStatus: 'online', 'syncing', or 'offline', for the indicator in the header.
+  const syncStatus = getSyncStatus({
+    isOnline,
+    unsyncedWriteCount,
+    hasPendingWrites: Object.values(monthMetadata).some(metadata => metadata.hasPendingWrites),
+    fromCache: Object.values(monthMetadata).some(metadata => metadata.fromCache)
+  });
 
   // The value object containing all state and functions to be provided by the context.
   const value = {
-    transactions,
+    transactions, // Loaded transactions (cached months and older history), newest first
+    requireRange, // Keeps an extra period loaded while a component needs it
+    isRangeLoaded,
+    loadOlderTransactions, // Reads the next page of history from before the current month
+    hasMoreHistory,
+    historyLoading,
+    historyLoadedFrom, // Every transaction from this date on is loaded (null once all history is)
+    fetchTransactions, // One-off read of a date range
+    knownTags, // Every tag used so far, for autocomplete and filters
+    fetchTaggedTransactions, // One-off read of every transaction with a tag
+    syncStatus, // 'online', 'syncing', or 'offline'
     currentMonth,
     currentYear,
     currentDay,
+    viewDateKey, // The day being viewed ('YYYY-MM-DD')
     userIncomeCategories, // Exposed user-defined income categories
     userExpenseCategories, // Exposed user-defined expense categories
     addTransaction,
+    updateTransaction,
+    importTransactions,
+    findExistingImportIds,
     deleteTransaction,
     addCategory, // Exposed function to add categories
     deleteCategory, // Exposed function to delete categories
+    renameCategory,
+    mergeCategories,
+    hiddenCategories, // Built-in categories the user has hidden, by type
+    setCategoryHidden,
+    categoryParents, // The parent of each subcategory, by type
+    setCategoryParent,
+    getCategoryStyle, // Color and icon of a category
+    setCategoryStyle,
+    getCategoryUsageCounts, // Transactions per category, across all history
+    recurringRules, // Exposed recurring transaction rules
+    addRecurringRule,
+    updateRecurringRule,
+    deleteRecurringRule,
+    budgets, // Exposed monthly per-category budgets
+    budgetCarryOvers, // Amount each rollover budget carries into the viewed budget month, keyed by budget ID
+    setBudget,
+    deleteBudget,
+    baseCurrency, // Currency that totals are shown in
+    setBaseCurrency,
+    exchangeRates, // User-maintained table of dated exchange rates
+    addExchangeRate,
+    deleteExchangeRate,
+    toBaseAmount, // Converts a transaction's amount to the base currency
+    toCurrencyAmount, // Converts a transaction's amount to any currency
+    addTransfer, // Transfers between accounts, stored as a linked pair of transactions
+    updateTransfer,
+    deleteTransfer,
+    accounts, // User's accounts/wallets, including the default account
+    accountBalances, // All-time balance of each account, in its own currency, keyed by account ID
+    addAccount,
+    updateAccount,
+    deleteAccount,
     changeMonth,
     changeDay,
+    viewMode, // 'day', 'week', 'month', 'year', or 'custom'
+    setViewMode,
+    customRange, // { startDate, endDate } for the 'custom' view mode
+    setCustomRange,
+    weekStartsOn, // First day of the week (0 = Sunday)
+    setWeekStartsOn,
+    viewRange, // { start, end } of the period being viewed
+    viewLabel, // Description of the period being viewed
+    setViewDate,
+    setViewDateKey,
+    navigateView,
     loading
   };
 
@@ -1,76 +1,117 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { getPaymentMethodLabel } from '../utils/paymentMethods'; // Display labels for stored payment methods
+import { formatCurrency, getTransactionCurrency } from '../utils/currency'; // Currency-aware amount formatting
+import { getTransactionAccountId } from '../utils/accounts'; // Resolves a transaction's account
+import { getTransferAccounts, isTransfer } from '../utils/transfers'; // Transfers between accounts
+import { VIEW_MODES, isWithinRange } from '../utils/viewRange'; // Viewed period helpers
+import { formatDateKey, getTransactionDateKey, isDateKey } from '../utils/calendarDate'; // Transaction days
+import { getWriteMessage } from '../utils/sync'; // Feedback for writes that have not reached the server yet
+import { formatCategoryName, getParentCategory } from '../utils/categories'; // Subcategories and their parents
+import { TRANSFER_STYLE } from '../utils/categoryStyles'; // How transfers are shown
+import CategoryIcon from './CategoryIcon'; // Colored category icon
+import { getTransactionTags, hasTag } from '../utils/tags'; // Free-form transaction tags
 
 /**
  * TransactionsSection Component
  *
- * This component displays a list of financial transactions filtered for the currently
- * selected day, month, and year. It allows users to view and delete individual transactions.
- * It also provides navigation buttons and a date picker to move between days, integrating with the
- * overall month/year selection from the TransactionContext.
+ * This component displays a list of financial transactions for the period currently being viewed
+ * (a day, week, month, year, or custom range, as selected in the overview). It allows users to view,
+ * edit, and delete individual transactions.
+ * A transfer between accounts is listed once (by its outgoing leg) and is edited or deleted as a whole.
+ * When a category filter is set (from the overview's category chart), the list only shows the
+ * period's transactions in that category (and its subcategories, for a grouped chart slice).
+ * Subcategories are shown with their parent. Each row is marked with its category's color and icon,
+ * and lists the transaction's tags; the list can also be narrowed to the transactions with a tag.
+ * It also provides navigation buttons to move by whole periods and a date picker to jump to any date,
+ * integrating with the view selection in the TransactionContext.
  *
  * @param {object} props - The component's props.
  * @param {function} props.showConfirm - A function to display a confirmation modal before deletion.
  * @param {function} props.showMessage - A function to display general messages (success/error).
+ * @param {function} props.onEditTransaction - A function called with a transaction when its row is clicked, to open it for editing.
+ * @param {{category: string, type: string, includeSubcategories?: boolean}|null} [props.categoryFilter] - A
+ * category (and its type) to limit the list to, and whether its subcategories are included.
+ * @param {function} [props.onClearCategoryFilter] - A function that clears the category filter.
  */
-const TransactionsSection = ({ showConfirm, showMessage }) => {
+const TransactionsSection = ({ showConfirm, showMessage, onEditTransaction, categoryFilter = null, onClearCategoryFilter }) => {
   // Destructure necessary state and functions from the useTransactions hook.
-  // transactions: An array of all financial transactions.
-  // currentMonth: The index of the currently selected month (0-11).
-  // currentYear: The currently selected year.
-  // currentDay: The currently selected day (1-31).
+  // transactions: The loaded financial transactions (always including the viewed period).
+  // viewDateKey: The currently selected day ('YYYY-MM-DD').
+  // viewMode / viewRange / viewLabel: The kind of period being viewed, its boundaries, and its description.
   // deleteTransaction: An asynchronous function to delete a transaction from Firestore.
-  // changeDay: A function to change the current day (e.g., -1 for previous, 1 for next).
-  const { transactions, currentMonth, currentYear, currentDay, deleteTransaction, changeDay } = useTransactions();
+  // deleteTransfer: An asynchronous function to delete both legs of a transfer from Firestore.
+  // navigateView: A function to move by whole periods (e.g., -1 for previous, 1 for next).
+  // setViewDateKey: A function to jump to the period containing a given day ('YYYY-MM-DD').
+  // isRangeLoaded: Checks whether the viewed period's months have finished loading.
+  // categoryParents: The parent of each subcategory, by type.
+  // getCategoryStyle: Looks up the color and icon of a category.
+  // knownTags: Every tag used so far, offered in the tag filter.
+  const {
+    transactions,
+    viewDateKey,
+    viewMode,
+    viewRange,
+    viewLabel,
+    deleteTransaction,
+    deleteTransfer,
+    navigateView,
+    setViewDateKey,
+    isRangeLoaded,
+    accounts,
+    categoryParents,
+    getCategoryStyle,
+    knownTags
+  } = useTransactions();
 
-  // --- Date Calculation and Formatting for the Date Picker ---
-  // Create a Date object for the currently selected day to get accurate date information.
-  const currentSelectedDate = new Date(currentYear, currentMonth, currentDay);
+  // tagFilter: The tag the list is narrowed to, or '' for every transaction.
+  const [tagFilter, setTagFilter] = useState('');
 
-  // Format the current date into 'YYYY-MM-DD' string, which is the required format for input type="date".
-  const formattedDateForInput = currentSelectedDate.toISOString().split('T')[0];
-
-  // Calculate the first and last day of the current month. These will be used to set
-  // the 'min' and 'max' attributes of the date picker, restricting selection to the current month.
-  const firstDayOfMonth = new Date(currentYear, currentMonth, 1);
-  const lastDayOfMonth = new Date(currentYear, currentMonth + 1, 0); // Day 0 of the next month gives the last day of the current month
+  /**
+   * getAccountName Function
+   *
+   * Looks up the name of an account.
+   * @param {string} accountId - The account ID.
+   * @returns {string|null} The account name, or null if the account no longer exists.
+   */
+  const getAccountName = (accountId) => {
+    const account = accounts.find(a => a.id === accountId);
+    return account ? account.name : null;
+  };
 
-  const minDateForInput = firstDayOfMonth.toISOString().split('T')[0];
-  const maxDateForInput = lastDayOfMonth.toISOString().split('T')[0];
+  // --- Date Formatting for the Date Picker ---
+  // The selected day is already a 'YYYY-MM-DD' string, which is the required format for input type="date".
+  // Any date can be picked; the view moves to the period that contains it.
+  const formattedDateForInput = viewDateKey;
 
   // --- Transaction Filtering Logic ---
-  // Define the start and end timestamps for the current day to accurately filter transactions.
-  // This ensures only transactions within the exact 24-hour period of the 'currentDay' are shown.
-  const dayStart = new Date(currentYear, currentMonth, currentDay, 0, 0, 0, 0);   // Start of the current day (00:00:00.000)
-  const dayEnd = new Date(currentYear, currentMonth, currentDay, 23, 59, 59, 999); // End of the current day (23:59:59.999)
-
-  // Filter the full list of transactions based on the calculated day range.
+  // Filter the full list of transactions to the viewed period (and the category and tag filters, if set).
   const filteredTransactions = transactions.filter(t => {
-    const transactionDate = t.date.toDate(); // Convert Firestore Timestamp object to a JavaScript Date object
-    // Check if the transaction's date falls within the defined 'dayStart' and 'dayEnd'.
-    return transactionDate >= dayStart && transactionDate <= dayEnd;
+    // Each transfer is shown once, by its outgoing leg.
+    if (isTransfer(t) && t.transferDirection === 'in') return false;
+    if (categoryFilter && (t.type !== categoryFilter.type || (categoryFilter.includeSubcategories
+      ? getParentCategory(t.category, categoryParents[t.type])
+      : t.category) !== categoryFilter.category)) return false;
+    if (tagFilter && !hasTag(t, tagFilter)) return false;
+    // Check if the transaction's date falls within the viewed period.
+    return isWithinRange(t, viewRange);
   });
 
+  // Heading for the list in the current view mode (e.g., "Weekly Transactions").
+  const listTitle = VIEW_MODES.find(mode => mode.value === viewMode).listTitle;
+
   /**
    * handleDateChange Function
    *
    * This function is triggered when the user selects a new date using the date input.
-   * It calculates the numerical difference in days between the previously selected day
-   * and the newly selected day, then calls 'changeDay' from the context to update the state.
+   * It moves the view to the period containing the selected date.
    *
    * @param {object} e - The event object from the date input's onChange event.
    */
   const handleDateChange = (e) => {
-    const selectedDateString = e.target.value; // Get the selected date string (e.g., "2025-07-15")
-    const newlySelectedDate = new Date(selectedDateString); // Convert it to a Date object
-
-    // Calculate the difference in days. We set hours to UTC midnight to avoid timezone issues
-    // affecting the day calculation, ensuring accuracy regardless of local time.
-    const diffTime = newlySelectedDate.setUTCHours(0,0,0,0) - currentSelectedDate.setUTCHours(0,0,0,0);
-    const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24)); // Convert milliseconds to days
-
-    // Update the 'currentDay' state in the TransactionContext using the calculated delta.
-    changeDay(diffDays);
+    if (isDateKey(e.target.value)) { // e.g., "2025-07-15"; empty while the input is cleared
+      setViewDateKey(e.target.value);
+    }
   };
 
   /**
@@ -81,16 +122,18 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
    * it attempts to delete the transaction via the 'deleteTransaction' function from context
    * and provides feedback using 'showMessage'.
    *
-   * @param {string} id - The unique ID of the transaction to be deleted.
+   * @param {object} transaction - The transaction to be deleted. For a transfer, both legs are deleted.
    */
-  const handleDelete = (id) => {
+  const handleDelete = (transaction) => {
     // Display a confirmation modal to the user.
     showConfirm("Are you sure you want to delete this transaction?", async () => {
       // If the user confirms, proceed with the deletion.
-      const success = await deleteTransaction(id);
+      const result = isTransfer(transaction)
+        ? await deleteTransfer(transaction.transferId)
+        : await deleteTransaction(transaction.id);
       // Provide appropriate feedback to the user based on the operation's success.
-      if (success) {
-        showMessage("Transaction deleted successfully.");
+      if (result) {
+        showMessage(getWriteMessage(result, "Transaction deleted successfully."));
       } else {
         showMessage("Failed to delete transaction.", true); // Indicate an error if deletion fails
       }
@@ -99,86 +142,174 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
 
   // --- Component JSX Structure ---
   return (
-    // Main section container for the daily transactions list and navigation.
+    // Main section container for the transactions list and period navigation.
     <section>
-      {/* Daily Navigation and Date Selector Bar */}
-      <div className="flex justify-between items-center mb-4">
-        {/* Button to navigate to the previous day */}
-        <button
-          onClick={() => changeDay(-1)} // Decrements the current day by 1
-          className="p-2 rounded-full hover:bg-gray-200 transition-colors"
-          aria-label="Previous Day" // Accessibility label for screen readers
-        >
-          {/* SVG icon for a left arrow */}
-          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6 text-gray-600">
-            <path strokeLinecap="round" strokeLinejoin="round" d="M15.75 19.5L8.25 12l7.5-7.5" />
-          </svg>
-        </button>
+      {/* Category filter bar when filtering by category; otherwise the period navigation and date selector bar
+          (except for a custom range, whose dates are chosen in the overview). */}
+      {categoryFilter ? (
+        <div className="flex justify-between items-center mb-4 p-2 bg-blue-50 border border-blue-200 rounded-lg">
+          <span className="text-sm text-blue-800">
+            Showing <span className="font-semibold">{categoryFilter.category}</span> {categoryFilter.type === 'income' ? 'income' : 'expenses'}
+            {categoryFilter.includeSubcategories && Object.values(categoryParents[categoryFilter.type]).includes(categoryFilter.category) && ' (with subcategories)'} in {viewLabel}
+          </span>
+          <button
+            onClick={onClearCategoryFilter} // Shows every category again
+            className="text-sm text-blue-600 hover:text-blue-800 font-semibold"
+          >
+            Clear filter
+          </button>
+        </div>
+      ) : viewMode !== 'custom' && (
+        <div className="flex justify-between items-center mb-4">
+          {/* Button to navigate to the previous period */}
+          <button
+            onClick={() => navigateView(-1)} // Moves back one day, week, month, or year
+            className="p-2 rounded-full hover:bg-gray-200 transition-colors"
+            aria-label="Previous Period" // Accessibility label for screen readers
+          >
+            {/* SVG icon for a left arrow */}
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6 text-gray-600">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M15.75 19.5L8.25 12l7.5-7.5" />
+            </svg>
+          </button>
 
-        {/* Date input field for direct day selection */}
-        <input
-          type="date"
-          value={formattedDateForInput} // Displays the currently selected date
-          onChange={handleDateChange}   // Calls the handler when a new date is selected
-          min={minDateForInput}        // Restricts selection to the first day of the current month
-          max={maxDateForInput}        // Restricts selection to the last day of the current month
-          className="p-2 border border-gray-300 rounded-lg text-center font-semibold text-gray-700 focus:ring-blue-500 focus:border-blue-500 w-36 sm:w-48" // Tailwind CSS for styling
-          aria-label="Select Date" // Accessibility label
-        />
+          {/* Date input field for jumping to the period containing any date */}
+          <input
+            type="date"
+            value={formattedDateForInput} // Displays the currently selected date
+            onChange={handleDateChange}   // Calls the handler when a new date is selected
+            className="p-2 border border-gray-300 rounded-lg text-center font-semibold text-gray-700 focus:ring-blue-500 focus:border-blue-500 w-36 sm:w-48" // Tailwind CSS for styling
+            aria-label="Select Date" // Accessibility label
+          />
 
-        {/* Button to navigate to the next day */}
-        <button
-          onClick={() => changeDay(1)} // Increments the current day by 1
-          className="p-2 rounded-full hover:bg-gray-200 transition-colors"
-          aria-label="Next Day" // Accessibility label for screen readers
-        >
-          {/* SVG icon for a right arrow */}
-          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6 text-gray-600">
-            <path strokeLinecap="round" strokeLinejoin="round" d="M8.25 4.5l7.5 7.5-7.5 7.5" />
-          </svg>
-        </button>
-      </div>
+          {/* Button to navigate to the next period */}
+          <button
+            onClick={() => navigateView(1)} // Moves forward one day, week, month, or year
+            className="p-2 rounded-full hover:bg-gray-200 transition-colors"
+            aria-label="Next Period" // Accessibility label for screen readers
+          >
+            {/* SVG icon for a right arrow */}
+            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6 text-gray-600">
+              <path strokeLinecap="round" strokeLinejoin="round" d="M8.25 4.5l7.5 7.5-7.5 7.5" />
+            </svg>
+          </button>
+        </div>
+      )}
 
       {/* Secondary heading for the list of transactions */}
-      <h3 className="text-lg font-semibold text-gray-700 mb-3">Daily Transactions</h3>
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold text-gray-700">{categoryFilter ? `${categoryFilter.category} Transactions` : listTitle}</h3>
+        {/* Tag filter, once any transaction has been tagged. */}
+        {knownTags.length > 0 && (
+          <select
+            value={tagFilter}
+            onChange={(e) => setTagFilter(e.target.value)}
+            className="p-1 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+            aria-label="Filter by tag"
+          >
+            <option value="">All tags</option>
+            {knownTags.map(tag => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+        )}
+      </div>
       {/* Container for the scrollable list of individual transactions */}
       <div className="space-y-2 max-h-80 overflow-y-auto pr-2">
-        {/* Conditional rendering: Display a message if no transactions are found for the current day */}
-        {filteredTransactions.length === 0 ? (
-          <p className="text-gray-500 text-center py-4">No transactions for this day.</p>
+        {/* Conditional rendering: Display a message while the period loads, or if no transactions are found for it */}
+        {filteredTransactions.length === 0 && !isRangeLoaded(viewRange) ? (
+          <p className="text-gray-500 text-center py-4">Loading transactions...</p>
+        ) : filteredTransactions.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">{categoryFilter || tagFilter ? `No transactions ${categoryFilter ? 'in this category' : 'with this tag'} for this period.` : 'No transactions for this period.'}</p>
         ) : (
           // Map over the filtered transactions and render each one
-          filteredTransactions.map(t => (
-            <div
-              key={t.id} // Unique key for React list rendering
-              // Dynamic styling based on transaction type (income or expense)
-              className={`p-3 mb-2 rounded-lg shadow flex justify-between items-center ${
-                t.type === 'income'
-                  ? 'bg-green-100 border-l-4 border-green-500' // Green border and background for income
-                  : 'bg-red-100 border-l-4 border-red-500'   // Red border and background for expense
-              }`}
-            >
-              {/* Transaction details display */}
-              <div>
-                <p className="font-semibold text-lg">{t.category}</p>
-                <p className="text-sm text-gray-600">
-                  {/* Format and display the transaction date and amount */}
-                  {t.date.toDate().toLocaleDateString()} - QAR {t.amount.toFixed(2)}
-                </p>
-              </div>
-              {/* Delete button for the transaction item */}
-              <button
-                onClick={() => handleDelete(t.id)} // Calls handleDelete function with the transaction's ID
-                className="delete-btn text-red-500 hover:text-red-700 font-semibold p-1 rounded-full"
-                aria-label={`Delete ${t.category} transaction`} // Accessibility label
+          filteredTransactions.map(t => {
+            // The category's color marks the row's edge and icon; the background still tells income from expenses.
+            const style = isTransfer(t) ? TRANSFER_STYLE : getCategoryStyle(t.category, t.type);
+            return (
+              <div
+                key={t.id} // Unique key for React list rendering
+                onClick={() => onEditTransaction(t)} // Opens the transaction for editing
+                onKeyDown={(e) => {
+                  // Enter and Space open the transaction too, as on a real button. Keys pressed on the
+                  // delete button inside the row are left to it.
+                  if (e.target !== e.currentTarget || (e.key !== 'Enter' && e.key !== ' ')) return;
+                  e.preventDefault(); // Keeps Space from scrolling the page
+                  onEditTransaction(t);
+                }}
+                role="button" // Accessibility: the row acts as a button
+                tabIndex={0} // Reachable with the Tab key
+                // Dynamic styling based on transaction type (income, expense or transfer)
+                className={`p-3 mb-2 rounded-lg shadow flex justify-between items-center cursor-pointer hover:shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500 border-l-4 ${
+                  t.type === 'income'
+                    ? 'bg-green-50' // Green background for income
+                    : isTransfer(t)
+                      ? 'bg-blue-50' // Blue background for transfers
+                      : 'bg-red-50'   // Red background for expense
+                }`}
+                style={{ borderLeftColor: style.color }}
               >
-                {/* SVG icon for a delete/close button */}
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
-            </div>
-          ))
+                {/* Transaction details display */}
+                <div className="flex items-center">
+                  <span className="mr-3"><CategoryIcon color={style.color} icon={style.icon} /></span>
+                  <div>
+                    {isTransfer(t) ? (
+                      <p className="font-semibold text-lg">
+                        Transfer
+                        <span className="font-normal text-gray-600">
+                          {' · '}{getAccountName(getTransferAccounts(t).fromAccountId) || 'Deleted account'} → {getAccountName(getTransferAccounts(t).toAccountId) || 'Deleted account'}
+                        </span>
+                      </p>
+                    ) : (
+                      <p className="font-semibold text-lg">
+                        {formatCategoryName(t.category, categoryParents[t.type])}
+                        {/* Payee is optional; older transactions do not have it. */}
+                        {t.payee && <span className="font-normal text-gray-600"> · {t.payee}</span>}
+                      </p>
+                    )}
+                    <p className="text-sm text-gray-600">
+                      {/* Format and display the transaction date and amount */}
+                      {formatDateKey(getTransactionDateKey(t))} - {formatCurrency(t.amount, getTransactionCurrency(t))}
+                      {/* Payment method is optional; only shown when recorded. */}
+                      {getPaymentMethodLabel(t.paymentMethod) && ` - ${getPaymentMethodLabel(t.paymentMethod)}`}
+                      {/* The account is only worth showing once the user has more than one. */}
+                      {accounts.length > 1 && !isTransfer(t) && getAccountName(getTransactionAccountId(t)) && ` - ${getAccountName(getTransactionAccountId(t))}`}
+                    </p>
+                    {/* Note is optional; only shown when recorded. */}
+                    {t.note && <p className="text-sm text-gray-500 italic">{t.note}</p>}
+                    {/* Tags are optional; only shown when there are any. */}
+                    {getTransactionTags(t).length > 0 && (
+                      <p className="flex flex-wrap gap-1 mt-1">
+                        {getTransactionTags(t).map(tag => (
+                          <span key={tag} className="px-2 py-0.5 text-xs bg-white text-gray-700 border border-gray-300 rounded-full">{tag}</span>
+                        ))}
+                      </p>
+                    )}
+                    {/* Changes made offline are marked until the server has them. */}
+                    {t.hasPendingWrites && (
+                      <p className="text-xs font-semibold text-yellow-700" title="Saved on this device; it will sync when you're back online.">
+                        Not synced yet
+                      </p>
+                    )}
+                  </div>
+                </div>
+                {/* Delete button for the transaction item */}
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation(); // Prevent the row click from opening the edit modal
+                    handleDelete(t); // Calls handleDelete function with the transaction
+                  }}
+                  className="delete-btn text-red-500 hover:text-red-700 font-semibold p-1 rounded-full"
+                  aria-label={`Delete ${isTransfer(t) ? 'transfer' : t.category} transaction`} // Accessibility label
+                >
+                  {/* SVG icon for a delete/close button */}
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+            );
+          })
         )}
       </div>
     </section>
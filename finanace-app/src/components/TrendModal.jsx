@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { useTransactions } from '../components/TransactionContext'; // Custom hook to access transaction-related state and functions
+import { TREND_MONTH_OPTIONS, getMonthlyTrend } from '../utils/trends'; // Monthly income/expense aggregation
+import { formatCurrency } from '../utils/currency'; // Currency-aware amount formatting
+import { formatDateKey, fromDateKey, getMonthEndKey, getMonthStartKey } from '../utils/calendarDate'; // Month boundaries as calendar days
+
+// Chart drawing area, in SVG user units. The SVG scales to the modal's width.
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 10 };
+
+/**
+ * getTrendRange Function
+ *
+ * Returns the period covered by a trend of `monthCount` months ending with the given month.
+ * @param {number} endYear - The full year of the last month.
+ * @param {number} endMonth - The month index (0-11) of the last month.
+ * @param {number} monthCount - How many months the trend covers.
+ * @returns {{start: Date, end: Date}} The period's boundaries.
+ */
+const getTrendRange = (endYear, endMonth, monthCount) => ({
+  start: fromDateKey(getMonthStartKey(endYear, endMonth - monthCount + 1)),
+  end: fromDateKey(getMonthEndKey(endYear, endMonth))
+});
+
+/**
+ * TrendModal Component
+ *
+ * This component renders a modal comparing income, expenses, and net over the last N months
+ * (ending with the month selected in the overview). It draws a plain SVG column chart of income
+ * and expenses with a line for the net amount, and a table of the same figures underneath.
+ * Amounts are in the base currency. While the modal is open, the months it covers are kept loaded
+ * in the TransactionContext.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Controls the visibility of the modal.
+ * @param {function} props.onClose - Callback function to close the modal.
+ */
+const TrendModal = ({ isOpen, onClose }) => {
+  // Destructure necessary state from the TransactionContext.
+  const { transactions, currentMonth, currentYear, baseCurrency, toBaseAmount, requireRange, isRangeLoaded } = useTransactions();
+
+  // monthCount: How many months the trend covers.
+  const [monthCount, setMonthCount] = useState(12);
+
+  /**
+   * useEffect Hook
+   *
+   * Goes back to the default 12-month view whenever the modal is opened.
+   */
+  useEffect(() => {
+    if (isOpen) {
+      setMonthCount(12);
+    }
+  }, [isOpen]);
+
+  /**
+   * useEffect Hook
+   *
+   * Asks the TransactionContext to load the months the trend covers while the modal is open,
+   * and releases them when it closes (or the covered months change).
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+    requireRange('trend', getTrendRange(currentYear, currentMonth, monthCount));
+    return () => requireRange('trend', null);
+  }, [isOpen, currentYear, currentMonth, monthCount, requireRange]);
+
+  // If the modal is not open, render nothing.
+  if (!isOpen) return null;
+
+  const trend = getMonthlyTrend(transactions, currentYear, currentMonth, monthCount, toBaseAmount);
+  const trendLoaded = isRangeLoaded(getTrendRange(currentYear, currentMonth, monthCount));
+
+  // --- Chart Scaling ---
+  // The vertical scale always includes zero, and goes below it if any month's net is negative.
+  const maxValue = Math.max(1, ...trend.map(m => Math.max(m.income, m.expenses, m.net)));
+  const minValue = Math.min(0, ...trend.map(m => m.net));
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const toY = (value) => PADDING.top + ((maxValue - value) / (maxValue - minValue)) * plotHeight;
+  const zeroY = toY(0);
+
+  const slotWidth = plotWidth / trend.length; // Horizontal space for one month
+  const barWidth = Math.min(24, slotWidth * 0.35);
+  const slotCenter = (index) => PADDING.left + slotWidth * index + slotWidth / 2;
+  // With many months, only every few months are labelled so the labels do not overlap.
+  const labelEvery = Math.ceil(trend.length / 12);
+
+  const netPoints = trend.map((m, index) => `${slotCenter(index)},${toY(m.net)}`).join(' ');
+
+  /**
+   * monthLabel Function
+   *
+   * Formats a trend entry's month for display (e.g., "Jul 25").
+   * @param {object} entry - A trend entry ({ year, month }).
+   * @returns {string} The short month label.
+   */
+  const monthLabel = (entry) => formatDateKey(getMonthStartKey(entry.year, entry.month), { month: 'short', year: '2-digit' });
+
+  const totals = trend.reduce((sum, m) => ({
+    income: sum.income + m.income,
+    expenses: sum.expenses + m.expenses,
+    net: sum.net + m.net
+  }), { income: 0, expenses: 0, net: 0 });
+
+  // --- Component JSX Structure ---
+  return (
+    // Modal overlay: fixed position, dark background, centered content.
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      {/* Modal content container: white background, rounded corners, shadow, max-width. */}
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-full overflow-y-auto">
+        {/* Modal header: title, month count selector, and close button. */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">Income vs. Expenses</h2>
+          <div className="flex items-center">
+            <select
+              value={monthCount}
+              onChange={(e) => setMonthCount(Number(e.target.value))}
+              className="mr-3 p-1 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              aria-label="Number of months"
+            >
+              {TREND_MONTH_OPTIONS.map(count => (
+                <option key={count} value={count}>Last {count} months</option>
+              ))}
+            </select>
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Months that have not been viewed before are loaded on demand; the figures fill in as they arrive. */}
+        {!trendLoaded && (
+          <p className="text-xs text-gray-500 text-center mb-2">Loading older months...</p>
+        )}
+
+        {/* Column chart of income and expenses per month, with the net amount as a line. */}
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto mb-2" role="img" aria-label="Monthly income and expenses">
+          {/* Zero line. */}
+          <line x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={zeroY} y2={zeroY} stroke="#d1d5db" strokeWidth="1" />
+          {trend.map((m, index) => (
+            <g key={`${m.year}-${m.month}`}>
+              {/* Income column, left of the month's center. */}
+              <rect x={slotCenter(index) - barWidth} y={toY(m.income)} width={barWidth} height={zeroY - toY(m.income)} fill="#10b981">
+                <title>{`${monthLabel(m)} income: ${formatCurrency(m.income, baseCurrency)}`}</title>
+              </rect>
+              {/* Expense column, right of the month's center. */}
+              <rect x={slotCenter(index)} y={toY(m.expenses)} width={barWidth} height={zeroY - toY(m.expenses)} fill="#ef4444">
+                <title>{`${monthLabel(m)} expenses: ${formatCurrency(m.expenses, baseCurrency)}`}</title>
+              </rect>
+              {/* Month label under the columns. */}
+              {(trend.length - 1 - index) % labelEvery === 0 && (
+                <text x={slotCenter(index)} y={CHART_HEIGHT - 6} textAnchor="middle" fontSize="11" className="fill-gray-500">
+                  {monthLabel(m)}
+                </text>
+              )}
+            </g>
+          ))}
+          {/* Net line with a dot per month. */}
+          <polyline points={netPoints} fill="none" stroke="#3b82f6" strokeWidth="2" />
+          {trend.map((m, index) => (
+            <circle key={`net-${m.year}-${m.month}`} cx={slotCenter(index)} cy={toY(m.net)} r="3" fill="#3b82f6">
+              <title>{`${monthLabel(m)} net: ${formatCurrency(m.net, baseCurrency)}`}</title>
+            </circle>
+          ))}
+        </svg>
+
+        {/* Chart legend. */}
+        <div className="flex justify-center space-x-4 text-xs text-gray-600 mb-4">
+          <span className="flex items-center"><span className="inline-block w-3 h-3 mr-1 bg-green-500"></span>Income</span>
+          <span className="flex items-center"><span className="inline-block w-3 h-3 mr-1 bg-red-500"></span>Expenses</span>
+          <span className="flex items-center"><span className="inline-block w-3 h-0.5 mr-1 bg-blue-500"></span>Net</span>
+        </div>
+
+        {/* Table of the same figures, newest month first. */}
+        <div className="max-h-64 overflow-y-auto">
+          <table className="w-full text-sm">
+            <thead className="sticky top-0 bg-white">
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-1 font-medium">Month</th>
+                <th className="py-1 font-medium text-right">Income</th>
+                <th className="py-1 font-medium text-right">Expenses</th>
+                <th className="py-1 font-medium text-right">Net</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...trend].reverse().map(m => (
+                <tr key={`${m.year}-${m.month}`} className="border-b border-gray-100">
+                  <td className="py-1 text-gray-700">{formatDateKey(getMonthStartKey(m.year, m.month), { month: 'long', year: 'numeric' })}</td>
+                  <td className="py-1 text-right text-green-600">{formatCurrency(m.income, baseCurrency)}</td>
+                  <td className="py-1 text-right text-red-600">{formatCurrency(m.expenses, baseCurrency)}</td>
+                  <td className={`py-1 text-right font-semibold ${m.net >= 0 ? 'text-blue-600' : 'text-red-600'}`}>{formatCurrency(m.net, baseCurrency)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="font-semibold">
+                <td className="py-1 text-gray-700">Total</td>
+                <td className="py-1 text-right text-green-600">{formatCurrency(totals.income, baseCurrency)}</td>
+                <td className="py-1 text-right text-red-600">{formatCurrency(totals.expenses, baseCurrency)}</td>
+                <td className={`py-1 text-right ${totals.net >= 0 ? 'text-blue-600' : 'text-red-600'}`}>{formatCurrency(totals.net, baseCurrency)}</td>
+              </tr>
+              <tr className="text-gray-600">
+                <td className="py-1">Monthly average</td>
+                <td className="py-1 text-right">{formatCurrency(totals.income / trend.length, baseCurrency)}</td>
+                <td className="py-1 text-right">{formatCurrency(totals.expenses / trend.length, baseCurrency)}</td>
+                <td className="py-1 text-right">{formatCurrency(totals.net / trend.length, baseCurrency)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrendModal;
@@ -6,19 +6,24 @@ import React from 'react';
  * This component displays the authenticated user's profile information,
  * including their display name, profile picture, and user ID.
  * It also provides a button to sign out the user for non-anonymous accounts.
- * For anonymous users, it will additionally show a Google Sign-In button
- * to allow them to upgrade their account.
+ * For anonymous users, it will additionally show Google and email sign-in buttons
+ * to allow them to upgrade their account. Email/password users whose address is not
+ * verified yet get a reminder with options to resend the link or re-check.
  *
  * @param {object} props - The component's props.
  * @param {object} props.user - The user object, typically from Firebase Authentication,
  * containing properties like `displayName`, `photoURL`, `uid`, and `isAnonymous`.
  * @param {function} props.onSignOut - A callback function to be executed when the sign-out button is clicked.
  * @param {function} props.onSignInGoogle - A callback function to be executed when the Google Sign-In button is clicked (for anonymous users).
+ * @param {function} props.onSignInEmail - A callback function to be executed when the email sign-in button is clicked (for anonymous users).
+ * @param {boolean} props.needsEmailVerification - True if the user's email address has not been verified yet.
+ * @param {function} props.onResendVerification - A callback function to send another verification email.
+ * @param {function} props.onRefreshVerification - A callback function to re-check whether the email address has been verified.
  */
-const UserInfo = ({ user, onSignOut, onSignInGoogle }) => {
+const UserInfo = ({ user, onSignOut, onSignInGoogle, onSignInEmail, needsEmailVerification, onResendVerification, onRefreshVerification }) => {
   // Safely get the first letter of the user's display name for a placeholder image.
-  // If displayName is null or undefined, default to 'U'.
-  const firstLetter = user.displayName?.charAt(0) || 'U';
+  // If displayName is null or undefined (e.g. for email/password accounts), use the email, then default to 'U'.
+  const firstLetter = (user.displayName || user.email)?.charAt(0).toUpperCase() || 'U';
 
   // Determine the photo URL. Use the user's photoURL if available,
   // otherwise generate a placeholder image URL with the first letter of their name.
@@ -43,8 +48,8 @@ const UserInfo = ({ user, onSignOut, onSignInGoogle }) => {
         />
         {/* Container for user's name and ID, and potentially the Google Sign-In button. */}
         <div>
-          {/* User's display name. If null, default to 'Guest User'. */}
-          <p className="font-semibold text-gray-800 text-left">{user.displayName || 'Guest User'}</p>
+          {/* User's display name. If null, fall back to the email address, then 'Guest User'. */}
+          <p className="font-semibold text-gray-800 text-left">{user.displayName || user.email || 'Guest User'}</p>
           {/* User's unique ID. */}
           <p className="text-sm text-gray-500 text-left">User ID: {user.uid}</p>
 
@@ -64,6 +69,34 @@ const UserInfo = ({ user, onSignOut, onSignInGoogle }) => {
               Sign in with Google
             </button>
           )}
+          {/* Email sign-in button, also only for anonymous users. */}
+          {user.isAnonymous && (
+            <button
+              onClick={onSignInEmail} // Triggers the onSignInEmail callback when clicked.
+              className="mt-1 text-sm text-blue-600 hover:text-blue-800 font-semibold flex items-center"
+            >
+              {/* Envelope icon SVG */}
+              <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-4 h-4 mr-1">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+              </svg>
+              Sign in with email
+            </button>
+          )}
+
+          {/* Email verification reminder, for email/password users who have not verified yet. */}
+          {needsEmailVerification && (
+            <div className="mt-2 text-left text-xs text-yellow-700">
+              <p>Your email address is not verified yet.</p>
+              <div className="space-x-3">
+                <button onClick={onResendVerification} className="font-semibold text-blue-600 hover:text-blue-800">
+                  Resend link
+                </button>
+                <button onClick={onRefreshVerification} className="font-semibold text-blue-600 hover:text-blue-800">
+                  I've verified it
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
       {/* Right section: Sign Out button, conditionally rendered only if the user is NOT anonymous. */}
@@ -6,7 +6,9 @@ import {
   signOut 
 } from 'firebase/auth';
 import { 
-  getFirestore, 
+  initializeFirestore, 
+  persistentLocalCache, 
+  persistentMultipleTabManager, 
   collection, 
   addDoc, 
   query, 
@@ -29,13 +31,18 @@ const firebaseConfig = {
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
+// Firestore keeps a persistent local cache (IndexedDB), shared between open tabs, so data loaded
+// before stays available offline and writes made offline are sent once the connection returns.
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
 const provider = new GoogleAuthProvider();
 
 // App ID from environment or default
 const appId = import.meta.env.REACT_APP_APP_ID || 'default-app-id';
 
 export { 
+  firebaseConfig, 
   auth, 
   db, 
   provider, 
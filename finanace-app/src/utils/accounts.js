@@ -0,0 +1,79 @@
+/**
+ * Account Utilities
+ *
+ * Accounts (wallets) let transactions be kept apart by where the money actually is: cash,
+ * a bank account, a credit card, and so on. Transactions saved before accounts existed have
+ * no `accountId` and belong to the default account (the TransactionContext fills the field in
+ * once, so they can be queried by account).
+ */
+import { isTransfer } from './transfers';
+
+// ID of the account that transactions without an `accountId` belong to.
+export const DEFAULT_ACCOUNT_ID = 'default';
+
+// Name the default account is shown with until the user renames it.
+export const DEFAULT_ACCOUNT_NAME = 'Main Account';
+
+// The kinds of account a user can create. The `value` is stored on the account document.
+export const ACCOUNT_TYPES = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'bank', label: 'Bank Account' },
+  { value: 'credit', label: 'Credit Card' },
+  { value: 'savings', label: 'Savings' },
+  { value: 'other', label: 'Other' },
+];
+
+/**
+ * getAccountTypeLabel Function
+ *
+ * Looks up the display label for a stored account type value.
+ * @param {string} value - The stored account type (e.g., 'bank').
+ * @returns {string|null} The display label, or null if the value is empty or unknown.
+ */
+export const getAccountTypeLabel = (value) => {
+  const accountType = ACCOUNT_TYPES.find(t => t.value === value);
+  return accountType ? accountType.label : null;
+};
+
+/**
+ * getTransactionAccountId Function
+ *
+ * Returns the ID of the account a transaction belongs to, falling back to the default account.
+ * @param {object} transaction - The transaction.
+ * @returns {string} The account ID.
+ */
+export const getTransactionAccountId = (transaction) => transaction.accountId || DEFAULT_ACCOUNT_ID;
+
+/**
+ * getAccountCurrency Function
+ *
+ * Returns the currency an account is kept in. The default account has no currency of its own
+ * until the user sets one, and follows the base currency.
+ * @param {object} account - The account.
+ * @param {string} baseCurrency - The user's base currency.
+ * @returns {string} The ISO 4217 currency code.
+ */
+export const getAccountCurrency = (account, baseCurrency) => account.currency || baseCurrency;
+
+/**
+ * getAccountBalance Function
+ *
+ * Works out an account's current balance: its opening balance plus all income and incoming
+ * transfers, minus all expenses and outgoing transfers recorded against it. Transactions in the
+ * account's own currency arrive as totals summed by Firestore, so the whole history never has to
+ * be loaded; the few in other currencies are passed one by one so each can be converted at the
+ * rate for its own date.
+ * @param {object} account - The account ({ openingBalance }).
+ * @param {{income: number, expenses: number, transfersIn: number, transfersOut: number}} totals - The
+ * totals of the account's transactions in its own currency.
+ * @param {object[]} otherTransactions - The account's transactions in other currencies.
+ * @param {function} getAmount - Reads a transaction's amount in the account's currency, or null
+ * if it cannot be converted (such amounts are left out).
+ * @returns {number} The account balance, in the account's currency.
+ */
+export const getAccountBalance = (account, totals, otherTransactions, getAmount) => otherTransactions.reduce((balance, t) => {
+  const amount = getAmount(t);
+  if (amount === null) return balance;
+  const isInflow = t.type === 'income' || (isTransfer(t) && t.transferDirection === 'in');
+  return isInflow ? balance + amount : balance - amount;
+}, (account.openingBalance || 0) + totals.income - totals.expenses + totals.transfersIn - totals.transfersOut);
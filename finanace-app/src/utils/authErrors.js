@@ -0,0 +1,43 @@
+/**
+ * Auth Error Utilities
+ *
+ * Firebase Authentication errors carry a `code` such as 'auth/wrong-password' and a technical
+ * message meant for developers. These helpers turn them into messages users can act on.
+ */
+
+// Readable messages for the Firebase Authentication error codes the sign-in forms can run into.
+export const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/missing-email': 'Please enter your email address.',
+  'auth/missing-password': 'Please enter your password.',
+  'auth/user-disabled': 'This account has been disabled.',
+  'auth/user-not-found': 'No account was found with that email address.',
+  'auth/wrong-password': 'The email address or password is incorrect.',
+  'auth/invalid-credential': 'The email address or password is incorrect.',
+  'auth/invalid-login-credentials': 'The email address or password is incorrect.',
+  'auth/email-already-in-use': 'An account with that email address already exists. Try signing in instead.',
+  'auth/credential-already-in-use': 'That account is already linked to another user.',
+  'auth/provider-already-linked': 'Your account is already linked to this sign-in method.',
+  'auth/weak-password': 'Please choose a stronger password (at least 6 characters).',
+  'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+  'auth/network-request-failed': 'Could not reach the server. Check your connection and try again.',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before signing in finished.',
+  'auth/cancelled-popup-request': 'The sign-in window was closed before signing in finished.',
+  'auth/popup-blocked': 'The sign-in window was blocked by the browser. Please allow pop-ups and try again.',
+  'auth/requires-recent-login': 'Please sign in again to continue.',
+  'auth/expired-action-code': 'This link has expired. Please request a new one.',
+  'auth/invalid-action-code': 'This link is not valid. It may already have been used.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled.',
+};
+
+// Shown for any error code not listed above.
+export const DEFAULT_AUTH_ERROR_MESSAGE = 'Something went wrong while signing in. Please try again.';
+
+/**
+ * getAuthErrorMessage Function
+ *
+ * Looks up the readable message for a Firebase Authentication error.
+ * @param {object} error - The error thrown by a Firebase Authentication call.
+ * @returns {string} The message to show the user.
+ */
+export const getAuthErrorMessage = (error) => AUTH_ERROR_MESSAGES[error && error.code] || DEFAULT_AUTH_ERROR_MESSAGE;
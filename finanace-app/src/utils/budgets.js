@@ -0,0 +1,168 @@
+/**
+ * Budget Utilities
+ *
+ * Pure helpers for comparing monthly per-category budgets against actual spending.
+ * Months are compared by calendar day, like the periods OverviewSection totals.
+ * Every helper takes an optional `getAmount` function so amounts can be converted to the
+ * base currency first; amounts it cannot convert (null) are left out. A budget on a parent
+ * category also counts the spending in its subcategories when given the `parents` map.
+ * A budget's amount can change over time; `amountHistory` records the amount each month
+ * started using, so past months keep the amount they had.
+ */
+
+import { getParentCategory } from './categories';
+import { getDateKeyParts, getMonthEndKey, getMonthStartKey, getTransactionDateKey, isDateKeyInRange, toDateKey } from './calendarDate';
+
+// Default amount reader, for when all transactions share one currency.
+const readAmount = (transaction) => transaction.amount;
+
+// Share of the budget at which a category is flagged as close to its limit.
+export const BUDGET_WARNING_THRESHOLD = 0.8;
+
+/**
+ * getBudgetAmount Function
+ *
+ * Finds the amount a budget had in a given month: the latest `amountHistory` entry starting on
+ * or before that month. Budgets saved before the history existed, and months before the first
+ * entry, use the budget's `amount`.
+ * @param {object} budget - The budget document ({ amount, amountHistory }), history oldest first.
+ * @param {number} year - The full year.
+ * @param {number} month - The month index (0-11).
+ * @returns {number} The budget amount for that month.
+ */
+export const getBudgetAmount = (budget, year, month) => {
+  const monthKey = getMonthStartKey(year, month).slice(0, 7);
+  // The history is kept oldest first, so the last entry that has started is the one in effect.
+  const entry = (budget.amountHistory || []).filter(e => e.month <= monthKey).pop();
+  return entry ? entry.amount : budget.amount;
+};
+
+/**
+ * addBudgetAmount Function
+ *
+ * Records a budget's amount from a given month on. Budgets saved before the history existed
+ * first get an entry keeping their old amount from the month they were created, so the months
+ * before the change are not rewritten.
+ * @param {object|null} budget - The existing budget document, or null for a new budget.
+ * @param {string} monthKey - The month the amount applies from ('YYYY-MM').
+ * @param {number} amount - The new amount.
+ * @returns {{month: string, amount: number}[]} The new amount history, oldest first.
+ */
+export const addBudgetAmount = (budget, monthKey, amount) => {
+  let history = budget?.amountHistory || [];
+  if (budget && history.length === 0 && budget.createdAt) {
+    history = [{ month: toDateKey(budget.createdAt.toDate()).slice(0, 7), amount: budget.amount }];
+  }
+  return [...history.filter(entry => entry.month !== monthKey), { month: monthKey, amount }]
+    .sort((a, b) => a.month.localeCompare(b.month));
+};
+
+/**
+ * getCategorySpending Function
+ *
+ * Sums the expenses recorded against a category, and its subcategories, in a given month.
+ * @param {object[]} transactions - All transactions (with `dateKey` and/or Firestore Timestamp `date` fields).
+ * @param {string} category - The expense category name.
+ * @param {number} year - The full year.
+ * @param {number} month - The month index (0-11).
+ * @param {function} [getAmount] - Reads a transaction's amount (e.g., converted to the base currency).
+ * @param {object} [parents={}] - The parent of each expense subcategory, keyed by name.
+ * @returns {number} The total spent in that category and month.
+ */
+export const getCategorySpending = (transactions, category, year, month, getAmount = readAmount, parents = {}) => {
+  const monthStart = getMonthStartKey(year, month); // First day of the month
+  const monthEnd = getMonthEndKey(year, month); // Last day of the month
+
+  return transactions.reduce((total, t) => {
+    if (t.type !== 'expense' || (t.category !== category && getParentCategory(t.category, parents) !== category)) return total;
+    if (!isDateKeyInRange(getTransactionDateKey(t), monthStart, monthEnd)) return total;
+    const amount = getAmount(t);
+    return amount === null ? total : total + amount;
+  }, 0);
+};
+
+/**
+ * getRolloverMonthKeys Function
+ *
+ * Lists the months whose spending a rollover budget's carry-over into a month depends on: from
+ * the month the budget was created up to, but not including, that month.
+ * @param {object} budget - The budget document ({ rollover, createdAt }).
+ * @param {number} year - The full year of the month being viewed.
+ * @param {number} month - The month index (0-11) of the month being viewed.
+ * @returns {string[]} The month keys ('YYYY-MM'), oldest first; empty if nothing carries over.
+ */
+export const getRolloverMonthKeys = (budget, year, month) => {
+  if (!budget.rollover || !budget.createdAt) return [];
+
+  // createdAt is the moment the budget was saved; its month is the one on the user's calendar.
+  const created = getDateKeyParts(toDateKey(budget.createdAt.toDate()));
+  const monthKeys = [];
+  let cursorYear = created.year;
+  let cursorMonth = created.month;
+
+  // Walk forward month by month until reaching the month being viewed.
+  while (cursorYear < year || (cursorYear === year && cursorMonth < month)) {
+    monthKeys.push(getMonthStartKey(cursorYear, cursorMonth).slice(0, 7));
+    cursorMonth++;
+    if (cursorMonth > 11) {
+      cursorMonth = 0;
+      cursorYear++;
+    }
+  }
+  return monthKeys;
+};
+
+/**
+ * getRolloverAmount Function
+ *
+ * Works out how much unused budget has carried into a month. Carry-over starts accumulating
+ * from the month the budget was created; each month passes on whatever was left of its own
+ * budget, at the amount it had then, plus the carry-over it received. Overspending never
+ * produces a negative carry-over. Only each month's total is needed, so the past months'
+ * transactions do not have to be loaded.
+ *
+ * @param {object} budget - The budget document ({ amount, amountHistory, rollover, createdAt }).
+ * @param {object} monthlySpending - The amount spent in the budget's category in each month, keyed
+ * by month key ('YYYY-MM'); months without an entry count as nothing spent.
+ * @param {number} year - The full year of the month being viewed.
+ * @param {number} month - The month index (0-11) of the month being viewed.
+ * @returns {number} The amount carried into the given month.
+ */
+export const getRolloverAmount = (budget, monthlySpending, year, month) => (
+  getRolloverMonthKeys(budget, year, month).reduce((carryOver, monthKey) => {
+    const [cursorYear, cursorMonth] = monthKey.split('-').map(Number);
+    const spent = monthlySpending[monthKey] || 0;
+    return Math.max(0, getBudgetAmount(budget, cursorYear, cursorMonth - 1) + carryOver - spent);
+  }, 0)
+);
+
+/**
+ * getBudgetStatus Function
+ *
+ * Compares a category's budget for a month against what was spent.
+ * @param {object} budget - The budget document ({ category, amount, amountHistory, rollover, createdAt }).
+ * @param {object[]} transactions - All transactions.
+ * @param {number} year - The full year.
+ * @param {number} month - The month index (0-11).
+ * @param {function} [getAmount] - Reads a transaction's amount (e.g., converted to the base currency).
+ * @param {object} [parents={}] - The parent of each expense subcategory, keyed by name.
+ * @param {number} [carryOver=0] - The amount carried into the month (see getRolloverAmount).
+ * @returns {{category: string, limit: number, carryOver: number, spent: number, remaining: number,
+ * ratio: number, isOverBudget: boolean, isNearLimit: boolean}} The budget status for the month.
+ */
+export const getBudgetStatus = (budget, transactions, year, month, getAmount = readAmount, parents = {}, carryOver = 0) => {
+  const limit = getBudgetAmount(budget, year, month) + carryOver;
+  const spent = getCategorySpending(transactions, budget.category, year, month, getAmount, parents);
+  const ratio = limit > 0 ? spent / limit : (spent > 0 ? Infinity : 0);
+
+  return {
+    category: budget.category,
+    limit,
+    carryOver,
+    spent,
+    remaining: limit - spent,
+    ratio,
+    isOverBudget: spent > limit,
+    isNearLimit: spent <= limit && ratio >= BUDGET_WARNING_THRESHOLD
+  };
+};
@@ -0,0 +1,197 @@
+/**
+ * Calendar Date Utilities
+ *
+ * Transactions happen on calendar days, not at instants, so every date computation in the app
+ * goes through these helpers instead of Date arithmetic and toISOString().
+ *
+ * A calendar day is handled as a "date key": a 'YYYY-MM-DD' string in the user's local calendar
+ * (what a date input shows). Date keys compare and sort correctly as plain strings.
+ *
+ * Each transaction stores its day twice:
+ * - `dateKey`: the date key itself, which means the same day in every timezone.
+ * - `date`: a Firestore Timestamp at UTC midnight of that day (see toStoredDate). Queries and
+ *   sorting use it, and transactions saved before `dateKey` existed only have this field.
+ * Reading the stored date back with local getters would shift it by the UTC offset (in UTC-5
+ * every transaction would land on the day before), so it is only ever read with UTC getters.
+ */
+
+// The format of a date key: 'YYYY-MM-DD'.
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Milliseconds in a day, for day differences between UTC midnights (which have no DST shifts).
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * toDateKey Function
+ *
+ * Returns a Date's local calendar day as a date key.
+ * @param {Date} date - The date.
+ * @returns {string} The date key ('YYYY-MM-DD').
+ */
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * isDateKey Function
+ *
+ * Checks whether a value is a valid date key (a real day, so '2026-02-30' is rejected).
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for a valid 'YYYY-MM-DD' string.
+ */
+export const isDateKey = (value) => {
+  const match = DATE_KEY_PATTERN.exec(typeof value === 'string' ? value : '');
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  return month >= 1 && month <= 12 && day >= 1 && day <= getDaysInMonth(year, month - 1);
+};
+
+/**
+ * fromDateKey Function
+ *
+ * Returns local midnight of a date key's day, for display and for the view state.
+ * @param {string} dateKey - The date key.
+ * @returns {Date|null} The date, or null if the key is not a valid date.
+ */
+export const fromDateKey = (dateKey) => {
+  if (!isDateKey(dateKey)) return null;
+  const { year, month, day } = getDateKeyParts(dateKey);
+  return new Date(year, month, day);
+};
+
+/**
+ * makeDateKey Function
+ *
+ * Builds a date key from its parts. Months and days outside their usual ranges roll over, so
+ * (2026, 0, 0) is '2025-12-31' and (2026, 12, 1) is '2027-01-01'.
+ * @param {number} year - The full year.
+ * @param {number} month - The month index (0-11).
+ * @param {number} day - The day of the month (1-31).
+ * @returns {string} The date key.
+ */
+export const makeDateKey = (year, month, day) => fromStoredDate(new Date(Date.UTC(year, month, day)));
+
+/**
+ * getDateKeyParts Function
+ *
+ * Splits a date key into its parts.
+ * @param {string} dateKey - The date key.
+ * @returns {{year: number, month: number, day: number}} The year, month index (0-11), and day.
+ */
+export const getDateKeyParts = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return { year, month: month - 1, day };
+};
+
+/**
+ * getTodayKey Function
+ *
+ * Returns today's local calendar day.
+ * @returns {string} Today's date key.
+ */
+export const getTodayKey = () => toDateKey(new Date());
+
+/**
+ * getDaysInMonth Function
+ *
+ * Returns the number of days in a month.
+ * @param {number} year - The full year.
+ * @param {number} month - The month index (0-11).
+ * @returns {number} The number of days in that month.
+ */
+export const getDaysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * getMonthStartKey Function
+ *
+ * Returns the first day of a month.
+ * @param {number} year - The full year.
+ * @param {number} month - The month index (0-11); values outside it roll over into other years.
+ * @returns {string} The date key of the 1st.
+ */
+export const getMonthStartKey = (year, month) => makeDateKey(year, month, 1);
+
+/**
+ * getMonthEndKey Function
+ *
+ * Returns the last day of a month.
+ * @param {number} year - The full year.
+ * @param {number} month - The month index (0-11); values outside it roll over into other years.
+ * @returns {string} The date key of the month's last day.
+ */
+export const getMonthEndKey = (year, month) => makeDateKey(year, month + 1, 0);
+
+/**
+ * addDays Function
+ *
+ * Moves a date key by a number of days, across month and year ends.
+ * @param {string} dateKey - The date key.
+ * @param {number} days - Days to add (negative to go back).
+ * @returns {string} The resulting date key.
+ */
+export const addDays = (dateKey, days) => {
+  const { year, month, day } = getDateKeyParts(dateKey);
+  return makeDateKey(year, month, day + days);
+};
+
+/**
+ * getDayDifference Function
+ *
+ * Counts the days from one date key to another.
+ * @param {string} fromKey - The earlier date key.
+ * @param {string} toKey - The later date key.
+ * @returns {number} Whole days from `fromKey` to `toKey` (negative if `toKey` is earlier).
+ */
+export const getDayDifference = (fromKey, toKey) => Math.round((toStoredDate(toKey) - toStoredDate(fromKey)) / MS_PER_DAY);
+
+/**
+ * isDateKeyInRange Function
+ *
+ * Checks whether a day falls within a range of days.
+ * @param {string} dateKey - The day to check.
+ * @param {string} startKey - The first day of the range (inclusive).
+ * @param {string} endKey - The last day of the range (inclusive).
+ * @returns {boolean} True if the day is within the range.
+ */
+export const isDateKeyInRange = (dateKey, startKey, endKey) => dateKey >= startKey && dateKey <= endKey;
+
+/**
+ * toStoredDate Function
+ *
+ * Returns the Date stored (as a Firestore Timestamp) in a transaction's `date` field for a day:
+ * UTC midnight of that day, the same instant whatever the user's timezone.
+ * @param {string} dateKey - The date key.
+ * @returns {Date} UTC midnight of the day.
+ */
+export const toStoredDate = (dateKey) => {
+  const { year, month, day } = getDateKeyParts(dateKey);
+  return new Date(Date.UTC(year, month, day));
+};
+
+/**
+ * fromStoredDate Function
+ *
+ * Reads the day back from a stored `date` (see toStoredDate).
+ * @param {Date} date - The stored date.
+ * @returns {string} The date key.
+ */
+export const fromStoredDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+/**
+ * getTransactionDateKey Function
+ *
+ * Returns the day a transaction happened on.
+ * @param {object} transaction - A transaction with a `dateKey` and/or a Firestore Timestamp `date`.
+ * @returns {string} The date key.
+ */
+export const getTransactionDateKey = (transaction) => transaction.dateKey || fromStoredDate(transaction.date.toDate());
+
+/**
+ * formatDateKey Function
+ *
+ * Formats a day for display in the user's locale.
+ * @param {string} dateKey - The date key.
+ * @param {object} [options] - Intl.DateTimeFormat options (defaults to the locale's short date).
+ * @returns {string} The formatted date.
+ */
+export const formatDateKey = (dateKey, options) => fromDateKey(dateKey).toLocaleDateString('default', options);
@@ -0,0 +1,80 @@
+/**
+ * Category Utilities
+ *
+ * Transactions store their category as a plain name. Every user starts with the built-in default
+ * categories below; they have no documents of their own and can be hidden but not deleted. The
+ * categories a user adds are stored in their categories collection, and may name a `parent`
+ * category of the same type (e.g., Groceries under Food) whose totals they roll up into.
+ */
+
+// The built-in categories of each type. 'Adjusted' exists for both.
+export const DEFAULT_CATEGORIES = {
+  income: ["Salary", "Business", "Freelance", "Gifts", "Adjusted"],
+  expense: ["Food", "Transport", "Rent", "Utilities", "Entertainment", "Health", "Shopping", "Education", "Adjusted"]
+};
+
+// No built-in categories are hidden until the user hides some.
+export const EMPTY_HIDDEN_CATEGORIES = { income: [], expense: [] };
+
+/**
+ * isDefaultCategory Function
+ *
+ * Checks whether a category is one of the built-in defaults.
+ * @param {string} name - The category name.
+ * @param {'income' | 'expense'} type - The category type.
+ * @returns {boolean} True for a built-in category.
+ */
+export const isDefaultCategory = (name, type) => (DEFAULT_CATEGORIES[type] || []).includes(name);
+
+/**
+ * getVisibleCategories Function
+ *
+ * Lists the categories offered for a type: the built-in ones the user has not hidden plus the
+ * ones they added, sorted and without duplicates.
+ * @param {'income' | 'expense'} type - The category type.
+ * @param {string[]} savedNames - The names of the user's own categories of that type.
+ * @param {string[]} [hiddenNames=[]] - The built-in categories of that type the user has hidden.
+ * @returns {string[]} The category names.
+ */
+export const getVisibleCategories = (type, savedNames, hiddenNames = []) => [...new Set([
+  ...DEFAULT_CATEGORIES[type].filter(name => !hiddenNames.includes(name)),
+  ...savedNames
+])].sort();
+
+/**
+ * getParentCategory Function
+ *
+ * Returns the category a category rolls up into: its parent for a subcategory, otherwise itself.
+ * @param {string} name - The category name.
+ * @param {object} parents - The parent of each subcategory of the type, keyed by name.
+ * @returns {string} The top-level category name.
+ */
+export const getParentCategory = (name, parents) => (parents && parents[name]) || name;
+
+/**
+ * formatCategoryName Function
+ *
+ * Describes a category with its parent, if it has one (e.g., "Food › Groceries").
+ * @param {string} name - The category name.
+ * @param {object} parents - The parent of each subcategory of the type, keyed by name.
+ * @returns {string} The label.
+ */
+export const formatCategoryName = (name, parents) => (parents && parents[name] ? `${parents[name]} › ${name}` : name);
+
+/**
+ * buildCategoryTree Function
+ *
+ * Arranges a list of categories into top-level categories with their subcategories. Categories
+ * are one level deep; a subcategory whose parent is not in the list is shown at the top level.
+ * @param {string[]} names - The category names of one type.
+ * @param {object} parents - The parent of each subcategory of the type, keyed by name.
+ * @returns {{name: string, children: string[]}[]} The top-level categories, sorted, each with its
+ * sorted subcategories.
+ */
+export const buildCategoryTree = (names, parents) => {
+  const isChild = (name) => Boolean(parents && parents[name] && parents[name] !== name && names.includes(parents[name]));
+  return names
+    .filter(name => !isChild(name))
+    .sort()
+    .map(name => ({ name, children: names.filter(child => isChild(child) && parents[child] === name).sort() }));
+};
@@ -0,0 +1,49 @@
+/**
+ * Category Breakdown Utilities
+ *
+ * Groups a set of transactions by category for the overview charts.
+ */
+
+import { getParentCategory } from './categories';
+
+// Slice colors, assigned in order of size when no category styles are given. Categories beyond
+// the palette reuse it from the start.
+export const CHART_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16', '#06b6d4', '#a855f7'];
+
+/**
+ * getCategoryBreakdown Function
+ *
+ * Totals transactions of one type by category. Given the `parents` map, subcategories are rolled
+ * up into their parent category, so each slice is a top-level category.
+ * @param {object[]} transactions - The transactions to group (e.g., one month's).
+ * @param {'income' | 'expense'} type - Which transactions to include.
+ * @param {function} getAmount - Reads a transaction's amount (e.g., converted to the base
+ * currency), or null if it cannot be converted (such amounts are left out).
+ * @param {object} [parents] - The parent of each subcategory of the type, keyed by name. Leave
+ * out for one slice per category, subcategories included.
+ * @param {function} [getStyle] - Returns the `{ color, icon }` of a category, to draw its slice
+ * with. Leave out to color the slices from CHART_COLORS.
+ * @returns {{category: string, amount: number, share: number, color: string, icon?: string}[]} One
+ * slice per category, largest first. `share` is the fraction of the type's total (0-1).
+ */
+export const getCategoryBreakdown = (transactions, type, getAmount, parents, getStyle) => {
+  const totals = new Map();
+  transactions.forEach(t => {
+    if (t.type !== type) return;
+    const amount = getAmount(t);
+    if (amount === null) return;
+    const category = getParentCategory(t.category, parents);
+    totals.set(category, (totals.get(category) || 0) + amount);
+  });
+
+  const grandTotal = [...totals.values()].reduce((sum, amount) => sum + amount, 0);
+  return [...totals.entries()]
+    .filter(([, amount]) => amount > 0)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([category, amount], index) => ({
+      category,
+      amount,
+      share: grandTotal > 0 ? amount / grandTotal : 0,
+      ...(getStyle ? getStyle(category) : { color: CHART_COLORS[index % CHART_COLORS.length] })
+    }));
+};
@@ -0,0 +1,86 @@
+/**
+ * Category Icons
+ *
+ * The icons a category can be shown with. They are bundled as SVG path data (drawn on a 24x24
+ * outline grid, like the app's other icons), so nothing is fetched at runtime. Categories store
+ * the icon's key, not its paths.
+ */
+
+export const CATEGORY_ICONS = {
+  tag: {
+    label: 'Tag',
+    path: 'M9.568 3H5.25A2.25 2.25 0 003 5.25v4.318c0 .597.237 1.17.659 1.591l9.581 9.581c.699.699 1.78.872 2.607.33a18.095 18.095 0 005.223-5.223c.542-.827.369-1.908-.33-2.607L11.16 3.66A2.25 2.25 0 009.568 3zM6 6h.008v.008H6V6z'
+  },
+  food: {
+    label: 'Food',
+    path: 'M7.5 3v6a2.25 2.25 0 004.5 0V3M9.75 3v18M16.5 3c-1.5 1.5-2.25 3.75-2.25 6.75h2.25V21'
+  },
+  cart: {
+    label: 'Groceries',
+    path: 'M2.25 3h1.386c.51 0 .955.343 1.087.835l.383 1.437M7.5 14.25a3 3 0 00-3 3h15.75m-12.75-3h11.218c1.121-2.3 2.1-4.684 2.924-7.138a60.114 60.114 0 00-16.536-1.84M7.5 14.25L5.106 5.272M6 20.25a.75.75 0 11-1.5 0 .75.75 0 011.5 0zm12.75 0a.75.75 0 11-1.5 0 .75.75 0 011.5 0z'
+  },
+  car: {
+    label: 'Car',
+    path: 'M3 13l2-5h14l2 5v5h-2M5 18H3v-5m2 5h12M3 13h18M7.5 18a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zm12 0a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0z'
+  },
+  plane: {
+    label: 'Travel',
+    path: 'M3 13.5l18-7.5-7.5 18-2.25-8.25L3 13.5z'
+  },
+  home: {
+    label: 'Home',
+    path: 'M2.25 12l8.954-8.955c.44-.439 1.152-.439 1.591 0L21.75 12M4.5 9.75v10.125c0 .621.504 1.125 1.125 1.125H9.75v-4.875c0-.621.504-1.125 1.125-1.125h2.25c.621 0 1.125.504 1.125 1.125V21h4.125c.621 0 1.125-.504 1.125-1.125V9.75M8.25 21h8.25'
+  },
+  bolt: {
+    label: 'Utilities',
+    path: 'M3.75 13.5l10.5-11.25L12 10.5h8.25L9.75 21.75 12 13.5H3.75z'
+  },
+  phone: {
+    label: 'Phone',
+    path: 'M7.5 2.25h9v19.5h-9zM11.25 18.75h1.5'
+  },
+  play: {
+    label: 'Entertainment',
+    path: 'M5.25 5.653c0-.856.917-1.398 1.667-.986l11.54 6.348a1.125 1.125 0 010 1.971l-11.54 6.347a1.125 1.125 0 01-1.667-.985V5.653z'
+  },
+  heart: {
+    label: 'Health',
+    path: 'M21 8.25c0-2.485-2.099-4.5-4.688-4.5-1.935 0-3.597 1.126-4.312 2.733-.715-1.607-2.377-2.733-4.313-2.733C5.1 3.75 3 5.765 3 8.25c0 7.22 9 12 9 12s9-4.78 9-12z'
+  },
+  bag: {
+    label: 'Shopping',
+    path: 'M15.75 10.5V6a3.75 3.75 0 10-7.5 0v4.5m11.356-1.993l1.263 12c.07.665-.45 1.243-1.119 1.243H4.25a1.125 1.125 0 01-1.12-1.243l1.264-12A1.125 1.125 0 015.513 7.5h12.974c.576 0 1.059.435 1.119 1.007zM8.625 10.5a.375.375 0 11-.75 0 .375.375 0 01.75 0zm7.5 0a.375.375 0 11-.75 0 .375.375 0 01.75 0z'
+  },
+  book: {
+    label: 'Education',
+    path: 'M12 6.042A8.967 8.967 0 006 3.75c-1.052 0-2.062.18-3 .512v14.25A8.987 8.987 0 016 18c2.305 0 4.408.867 6 2.292m0-14.25a8.966 8.966 0 016-2.292c1.052 0 2.062.18 3 .512v14.25A8.987 8.987 0 0018 18a8.967 8.967 0 00-6 2.292m0-14.25v14.25'
+  },
+  banknotes: {
+    label: 'Salary',
+    path: 'M2.25 6.75h19.5v10.5H2.25zM15 12a3 3 0 11-6 0 3 3 0 016 0zM5.25 9.75v4.5m13.5-4.5v4.5'
+  },
+  briefcase: {
+    label: 'Business',
+    path: 'M3.75 8.25h16.5v11.25H3.75zM8.25 8.25V6a1.5 1.5 0 011.5-1.5h4.5a1.5 1.5 0 011.5 1.5v2.25M3.75 13.5h16.5'
+  },
+  laptop: {
+    label: 'Work',
+    path: 'M3.75 5.25h16.5v10.5H3.75zM2.25 18.75h19.5M9 15.75v3'
+  },
+  gift: {
+    label: 'Gift',
+    path: 'M3.75 11.25h16.5v9H3.75zM2.25 7.5h19.5v3.75H2.25zM12 7.5v12.75M12 7.5C12 5.5 10.5 3.75 8.625 3.75S6.75 6 8.25 7.5M12 7.5c0-2 1.5-3.75 3.375-3.75S17.25 6 15.75 7.5'
+  },
+  star: {
+    label: 'Star',
+    path: 'M11.48 3.499a.562.562 0 011.04 0l2.125 5.111a.563.563 0 00.475.345l5.518.442c.499.04.701.663.321.988l-4.204 3.602a.563.563 0 00-.182.557l1.285 5.385a.562.562 0 01-.84.61l-4.725-2.885a.563.563 0 00-.586 0L6.982 20.54a.562.562 0 01-.84-.61l1.285-5.386a.562.562 0 00-.182-.557l-4.204-3.602a.563.563 0 01.321-.988l5.518-.442a.563.563 0 00.475-.345L11.48 3.5z'
+  },
+  adjust: {
+    label: 'Adjustment',
+    path: 'M6 13.5V3.75m0 9.75a1.5 1.5 0 010 3m0-3a1.5 1.5 0 000 3m0 3.75V16.5m12-3V3.75m0 9.75a1.5 1.5 0 010 3m0-3a1.5 1.5 0 000 3m0 3.75V16.5m-6-9V3.75m0 3.75a1.5 1.5 0 010 3m0-3a1.5 1.5 0 000 3m0 9.75V10.5'
+  },
+  transfer: {
+    label: 'Transfer',
+    path: 'M7.5 21L3 16.5m0 0L7.5 12M3 16.5h13.5m0-13.5L21 7.5m0 0L16.5 12M21 7.5H7.5'
+  }
+};
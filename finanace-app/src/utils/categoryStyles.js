@@ -0,0 +1,85 @@
+/**
+ * Category Style Utilities
+ *
+ * Each category is shown with a color and an icon (see categoryIcons.js). The built-in categories
+ * come with presets; a user's own categories store their `color` and `icon` on their documents,
+ * and changes to the built-in ones are kept in the preferences document. A subcategory without a
+ * style of its own looks like its parent.
+ */
+
+import { CATEGORY_ICONS } from './categoryIcons';
+import { getParentCategory } from './categories';
+
+// The colors a category can be given.
+export const CATEGORY_COLORS = [
+  { value: '#ef4444', label: 'Red' },
+  { value: '#f97316', label: 'Orange' },
+  { value: '#f59e0b', label: 'Amber' },
+  { value: '#84cc16', label: 'Lime' },
+  { value: '#10b981', label: 'Green' },
+  { value: '#14b8a6', label: 'Teal' },
+  { value: '#06b6d4', label: 'Cyan' },
+  { value: '#3b82f6', label: 'Blue' },
+  { value: '#6366f1', label: 'Indigo' },
+  { value: '#8b5cf6', label: 'Violet' },
+  { value: '#a855f7', label: 'Purple' },
+  { value: '#ec4899', label: 'Pink' },
+  { value: '#6b7280', label: 'Gray' }
+];
+
+// The style of a category that has none of its own (and no parent with one).
+export const FALLBACK_CATEGORY_STYLE = { color: '#6b7280', icon: 'tag' };
+
+// The presets of the built-in categories of each type.
+export const DEFAULT_CATEGORY_STYLES = {
+  income: {
+    Salary: { color: '#10b981', icon: 'banknotes' },
+    Business: { color: '#6366f1', icon: 'briefcase' },
+    Freelance: { color: '#06b6d4', icon: 'laptop' },
+    Gifts: { color: '#ec4899', icon: 'gift' },
+    Adjusted: { color: '#6b7280', icon: 'adjust' }
+  },
+  expense: {
+    Food: { color: '#f97316', icon: 'food' },
+    Transport: { color: '#3b82f6', icon: 'car' },
+    Rent: { color: '#8b5cf6', icon: 'home' },
+    Utilities: { color: '#f59e0b', icon: 'bolt' },
+    Entertainment: { color: '#a855f7', icon: 'play' },
+    Health: { color: '#ef4444', icon: 'heart' },
+    Shopping: { color: '#ec4899', icon: 'bag' },
+    Education: { color: '#14b8a6', icon: 'book' },
+    Adjusted: { color: '#6b7280', icon: 'adjust' }
+  }
+};
+
+// How transfers between accounts are shown; they have no category.
+export const TRANSFER_STYLE = { color: '#3b82f6', icon: 'transfer' };
+
+/**
+ * isValidCategoryStyle Function
+ *
+ * Checks that a style uses one of the bundled colors and icons.
+ * @param {{color: string, icon: string}} style - The style to check.
+ * @returns {boolean} True if both the color and the icon are known.
+ */
+export const isValidCategoryStyle = (style) => Boolean(
+  style && CATEGORY_COLORS.some(color => color.value === style.color) && CATEGORY_ICONS[style.icon]
+);
+
+/**
+ * resolveCategoryStyle Function
+ *
+ * Works out how a category is shown: its own style, else its built-in preset, else its parent's
+ * style, else the fallback.
+ * @param {string} name - The category name.
+ * @param {'income' | 'expense'} type - The category type.
+ * @param {object} styles - The saved styles of the type, keyed by category name.
+ * @param {object} parents - The parent of each subcategory of the type, keyed by name.
+ * @returns {{color: string, icon: string}} The color and icon key.
+ */
+export const resolveCategoryStyle = (name, type, styles, parents) => {
+  const style = (styles && styles[name]) || (DEFAULT_CATEGORY_STYLES[type] || {})[name];
+  if (style) return { ...FALLBACK_CATEGORY_STYLE, ...style };
+  const parent = getParentCategory(name, parents);
+  return parent !== name ? resolveCategoryStyle(parent, type, styles, {}) : FALLBACK_CATEGORY_STYLE;
+};
@@ -0,0 +1,110 @@
+/**
+ * CSV Utilities
+ *
+ * A small RFC 4180 style CSV parser and writer, so importing bank exports and exporting
+ * transactions do not need an extra dependency.
+ */
+
+/**
+ * detectDelimiter Function
+ *
+ * Guesses the field delimiter from the first line of a CSV file. Many European bank exports
+ * use semicolons because the comma is their decimal separator.
+ * @param {string} text - The raw CSV text.
+ * @returns {string} The detected delimiter (',', ';' or a tab).
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(delimiter => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1
+  }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].count > 0 ? counts[0].delimiter : ',';
+};
+
+/**
+ * parseCSV Function
+ *
+ * Parses CSV text into an array of rows, each an array of cell strings. Quoted fields may
+ * contain delimiters, line breaks and doubled quotes (""). Completely empty lines are dropped.
+ * @param {string} text - The raw CSV text.
+ * @param {string} [delimiter] - The field delimiter; detected from the first line when omitted.
+ * @returns {string[][]} The parsed rows.
+ */
+export const parseCSV = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark, which spreadsheet exports often include.
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"'; // Escaped quote inside a quoted field
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++; // Treat CRLF as a single line break
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Flush the last field/row when the file does not end with a line break.
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// A plain signed decimal number, such as -12.50 or +3.
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+
+/**
+ * escapeCSVField Function
+ *
+ * Quotes a value for CSV output when it contains a delimiter, quote or line break. Text that
+ * starts with =, +, -, @, a tab or a carriage return is prefixed with an apostrophe, so
+ * spreadsheet apps show it as text instead of running it as a formula (payees and notes often
+ * come straight from imported bank files). Text that is just a signed number, such as '-12.50',
+ * is left as it is so it stays numeric.
+ * @param {*} value - The value to write; null and undefined become empty fields.
+ * @returns {string} The escaped field.
+ */
+const escapeCSVField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !NUMBER_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * toCSV Function
+ *
+ * Serializes rows into CSV text with CRLF line breaks, the form spreadsheet apps expect.
+ * @param {Array<Array<*>>} rows - The rows to write, header row first.
+ * @returns {string} The CSV text.
+ */
+export const toCSV = (rows) => rows.map(row => row.map(escapeCSVField).join(',')).join('\r\n');
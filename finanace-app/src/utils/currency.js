@@ -0,0 +1,81 @@
+/**
+ * Currency Utilities
+ *
+ * Helpers for formatting amounts and converting them between currencies using the user's own
+ * table of dated exchange rates.
+ */
+
+// Currency assumed for transactions saved before currencies were tracked.
+export const DEFAULT_CURRENCY = 'QAR';
+
+// Currencies offered in the currency pickers (ISO 4217 codes).
+export const CURRENCIES = ['QAR', 'USD', 'EUR', 'GBP', 'SAR', 'AED', 'KWD', 'BHD', 'OMR', 'INR', 'PKR', 'PHP', 'EGP', 'JPY', 'CNY'];
+
+// Intl.NumberFormat instances are relatively expensive to create, so they are cached per currency.
+const formatters = {};
+
+/**
+ * formatCurrency Function
+ *
+ * Formats an amount in the given currency with Intl.NumberFormat (e.g., "QAR 1,234.50" or "$12.00").
+ * @param {number} amount - The amount to format.
+ * @param {string} [currency=DEFAULT_CURRENCY] - The ISO 4217 currency code.
+ * @returns {string} The formatted amount.
+ */
+export const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+  if (!formatters[currency]) {
+    formatters[currency] = new Intl.NumberFormat(undefined, { style: 'currency', currency });
+  }
+  return formatters[currency].format(amount);
+};
+
+/**
+ * getTransactionCurrency Function
+ *
+ * Returns a transaction's currency, falling back to the default for older transactions.
+ * @param {object} transaction - The transaction.
+ * @returns {string} The ISO 4217 currency code.
+ */
+export const getTransactionCurrency = (transaction) => transaction.currency || DEFAULT_CURRENCY;
+
+/**
+ * findRate Function
+ *
+ * Finds the rate to use for converting between two currencies on a given date: the most recent
+ * rate on or before that date, or failing that the earliest rate after it. Rates are stored as
+ * "1 `currency` = `rate` `baseCurrency`" and can be used in either direction.
+ *
+ * @param {string} from - The currency to convert from.
+ * @param {string} to - The currency to convert to.
+ * @param {string} date - The conversion date ('YYYY-MM-DD').
+ * @param {{currency: string, baseCurrency: string, rate: number, date: string}[]} rates - The exchange-rate table.
+ * @returns {number|null} The multiplier from `from` to `to`, or null if no rate is known.
+ */
+export const findRate = (from, to, date, rates) => {
+  const candidates = rates
+    .filter(r => r.rate > 0 && ((r.currency === from && r.baseCurrency === to) || (r.currency === to && r.baseCurrency === from)))
+    .map(r => ({ date: r.date, multiplier: r.currency === from ? r.rate : 1 / r.rate }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (candidates.length === 0) return null;
+
+  const onOrBefore = candidates.filter(c => c.date <= date);
+  return onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1].multiplier : candidates[0].multiplier;
+};
+
+/**
+ * convertAmount Function
+ *
+ * Converts an amount between currencies at the rate for the given date.
+ * @param {number} amount - The amount to convert.
+ * @param {string} from - The currency of the amount.
+ * @param {string} to - The currency to convert to.
+ * @param {string} date - The conversion date ('YYYY-MM-DD').
+ * @param {object[]} rates - The exchange-rate table (see findRate).
+ * @returns {number|null} The converted amount, or null if no rate is known.
+ */
+export const convertAmount = (amount, from, to, date, rates) => {
+  if (from === to) return amount;
+  const rate = findRate(from, to, date, rates);
+  return rate === null ? null : amount * rate;
+};
@@ -0,0 +1,19 @@
+/**
+ * downloadFile Function
+ *
+ * Saves text content as a file in the browser by clicking a temporary object-URL link.
+ * @param {string} content - The file contents.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} mimeType - The MIME type of the file (e.g., 'text/csv').
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
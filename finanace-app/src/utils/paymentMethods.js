@@ -0,0 +1,23 @@
+/**
+ * Payment Methods
+ *
+ * The payment methods a transaction can be recorded with. The `value` is what gets
+ * stored on the transaction document in Firestore, and the `label` is what is shown to the user.
+ */
+export const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'debit', label: 'Debit Card' },
+  { value: 'credit', label: 'Credit Card' },
+];
+
+/**
+ * getPaymentMethodLabel Function
+ *
+ * Looks up the display label for a stored payment method value.
+ * @param {string} value - The stored payment method value (e.g., 'cash').
+ * @returns {string|null} The display label, or null if the value is empty or unknown.
+ */
+export const getPaymentMethodLabel = (value) => {
+  const method = PAYMENT_METHODS.find(m => m.value === value);
+  return method ? method.label : null;
+};
@@ -0,0 +1,108 @@
+/**
+ * Recurrence Utilities
+ *
+ * Pure helpers for working out when a recurring rule is due. Rule dates are calendar
+ * dates stored as 'YYYY-MM-DD' date keys, so all arithmetic here goes through the date key
+ * helpers and the results do not depend on the user's timezone.
+ */
+import { addDays, getDateKeyParts, getDaysInMonth, makeDateKey } from './calendarDate';
+
+// Upper bound on the occurrences returned for one rule in one pass, so a long-neglected rule
+// catches up in batches rather than all at once.
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * Recurrence Frequencies
+ *
+ * The frequencies a recurring rule can repeat at. The `unit` is used when describing
+ * an interval (e.g., "every 2 weeks").
+ */
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' },
+  { value: 'yearly', label: 'Yearly', unit: 'year' },
+];
+
+/**
+ * getOccurrenceDate Function
+ *
+ * Computes the n-th scheduled date of a rule, counting from its start date.
+ * Monthly and yearly rules use `dayOfMonth` (or the start date's day) and are clamped to
+ * the last day of shorter months, so a rule on the 31st falls on the 30th in April.
+ *
+ * @param {object} rule - The recurring rule.
+ * @param {string} rule.frequency - 'daily', 'weekly', 'monthly' or 'yearly'.
+ * @param {number} [rule.interval=1] - Repeat every N frequency units.
+ * @param {string} rule.startDate - The first date the rule can occur on ('YYYY-MM-DD').
+ * @param {number|null} [rule.dayOfMonth] - Day of the month for monthly/yearly rules.
+ * @param {number} index - Which occurrence to compute (0 is the first).
+ * @returns {string} The occurrence date as a 'YYYY-MM-DD' string.
+ */
+export const getOccurrenceDate = (rule, index) => {
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const step = index * interval;
+
+  if (rule.frequency === 'daily' || rule.frequency === 'weekly') {
+    return addDays(rule.startDate, rule.frequency === 'weekly' ? step * 7 : step);
+  }
+
+  // Monthly and yearly rules are both expressed as a number of months from the start.
+  const start = getDateKeyParts(rule.startDate);
+  const monthOffset = rule.frequency === 'yearly' ? step * 12 : step;
+  const totalMonths = start.month + monthOffset;
+  const year = start.year + Math.floor(totalMonths / 12);
+  const month = totalMonths % 12;
+  const targetDay = rule.dayOfMonth || start.day;
+  return makeDateKey(year, month, Math.min(targetDay, getDaysInMonth(year, month)));
+};
+
+/**
+ * getDueOccurrences Function
+ *
+ * Lists the occurrence dates of a rule that are due up to and including `today` and have
+ * not been generated yet. Occurrences on or before `rule.lastGeneratedDate` are skipped,
+ * which is what keeps the same occurrence from being created twice (and keeps occurrences
+ * the user deleted from coming back). At most MAX_OCCURRENCES dates are returned; the rest
+ * follow once `lastGeneratedDate` has moved past them.
+ *
+ * @param {object} rule - The recurring rule (see getOccurrenceDate), optionally with
+ * `endDate` and `lastGeneratedDate` ('YYYY-MM-DD' strings or null).
+ * @param {string} today - Today's date as a 'YYYY-MM-DD' string.
+ * @returns {string[]} The due occurrence dates, in ascending order.
+ */
+export const getDueOccurrences = (rule, today) => {
+  if (!rule.startDate) return [];
+
+  // 'YYYY-MM-DD' strings compare correctly as plain strings.
+  const limit = rule.endDate && rule.endDate < today ? rule.endDate : today;
+  const due = [];
+
+  // Only the occurrences that are returned count towards the cap, so a rule that has been running
+  // for years still reaches its latest dates. The loop ends because occurrences only move forward.
+  for (let index = 0; due.length < MAX_OCCURRENCES; index++) {
+    const occurrence = getOccurrenceDate(rule, index);
+    if (occurrence > limit) break;
+    // A monthly rule whose dayOfMonth is before the start day has no occurrence in the start month.
+    if (occurrence < rule.startDate) continue;
+    if (rule.lastGeneratedDate && occurrence <= rule.lastGeneratedDate) continue;
+    due.push(occurrence);
+  }
+
+  return due;
+};
+
+/**
+ * describeRecurrence Function
+ *
+ * Builds a short human-readable description of a rule's schedule (e.g., "Every 2 weeks").
+ * @param {object} rule - The recurring rule.
+ * @returns {string} The description.
+ */
+export const describeRecurrence = (rule) => {
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.value === rule.frequency);
+  if (!frequency) return '';
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const base = interval === 1 ? frequency.label : `Every ${interval} ${frequency.unit}s`;
+  return rule.frequency === 'monthly' && rule.dayOfMonth ? `${base} on day ${rule.dayOfMonth}` : base;
+};
@@ -0,0 +1,214 @@
+/**
+ * Bank Statement Parsers
+ *
+ * Parsers for OFX/QFX and QIF bank statements. Each statement entry is turned into the
+ * same import rows the CSV importer produces, plus an `importId` that identifies the entry
+ * across imports: the bank's FITID (with the account it belongs to) where there is one, otherwise
+ * a hash of the entry.
+ */
+import { parseAmount, parseDateString } from './transactionImport';
+
+/**
+ * hashString Function
+ *
+ * A small, fast, non-cryptographic string hash (32-bit FNV-1a), used to fingerprint statement
+ * entries that have no FITID.
+ * @param {string} text - The text to hash.
+ * @returns {string} The hash as an 8-character hex string.
+ */
+export const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * detectStatementFormat Function
+ *
+ * Works out whether a file is OFX, QIF or CSV from its name and contents.
+ * @param {string} fileName - The name of the uploaded file.
+ * @param {string} text - The file contents.
+ * @returns {'ofx'|'qif'|'csv'} The detected format.
+ */
+export const detectStatementFormat = (fileName, text) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx' || /<OFX>/i.test(text)) return 'ofx';
+  if (extension === 'qif' || /^\s*!Type:/i.test(text)) return 'qif';
+  return 'csv';
+};
+
+/**
+ * Decodes the XML/SGML character entities that appear in OFX text fields.
+ * @param {string} value - The raw field value.
+ * @returns {string} The decoded value.
+ */
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Reads a leaf element's value from an OFX block. Works for both OFX 1.x SGML, where leaf
+ * elements have no closing tag, and OFX 2.x XML, where they do.
+ * @param {string} block - The text of one <STMTTRN> aggregate.
+ * @param {string} tag - The element name (e.g., 'TRNAMT').
+ * @returns {string} The trimmed value, or '' if the element is missing.
+ */
+const readOFXField = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+/**
+ * Identifies the account an OFX statement is for, from its <BANKACCTFROM> (BANKID and ACCTID)
+ * or <CCACCTFROM> (ACCTID only) aggregate.
+ * @param {string} statement - The text of one <STMTRS> or <CCSTMTRS> aggregate.
+ * @returns {string} The account as 'BANKID/ACCTID' (or just 'ACCTID'), or '' if it is not named.
+ */
+const readOFXAccount = (statement) => {
+  const from = statement.match(/<(?:BANK|CC)ACCTFROM>[\s\S]*?<\/(?:BANK|CC)ACCTFROM>/i);
+  if (!from) return '';
+  return [readOFXField(from[0], 'BANKID'), readOFXField(from[0], 'ACCTID')].filter(Boolean).join('/');
+};
+
+/**
+ * parseOFX Function
+ *
+ * Parses the transactions of an OFX/QFX bank or credit card statement. A file can hold the
+ * statements of several accounts; each entry notes the account it belongs to.
+ * @param {string} text - The statement contents.
+ * @returns {{date: string|null, amount: number|null, payee: string, memo: string, category: string, fitId: string, account: string, currency: string|null}[]}
+ * The statement entries, with dates as 'YYYY-MM-DD' strings, signed amounts, the statement's
+ * account (see readOFXAccount), and the statement's default currency (CURDEF) where it names one.
+ */
+export const parseOFX = (text) => {
+  // Files without recognizable statement aggregates are read as one statement.
+  const statements = text.match(/<(CC)?STMTRS>[\s\S]*?<\/\1STMTRS>/gi) || [text];
+
+  return statements.flatMap(statement => {
+    const blocks = statement.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+    const currency = readOFXField(statement, 'CURDEF').toUpperCase() || null;
+    const account = readOFXAccount(statement);
+
+    return blocks.map(block => {
+      // DTPOSTED looks like 20251231 or 20251231120000[+3:AST]; only the calendar date is kept.
+      const posted = readOFXField(block, 'DTPOSTED');
+      const dateMatch = posted.match(/^(\d{4})(\d{2})(\d{2})/);
+      return {
+        date: dateMatch ? parseDateString(`${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`, 'YMD') : null,
+        amount: parseAmount(readOFXField(block, 'TRNAMT')),
+        payee: readOFXField(block, 'NAME') || readOFXField(block, 'PAYEEID'),
+        memo: readOFXField(block, 'MEMO'),
+        category: '', // OFX statements do not carry categories
+        fitId: readOFXField(block, 'FITID'),
+        account,
+        // An entry in a foreign currency carries its own <CURRENCY><CURSYM> aggregate.
+        currency: readOFXField(block, 'CURSYM').toUpperCase() || currency
+      };
+    });
+  });
+};
+
+/**
+ * parseQIF Function
+ *
+ * Parses the transactions of a QIF bank or credit card statement. Records are separated by
+ * '^' lines; each line starts with a one-letter field code (D date, T/U amount, P payee,
+ * M memo, L category). Only the last part of a 'Parent:Child' category is kept, and categories
+ * in [brackets] are transfers to another account and are ignored.
+ * @param {string} text - The statement contents.
+ * @param {'YMD'|'DMY'|'MDY'} dateFormat - How the D (date) fields are laid out.
+ * @returns {{date: string|null, amount: number|null, payee: string, memo: string, category: string, fitId: string}[]}
+ * The statement entries, with dates as 'YYYY-MM-DD' strings and signed amounts.
+ */
+export const parseQIF = (text, dateFormat) => {
+  const entries = [];
+  let current = {};
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!')) return; // Skip blank lines and headers such as !Type:Bank
+
+    if (line === '^') {
+      if (Object.keys(current).length > 0) entries.push(current);
+      current = {};
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+    if (code === 'D') current.rawDate = value;
+    else if (code === 'T' || (code === 'U' && current.rawAmount === undefined)) current.rawAmount = value;
+    else if (code === 'P') current.payee = value;
+    else if (code === 'M') current.memo = value;
+    else if (code === 'L') current.category = value.startsWith('[') ? '' : value.split(':').pop(); // 'Housing:Rent' -> 'Rent'
+  });
+  if (Object.keys(current).length > 0) entries.push(current); // Last record without a trailing '^'
+
+  return entries.map(entry => ({
+    // QIF writes two-digit years as 12/31'25, so treat the apostrophe as a separator.
+    date: entry.rawDate ? parseDateString(entry.rawDate.replace(/'/g, '/'), dateFormat) : null,
+    amount: entry.rawAmount === undefined ? null : parseAmount(entry.rawAmount),
+    payee: entry.payee || '',
+    memo: entry.memo || '',
+    category: entry.category || '',
+    fitId: '' // QIF has no transaction IDs
+  }));
+};
+
+/**
+ * buildImportRowsFromStatement Function
+ *
+ * Turns parsed statement entries into import rows (the same shape buildImportRowsFromCsv
+ * returns), using the sign of each amount for the type: debits are negative on statements.
+ * Every row gets an `importId` from its FITID, or else from a hash of the entry. FITIDs are
+ * only unique within one account, so they are prefixed with the statement's account. Identical
+ * entries within one file get distinct hashes by counting repeats, so two equal coffees on the
+ * same day are both kept, while importing the same file again yields the same IDs.
+ *
+ * @param {object[]} entries - Entries from parseOFX or parseQIF.
+ * @param {object} options - Import options.
+ * @param {{income: string, expense: string}} options.fallbackCategories - Categories used when an entry has none.
+ * @returns {{rowNumber: number, transaction: object, errors: string[]}[]} The import rows.
+ */
+export const buildImportRowsFromStatement = (entries, { fallbackCategories }) => {
+  const repeatCounts = {};
+
+  return entries.map((entry, index) => {
+    const errors = [];
+    if (!entry.date) errors.push('Invalid date');
+    if (entry.amount === null || entry.amount === 0) errors.push('Invalid amount');
+
+    const type = entry.amount < 0 ? 'expense' : 'income';
+    const category = entry.category || fallbackCategories[type] || '';
+    if (!category) errors.push('Missing category');
+
+    let importId = '';
+    if (entry.fitId) importId = entry.account ? `fitid:${entry.account}:${entry.fitId}` : `fitid:${entry.fitId}`;
+    if (!importId) {
+      const fingerprint = [entry.date, entry.amount, entry.payee, entry.memo].join('|');
+      repeatCounts[fingerprint] = (repeatCounts[fingerprint] || 0) + 1;
+      importId = `hash:${hashString(`${fingerprint}#${repeatCounts[fingerprint]}`)}`;
+    }
+
+    return {
+      rowNumber: index + 1,
+      transaction: {
+        type,
+        amount: entry.amount === null ? null : Math.abs(entry.amount),
+        category,
+        date: entry.date,
+        payee: entry.payee || null,
+        note: entry.memo || null,
+        ...(entry.currency && { currency: entry.currency }), // Otherwise the base currency is used on import
+        importId
+      },
+      errors
+    };
+  });
+};
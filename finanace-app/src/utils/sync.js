@@ -0,0 +1,51 @@
+/**
+ * Sync Utilities
+ *
+ * Firestore keeps a persistent local cache (see firebase.js), so transactions can be entered with
+ * no connection and are sent to the server once it returns. These helpers describe where a write
+ * and the app as a whole stand in that process.
+ */
+
+// Results of a transaction write: the server has it, or it is only saved on this device so far.
+export const WRITE_SYNCED = 'synced';
+export const WRITE_PENDING = 'pending';
+
+// How long a write waits for the server to confirm it before it is reported as pending.
+export const SYNC_WAIT_MS = 3000;
+
+// Shown instead of the usual success message when a write has not reached the server yet.
+export const PENDING_WRITE_MESSAGE = "Saved on this device. It will sync to the server when you're back online.";
+
+// How each overall sync status is shown in the header.
+export const SYNC_STATUSES = {
+  online: { label: 'Online', dotClassName: 'bg-green-500', textClassName: 'text-green-700' },
+  syncing: { label: 'Syncing...', dotClassName: 'bg-yellow-400 animate-pulse', textClassName: 'text-yellow-700' },
+  offline: { label: 'Offline', dotClassName: 'bg-gray-400', textClassName: 'text-gray-600' },
+};
+
+/**
+ * getSyncStatus Function
+ *
+ * Works out the overall sync status shown in the header.
+ * @param {object} state - The current state.
+ * @param {boolean} state.isOnline - Whether the browser reports a network connection.
+ * @param {number} state.unsyncedWriteCount - Writes the server has not confirmed yet.
+ * @param {boolean} state.hasPendingWrites - Whether any loaded transaction has local changes not yet on the server.
+ * @param {boolean} state.fromCache - Whether any loaded month is still shown from the local cache only.
+ * @returns {'online'|'syncing'|'offline'} The status (a key of SYNC_STATUSES).
+ */
+export const getSyncStatus = ({ isOnline, unsyncedWriteCount, hasPendingWrites, fromCache }) => {
+  if (!isOnline) return 'offline';
+  if (unsyncedWriteCount > 0 || hasPendingWrites || fromCache) return 'syncing';
+  return 'online';
+};
+
+/**
+ * getWriteMessage Function
+ *
+ * Picks the feedback to show after a transaction write.
+ * @param {string} result - The write result (WRITE_SYNCED or WRITE_PENDING).
+ * @param {string} successMessage - The message for a write the server has confirmed.
+ * @returns {string} The message to show.
+ */
+export const getWriteMessage = (result, successMessage) => (result === WRITE_PENDING ? PENDING_WRITE_MESSAGE : successMessage);
@@ -0,0 +1,86 @@
+/**
+ * Tag Utilities
+ *
+ * Transactions can carry any number of free-form tags (e.g., "Trip to Doha 2026" or
+ * "reimbursable") in their `tags` array, for things that cut across categories. Tags are compared
+ * without regard to case, and keep the spelling they were first entered with.
+ */
+
+// The most tags one transaction can carry.
+export const MAX_TAGS = 20;
+
+/**
+ * normalizeTag Function
+ *
+ * Tidies a typed tag: surrounding spaces and a leading '#' are removed, and runs of spaces are
+ * collapsed.
+ * @param {string} text - The typed tag.
+ * @returns {string} The tag, or an empty string if nothing is left.
+ */
+export const normalizeTag = (text) => (text || '').replace(/^\s*#/, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * findTag Function
+ *
+ * Finds a tag in a list regardless of case.
+ * @param {string[]} tags - The tags to look in.
+ * @param {string} tag - The tag to find.
+ * @returns {string|undefined} The tag as spelled in the list, if it is there.
+ */
+export const findTag = (tags, tag) => tags.find(existing => existing.toLowerCase() === tag.toLowerCase());
+
+/**
+ * addTag Function
+ *
+ * Adds a typed tag to a list, unless it is empty, already there, or the list is full. A tag that
+ * has been used before takes its earlier spelling.
+ * @param {string[]} tags - The current tags.
+ * @param {string} text - The typed tag.
+ * @param {string[]} [knownTags=[]] - Every tag used before.
+ * @returns {string[]} The new list (the same list if nothing was added).
+ */
+export const addTag = (tags, text, knownTags = []) => {
+  const tag = normalizeTag(text);
+  if (!tag || findTag(tags, tag) || tags.length >= MAX_TAGS) return tags;
+  return [...tags, findTag(knownTags, tag) || tag];
+};
+
+/**
+ * getTransactionTags Function
+ *
+ * Reads a transaction's tags; transactions saved before tags existed have none.
+ * @param {object} transaction - The transaction.
+ * @returns {string[]} The tags.
+ */
+export const getTransactionTags = (transaction) => (Array.isArray(transaction.tags) ? transaction.tags : []);
+
+/**
+ * hasTag Function
+ *
+ * Checks whether a transaction carries a tag (regardless of case).
+ * @param {object} transaction - The transaction.
+ * @param {string} tag - The tag.
+ * @returns {boolean} True if the transaction has the tag.
+ */
+export const hasTag = (transaction, tag) => Boolean(findTag(getTransactionTags(transaction), tag));
+
+/**
+ * getTagSuggestions Function
+ *
+ * Suggests previously used tags for what has been typed so far: tags starting with the text
+ * come first, then tags containing it. Tags that are already chosen are left out.
+ * @param {string} text - The text typed so far.
+ * @param {string[]} knownTags - Every tag used before.
+ * @param {string[]} chosenTags - The tags already on the transaction.
+ * @param {number} [limit=6] - The most suggestions to return.
+ * @returns {string[]} The suggested tags.
+ */
+export const getTagSuggestions = (text, knownTags, chosenTags, limit = 6) => {
+  const needle = normalizeTag(text).toLowerCase();
+  if (!needle) return [];
+  const available = knownTags.filter(tag => !findTag(chosenTags, tag) && tag.toLowerCase().includes(needle));
+  return [
+    ...available.filter(tag => tag.toLowerCase().startsWith(needle)),
+    ...available.filter(tag => !tag.toLowerCase().startsWith(needle))
+  ].slice(0, limit);
+};
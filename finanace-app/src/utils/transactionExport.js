@@ -0,0 +1,82 @@
+/**
+ * Transaction Export Utilities
+ *
+ * Pure helpers that filter transactions and serialize them to CSV or JSON. Firestore
+ * Timestamps become ISO dates and amounts are written with exactly two decimals, so exported
+ * files are stable and easy to re-import.
+ */
+import { toCSV } from './csv';
+import { getTransactionCurrency } from './currency';
+import { getTransactionDateKey } from './calendarDate';
+
+// Columns written to exported files, in order.
+const EXPORT_FIELDS = ['date', 'type', 'category', 'amount', 'currency', 'payee', 'paymentMethod', 'note', 'createdAt', 'updatedAt', 'id'];
+
+/**
+ * filterTransactionsForExport Function
+ *
+ * Selects the transactions to export.
+ * @param {object[]} transactions - All transactions.
+ * @param {object} filters - The export filters.
+ * @param {string} [filters.startDate] - Earliest date to include ('YYYY-MM-DD'), inclusive.
+ * @param {string} [filters.endDate] - Latest date to include ('YYYY-MM-DD'), inclusive.
+ * @param {string} [filters.type] - 'income', 'expense', or '' for both.
+ * @param {string} [filters.category] - A category name, or '' for all.
+ * @returns {object[]} The matching transactions, oldest first.
+ */
+export const filterTransactionsForExport = (transactions, { startDate, endDate, type, category }) => transactions
+  .filter(t => {
+    const date = getTransactionDateKey(t);
+    if (startDate && date < startDate) return false;
+    if (endDate && date > endDate) return false;
+    if (type && t.type !== type) return false;
+    if (category && t.category !== category) return false;
+    return true;
+  })
+  .sort((a, b) => a.date.toDate().getTime() - b.date.toDate().getTime());
+
+/**
+ * toExportRecord Function
+ *
+ * Converts a transaction into a plain record for export.
+ * @param {object} transaction - The transaction.
+ * @returns {object} The export record, keyed by EXPORT_FIELDS.
+ */
+const toExportRecord = (transaction) => ({
+  date: getTransactionDateKey(transaction),
+  type: transaction.type,
+  category: transaction.category,
+  amount: Number(transaction.amount).toFixed(2),
+  currency: getTransactionCurrency(transaction),
+  payee: transaction.payee || null,
+  paymentMethod: transaction.paymentMethod || null,
+  note: transaction.note || null,
+  createdAt: transaction.createdAt ? transaction.createdAt.toDate().toISOString() : null,
+  updatedAt: transaction.updatedAt ? transaction.updatedAt.toDate().toISOString() : null,
+  id: transaction.id
+});
+
+/**
+ * transactionsToCSV Function
+ *
+ * Serializes transactions to CSV text with a header row.
+ * @param {object[]} transactions - The transactions to export.
+ * @returns {string} The CSV text.
+ */
+export const transactionsToCSV = (transactions) => toCSV([
+  EXPORT_FIELDS,
+  ...transactions.map(t => {
+    const record = toExportRecord(t);
+    return EXPORT_FIELDS.map(field => record[field]);
+  })
+]);
+
+/**
+ * transactionsToJSON Function
+ *
+ * Serializes transactions to pretty-printed JSON. Amounts are kept as decimal strings so
+ * values like 0.1 + 0.2 never show up with floating-point noise.
+ * @param {object[]} transactions - The transactions to export.
+ * @returns {string} The JSON text.
+ */
+export const transactionsToJSON = (transactions) => JSON.stringify(transactions.map(toExportRecord), null, 2);
@@ -0,0 +1,200 @@
+/**
+ * Transaction Import Utilities
+ *
+ * Pure helpers that turn rows from an imported file into the app's transaction shape
+ * ({ type, amount, category, date, payee, note }), flagging rows that cannot be imported.
+ */
+import { getDateKeyParts, makeDateKey } from './calendarDate';
+
+/**
+ * Date Formats
+ *
+ * The date layouts an imported file may use. Any non-digit character is accepted as the
+ * separator, so 'DD/MM/YYYY' also matches '31-12-2025' and '31.12.2025'.
+ */
+export const DATE_FORMATS = [
+  { value: 'YMD', label: 'YYYY-MM-DD' },
+  { value: 'DMY', label: 'DD/MM/YYYY' },
+  { value: 'MDY', label: 'MM/DD/YYYY' },
+];
+
+/**
+ * Sign Conventions
+ *
+ * How to tell income from expenses in an imported file.
+ */
+export const SIGN_CONVENTIONS = [
+  { value: 'negativeIsExpense', label: 'Negative amounts are expenses' },
+  { value: 'positiveIsExpense', label: 'Positive amounts are expenses' },
+  { value: 'typeColumn', label: 'Use the type column' },
+];
+
+// Cell values in a type column that are read as income or expense.
+const INCOME_TYPE_VALUES = ['income', 'credit', 'cr', 'deposit', 'in'];
+const EXPENSE_TYPE_VALUES = ['expense', 'debit', 'dr', 'withdrawal', 'out', 'payment'];
+
+/**
+ * parseDateString Function
+ *
+ * Parses a date cell in the given format into a 'YYYY-MM-DD' string. Two-digit years are
+ * read as 20YY. Returns null for anything that is not a real calendar date (e.g., 31/02/2025).
+ * @param {string} value - The date cell.
+ * @param {'YMD'|'DMY'|'MDY'} format - The date format.
+ * @returns {string|null} The normalized date string, or null if invalid.
+ */
+export const parseDateString = (value, format) => {
+  const parts = String(value || '').trim().match(/\d+/g);
+  if (!parts || parts.length < 3) return null;
+
+  let year;
+  let month;
+  let day;
+  if (format === 'YMD') {
+    [year, month, day] = parts.map(Number);
+  } else if (format === 'DMY') {
+    [day, month, year] = parts.map(Number);
+  } else if (format === 'MDY') {
+    [month, day, year] = parts.map(Number);
+  } else {
+    return null;
+  }
+  if (year < 100) year += 2000;
+
+  // makeDateKey rolls impossible dates such as 31 February over into the next month, so they
+  // no longer match the parts they were built from.
+  const dateKey = makeDateKey(year, month - 1, day);
+  const normalized = getDateKeyParts(dateKey);
+  if (normalized.year !== year || normalized.month !== month - 1 || normalized.day !== day) return null;
+  return dateKey;
+};
+
+/**
+ * parseAmount Function
+ *
+ * Parses an amount cell into a signed number. Handles currency symbols and codes, thousands
+ * separators, accounting-style negatives like "(12.50)", and decimal commas like "1.234,56".
+ * @param {string|number} value - The amount cell.
+ * @returns {number|null} The parsed amount, or null if it is not a number.
+ */
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let text = String(value || '').trim();
+  if (!text) return null;
+
+  const isParenthesized = /^\(.*\)$/.test(text);
+  text = text.replace(/[^\d.,-]/g, ''); // Drop currency symbols, codes, spaces and parentheses
+
+  // When both separators appear, whichever comes last is the decimal separator.
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // A lone comma followed by exactly three digits is a thousands separator ("1,234").
+    const isThousands = lastDot === -1 && /^-?\d{1,3}(,\d{3})+$/.test(text);
+    text = isThousands ? text.replace(/,/g, '') : text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  if (!Number.isFinite(amount)) return null;
+  return isParenthesized ? -Math.abs(amount) : amount;
+};
+
+/**
+ * resolveType Function
+ *
+ * Works out a row's transaction type from its signed amount and type cell.
+ * @param {number} amount - The signed amount.
+ * @param {string} typeCell - The type column cell (only used with the 'typeColumn' convention).
+ * @param {string} signConvention - One of the SIGN_CONVENTIONS values.
+ * @returns {'income'|'expense'|null} The transaction type, or null if it cannot be determined.
+ */
+export const resolveType = (amount, typeCell, signConvention) => {
+  if (signConvention === 'typeColumn') {
+    const normalized = String(typeCell || '').trim().toLowerCase();
+    if (INCOME_TYPE_VALUES.includes(normalized)) return 'income';
+    if (EXPENSE_TYPE_VALUES.includes(normalized)) return 'expense';
+    return null;
+  }
+  if (signConvention === 'positiveIsExpense') return amount > 0 ? 'expense' : 'income';
+  return amount < 0 ? 'expense' : 'income';
+};
+
+/**
+ * buildImportRowsFromCsv Function
+ *
+ * Maps parsed CSV rows to transactions using the chosen column mapping and options, and
+ * validates each one. Invalid rows are kept (with their errors) so they can be shown in the preview.
+ *
+ * @param {string[][]} rows - The data rows (without the header row).
+ * @param {object} mapping - Column indexes for each field; unmapped fields are '' or undefined.
+ * @param {number} mapping.date - Date column.
+ * @param {number} mapping.amount - Amount column.
+ * @param {number} [mapping.type] - Type column (required for the 'typeColumn' convention).
+ * @param {number} [mapping.category] - Category column.
+ * @param {number} [mapping.payee] - Payee/merchant column.
+ * @param {number} [mapping.note] - Note/description column.
+ * @param {object} options - Import options.
+ * @param {string} options.dateFormat - One of the DATE_FORMATS values.
+ * @param {string} options.signConvention - One of the SIGN_CONVENTIONS values.
+ * @param {{income: string, expense: string}} options.fallbackCategories - Categories used when a row has none.
+ * @returns {{rowNumber: number, transaction: object, errors: string[]}[]} The import rows.
+ */
+export const buildImportRowsFromCsv = (rows, mapping, options) => {
+  const cell = (row, column) => (column === '' || column === undefined ? '' : String(row[column] ?? '').trim());
+
+  return rows.map((row, index) => {
+    const errors = [];
+
+    const date = parseDateString(cell(row, mapping.date), options.dateFormat);
+    if (!date) errors.push('Invalid date');
+
+    const signedAmount = parseAmount(cell(row, mapping.amount));
+    if (signedAmount === null || signedAmount === 0) errors.push('Invalid amount');
+
+    const type = signedAmount === null ? null : resolveType(signedAmount, cell(row, mapping.type), options.signConvention);
+    if (signedAmount !== null && !type) errors.push('Unknown type');
+
+    const category = cell(row, mapping.category) || (type ? options.fallbackCategories[type] : '') || '';
+    if (!category) errors.push('Missing category');
+
+    return {
+      rowNumber: index + 1,
+      transaction: {
+        type,
+        amount: signedAmount === null ? null : Math.abs(signedAmount),
+        category,
+        date,
+        payee: cell(row, mapping.payee) || null,
+        note: cell(row, mapping.note) || null
+      },
+      errors
+    };
+  });
+};
+
+/**
+ * findUnknownCategories Function
+ *
+ * Lists the distinct (type, category) pairs among valid import rows that do not match an
+ * existing category, so the user can decide whether to create or remap each one.
+ * @param {object[]} importRows - Rows from buildImportRowsFromCsv (or another import parser).
+ * @param {{income: string[], expense: string[]}} existingCategories - The user's current categories.
+ * @returns {{type: string, name: string}[]} The unknown categories.
+ */
+export const findUnknownCategories = (importRows, existingCategories) => {
+  const seen = new Set();
+  const unknown = [];
+
+  importRows.forEach(({ transaction, errors }) => {
+    if (errors.length > 0) return;
+    const { type, category } = transaction;
+    const key = `${type}:${category}`;
+    if (seen.has(key) || existingCategories[type].includes(category)) return;
+    seen.add(key);
+    unknown.push({ type, name: category });
+  });
+
+  return unknown;
+};
@@ -0,0 +1,84 @@
+/**
+ * Transaction Range Utilities
+ *
+ * The TransactionContext only listens to the transactions the UI needs instead of the whole
+ * collection. Ranges are loaded a calendar month at a time, so a month that was viewed once is
+ * cached and can be shown again without another query. These helpers work out which months a
+ * period touches and merge the loaded months back into one list.
+ */
+import { getDateKeyParts, getMonthEndKey, getMonthStartKey, makeDateKey, toDateKey, toStoredDate } from './calendarDate';
+
+// How many transactions each "load older history" request reads.
+export const HISTORY_PAGE_SIZE = 50;
+
+// How many month listeners are kept alive once they are no longer needed by the current view.
+// Months beyond this are dropped, least recently used first, and re-queried if viewed again.
+export const MAX_CACHED_MONTHS = 24;
+
+/**
+ * getMonthKey Function
+ *
+ * Returns the cache key of a calendar month.
+ * @param {number} year - The full year.
+ * @param {number} month - The month index (0-11); values outside it roll over into other years.
+ * @returns {string} The key, as 'YYYY-MM'.
+ */
+export const getMonthKey = (year, month) => makeDateKey(year, month, 1).slice(0, 7); // 'YYYY-MM-01' without the day
+
+/**
+ * getMonthBounds Function
+ *
+ * Returns the stored `date` values (see calendarDate.js) of a cached month's first and last day,
+ * for querying the month's transactions.
+ * @param {string} monthKey - The month's key ('YYYY-MM').
+ * @returns {{start: Date, end: Date}} The month's boundaries (both inclusive).
+ */
+export const getMonthBounds = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return {
+    start: toStoredDate(getMonthStartKey(year, month - 1)),
+    end: toStoredDate(getMonthEndKey(year, month - 1))
+  };
+};
+
+/**
+ * getMonthKeysInRange Function
+ *
+ * Lists the months a period overlaps, oldest first.
+ * @param {{start: Date, end: Date}} range - The period's boundaries.
+ * @returns {string[]} The month keys.
+ */
+export const getMonthKeysInRange = (range) => {
+  const keys = [];
+  let { year, month } = getDateKeyParts(toDateKey(range.start));
+  const lastKey = toDateKey(range.end).slice(0, 7);
+
+  // Month keys sort chronologically as plain strings.
+  while (getMonthKey(year, month) <= lastKey) {
+    keys.push(getMonthKey(year, month));
+    month++;
+    if (month > 11) {
+      month = 0;
+      year++;
+    }
+  }
+  return keys;
+};
+
+/**
+ * mergeTransactionLists Function
+ *
+ * Combines several lists of loaded transactions into one, newest first. A transaction that
+ * appears in more than one list is kept once, from the first list it appears in.
+ * @param {object[][]} lists - The lists to merge (with Firestore Timestamp `date` fields).
+ * @returns {object[]} The merged list.
+ */
+export const mergeTransactionLists = (lists) => {
+  const byId = new Map();
+  lists.forEach(list => {
+    list.forEach(t => {
+      if (!byId.has(t.id)) byId.set(t.id, t);
+    });
+  });
+  return [...byId.values()].sort((a, b) => b.date.toMillis() - a.date.toMillis());
+};
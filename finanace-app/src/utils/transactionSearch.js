@@ -0,0 +1,97 @@
+/**
+ * Transaction Search Utilities
+ *
+ * Pure helpers behind the search view: matching transactions against a set of filters and
+ * totalling the matches. Filters that are left empty match everything.
+ */
+import { getTransactionDateKey } from './calendarDate';
+import { isTransfer } from './transfers';
+import { getTransactionTags } from './tags';
+
+// Filters that match every transaction.
+export const EMPTY_SEARCH_FILTERS = {
+  text: '',
+  minAmount: '',
+  maxAmount: '',
+  type: '',
+  categories: [],
+  startDate: '',
+  endDate: ''
+};
+
+/**
+ * matchesText Function
+ *
+ * Checks whether any of a transaction's descriptive fields contain the search text.
+ * @param {object} transaction - The transaction.
+ * @param {string} needle - The lower-cased search text.
+ * @returns {boolean} True if the category, payee, note, or one of the tags contains the text.
+ */
+const matchesText = (transaction, needle) => [transaction.category, transaction.payee, transaction.note, ...getTransactionTags(transaction)]
+  .some(field => typeof field === 'string' && field.toLowerCase().includes(needle));
+
+/**
+ * searchTransactions Function
+ *
+ * Selects the transactions that match every given filter. Transfers are listed once, by their
+ * outgoing leg.
+ * @param {object[]} transactions - All transactions.
+ * @param {object} filters - The search filters (see EMPTY_SEARCH_FILTERS).
+ * @param {string} [filters.text] - Free text matched against category, payee, note, and tags (case-insensitive).
+ * @param {string|number} [filters.minAmount] - Smallest amount to include, in the transaction's own currency.
+ * @param {string|number} [filters.maxAmount] - Largest amount to include, in the transaction's own currency.
+ * @param {string} [filters.type] - 'income', 'expense', 'transfer', or '' for all.
+ * @param {string[]} [filters.categories] - Category names to include; empty for all.
+ * @param {string} [filters.startDate] - Earliest date to include ('YYYY-MM-DD'), inclusive.
+ * @param {string} [filters.endDate] - Latest date to include ('YYYY-MM-DD'), inclusive.
+ * @returns {object[]} The matching transactions, newest first.
+ */
+export const searchTransactions = (transactions, { text, minAmount, maxAmount, type, categories, startDate, endDate }) => {
+  const needle = (text || '').trim().toLowerCase();
+  const min = minAmount === '' || minAmount === undefined ? null : Number(minAmount);
+  const max = maxAmount === '' || maxAmount === undefined ? null : Number(maxAmount);
+  const categorySet = new Set(categories || []);
+
+  return transactions
+    .filter(t => {
+      if (isTransfer(t) && t.transferDirection === 'in') return false;
+      if (type && t.type !== type) return false;
+      if (categorySet.size > 0 && !categorySet.has(t.category)) return false;
+      if (min !== null && t.amount < min) return false;
+      if (max !== null && t.amount > max) return false;
+      const date = getTransactionDateKey(t);
+      if (startDate && date < startDate) return false;
+      if (endDate && date > endDate) return false;
+      if (needle && !matchesText(t, needle)) return false;
+      return true;
+    })
+    .sort((a, b) => b.date.toDate().getTime() - a.date.toDate().getTime());
+};
+
+/**
+ * summarizeTransactions Function
+ *
+ * Totals a set of transactions. Transfers are counted but never added to income or expenses.
+ * @param {object[]} transactions - The transactions to total.
+ * @param {function} getAmount - Reads a transaction's amount (e.g., converted to the base
+ * currency), or null if it cannot be converted (such amounts are left out and counted).
+ * @returns {{count: number, income: number, expenses: number, net: number, unconvertedCount: number}} The totals.
+ */
+export const summarizeTransactions = (transactions, getAmount) => {
+  const summary = { count: transactions.length, income: 0, expenses: 0, net: 0, unconvertedCount: 0 };
+
+  transactions.forEach(t => {
+    if (isTransfer(t)) return;
+    const amount = getAmount(t);
+    if (amount === null) {
+      summary.unconvertedCount++;
+    } else if (t.type === 'income') {
+      summary.income += amount;
+    } else {
+      summary.expenses += amount;
+    }
+  });
+
+  summary.net = summary.income - summary.expenses;
+  return summary;
+};
@@ -0,0 +1,55 @@
+/**
+ * Transfer Utilities
+ *
+ * A transfer moves money between two of the user's own accounts. It is stored as a linked pair
+ * of transaction documents of type 'transfer' that share a `transferId`: an 'out' leg on the
+ * source account and an 'in' leg on the destination account. Transfers change account balances
+ * but are never counted as income or expenses.
+ */
+
+// The transaction type used for both legs of a transfer.
+export const TRANSFER_TYPE = 'transfer';
+
+/**
+ * isTransfer Function
+ *
+ * Checks whether a transaction is one leg of a transfer.
+ * @param {object} transaction - The transaction.
+ * @returns {boolean} True for transfer legs.
+ */
+export const isTransfer = (transaction) => transaction.type === TRANSFER_TYPE;
+
+/**
+ * getTransferAccounts Function
+ *
+ * Reads the source and destination accounts from either leg of a transfer.
+ * @param {object} transaction - A transfer leg ({ accountId, counterpartAccountId, transferDirection }).
+ * @returns {{fromAccountId: string, toAccountId: string}} The accounts money moved from and to.
+ */
+export const getTransferAccounts = (transaction) => (transaction.transferDirection === 'in'
+  ? { fromAccountId: transaction.counterpartAccountId, toAccountId: transaction.accountId }
+  : { fromAccountId: transaction.accountId, toAccountId: transaction.counterpartAccountId });
+
+/**
+ * buildTransferLegs Function
+ *
+ * Builds the two transaction documents that make up a transfer.
+ * @param {object} transfer - The transfer: fromAccountId, toAccountId, amount, currency, and the
+ * optional note. The date is left to the caller, which stores it as a Firestore Timestamp.
+ * @param {string} transferId - The ID linking the two legs.
+ * @returns {{out: object, in: object}} The source ('out') and destination ('in') legs.
+ */
+export const buildTransferLegs = ({ fromAccountId, toAccountId, amount, currency, note }, transferId) => {
+  const shared = {
+    type: TRANSFER_TYPE,
+    amount,
+    currency,
+    category: null, // Transfers are not income or expenses, so they have no category
+    note: note || null,
+    transferId
+  };
+  return {
+    out: { ...shared, accountId: fromAccountId, counterpartAccountId: toAccountId, transferDirection: 'out' },
+    in: { ...shared, accountId: toAccountId, counterpartAccountId: fromAccountId, transferDirection: 'in' }
+  };
+};
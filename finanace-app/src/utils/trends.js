@@ -0,0 +1,51 @@
+/**
+ * Trend Utilities
+ *
+ * Aggregates income, expenses, and net per month for the trend view. Transactions are placed in
+ * months by calendar day, as OverviewSection does for its totals, so a month here always matches
+ * the totals shown for it in the overview.
+ */
+import { isTransfer } from './transfers';
+import { getDateKeyParts, getMonthStartKey, getTransactionDateKey } from './calendarDate';
+import { getMonthKey } from './transactionRanges';
+
+// Month counts offered in the trend view.
+export const TREND_MONTH_OPTIONS = [3, 6, 12, 24];
+
+/**
+ * getMonthlyTrend Function
+ *
+ * Totals income and expenses for each of the `monthCount` months ending with the given month.
+ * Transfers between accounts are left out, as they are in the overview.
+ * @param {object[]} transactions - All transactions (with `dateKey` and/or Firestore Timestamp `date` fields).
+ * @param {number} endYear - The full year of the last month.
+ * @param {number} endMonth - The month index (0-11) of the last month.
+ * @param {number} monthCount - How many months to include.
+ * @param {function} getAmount - Reads a transaction's amount (e.g., converted to the base
+ * currency), or null if it cannot be converted (such amounts are left out).
+ * @returns {{year: number, month: number, income: number, expenses: number, net: number}[]} One
+ * entry per month, oldest first.
+ */
+export const getMonthlyTrend = (transactions, endYear, endMonth, monthCount, getAmount) => {
+  const months = [];
+  for (let offset = monthCount - 1; offset >= 0; offset--) {
+    // getMonthStartKey normalizes negative month indexes into earlier years.
+    const { year, month } = getDateKeyParts(getMonthStartKey(endYear, endMonth - offset));
+    months.push({ year, month, monthKey: getMonthKey(year, month), income: 0, expenses: 0 });
+  }
+
+  transactions.forEach(t => {
+    if (isTransfer(t)) return;
+    const monthKey = getTransactionDateKey(t).slice(0, 7); // 'YYYY-MM'
+    const entry = months.find(m => m.monthKey === monthKey);
+    const amount = getAmount(t);
+    if (!entry || amount === null) return;
+    if (t.type === 'income') {
+      entry.income += amount;
+    } else {
+      entry.expenses += amount;
+    }
+  });
+
+  return months.map(({ year, month, income, expenses }) => ({ year, month, income, expenses, net: income - expenses }));
+};
@@ -0,0 +1,147 @@
+/**
+ * View Range Utilities
+ *
+ * The overview and transaction list show one period at a time: a day, a week, a month, a year,
+ * or a custom date range. These helpers turn the selected view mode and the date being viewed
+ * into concrete local-time boundaries, move between periods, and label them.
+ */
+import { addDays, fromDateKey, getDayDifference, getTransactionDateKey, isDateKeyInRange, toDateKey } from './calendarDate';
+
+// The available view modes. `listTitle` heads the transaction list in that mode.
+export const VIEW_MODES = [
+  { value: 'day', label: 'Day', listTitle: 'Daily Transactions' },
+  { value: 'week', label: 'Week', listTitle: 'Weekly Transactions' },
+  { value: 'month', label: 'Month', listTitle: 'Monthly Transactions' },
+  { value: 'year', label: 'Year', listTitle: 'Yearly Transactions' },
+  { value: 'custom', label: 'Custom', listTitle: 'Transactions in Range' },
+];
+
+// Day names, indexed like Date.prototype.getDay() (0 = Sunday), for the week start setting.
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Weeks start on Sunday until the user chooses otherwise.
+export const DEFAULT_WEEK_START = 0;
+
+/**
+ * getViewRange Function
+ *
+ * Works out the first and last moment of the period being viewed, in local time.
+ * @param {string} mode - The view mode ('day', 'week', 'month', 'year', or 'custom').
+ * @param {Date} viewDate - The date being viewed; the period is the one that contains it.
+ * @param {object} [options] - Extra settings.
+ * @param {number} [options.weekStartsOn=DEFAULT_WEEK_START] - The first day of the week (0 = Sunday).
+ * @param {{startDate: string, endDate: string}} [options.customRange] - The custom range, as 'YYYY-MM-DD' strings.
+ * @returns {{start: Date, end: Date}} The period's boundaries (both inclusive).
+ */
+export const getViewRange = (mode, viewDate, { weekStartsOn = DEFAULT_WEEK_START, customRange } = {}) => {
+  const year = viewDate.getFullYear();
+  const month = viewDate.getMonth();
+  const day = viewDate.getDate();
+
+  switch (mode) {
+    case 'week': {
+      const daysSinceWeekStart = (viewDate.getDay() - weekStartsOn + 7) % 7;
+      return {
+        start: new Date(year, month, day - daysSinceWeekStart),
+        end: new Date(year, month, day - daysSinceWeekStart + 6, 23, 59, 59, 999)
+      };
+    }
+    case 'month':
+      return { start: new Date(year, month, 1), end: new Date(year, month + 1, 0, 23, 59, 59, 999) };
+    case 'year':
+      return { start: new Date(year, 0, 1), end: new Date(year, 11, 31, 23, 59, 59, 999) };
+    case 'custom': {
+      const start = fromDateKey(customRange && customRange.startDate);
+      const end = fromDateKey(customRange && customRange.endDate);
+      if (start && end && start <= end) {
+        return { start, end: new Date(end.getFullYear(), end.getMonth(), end.getDate(), 23, 59, 59, 999) };
+      }
+      // An incomplete custom range falls back to the day being viewed.
+      return { start: new Date(year, month, day), end: new Date(year, month, day, 23, 59, 59, 999) };
+    }
+    default: // 'day'
+      return { start: new Date(year, month, day), end: new Date(year, month, day, 23, 59, 59, 999) };
+  }
+};
+
+/**
+ * shiftViewDate Function
+ *
+ * Moves the viewed date by a number of periods of the given mode. Moving by months or years
+ * lands on the first of the month, so a month-end date never skips a short month.
+ * @param {string} mode - The view mode ('day', 'week', 'month', or 'year').
+ * @param {Date} viewDate - The date being viewed.
+ * @param {number} delta - How many periods to move (e.g., -1 for the previous period).
+ * @returns {Date} The new date to view.
+ */
+export const shiftViewDate = (mode, viewDate, delta) => {
+  const year = viewDate.getFullYear();
+  const month = viewDate.getMonth();
+  const day = viewDate.getDate();
+
+  switch (mode) {
+    case 'week':
+      return new Date(year, month, day + delta * 7);
+    case 'month':
+      return new Date(year, month + delta, 1);
+    case 'year':
+      return new Date(year + delta, month, 1);
+    default: // 'day'
+      return new Date(year, month, day + delta);
+  }
+};
+
+/**
+ * shiftCustomRange Function
+ *
+ * Moves a custom range by its own length, so "previous" shows the same number of days just before it.
+ * @param {{startDate: string, endDate: string}} customRange - The custom range.
+ * @param {number} delta - How many range lengths to move.
+ * @returns {{startDate: string, endDate: string}} The moved range (unchanged if it is incomplete).
+ */
+export const shiftCustomRange = (customRange, delta) => {
+  const { startDate, endDate } = customRange;
+  if (!fromDateKey(startDate) || !fromDateKey(endDate) || startDate > endDate) return customRange;
+
+  const shift = (getDayDifference(startDate, endDate) + 1) * delta;
+  return { startDate: addDays(startDate, shift), endDate: addDays(endDate, shift) };
+};
+
+/**
+ * formatViewLabel Function
+ *
+ * Describes the period being viewed (e.g., "July 2025", "7 Jul – 13 Jul 2025", or "2025").
+ * @param {string} mode - The view mode.
+ * @param {{start: Date, end: Date}} range - The period's boundaries, from getViewRange.
+ * @returns {string} The label.
+ */
+export const formatViewLabel = (mode, range) => {
+  switch (mode) {
+    case 'day':
+      return range.start.toLocaleDateString('default', { weekday: 'short', day: 'numeric', month: 'long', year: 'numeric' });
+    case 'month':
+      return range.start.toLocaleString('default', { month: 'long', year: 'numeric' });
+    case 'year':
+      return String(range.start.getFullYear());
+    default: { // 'week' and 'custom'
+      const sameYear = range.start.getFullYear() === range.end.getFullYear();
+      const startLabel = range.start.toLocaleDateString('default', sameYear
+        ? { day: 'numeric', month: 'short' }
+        : { day: 'numeric', month: 'short', year: 'numeric' });
+      const endLabel = range.end.toLocaleDateString('default', { day: 'numeric', month: 'short', year: 'numeric' });
+      return `${startLabel} – ${endLabel}`;
+    }
+  }
+};
+
+/**
+ * isWithinRange Function
+ *
+ * Checks whether a transaction falls within a period. The transaction's calendar day is
+ * compared with the period's first and last day, so the result does not depend on the timezone.
+ * @param {object} transaction - A transaction with a `dateKey` and/or a Firestore Timestamp `date`.
+ * @param {{start: Date, end: Date}} range - The period's boundaries.
+ * @returns {boolean} True if the transaction's day is within the period.
+ */
+export const isWithinRange = (transaction, range) =>
+  isDateKeyInRange(getTransactionDateKey(transaction), toDateKey(range.start), toDateKey(range.end));
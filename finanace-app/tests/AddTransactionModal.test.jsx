@@ -0,0 +1,81 @@
+/**
+ * AddTransactionModal Tests
+ *
+ * Covers the add form's starting currency and when the form is reset, rendered inside a real
+ * TransactionProvider backed by the in-memory Firestore fake.
+ */
+import React, { useState } from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { TransactionProvider, useTransactions } from '../src/components/TransactionContext';
+import AddTransactionModal from '../src/components/AddTransactionModal';
+import { resetFakeFirestore, seedDocument } from './support/fakeFirestore';
+import { USER_PATH } from './support/fixtures';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore'));
+vi.mock('../src/firebase', () => import('./support/fakeFirebase'));
+vi.mock('../src/hooks/useAuth', () => import('./support/fakeAuth'));
+
+/**
+ * ModalHarness Component
+ *
+ * Shows the base currency and opens the AddTransactionModal with a button, as AppContainer would.
+ */
+const ModalHarness = () => {
+  const { baseCurrency } = useTransactions();
+  const [isOpen, setIsOpen] = useState(false);
+  return (
+    <>
+      <p>Base currency: {baseCurrency}</p>
+      <button onClick={() => setIsOpen(true)}>Open</button>
+      <AddTransactionModal isOpen={isOpen} onClose={() => setIsOpen(false)} showMessage={vi.fn()} showConfirm={vi.fn()} />
+    </>
+  );
+};
+
+/**
+ * renderModal Function
+ *
+ * Renders the ModalHarness inside a TransactionProvider.
+ */
+const renderModal = () => render(
+  <TransactionProvider>
+    <ModalHarness />
+  </TransactionProvider>
+);
+
+beforeEach(() => {
+  resetFakeFirestore();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date(2026, 0, 20));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('AddTransactionModal', () => {
+  it('starts a new transaction in the base currency', async () => {
+    seedDocument(`${USER_PATH}/settings/preferences`, { baseCurrency: 'USD' });
+    renderModal();
+    await screen.findByText('Base currency: USD');
+
+    await userEvent.click(screen.getByRole('button', { name: 'Open' }));
+
+    expect(screen.getByLabelText('Currency')).toHaveValue('USD');
+  });
+
+  it('keeps what has been typed when the base currency changes elsewhere', async () => {
+    renderModal();
+    await userEvent.click(screen.getByRole('button', { name: 'Open' }));
+    await userEvent.type(screen.getByLabelText('Amount'), '12.50');
+
+    // As if the base currency were changed in another tab.
+    await act(async () => seedDocument(`${USER_PATH}/settings/preferences`, { baseCurrency: 'USD' }));
+    await screen.findByText('Base currency: USD');
+
+    expect(screen.getByLabelText('Amount')).toHaveValue(12.5);
+    expect(screen.getByLabelText('Currency')).toHaveValue('QAR');
+  });
+});
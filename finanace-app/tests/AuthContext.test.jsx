@@ -0,0 +1,190 @@
+/**
+ * AuthProvider Tests
+ *
+ * Covers a guest signing in to an account that already exists: the password is checked before
+ * anything else, a guest with nothing stored is switched straight to the account, and a guest with
+ * data can merge all of it into the account or discard it. Firebase Authentication is replaced by
+ * a stub that accepts one password; Firestore is the in-memory fake.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { signInWithCredential } from 'firebase/auth';
+import { AuthProvider, useAuth } from '../src/components/AuthContext';
+import { auth, appId } from './support/fakeFirebase';
+import { Timestamp, getStoredDocuments, resetFakeFirestore, seedDocument } from './support/fakeFirestore';
+
+const { ACCOUNT_USER, PASSWORD } = vi.hoisted(() => ({
+  ACCOUNT_USER: { uid: 'account', isAnonymous: false, email: 'sam@example.com' },
+  PASSWORD: 'correct horse'
+}));
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore'));
+vi.mock('../src/firebase', () => import('./support/fakeFirebase'));
+vi.mock('firebase/app', () => ({
+  initializeApp: () => ({}),
+  deleteApp: async () => {}
+}));
+vi.mock('firebase/auth', () => ({
+  getAuth: () => ({}),
+  GoogleAuthProvider: { credentialFromError: vi.fn() },
+  EmailAuthProvider: { credential: (email, password) => ({ email, password }) },
+  // Only the account's own password is accepted.
+  signInWithCredential: vi.fn(async (_auth, credential) => {
+    if (credential.password !== PASSWORD) throw Object.assign(new Error('Wrong password'), { code: 'auth/wrong-password' });
+    return { user: ACCOUNT_USER };
+  }),
+  onAuthStateChanged: (authInstance, callback) => {
+    callback(authInstance.currentUser);
+    return () => {};
+  },
+  signInWithPopup: vi.fn(),
+  signInWithEmailAndPassword: vi.fn(),
+  createUserWithEmailAndPassword: vi.fn(),
+  sendPasswordResetEmail: vi.fn(),
+  sendEmailVerification: vi.fn(),
+  linkWithPopup: vi.fn(),
+  linkWithCredential: vi.fn(),
+  signOut: vi.fn(),
+  signInAnonymously: vi.fn()
+}));
+
+const GUEST = { uid: 'guest', isAnonymous: true };
+const GUEST_PATH = `artifacts/${appId}/users/guest`;
+const ACCOUNT_PATH = `artifacts/${appId}/users/account`;
+
+/**
+ * renderAuth Function
+ *
+ * Renders the AuthProvider with the guest signed in and waits for it to finish loading.
+ * @returns {Promise<object>} The renderHook result; `result.current` is the context value.
+ */
+const renderAuth = async () => {
+  const rendered = renderHook(() => useAuth(), { wrapper: AuthProvider });
+  await waitFor(() => expect(rendered.result.current.loading).toBe(false));
+  return rendered;
+};
+
+/**
+ * signInAsGuest Function
+ *
+ * Signs the guest in to the existing account with an email and password.
+ * @param {object} result - The renderHook result.
+ * @param {string} password - The password typed.
+ * @returns {Promise<boolean>} What signInWithEmail returned.
+ */
+const signInAsGuest = async (result, password) => {
+  let success;
+  await act(async () => {
+    success = await result.current.signInWithEmail(ACCOUNT_USER.email, password);
+  });
+  return success;
+};
+
+/**
+ * seedGuestData Function
+ *
+ * Stores a guest transaction, budget, recurring rule, exchange rate, opening balance, and
+ * preferences, and an account that already has a budget, a tag, and an opening balance of its own.
+ */
+const seedGuestData = () => {
+  seedDocument(`${GUEST_PATH}/transactions/t1`, { type: 'expense', amount: 20, category: 'Food', accountId: 'default', currency: 'QAR', dateKey: '2026-01-10', date: Timestamp.now() });
+  seedDocument(`${GUEST_PATH}/accounts/default`, { name: 'Main Account', type: 'bank', openingBalance: 50, currency: null });
+  seedDocument(`${GUEST_PATH}/budgets/gb1`, { category: 'Food', amount: 300, rollover: false });
+  seedDocument(`${GUEST_PATH}/budgets/gb2`, { category: 'Rent', amount: 900, rollover: false });
+  seedDocument(`${GUEST_PATH}/recurringRules/r1`, { name: 'Gym', frequency: 'monthly', interval: 1, startDate: '2026-01-01' });
+  seedDocument(`${GUEST_PATH}/exchangeRates/x1`, { currency: 'USD', baseCurrency: 'QAR', rate: 3.64, date: '2026-01-01' });
+  seedDocument(`${GUEST_PATH}/settings/preferences`, {
+    transactionFieldsVersion: 1,
+    tags: ['trip', 'Reimbursable'],
+    hiddenCategories: { income: [], expense: ['Shopping'] },
+    categoryStyles: { income: {}, expense: { Food: { color: 'green', icon: 'utensils' } } }
+  });
+  seedDocument(`${ACCOUNT_PATH}/accounts/default`, { name: 'Wallet', type: 'cash', openingBalance: 100, currency: null });
+  seedDocument(`${ACCOUNT_PATH}/budgets/ab1`, { category: 'Food', amount: 200, rollover: false });
+  seedDocument(`${ACCOUNT_PATH}/settings/preferences`, { tags: ['Trip'] });
+};
+
+beforeEach(() => {
+  resetFakeFirestore();
+  signInWithCredential.mockClear();
+  auth.currentUser = GUEST;
+});
+
+describe('signing in as a guest', () => {
+  it('reports a wrong password without offering a merge', async () => {
+    seedGuestData();
+    const { result } = await renderAuth();
+
+    expect(await signInAsGuest(result, 'wrong')).toBe(false);
+
+    expect(result.current.pendingMerge).toBeNull();
+    expect(result.current.error).toBe('The email address or password is incorrect.');
+  });
+
+  it('switches a guest who has stored nothing straight to the account', async () => {
+    seedDocument(`${GUEST_PATH}/settings/preferences`, { transactionFieldsVersion: 1 });
+    const { result } = await renderAuth();
+
+    expect(await signInAsGuest(result, PASSWORD)).toBe(true);
+
+    expect(result.current.pendingMerge).toBeNull();
+    expect(signInWithCredential).toHaveBeenLastCalledWith(auth, { email: ACCOUNT_USER.email, password: PASSWORD });
+    expect(getStoredDocuments(`${GUEST_PATH}/settings`)).toEqual([]);
+  });
+});
+
+describe('mergeGuestAccount', () => {
+  it('carries every kind of guest data over, keeping what the account already has', async () => {
+    seedGuestData();
+    const { result } = await renderAuth();
+    await signInAsGuest(result, PASSWORD);
+    expect(result.current.pendingMerge).toEqual(expect.objectContaining({ email: ACCOUNT_USER.email }));
+
+    await act(async () => {
+      expect(await result.current.mergeGuestAccount()).toBe(1);
+    });
+
+    expect(getStoredDocuments(`${ACCOUNT_PATH}/transactions`).map(t => t.id)).toEqual(['t1']);
+    expect(getStoredDocuments(`${ACCOUNT_PATH}/budgets`).map(b => [b.category, b.amount])).toEqual([['Food', 200], ['Rent', 900]]);
+    expect(getStoredDocuments(`${ACCOUNT_PATH}/recurringRules`).map(r => r.id)).toEqual(['r1']);
+    expect(getStoredDocuments(`${ACCOUNT_PATH}/exchangeRates`)).toHaveLength(1);
+    expect(getStoredDocuments(`${ACCOUNT_PATH}/accounts`)[0]).toEqual(expect.objectContaining({ name: 'Wallet', openingBalance: 150 }));
+    const [preferences] = getStoredDocuments(`${ACCOUNT_PATH}/settings`);
+    expect(preferences.tags).toEqual(['Trip', 'Reimbursable']);
+    expect(preferences.hiddenCategories.expense).toEqual(['Shopping']);
+    expect(preferences.categoryStyles.expense.Food).toEqual({ color: 'green', icon: 'utensils' });
+    expect(getStoredDocuments(`${GUEST_PATH}/transactions`)).toEqual([]);
+    expect(result.current.pendingMerge).toBeNull();
+  });
+
+  it('does not add the opening balance again when a merge is run a second time', async () => {
+    seedGuestData();
+    const { result } = await renderAuth();
+    await signInAsGuest(result, PASSWORD);
+    await act(async () => result.current.mergeGuestAccount());
+
+    // As if deleting the guest's data had failed part way and the merge were retried.
+    seedDocument(`${GUEST_PATH}/accounts/default`, { name: 'Main Account', type: 'bank', openingBalance: 50, currency: null });
+    await signInAsGuest(result, PASSWORD);
+    await act(async () => result.current.mergeGuestAccount());
+
+    expect(getStoredDocuments(`${ACCOUNT_PATH}/accounts`)[0].openingBalance).toBe(150);
+  });
+});
+
+describe('signInWithoutMerging', () => {
+  it('discards the guest data and leaves the account as it was', async () => {
+    seedGuestData();
+    const { result } = await renderAuth();
+    await signInAsGuest(result, PASSWORD);
+
+    await act(async () => {
+      expect(await result.current.signInWithoutMerging()).toBe(true);
+    });
+
+    expect(getStoredDocuments(`${GUEST_PATH}/transactions`)).toEqual([]);
+    expect(getStoredDocuments(`${ACCOUNT_PATH}/transactions`)).toEqual([]);
+    expect(getStoredDocuments(`${ACCOUNT_PATH}/accounts`)[0].openingBalance).toBe(100);
+    expect(result.current.pendingMerge).toBeNull();
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * CategoryManagerModal Tests
+ *
+ * Covers the category screen's usage counts, subcategories, renaming, colors and icons, merging,
+ * hiding, and deleting, rendered
+ * inside a real TransactionProvider backed by the in-memory Firestore fake.
+ */
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { TransactionProvider } from '../src/components/TransactionContext';
+import CategoryManagerModal from '../src/components/CategoryManagerModal';
+import { getStoredDocuments, resetFakeFirestore } from './support/fakeFirestore';
+import { USER_PATH, seedCategory, seedTransaction } from './support/fixtures';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore'));
+vi.mock('../src/firebase', () => import('./support/fakeFirebase'));
+vi.mock('../src/hooks/useAuth', () => import('./support/fakeAuth'));
+
+/**
+ * renderManager Function
+ *
+ * Renders the open CategoryManagerModal inside a TransactionProvider.
+ * @returns {{showConfirm: function, showMessage: function}} The mocked callbacks.
+ */
+const renderManager = () => {
+  const callbacks = { showConfirm: vi.fn(), showMessage: vi.fn() };
+  render(
+    <TransactionProvider>
+      <CategoryManagerModal isOpen onClose={vi.fn()} {...callbacks} />
+    </TransactionProvider>
+  );
+  return callbacks;
+};
+
+/**
+ * getRow Function
+ *
+ * Finds the list row of a category.
+ * @param {string} name - The category name.
+ * @returns {HTMLElement} The row.
+ */
+const getRow = (name) => screen.getByText(name, { selector: 'span' }).closest('div.p-2');
+
+beforeEach(() => {
+  resetFakeFirestore();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date(2026, 0, 20));
+  seedCategory('c1', 'Pets', 'expense');
+  seedCategory('c2', 'Hobbies', 'expense');
+  seedTransaction('t1', { type: 'expense', amount: 30, category: 'Pets', date: '2026-01-10' });
+  seedTransaction('t2', { type: 'expense', amount: 12, category: 'Pets', date: '2025-04-10' });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('CategoryManagerModal', () => {
+  it('lists built-in and saved categories with their usage counts', async () => {
+    renderManager();
+
+    await waitFor(() => expect(within(getRow('Pets')).getByText('2 transactions')).toBeInTheDocument());
+    expect(within(getRow('Hobbies')).getByText('0 transactions')).toBeInTheDocument();
+    expect(within(getRow('Food')).getByText('Built-in')).toBeInTheDocument();
+  });
+
+  it('only offers to delete unused categories of the user\'s own', async () => {
+    renderManager();
+    await waitFor(() => expect(within(getRow('Pets')).getByText('2 transactions')).toBeInTheDocument());
+
+    expect(within(getRow('Hobbies')).getByRole('button', { name: 'Delete' })).toBeInTheDocument();
+    expect(within(getRow('Pets')).queryByRole('button', { name: 'Delete' })).not.toBeInTheDocument();
+    expect(within(getRow('Food')).queryByRole('button', { name: 'Delete' })).not.toBeInTheDocument();
+  });
+
+  it('renames a category and its transactions', async () => {
+    const { showMessage } = renderManager();
+    await waitFor(() => expect(within(getRow('Pets')).getByText('2 transactions')).toBeInTheDocument());
+
+    await userEvent.click(within(getRow('Pets')).getByRole('button', { name: 'Edit' }));
+    const input = screen.getByLabelText('New name for Pets');
+    await userEvent.clear(input);
+    await userEvent.type(input, 'Animals');
+    await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => expect(showMessage).toHaveBeenCalledWith("Renamed 'Pets' to 'Animals' (2 transactions updated)."));
+    expect(getStoredDocuments(`${USER_PATH}/transactions`).map(t => t.category)).toEqual(['Animals', 'Animals']);
+    expect(await screen.findByText('Animals', { selector: 'span' })).toBeInTheDocument();
+  });
+
+  it('points to merging when the new name is taken', async () => {
+    const { showMessage } = renderManager();
+    await waitFor(() => expect(within(getRow('Pets')).getByText('2 transactions')).toBeInTheDocument());
+
+    await userEvent.click(within(getRow('Pets')).getByRole('button', { name: 'Edit' }));
+    const input = screen.getByLabelText('New name for Pets');
+    await userEvent.clear(input);
+    await userEvent.type(input, 'Hobbies');
+    await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(showMessage).toHaveBeenCalledWith("There is already a category called 'Hobbies'. Use Merge to combine the two.", true);
+    expect(getStoredDocuments(`${USER_PATH}/transactions`).map(t => t.category)).toEqual(['Pets', 'Pets']);
+  });
+
+  it('merges a category into another after confirmation', async () => {
+    const { showConfirm, showMessage } = renderManager();
+    await waitFor(() => expect(within(getRow('Pets')).getByText('2 transactions')).toBeInTheDocument());
+
+    await userEvent.click(within(getRow('Pets')).getByRole('button', { name: 'Merge' }));
+    await userEvent.selectOptions(screen.getByLabelText('Merge Pets into'), 'Hobbies');
+    await userEvent.click(within(getRow('Pets')).getAllByRole('button', { name: 'Merge' })[1]);
+
+    expect(showConfirm).toHaveBeenCalledWith(expect.stringContaining("Move every transaction in 'Pets' to 'Hobbies'"), expect.any(Function));
+    expect(getStoredDocuments(`${USER_PATH}/transactions`).map(t => t.category)).toEqual(['Pets', 'Pets']);
+
+    await act(async () => {
+      await showConfirm.mock.calls[0][1]();
+    });
+
+    expect(showMessage).toHaveBeenCalledWith("Merged 'Pets' into 'Hobbies' (2 transactions moved).");
+    expect(getStoredDocuments(`${USER_PATH}/transactions`).map(t => t.category)).toEqual(['Hobbies', 'Hobbies']);
+    await waitFor(() => expect(screen.queryByText('Pets', { selector: 'span' })).not.toBeInTheDocument());
+  });
+
+  it('adds a subcategory and lists it beneath its parent', async () => {
+    const { showMessage } = renderManager();
+    await screen.findByText('Food', { selector: 'span' });
+
+    await userEvent.type(screen.getByLabelText('New category name'), 'Groceries');
+    await userEvent.selectOptions(screen.getByLabelText('Parent category'), 'Food');
+    await userEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+    expect(showMessage).toHaveBeenCalledWith("Category 'Groceries' added!");
+    expect(getStoredDocuments(`${USER_PATH}/categories`)).toContainEqual(expect.objectContaining({ name: 'Groceries', parent: 'Food' }));
+    await waitFor(() => expect(getRow('Groceries')).toHaveClass('ml-6'));
+    const names = screen.getAllByText(/./, { selector: 'span.text-sm' }).map(span => span.textContent);
+    expect(names.indexOf('Groceries')).toBe(names.indexOf('Food') + 1);
+  });
+
+  it('moves a category under another from the rename form', async () => {
+    const { showMessage } = renderManager();
+    await waitFor(() => expect(within(getRow('Pets')).getByText('2 transactions')).toBeInTheDocument());
+
+    await userEvent.click(within(getRow('Hobbies')).getByRole('button', { name: 'Edit' }));
+    await userEvent.selectOptions(screen.getByLabelText('Parent of Hobbies'), 'Entertainment');
+    await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => expect(showMessage).toHaveBeenCalledWith("Moved 'Hobbies' under 'Entertainment'."));
+    await waitFor(() => expect(getRow('Hobbies')).toHaveClass('ml-6'));
+  });
+
+  it('adds a category with the chosen color and icon', async () => {
+    renderManager();
+    await screen.findByText('Food', { selector: 'span' });
+
+    await userEvent.type(screen.getByLabelText('New category name'), 'Garden');
+    await userEvent.click(within(screen.getAllByRole('group', { name: 'Color' })[0]).getByRole('button', { name: 'Lime' }));
+    await userEvent.click(within(screen.getAllByRole('group', { name: 'Icon' })[0]).getByRole('button', { name: 'Home' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+    expect(getStoredDocuments(`${USER_PATH}/categories`)).toContainEqual(expect.objectContaining({ name: 'Garden', color: '#84cc16', icon: 'home' }));
+  });
+
+  it("changes a built-in category's color from the edit form", async () => {
+    const { showMessage } = renderManager();
+    await screen.findByText('Food', { selector: 'span' });
+
+    const row = getRow('Food');
+    await userEvent.click(within(row).getByRole('button', { name: 'Edit' }));
+    await userEvent.click(within(row).getByRole('button', { name: 'Teal' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => expect(showMessage).toHaveBeenCalledWith("Updated the color and icon of 'Food'."));
+    expect(getStoredDocuments(`${USER_PATH}/settings`)[0].categoryStyles.expense).toEqual({ Food: { color: '#14b8a6', icon: 'food' } });
+  });
+
+  it('hides a built-in category and shows it again', async () => {
+    renderManager();
+    await screen.findByText('Food', { selector: 'span' });
+
+    await userEvent.click(within(getRow('Food')).getByRole('button', { name: 'Hide' }));
+
+    await waitFor(() => expect(within(getRow('Food')).getByText('Built-in · hidden')).toBeInTheDocument());
+    expect(getStoredDocuments(`${USER_PATH}/settings`)[0].hiddenCategories).toEqual({ income: [], expense: ['Food'] });
+
+    await userEvent.click(within(getRow('Food')).getByRole('button', { name: 'Show' }));
+
+    await waitFor(() => expect(within(getRow('Food')).getByText('Built-in')).toBeInTheDocument());
+  });
+});
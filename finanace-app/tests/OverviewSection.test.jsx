@@ -0,0 +1,160 @@
+/**
+ * OverviewSection Tests
+ *
+ * Covers the income, expense, and balance totals for the viewed period and the category
+ * breakdown and budgets, rendered inside a real TransactionProvider backed by the in-memory
+ * Firestore fake.
+ */
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { TransactionProvider } from '../src/components/TransactionContext';
+import OverviewSection from '../src/components/OverviewSection';
+import { TRANSFER_TYPE } from '../src/utils/transfers';
+import { Timestamp, resetFakeFirestore, seedDocument } from './support/fakeFirestore';
+import { USER_PATH, formatAmount, seedCategory, seedTransaction } from './support/fixtures';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore'));
+vi.mock('../src/firebase', () => import('./support/fakeFirebase'));
+vi.mock('../src/hooks/useAuth', () => import('./support/fakeAuth'));
+
+/**
+ * renderOverview Function
+ *
+ * Renders the OverviewSection inside a TransactionProvider.
+ */
+const renderOverview = () => render(
+  <TransactionProvider>
+    <OverviewSection
+      onManageBudgets={vi.fn()}
+      onExport={vi.fn()}
+      onManageAccounts={vi.fn()}
+      onSearch={vi.fn()}
+      onShowTrends={vi.fn()}
+      selectedCategory={null}
+      onSelectCategory={vi.fn()}
+    />
+  </TransactionProvider>
+);
+
+/**
+ * getCardAmount Function
+ *
+ * Reads the amount shown on one of the totals cards.
+ * @param {string} title - The card's title ('Total Income', 'Total Expenses', or 'Balance').
+ * @returns {HTMLElement} The element showing the card's amount.
+ */
+const getCardAmount = (title) => within(screen.getByText(title).parentElement).getByText(/\d/);
+
+beforeEach(() => {
+  resetFakeFirestore();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date(2026, 0, 20));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('OverviewSection totals', () => {
+  it("sums the viewed month's income and expenses and shows the balance", async () => {
+    seedTransaction('t1', { type: 'income', amount: 1000, category: 'Salary', date: '2026-01-01' });
+    seedTransaction('t2', { type: 'income', amount: 250.5, category: 'Freelance', date: '2026-01-18' });
+    seedTransaction('t3', { type: 'expense', amount: 120, category: 'Food', date: '2026-01-05' });
+    seedTransaction('t4', { type: 'expense', amount: 400, category: 'Rent', date: '2026-01-31' });
+    seedTransaction('t5', { type: 'expense', amount: 999, category: 'Food', date: '2025-12-31' }); // Previous month
+
+    renderOverview();
+
+    await waitFor(() => expect(getCardAmount('Total Income')).toHaveTextContent(formatAmount(1250.5)));
+    expect(getCardAmount('Total Expenses')).toHaveTextContent(formatAmount(520));
+    expect(getCardAmount('Balance')).toHaveTextContent(formatAmount(730.5));
+  });
+
+  it('leaves transfers between accounts out of the totals', async () => {
+    seedTransaction('t1', { type: 'income', amount: 500, category: 'Salary', date: '2026-01-02' });
+    seedTransaction('out', { type: TRANSFER_TYPE, amount: 300, category: null, transferId: 'x', transferDirection: 'out', accountId: 'default', counterpartAccountId: 'savings', date: '2026-01-03' });
+    seedTransaction('in', { type: TRANSFER_TYPE, amount: 300, category: null, transferId: 'x', transferDirection: 'in', accountId: 'savings', counterpartAccountId: 'default', date: '2026-01-03' });
+
+    renderOverview();
+
+    await waitFor(() => expect(getCardAmount('Total Income')).toHaveTextContent(formatAmount(500)));
+    expect(getCardAmount('Total Expenses')).toHaveTextContent(formatAmount(0));
+    expect(getCardAmount('Balance')).toHaveTextContent(formatAmount(500));
+  });
+
+  it('shows a negative balance as its absolute value in red', async () => {
+    seedTransaction('t1', { type: 'income', amount: 100, category: 'Gifts', date: '2026-01-10' });
+    seedTransaction('t2', { type: 'expense', amount: 350, category: 'Shopping', date: '2026-01-11' });
+
+    renderOverview();
+
+    await waitFor(() => expect(getCardAmount('Balance')).toHaveTextContent(formatAmount(250)));
+    expect(getCardAmount('Balance')).toHaveClass('text-red-600');
+  });
+
+  it('converts other currencies at the exchange rate and flags those without one', async () => {
+    seedDocument(`${USER_PATH}/exchangeRates/r1`, { currency: 'USD', baseCurrency: 'QAR', rate: 3.64, date: '2026-01-01' });
+    seedTransaction('t1', { type: 'expense', amount: 100, category: 'Shopping', currency: 'USD', date: '2026-01-12' });
+    seedTransaction('t2', { type: 'expense', amount: 50, category: 'Shopping', currency: 'EUR', date: '2026-01-12' });
+
+    renderOverview();
+
+    await waitFor(() => expect(getCardAmount('Total Expenses')).toHaveTextContent(formatAmount(364)));
+    expect(screen.getByText(/1 transaction is not included because no exchange rate to QAR is set/)).toBeInTheDocument();
+  });
+
+  it('totals only the viewed day in the day view', async () => {
+    seedTransaction('t1', { type: 'expense', amount: 40, category: 'Food', date: '2026-01-20' });
+    seedTransaction('t2', { type: 'expense', amount: 75, category: 'Transport', date: '2026-01-19' });
+
+    renderOverview();
+    await waitFor(() => expect(getCardAmount('Total Expenses')).toHaveTextContent(formatAmount(115)));
+
+    await userEvent.click(screen.getByRole('button', { name: 'Day' }));
+
+    expect(getCardAmount('Total Expenses')).toHaveTextContent(formatAmount(40));
+  });
+});
+
+describe('OverviewSection subcategories', () => {
+  beforeEach(() => {
+    seedCategory('c1', 'Groceries', 'expense', 'Food');
+    seedCategory('c2', 'Takeaway', 'expense', 'Food');
+    seedTransaction('t1', { type: 'expense', amount: 60, category: 'Groceries', date: '2026-01-05' });
+    seedTransaction('t2', { type: 'expense', amount: 25, category: 'Takeaway', date: '2026-01-06' });
+    seedTransaction('t3', { type: 'expense', amount: 15, category: 'Food', date: '2026-01-07' });
+    seedTransaction('t4', { type: 'expense', amount: 50, category: 'Rent', date: '2026-01-08' });
+  });
+
+  /**
+   * getLegendEntry Function
+   *
+   * Finds a category's entry in the chart legend.
+   * @param {string} category - The category name.
+   * @returns {HTMLElement|null} The legend button, if the category has one.
+   */
+  const getLegendEntry = (category) => screen.queryAllByRole('button').find(button => button.textContent.startsWith(category)) || null;
+
+  it('rolls subcategories up into their parent, or shows every category on its own', async () => {
+    renderOverview();
+    await waitFor(() => expect(getLegendEntry('Food')).toHaveTextContent(formatAmount(100)));
+    expect(getLegendEntry('Groceries')).toBeNull();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Detailed' }));
+
+    expect(getLegendEntry('Food')).toHaveTextContent(formatAmount(15));
+    expect(getLegendEntry('Groceries')).toHaveTextContent(formatAmount(60));
+    expect(getLegendEntry('Takeaway')).toHaveTextContent(formatAmount(25));
+    expect(getLegendEntry('Rent')).toHaveTextContent(formatAmount(50));
+  });
+
+  it("counts a subcategory's spending against its parent's budget", async () => {
+    seedDocument(`${USER_PATH}/budgets/b1`, { category: 'Food', amount: 200, rollover: false, createdAt: Timestamp.now() });
+
+    renderOverview();
+
+    await waitFor(() => expect(screen.getByText(`${formatAmount(100)} / ${formatAmount(200)}`)).toBeInTheDocument());
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * SearchModal Tests
+ *
+ * Covers how far back the search and its subtotals reach when older history has not been
+ * loaded, rendered inside a real TransactionProvider backed by the in-memory Firestore fake.
+ */
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { TransactionProvider } from '../src/components/TransactionContext';
+import SearchModal from '../src/components/SearchModal';
+import { resetFakeFirestore } from './support/fakeFirestore';
+import { formatAmount, seedTransaction } from './support/fixtures';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore'));
+vi.mock('../src/firebase', () => import('./support/fakeFirebase'));
+vi.mock('../src/hooks/useAuth', () => import('./support/fakeAuth'));
+
+/**
+ * renderSearch Function
+ *
+ * Renders the open SearchModal inside a TransactionProvider.
+ */
+const renderSearch = () => render(
+  <TransactionProvider>
+    <SearchModal isOpen onClose={vi.fn()} />
+  </TransactionProvider>
+);
+
+/**
+ * getSubtotal Function
+ *
+ * Reads one of the subtotals shown above the matches.
+ * @param {string} title - The subtotal's title ('Matches', 'Income', 'Expenses', or 'Net').
+ * @returns {HTMLElement} The element showing the subtotal.
+ */
+const getSubtotal = (title) => within(screen.getByText(title).parentElement).getByText(/\d/);
+
+beforeEach(() => {
+  resetFakeFirestore();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date(2026, 0, 20));
+  seedTransaction('t1', { type: 'expense', amount: 40, category: 'Food', date: '2026-01-05' });
+  seedTransaction('t2', { type: 'expense', amount: 25, category: 'Food', date: '2025-11-12' });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('SearchModal subtotals', () => {
+  it('marks the subtotals as incomplete while older history is not loaded', async () => {
+    renderSearch();
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Totals incomplete: only transactions from');
+    expect(getSubtotal('Expenses')).toHaveTextContent(formatAmount(40));
+  });
+
+  it('reads the transactions from a From date before the loaded history', async () => {
+    renderSearch();
+    await screen.findByText(formatAmount(40));
+
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2025-11-01' } });
+
+    expect(await screen.findByText(formatAmount(65))).toBe(getSubtotal('Expenses'));
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    expect(getSubtotal('Matches')).toHaveTextContent('2');
+  });
+});
@@ -0,0 +1,694 @@
+/**
+ * TransactionProvider Tests
+ *
+ * Covers the provider's month and day navigation, its category management, recurring rules,
+ * account balances, budgets, and transaction tags, against the in-memory Firestore fake. Adding, generating, and importing
+ * transactions are also run in timezones on both sides of UTC, where dates used to shift by a day.
+ */
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { getAggregateFromServer } from 'firebase/firestore';
+import { TransactionProvider, useTransactions } from '../src/components/TransactionContext';
+import { Timestamp, getStoredDocuments, resetFakeFirestore, seedDocument } from './support/fakeFirestore';
+import { USER_PATH, seedCategory, seedTransaction } from './support/fixtures';
+
+// Server sums are wrapped so tests can count how often balances are summed.
+vi.mock('firebase/firestore', async () => {
+  const fakeFirestore = await import('./support/fakeFirestore');
+  return { ...fakeFirestore, getAggregateFromServer: vi.fn(fakeFirestore.getAggregateFromServer) };
+});
+vi.mock('../src/firebase', () => import('./support/fakeFirebase'));
+vi.mock('../src/hooks/useAuth', () => import('./support/fakeAuth'));
+
+/**
+ * renderProvider Function
+ *
+ * Renders the TransactionProvider and waits for its categories to load.
+ * @returns {Promise<object>} The renderHook result; `result.current` is the context value.
+ */
+const renderProvider = async () => {
+  const rendered = renderHook(() => useTransactions(), { wrapper: TransactionProvider });
+  await waitFor(() => expect(rendered.result.current.userExpenseCategories.length).toBeGreaterThan(0));
+  return rendered;
+};
+
+/**
+ * viewedDate Function
+ *
+ * Reads the viewed year, month, and day from the context value.
+ * @param {object} value - The context value.
+ * @returns {Array<number>} [year, month (0-11), day].
+ */
+const viewedDate = ({ currentYear, currentMonth, currentDay }) => [currentYear, currentMonth, currentDay];
+
+beforeEach(() => {
+  resetFakeFirestore();
+  // Only Date is faked, so promises and the SDK's timers still run normally.
+  vi.useFakeTimers({ toFake: ['Date'] });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  process.env.TZ = 'UTC';
+});
+
+describe('changeMonth', () => {
+  it('rolls back from January to December of the previous year', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    const { result } = await renderProvider();
+
+    act(() => result.current.changeMonth(-1));
+
+    expect(viewedDate(result.current)).toEqual([2025, 11, 1]);
+  });
+
+  it('rolls forward from December to January of the next year', async () => {
+    vi.setSystemTime(new Date(2025, 11, 20));
+    const { result } = await renderProvider();
+
+    act(() => result.current.changeMonth(1));
+
+    expect(viewedDate(result.current)).toEqual([2026, 0, 1]);
+  });
+
+  it('resets the day to the 1st within the same year', async () => {
+    vi.setSystemTime(new Date(2026, 4, 31));
+    const { result } = await renderProvider();
+
+    act(() => result.current.changeMonth(1));
+    expect(viewedDate(result.current)).toEqual([2026, 5, 1]);
+
+    act(() => result.current.changeMonth(-1));
+    expect(viewedDate(result.current)).toEqual([2026, 4, 1]);
+  });
+
+  it('moves several months at once across the year end', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    const { result } = await renderProvider();
+
+    act(() => result.current.changeMonth(-2));
+
+    expect(viewedDate(result.current)).toEqual([2025, 10, 1]);
+  });
+});
+
+describe('changeDay', () => {
+  it('rolls back from the 1st to the last day of the previous month and year', async () => {
+    vi.setSystemTime(new Date(2026, 0, 1));
+    const { result } = await renderProvider();
+
+    act(() => result.current.changeDay(-1));
+
+    expect(viewedDate(result.current)).toEqual([2025, 11, 31]);
+  });
+
+  it('rolls forward from the end of February into March', async () => {
+    vi.setSystemTime(new Date(2026, 1, 28));
+    const { result } = await renderProvider();
+
+    act(() => result.current.changeDay(1));
+
+    expect(viewedDate(result.current)).toEqual([2026, 2, 1]);
+  });
+
+  it('stops at February 29th in a leap year', async () => {
+    vi.setSystemTime(new Date(2024, 1, 28));
+    const { result } = await renderProvider();
+
+    act(() => result.current.changeDay(1));
+    expect(viewedDate(result.current)).toEqual([2024, 1, 29]);
+
+    act(() => result.current.changeDay(1));
+    expect(viewedDate(result.current)).toEqual([2024, 2, 1]);
+  });
+
+  it('rolls forward from December 31st into the next year', async () => {
+    vi.setSystemTime(new Date(2025, 11, 31));
+    const { result } = await renderProvider();
+
+    act(() => result.current.changeDay(1));
+
+    expect(viewedDate(result.current)).toEqual([2026, 0, 1]);
+  });
+});
+
+describe('categories', () => {
+  it('merges saved categories into the defaults, sorted and without duplicates', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    seedCategory('c1', 'Coffee', 'expense');
+    seedCategory('c2', 'Food', 'expense'); // Same name as a default category
+    seedCategory('c3', 'Dividends', 'income');
+    const { result } = await renderProvider();
+
+    await waitFor(() => expect(result.current.userExpenseCategories).toContain('Coffee'));
+    const expenseCategories = result.current.userExpenseCategories;
+    expect(expenseCategories.filter(name => name === 'Food')).toHaveLength(1);
+    expect(expenseCategories).toEqual([...expenseCategories].sort());
+    expect(result.current.userIncomeCategories).toContain('Dividends');
+    expect(result.current.userIncomeCategories).not.toContain('Coffee');
+  });
+
+  it('adds a category and lists it under its type', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    const { result } = await renderProvider();
+
+    let added;
+    await act(async () => {
+      added = await result.current.addCategory('  Pets  ', 'expense');
+    });
+
+    expect(added).toBe(true);
+    await waitFor(() => expect(result.current.userExpenseCategories).toContain('Pets'));
+    expect(result.current.userIncomeCategories).not.toContain('Pets');
+    expect(getStoredDocuments(`${USER_PATH}/categories`)).toEqual([
+      expect.objectContaining({ name: 'Pets', type: 'expense' })
+    ]);
+  });
+
+  it('refuses to add a category that already exists for the same type', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    seedCategory('c1', 'Pets', 'expense');
+    const { result } = await renderProvider();
+
+    let added;
+    await act(async () => {
+      added = await result.current.addCategory('Pets', 'expense');
+    });
+
+    expect(added).toBe(false);
+    expect(getStoredDocuments(`${USER_PATH}/categories`)).toHaveLength(1);
+  });
+
+  it('allows the same name for the other type', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    seedCategory('c1', 'Pets', 'expense');
+    const { result } = await renderProvider();
+
+    let added;
+    await act(async () => {
+      added = await result.current.addCategory('Pets', 'income');
+    });
+
+    expect(added).toBe(true);
+    await waitFor(() => expect(result.current.userIncomeCategories).toContain('Pets'));
+  });
+
+  it('refuses a blank category name', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    const { result } = await renderProvider();
+
+    let added;
+    await act(async () => {
+      added = await result.current.addCategory('   ', 'expense');
+    });
+
+    expect(added).toBe(false);
+    expect(getStoredDocuments(`${USER_PATH}/categories`)).toHaveLength(0);
+  });
+
+  it('deletes a saved category', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    seedCategory('c1', 'Pets', 'expense');
+    const { result } = await renderProvider();
+    await waitFor(() => expect(result.current.userExpenseCategories).toContain('Pets'));
+
+    let deleted;
+    await act(async () => {
+      deleted = await result.current.deleteCategory('Pets', 'expense');
+    });
+
+    expect(deleted).toBe(true);
+    await waitFor(() => expect(result.current.userExpenseCategories).not.toContain('Pets'));
+    expect(getStoredDocuments(`${USER_PATH}/categories`)).toHaveLength(0);
+  });
+
+  it('reports a category that does not exist as not deleted', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    const { result } = await renderProvider();
+
+    let deleted;
+    await act(async () => {
+      deleted = await result.current.deleteCategory('Pets', 'expense');
+    });
+
+    expect(deleted).toBe(false);
+  });
+
+  it('refuses to delete a category that transactions still use', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    seedCategory('c1', 'Pets', 'expense');
+    seedTransaction('t1', { type: 'expense', amount: 30, category: 'Pets', date: '2025-06-01' }); // Not a loaded month
+    const { result } = await renderProvider();
+
+    let deleted;
+    await act(async () => {
+      deleted = await result.current.deleteCategory('Pets', 'expense');
+    });
+
+    expect(deleted).toBe(false);
+    expect(getStoredDocuments(`${USER_PATH}/categories`)).toHaveLength(1);
+  });
+});
+
+describe('category management', () => {
+  beforeEach(() => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+  });
+
+  it('renames a category with all of its transactions, recurring rules, and budget', async () => {
+    seedCategory('c1', 'Pets', 'expense');
+    seedTransaction('t1', { type: 'expense', amount: 30, category: 'Pets', date: '2026-01-10' });
+    seedTransaction('t2', { type: 'expense', amount: 45, category: 'Pets', date: '2024-03-02' }); // Not a loaded month
+    seedTransaction('t3', { type: 'income', amount: 10, category: 'Pets', date: '2026-01-11' }); // Same name, other type
+    seedDocument(`${USER_PATH}/budgets/b1`, { category: 'Pets', amount: 200, rollover: false, createdAt: Timestamp.now() });
+    seedDocument(`${USER_PATH}/recurringRules/r1`, { name: 'Vet plan', frequency: 'monthly', startDate: '2030-01-01', template: { type: 'expense', amount: 50, category: 'Pets' } });
+    const { result } = await renderProvider();
+    await waitFor(() => expect(result.current.budgets).toHaveLength(1));
+    await waitFor(() => expect(result.current.recurringRules).toHaveLength(1));
+
+    let updatedCount;
+    await act(async () => {
+      updatedCount = await result.current.renameCategory('Pets', ' Animals ', 'expense');
+    });
+
+    expect(updatedCount).toBe(2);
+    const categoryOf = Object.fromEntries(getStoredDocuments(`${USER_PATH}/transactions`).map(t => [t.id, t.category]));
+    expect(categoryOf).toEqual({ t1: 'Animals', t2: 'Animals', t3: 'Pets' });
+    expect(getStoredDocuments(`${USER_PATH}/categories`)).toEqual([expect.objectContaining({ name: 'Animals', type: 'expense' })]);
+    expect(getStoredDocuments(`${USER_PATH}/budgets`)).toEqual([expect.objectContaining({ category: 'Animals', amount: 200 })]);
+    expect(getStoredDocuments(`${USER_PATH}/recurringRules`)[0].template).toEqual({ type: 'expense', amount: 50, category: 'Animals' });
+    await waitFor(() => expect(result.current.userExpenseCategories).toContain('Animals'));
+    expect(result.current.userExpenseCategories).not.toContain('Pets');
+  });
+
+  it('renames a built-in category by hiding it and adding the new name', async () => {
+    seedTransaction('t1', { type: 'expense', amount: 30, category: 'Food', date: '2026-01-10' });
+    const { result } = await renderProvider();
+
+    await act(async () => {
+      await result.current.renameCategory('Food', 'Groceries', 'expense');
+    });
+
+    await waitFor(() => expect(result.current.userExpenseCategories).toContain('Groceries'));
+    expect(result.current.userExpenseCategories).not.toContain('Food');
+    expect(result.current.hiddenCategories.expense).toEqual(['Food']);
+    expect(getStoredDocuments(`${USER_PATH}/transactions`)[0].category).toBe('Groceries');
+  });
+
+  it('refuses to rename a category to a name that is already taken', async () => {
+    seedCategory('c1', 'Pets', 'expense');
+    seedTransaction('t1', { type: 'expense', amount: 30, category: 'Pets', date: '2026-01-10' });
+    const { result } = await renderProvider();
+
+    let updatedCount;
+    await act(async () => {
+      updatedCount = await result.current.renameCategory('Pets', 'Food', 'expense');
+    });
+
+    expect(updatedCount).toBe(false);
+    expect(getStoredDocuments(`${USER_PATH}/transactions`)[0].category).toBe('Pets');
+  });
+
+  it('merges one category into another and removes the merged one', async () => {
+    seedCategory('c1', 'Pets', 'expense');
+    seedCategory('c2', 'Animals', 'expense');
+    seedTransaction('t1', { type: 'expense', amount: 30, category: 'Pets', date: '2026-01-10' });
+    seedTransaction('t2', { type: 'expense', amount: 45, category: 'Animals', date: '2026-01-12' });
+    seedDocument(`${USER_PATH}/budgets/b1`, { category: 'Pets', amount: 200, rollover: false, createdAt: Timestamp.now() });
+    seedDocument(`${USER_PATH}/budgets/b2`, { category: 'Animals', amount: 100, rollover: false, createdAt: Timestamp.now() });
+    const { result } = await renderProvider();
+    await waitFor(() => expect(result.current.budgets).toHaveLength(2));
+
+    let movedCount;
+    await act(async () => {
+      movedCount = await result.current.mergeCategories('Pets', 'Animals', 'expense');
+    });
+
+    expect(movedCount).toBe(1);
+    expect(getStoredDocuments(`${USER_PATH}/transactions`).map(t => t.category)).toEqual(['Animals', 'Animals']);
+    expect(getStoredDocuments(`${USER_PATH}/categories`).map(c => c.name)).toEqual(['Animals']);
+    // The target's own budget is kept.
+    expect(getStoredDocuments(`${USER_PATH}/budgets`)).toEqual([expect.objectContaining({ category: 'Animals', amount: 100 })]);
+  });
+
+  it('hides a built-in category and shows it again', async () => {
+    const { result } = await renderProvider();
+
+    await act(async () => {
+      await result.current.setCategoryHidden('Education', 'expense', true);
+    });
+    await waitFor(() => expect(result.current.userExpenseCategories).not.toContain('Education'));
+
+    await act(async () => {
+      await result.current.setCategoryHidden('Education', 'expense', false);
+    });
+    await waitFor(() => expect(result.current.userExpenseCategories).toContain('Education'));
+  });
+
+  it('counts the transactions in each category across all history', async () => {
+    seedTransaction('t1', { type: 'expense', amount: 30, category: 'Food', date: '2026-01-10' });
+    seedTransaction('t2', { type: 'expense', amount: 45, category: 'Food', date: '2023-05-02' });
+    seedTransaction('t3', { type: 'income', amount: 45, category: 'Adjusted', date: '2026-01-02' });
+    const { result } = await renderProvider();
+
+    let counts;
+    await act(async () => {
+      counts = await result.current.getCategoryUsageCounts('expense', ['Food', 'Adjusted', 'Rent']);
+    });
+
+    expect(counts).toEqual({ Food: 2, Adjusted: 0, Rent: 0 });
+  });
+});
+
+describe('subcategories', () => {
+  beforeEach(() => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+  });
+
+  it('adds a category under a top-level category', async () => {
+    const { result } = await renderProvider();
+
+    let added;
+    await act(async () => {
+      added = await result.current.addCategory('Groceries', 'expense', 'Food');
+    });
+
+    expect(added).toBe(true);
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({ Groceries: 'Food' }));
+    expect(result.current.userExpenseCategories).toContain('Groceries');
+  });
+
+  it('keeps categories one level deep', async () => {
+    seedCategory('c1', 'Groceries', 'expense', 'Food');
+    seedCategory('c2', 'Snacks', 'expense');
+    const { result } = await renderProvider();
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({ Groceries: 'Food' }));
+
+    let added, moved;
+    await act(async () => {
+      added = await result.current.addCategory('Fruit', 'expense', 'Groceries');
+      moved = await result.current.setCategoryParent('Food', 'expense', 'Snacks'); // Built-in, and has a subcategory
+    });
+
+    expect(added).toBe(false);
+    expect(moved).toBe(false);
+    expect(getStoredDocuments(`${USER_PATH}/categories`).map(c => c.name)).toEqual(['Groceries', 'Snacks']);
+  });
+
+  it('moves a category under another and back to the top level', async () => {
+    seedCategory('c1', 'Snacks', 'expense');
+    const { result } = await renderProvider();
+
+    await act(async () => {
+      await result.current.setCategoryParent('Snacks', 'expense', 'Food');
+    });
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({ Snacks: 'Food' }));
+
+    await act(async () => {
+      await result.current.setCategoryParent('Snacks', 'expense', null);
+    });
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({}));
+  });
+
+  it('keeps subcategories with their parent when it is renamed or merged', async () => {
+    seedCategory('c1', 'Pets', 'expense');
+    seedCategory('c2', 'Vet', 'expense', 'Pets');
+    seedCategory('c3', 'Animals', 'expense');
+    const { result } = await renderProvider();
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({ Vet: 'Pets' }));
+
+    await act(async () => {
+      await result.current.renameCategory('Pets', 'Pet care', 'expense');
+    });
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({ Vet: 'Pet care' }));
+
+    await act(async () => {
+      await result.current.mergeCategories('Pet care', 'Animals', 'expense');
+    });
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({ Vet: 'Animals' }));
+  });
+
+  it('moves the subcategories of a deleted category to the top level', async () => {
+    seedCategory('c1', 'Pets', 'expense');
+    seedCategory('c2', 'Vet', 'expense', 'Pets');
+    const { result } = await renderProvider();
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({ Vet: 'Pets' }));
+
+    await act(async () => {
+      await result.current.deleteCategory('Pets', 'expense');
+    });
+
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({}));
+    expect(result.current.userExpenseCategories).toContain('Vet');
+  });
+});
+
+describe('category colors and icons', () => {
+  beforeEach(() => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+  });
+
+  it('gives built-in categories their presets and others the fallback, or their parent\'s style', async () => {
+    seedCategory('c1', 'Pets', 'expense');
+    seedCategory('c2', 'Groceries', 'expense', 'Food');
+    const { result } = await renderProvider();
+    await waitFor(() => expect(result.current.categoryParents.expense).toEqual({ Groceries: 'Food' }));
+
+    expect(result.current.getCategoryStyle('Food', 'expense')).toEqual({ color: '#f97316', icon: 'food' });
+    expect(result.current.getCategoryStyle('Salary', 'income')).toEqual({ color: '#10b981', icon: 'banknotes' });
+    expect(result.current.getCategoryStyle('Pets', 'expense')).toEqual({ color: '#6b7280', icon: 'tag' });
+    expect(result.current.getCategoryStyle('Groceries', 'expense')).toEqual({ color: '#f97316', icon: 'food' });
+  });
+
+  it("stores a custom category's style on its document and a built-in one's in the preferences", async () => {
+    seedCategory('c1', 'Pets', 'expense');
+    const { result } = await renderProvider();
+
+    await act(async () => {
+      await result.current.setCategoryStyle('Pets', 'expense', { color: '#84cc16', icon: 'heart' });
+      await result.current.setCategoryStyle('Rent', 'expense', { color: '#ef4444', icon: 'star' });
+    });
+
+    expect(getStoredDocuments(`${USER_PATH}/categories`)[0]).toEqual(expect.objectContaining({ color: '#84cc16', icon: 'heart' }));
+    expect(getStoredDocuments(`${USER_PATH}/settings`)[0].categoryStyles.expense).toEqual({ Rent: { color: '#ef4444', icon: 'star' } });
+    await waitFor(() => expect(result.current.getCategoryStyle('Pets', 'expense')).toEqual({ color: '#84cc16', icon: 'heart' }));
+    await waitFor(() => expect(result.current.getCategoryStyle('Rent', 'expense')).toEqual({ color: '#ef4444', icon: 'star' }));
+  });
+
+  it('refuses colors and icons that are not bundled', async () => {
+    const { result } = await renderProvider();
+
+    let saved, added;
+    await act(async () => {
+      saved = await result.current.setCategoryStyle('Rent', 'expense', { color: '#123456', icon: 'star' });
+      added = await result.current.addCategory('Pets', 'expense', null, { color: '#ef4444', icon: 'https://example.com/icon.svg' });
+    });
+
+    expect(saved).toBe(false);
+    expect(added).toBe(false);
+  });
+
+  it('keeps the look of a built-in category that is renamed', async () => {
+    const { result } = await renderProvider();
+
+    await act(async () => {
+      await result.current.renameCategory('Transport', 'Car', 'expense');
+    });
+
+    expect(getStoredDocuments(`${USER_PATH}/categories`)[0]).toEqual(expect.objectContaining({ name: 'Car', color: '#3b82f6', icon: 'car' }));
+  });
+});
+
+describe('recurring rules', () => {
+  it('catches up a long-paused daily rule completely, without touching occurrences that exist', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    seedDocument(`${USER_PATH}/recurringRules/r1`, {
+      name: 'Coffee', frequency: 'daily', interval: 1, startDate: '2023-01-01', lastGeneratedDate: null,
+      template: { type: 'expense', amount: 4, category: 'Food' }
+    });
+    seedTransaction('r1_2024-06-01', { type: 'expense', amount: 6, category: 'Food', date: '2024-06-01', recurringRuleId: 'r1' });
+    await renderProvider();
+
+    await waitFor(() => expect(getStoredDocuments(`${USER_PATH}/recurringRules`)[0].lastGeneratedDate).toBe('2026-01-15'));
+    const generated = getStoredDocuments(`${USER_PATH}/transactions`);
+    expect(generated).toHaveLength(1111); // Every day from 2023-01-01 to 2026-01-15
+    expect(generated.find(t => t.id === 'r1_2024-06-01').amount).toBe(6);
+  });
+});
+
+describe('account balances', () => {
+  it('sums again when a loaded transaction changes, but not for a snapshot that changes nothing', async () => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+    seedTransaction('t1', { type: 'income', amount: 100, category: 'Salary', date: '2026-01-10' });
+    const { result } = await renderProvider();
+    await waitFor(() => expect(result.current.accountBalances.default).toBe(100));
+    const sumCalls = getAggregateFromServer.mock.calls.length;
+
+    // As if the server confirmed the write: the same transaction is delivered again.
+    await act(async () => seedTransaction('t1', { type: 'income', amount: 100, category: 'Salary', date: '2026-01-10' }));
+    expect(getAggregateFromServer.mock.calls.length).toBe(sumCalls);
+
+    // As if the amount were edited on another device.
+    await act(async () => seedTransaction('t1', { type: 'income', amount: 120, category: 'Salary', date: '2026-01-10' }));
+    await waitFor(() => expect(result.current.accountBalances.default).toBe(120));
+  });
+});
+
+describe('budgets', () => {
+  it('keeps the amount of earlier months when a budget is edited mid-stream', async () => {
+    vi.setSystemTime(new Date(2026, 0, 10));
+    seedDocument(`${USER_PATH}/budgets/b1`, { category: 'Food', amount: 200, rollover: true, createdAt: Timestamp.now() });
+    vi.setSystemTime(new Date(2026, 2, 5));
+    const { result } = await renderProvider();
+
+    await act(async () => {
+      await result.current.setBudget('Food', 100, true);
+    });
+
+    const [budget] = getStoredDocuments(`${USER_PATH}/budgets`);
+    expect(budget.amount).toBe(100);
+    expect(budget.amountHistory).toEqual([{ month: '2026-01', amount: 200 }, { month: '2026-03', amount: 100 }]);
+  });
+
+  it('works out the carry-over from monthly totals without loading the months before', async () => {
+    vi.setSystemTime(new Date(2025, 10, 10));
+    seedDocument(`${USER_PATH}/budgets/b1`, { category: 'Food', amount: 200, rollover: true, createdAt: Timestamp.now() });
+    vi.setSystemTime(new Date(2026, 0, 15));
+    seedCategory('c1', 'Coffee', 'expense', 'Food');
+    seedDocument(`${USER_PATH}/exchangeRates/r1`, { currency: 'USD', baseCurrency: 'QAR', rate: 3.64, date: '2025-12-01' });
+    seedTransaction('t1', { type: 'expense', amount: 150, category: 'Food', date: '2025-11-05' });
+    seedTransaction('t2', { type: 'expense', amount: 20, category: 'Coffee', date: '2025-12-03' });
+    seedTransaction('t3', { type: 'expense', amount: 10, category: 'Food', currency: 'USD', date: '2025-12-20' });
+    seedTransaction('t4', { type: 'expense', amount: 500, category: 'Rent', date: '2025-12-01' });
+    const { result } = await renderProvider();
+
+    // November leaves 50; December has 200 plus that, less 20 and 10 USD (36.40).
+    await waitFor(() => expect(result.current.budgetCarryOvers.b1).toBeCloseTo(193.6));
+    expect(result.current.transactions).toEqual([]);
+  });
+});
+
+describe('tags', () => {
+  beforeEach(() => {
+    vi.setSystemTime(new Date(2026, 0, 15));
+  });
+
+  it('stores the tags of a transaction and remembers new ones for autocomplete', async () => {
+    seedDocument(`${USER_PATH}/settings/preferences`, { tags: ['reimbursable'] });
+    const { result } = await renderProvider();
+    await waitFor(() => expect(result.current.knownTags).toEqual(['reimbursable']));
+
+    await act(async () => {
+      await result.current.addTransaction({ type: 'expense', amount: 20, category: 'Food', currency: 'QAR', date: '2026-01-10', tags: ['Trip to Doha 2026', 'reimbursable'] });
+    });
+
+    expect(getStoredDocuments(`${USER_PATH}/transactions`)[0].tags).toEqual(['Trip to Doha 2026', 'reimbursable']);
+    expect(getStoredDocuments(`${USER_PATH}/settings`)[0].tags).toEqual(['reimbursable', 'Trip to Doha 2026']);
+    await waitFor(() => expect(result.current.knownTags).toEqual(['reimbursable', 'Trip to Doha 2026']));
+  });
+
+  it('reads the transactions with a tag across all months, newest first', async () => {
+    seedTransaction('t1', { type: 'expense', amount: 20, category: 'Food', date: '2025-11-28', tags: ['Trip'] });
+    seedTransaction('t2', { type: 'expense', amount: 30, category: 'Rent', date: '2026-01-02', tags: ['Trip', 'reimbursable'] });
+    seedTransaction('t3', { type: 'expense', amount: 40, category: 'Food', date: '2026-01-05' });
+    const { result } = await renderProvider();
+
+    let tagged;
+    await act(async () => {
+      tagged = await result.current.fetchTaggedTransactions('Trip');
+    });
+
+    expect(tagged.map(t => t.id)).toEqual(['t2', 't1']);
+  });
+});
+
+describe('transaction dates', () => {
+  it('starts on the local day early in the morning east of UTC', async () => {
+    process.env.TZ = 'Asia/Qatar'; // UTC+3
+    vi.setSystemTime(new Date(2026, 0, 1, 1, 30)); // Still Dec 31st in UTC
+    const { result } = await renderProvider();
+
+    expect(viewedDate(result.current)).toEqual([2026, 0, 1]);
+    expect(result.current.viewDateKey).toBe('2026-01-01');
+  });
+
+  it('stores the chosen day as a date key and as UTC midnight of that day', async () => {
+    process.env.TZ = 'Asia/Qatar';
+    vi.setSystemTime(new Date(2026, 0, 1, 1, 30));
+    const { result } = await renderProvider();
+
+    await act(async () => {
+      await result.current.addTransaction({ type: 'expense', amount: 20, category: 'Food', currency: 'QAR', date: '2026-01-01' });
+    });
+
+    const [stored] = getStoredDocuments(`${USER_PATH}/transactions`);
+    expect(stored.dateKey).toBe('2026-01-01');
+    expect(stored.date.toDate().toISOString()).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  it('gives transactions saved before date keys existed their date key', async () => {
+    process.env.TZ = 'America/New_York'; // UTC-5, where the stored date reads as the day before
+    vi.setSystemTime(new Date(2026, 0, 15));
+    seedTransaction('old', { type: 'expense', amount: 20, category: 'Food', date: '2026-01-01', dateKey: undefined });
+    const { result } = await renderProvider();
+
+    await waitFor(() => expect(getStoredDocuments(`${USER_PATH}/transactions`)[0].dateKey).toBe('2026-01-01'));
+    await waitFor(() => expect(result.current.transactions.map(t => t.dateKey)).toEqual(['2026-01-01']));
+  });
+});
+
+describe.each([
+  // Late in the evening west of UTC, where UTC is already on the next day.
+  { timezone: 'America/Los_Angeles', now: [2026, 0, 30, 23, 30], today: '2026-01-30' },
+  // Early in the morning east of UTC, where UTC is still on the day before.
+  { timezone: 'Pacific/Auckland', now: [2026, 0, 31, 0, 30], today: '2026-01-31' }
+])('calendar days in $timezone', ({ timezone, now, today }) => {
+  beforeEach(() => {
+    process.env.TZ = timezone;
+    vi.setSystemTime(new Date(...now));
+  });
+
+  it('adds a transaction on the chosen day and lists it in that month', async () => {
+    const { result } = await renderProvider();
+    expect(result.current.viewDateKey).toBe(today);
+
+    await act(async () => {
+      await result.current.addTransaction({ type: 'expense', amount: 20, category: 'Food', currency: 'QAR', date: '2026-01-01' });
+    });
+
+    const [stored] = getStoredDocuments(`${USER_PATH}/transactions`);
+    expect(stored.dateKey).toBe('2026-01-01');
+    expect(stored.date.toDate().toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    await waitFor(() => expect(result.current.transactions.map(t => t.dateKey)).toEqual(['2026-01-01']));
+  });
+
+  it('generates recurring transactions up to the local today', async () => {
+    seedDocument(`${USER_PATH}/recurringRules/r1`, {
+      name: 'Rent', frequency: 'monthly', interval: 1, startDate: '2025-10-31', dayOfMonth: 31, lastGeneratedDate: null,
+      template: { type: 'expense', amount: 900, category: 'Rent' }
+    });
+    await renderProvider();
+
+    const expected = ['2025-10-31', '2025-11-30', '2025-12-31', ...(today === '2026-01-31' ? ['2026-01-31'] : [])];
+    await waitFor(() => expect(getStoredDocuments(`${USER_PATH}/recurringRules`)[0].lastGeneratedDate).toBe(expected[expected.length - 1]));
+    expect(getStoredDocuments(`${USER_PATH}/transactions`).map(t => t.dateKey).sort()).toEqual(expected);
+  });
+
+  it('imports transactions on the days in the file', async () => {
+    const { result } = await renderProvider();
+
+    await act(async () => {
+      await result.current.importTransactions([
+        { type: 'expense', amount: 12, category: 'Food', date: '2026-01-01' },
+        { type: 'income', amount: 500, category: 'Salary', date: '2025-12-31' }
+      ], 'csv');
+    });
+
+    const stored = getStoredDocuments(`${USER_PATH}/transactions`);
+    expect(stored.map(t => t.dateKey)).toEqual(['2026-01-01', '2025-12-31']);
+    expect(stored.map(t => t.date.toDate().toISOString())).toEqual(['2026-01-01T00:00:00.000Z', '2025-12-31T00:00:00.000Z']);
+    // Only January's transaction belongs to the viewed month.
+    await waitFor(() => expect(result.current.transactions.map(t => t.dateKey)).toEqual(['2026-01-01']));
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * TransactionsSection Tests
+ *
+ * Covers the day view's filtering and navigation, the category and tag filters, and the confirmation step
+ * before a transaction is deleted, rendered inside a real TransactionProvider backed by the in-memory Firestore fake.
+ */
+import React, { useEffect } from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { TransactionProvider, useTransactions } from '../src/components/TransactionContext';
+import TransactionsSection from '../src/components/TransactionsSection';
+import { getStoredDocuments, resetFakeFirestore, seedDocument } from './support/fakeFirestore';
+import { USER_PATH, seedCategory, seedTransaction } from './support/fixtures';
+
+vi.mock('firebase/firestore', () => import('./support/fakeFirestore'));
+vi.mock('../src/firebase', () => import('./support/fakeFirebase'));
+vi.mock('../src/hooks/useAuth', () => import('./support/fakeAuth'));
+
+/**
+ * ViewMode Component
+ *
+ * Switches the provider to a view mode, as the overview's view mode switch would.
+ * @param {object} props - The component's props.
+ * @param {string} props.mode - The view mode to show.
+ */
+const ViewMode = ({ mode }) => {
+  const { setViewMode } = useTransactions();
+  useEffect(() => {
+    setViewMode(mode);
+  }, [mode, setViewMode]);
+  return null;
+};
+
+/**
+ * renderSection Function
+ *
+ * Renders the TransactionsSection inside a TransactionProvider.
+ * @param {object} [options] - Options.
+ * @param {string} [options.viewMode='month'] - The view mode to show.
+ * @param {object|null} [options.categoryFilter=null] - The category filter to pass.
+ * @returns {{showConfirm: function, showMessage: function, onEditTransaction: function}} The mocked callbacks.
+ */
+const renderSection = ({ viewMode = 'month', categoryFilter = null } = {}) => {
+  const callbacks = { showConfirm: vi.fn(), showMessage: vi.fn(), onEditTransaction: vi.fn() };
+  render(
+    <TransactionProvider>
+      <ViewMode mode={viewMode} />
+      <TransactionsSection {...callbacks} categoryFilter={categoryFilter} />
+    </TransactionProvider>
+  );
+  return callbacks;
+};
+
+beforeEach(() => {
+  resetFakeFirestore();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date(2026, 0, 20));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('TransactionsSection day view', () => {
+  beforeEach(() => {
+    seedTransaction('t1', { type: 'expense', amount: 40, category: 'Food', date: '2026-01-20' });
+    seedTransaction('t2', { type: 'expense', amount: 75, category: 'Transport', date: '2026-01-19' });
+    seedTransaction('t3', { type: 'income', amount: 900, category: 'Salary', date: '2026-01-21' });
+  });
+
+  it("only lists the viewed day's transactions", async () => {
+    renderSection({ viewMode: 'day' });
+
+    expect(await screen.findByText('Food')).toBeInTheDocument();
+    expect(screen.getByText('Daily Transactions')).toBeInTheDocument();
+    expect(screen.queryByText('Transport')).not.toBeInTheDocument();
+    expect(screen.queryByText('Salary')).not.toBeInTheDocument();
+  });
+
+  it('moves to the previous and next day', async () => {
+    renderSection({ viewMode: 'day' });
+    await screen.findByText('Food');
+
+    await userEvent.click(screen.getByRole('button', { name: 'Previous Period' }));
+    expect(await screen.findByText('Transport')).toBeInTheDocument();
+    expect(screen.queryByText('Food')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Select Date')).toHaveValue('2026-01-19');
+
+    await userEvent.click(screen.getByRole('button', { name: 'Next Period' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Next Period' }));
+    expect(await screen.findByText('Salary')).toBeInTheDocument();
+    expect(screen.queryByText('Food')).not.toBeInTheDocument();
+  });
+
+  it('crosses into the previous month from the 1st', async () => {
+    vi.setSystemTime(new Date(2026, 1, 1));
+    seedTransaction('t4', { type: 'expense', amount: 12, category: 'Health', date: '2026-01-31' });
+    renderSection({ viewMode: 'day' });
+    await screen.findByText('No transactions for this period.');
+
+    await userEvent.click(screen.getByRole('button', { name: 'Previous Period' }));
+
+    expect(await screen.findByText('Health')).toBeInTheDocument();
+    expect(screen.getByLabelText('Select Date')).toHaveValue('2026-01-31');
+  });
+
+  it('jumps to the day picked in the date input', async () => {
+    renderSection({ viewMode: 'day' });
+    await screen.findByText('Food');
+
+    // Date inputs cannot be typed into in jsdom, so the picked value is set directly.
+    fireEvent.change(screen.getByLabelText('Select Date'), { target: { value: '2026-01-21' } });
+
+    expect(await screen.findByText('Salary')).toBeInTheDocument();
+    expect(screen.queryByText('Food')).not.toBeInTheDocument();
+  });
+
+  it('says so when the day has no transactions', async () => {
+    vi.setSystemTime(new Date(2026, 0, 25));
+    renderSection({ viewMode: 'day' });
+
+    expect(await screen.findByText('No transactions for this period.')).toBeInTheDocument();
+  });
+});
+
+describe('TransactionsSection delete confirmation', () => {
+  beforeEach(() => {
+    seedTransaction('t1', { type: 'expense', amount: 40, category: 'Food', date: '2026-01-20' });
+    seedTransaction('t2', { type: 'expense', amount: 75, category: 'Transport', date: '2026-01-19' });
+  });
+
+  it('asks for confirmation before deleting anything', async () => {
+    const { showConfirm, onEditTransaction } = renderSection();
+    await screen.findByText('Food');
+
+    await userEvent.click(screen.getByRole('button', { name: 'Delete Food transaction' }));
+
+    expect(showConfirm).toHaveBeenCalledWith('Are you sure you want to delete this transaction?', expect.any(Function));
+    expect(onEditTransaction).not.toHaveBeenCalled(); // The delete button does not open the row
+    expect(getStoredDocuments(`${USER_PATH}/transactions`)).toHaveLength(2);
+    expect(screen.getByText('Food')).toBeInTheDocument();
+  });
+
+  it('deletes the transaction and reports success once confirmed', async () => {
+    const { showConfirm, showMessage } = renderSection();
+    await screen.findByText('Food');
+
+    await userEvent.click(screen.getByRole('button', { name: 'Delete Food transaction' }));
+    const confirmDelete = showConfirm.mock.calls[0][1];
+    await act(async () => {
+      await confirmDelete();
+    });
+
+    await waitFor(() => expect(screen.queryByText('Food')).not.toBeInTheDocument());
+    expect(screen.getByText('Transport')).toBeInTheDocument();
+    expect(getStoredDocuments(`${USER_PATH}/transactions`).map(t => t.id)).toEqual(['t2']);
+    expect(showMessage).toHaveBeenCalledWith('Transaction deleted successfully.');
+  });
+
+  it('deletes both legs of a transfer', async () => {
+    seedTransaction('out', { type: 'transfer', amount: 300, category: null, transferId: 'x', transferDirection: 'out', accountId: 'default', counterpartAccountId: 'savings', date: '2026-01-18' });
+    seedTransaction('in', { type: 'transfer', amount: 300, category: null, transferId: 'x', transferDirection: 'in', accountId: 'savings', counterpartAccountId: 'default', date: '2026-01-18' });
+    const { showConfirm, showMessage } = renderSection();
+    await screen.findByText('Food');
+
+    await userEvent.click(screen.getByRole('button', { name: 'Delete transfer transaction' }));
+    await act(async () => {
+      await showConfirm.mock.calls[0][1]();
+    });
+
+    expect(getStoredDocuments(`${USER_PATH}/transactions`).map(t => t.id).sort()).toEqual(['t1', 't2']);
+    expect(showMessage).toHaveBeenCalledWith('Transaction deleted successfully.');
+  });
+
+  it('opens the transaction for editing when its row is clicked', async () => {
+    const { onEditTransaction, showConfirm } = renderSection();
+    await screen.findByText('Food');
+
+    await userEvent.click(screen.getByText('Food'));
+
+    expect(onEditTransaction).toHaveBeenCalledWith(expect.objectContaining({ id: 't1', category: 'Food' }));
+    expect(showConfirm).not.toHaveBeenCalled();
+  });
+
+  it('opens the transaction for editing from the keyboard', async () => {
+    const { onEditTransaction, showConfirm } = renderSection();
+    await screen.findByText('Food');
+
+    const row = screen.getByText('Food').closest('[role="button"]');
+    row.focus();
+    await userEvent.keyboard('{Enter}');
+    await userEvent.keyboard(' ');
+
+    expect(onEditTransaction).toHaveBeenCalledTimes(2);
+    expect(onEditTransaction).toHaveBeenCalledWith(expect.objectContaining({ id: 't1', category: 'Food' }));
+
+    // Enter on the delete button only asks to delete.
+    screen.getByRole('button', { name: 'Delete Food transaction' }).focus();
+    await userEvent.keyboard('{Enter}');
+
+    expect(onEditTransaction).toHaveBeenCalledTimes(2);
+    expect(showConfirm).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('TransactionsSection category filter', () => {
+  beforeEach(() => {
+    seedCategory('c1', 'Groceries', 'expense', 'Food');
+    seedTransaction('t1', { type: 'expense', amount: 40, category: 'Food', date: '2026-01-20' });
+    seedTransaction('t2', { type: 'expense', amount: 60, category: 'Groceries', date: '2026-01-19' });
+    seedTransaction('t3', { type: 'expense', amount: 75, category: 'Transport', date: '2026-01-18' });
+  });
+
+  it('lists a parent category with its subcategories, shown with their parent', async () => {
+    renderSection({ categoryFilter: { category: 'Food', type: 'expense', includeSubcategories: true } });
+
+    expect(await screen.findByText('Food › Groceries', { selector: 'p' })).toBeInTheDocument();
+    expect(screen.getByText('Food', { selector: 'p' })).toBeInTheDocument();
+    expect(screen.queryByText('Transport')).not.toBeInTheDocument();
+  });
+
+  it("marks each row with its category's color", async () => {
+    renderSection();
+
+    const row = (await screen.findByText('Transport', { selector: 'p' })).closest('[role="button"]');
+    expect(row).toHaveStyle({ borderLeftColor: '#3b82f6' });
+    // A subcategory without a color of its own takes its parent's.
+    expect(screen.getByText('Food › Groceries', { selector: 'p' }).closest('[role="button"]')).toHaveStyle({ borderLeftColor: '#f97316' });
+  });
+
+  it('lists only the category itself for a detailed selection', async () => {
+    renderSection({ categoryFilter: { category: 'Food', type: 'expense', includeSubcategories: false } });
+
+    expect(await screen.findByText('Food', { selector: 'p' })).toBeInTheDocument();
+    expect(screen.queryByText('Food › Groceries', { selector: 'p' })).not.toBeInTheDocument();
+  });
+});
+
+describe('TransactionsSection tag filter', () => {
+  beforeEach(() => {
+    seedDocument(`${USER_PATH}/settings/preferences`, { tags: ['Trip to Doha 2026', 'reimbursable'] });
+    seedTransaction('t1', { type: 'expense', amount: 40, category: 'Food', date: '2026-01-20', tags: ['Trip to Doha 2026'] });
+    seedTransaction('t2', { type: 'expense', amount: 75, category: 'Transport', date: '2026-01-18' });
+  });
+
+  it("shows each row's tags and narrows the list to a tag", async () => {
+    renderSection();
+    expect(await screen.findByText('Transport', { selector: 'p' })).toBeInTheDocument();
+    expect(screen.getByText('Trip to Doha 2026', { selector: 'span' })).toBeInTheDocument();
+
+    await userEvent.selectOptions(screen.getByLabelText('Filter by tag'), 'Trip to Doha 2026');
+
+    expect(screen.getByText('Food', { selector: 'p' })).toBeInTheDocument();
+    expect(screen.queryByText('Transport', { selector: 'p' })).not.toBeInTheDocument();
+
+    await userEvent.selectOptions(screen.getByLabelText('Filter by tag'), 'reimbursable');
+
+    expect(screen.getByText('No transactions with this tag for this period.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Budget Tests
+ *
+ * Covers the amount a budget had in each month, and which months a rollover budget's carry-over
+ * is worked out from, including when its amount was changed part way through.
+ */
+import { describe, expect, it } from 'vitest';
+import { addBudgetAmount, getBudgetAmount, getBudgetStatus, getRolloverAmount, getRolloverMonthKeys } from '../src/utils/budgets';
+import { Timestamp } from './support/fakeFirestore';
+import { toStoredDate } from '../src/utils/calendarDate';
+
+const createdAt = Timestamp.fromDate(new Date(2026, 0, 10));
+
+/**
+ * expense Function
+ *
+ * Builds a groceries expense on a given day.
+ * @param {string} dateKey - The day ('YYYY-MM-DD').
+ * @param {number} amount - The amount spent.
+ * @returns {object} The transaction.
+ */
+const expense = (dateKey, amount) => ({ type: 'expense', category: 'Groceries', amount, dateKey, date: Timestamp.fromDate(toStoredDate(dateKey)) });
+
+describe('addBudgetAmount', () => {
+  it('keeps the old amount of a budget saved before the history existed', () => {
+    const legacy = { category: 'Groceries', amount: 100, createdAt };
+    expect(addBudgetAmount(legacy, '2026-03', 50)).toEqual([{ month: '2026-01', amount: 100 }, { month: '2026-03', amount: 50 }]);
+  });
+
+  it('replaces a change made earlier in the same month', () => {
+    const budget = { amount: 80, amountHistory: [{ month: '2026-01', amount: 100 }, { month: '2026-03', amount: 80 }] };
+    expect(addBudgetAmount(budget, '2026-03', 50)).toEqual([{ month: '2026-01', amount: 100 }, { month: '2026-03', amount: 50 }]);
+  });
+});
+
+describe('getBudgetAmount', () => {
+  it('uses the amount in effect in each month', () => {
+    const budget = { amount: 50, amountHistory: [{ month: '2025-11', amount: 100 }, { month: '2026-03', amount: 50 }] };
+    expect(getBudgetAmount(budget, 2025, 10)).toBe(100);
+    expect(getBudgetAmount(budget, 2026, 1)).toBe(100);
+    expect(getBudgetAmount(budget, 2026, 2)).toBe(50);
+    expect(getBudgetAmount({ amount: 70 }, 2026, 2)).toBe(70);
+  });
+});
+
+describe('getRolloverMonthKeys', () => {
+  it('lists the months from the one the budget was created in up to the viewed one', () => {
+    expect(getRolloverMonthKeys({ rollover: true, createdAt }, 2026, 2)).toEqual(['2026-01', '2026-02']);
+    expect(getRolloverMonthKeys({ rollover: true, createdAt }, 2026, 0)).toEqual([]);
+    expect(getRolloverMonthKeys({ rollover: false, createdAt }, 2026, 2)).toEqual([]);
+  });
+});
+
+describe('getRolloverAmount', () => {
+  it('carries over what was left of the amount each month had when the amount is edited mid-stream', () => {
+    const budget = {
+      category: 'Groceries',
+      rollover: true,
+      createdAt,
+      amount: 100,
+      amountHistory: addBudgetAmount({ amount: 200, createdAt }, '2026-03', 100)
+    };
+    const monthlySpending = { '2026-01': 150, '2026-02': 200, '2026-03': 80 };
+
+    // January and February had 200 each, leaving 50 to carry. March has 100 plus that 50.
+    const carryOver = getRolloverAmount(budget, monthlySpending, 2026, 2);
+    expect(carryOver).toBe(50);
+    expect(getBudgetStatus(budget, [expense('2026-03-15', 80)], 2026, 2, undefined, undefined, carryOver))
+      .toEqual(expect.objectContaining({ limit: 150, spent: 80, remaining: 70 }));
+    expect(getRolloverAmount(budget, monthlySpending, 2026, 3)).toBe(70);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Calendar Date Tests
+ *
+ * Covers the date key helpers, run in timezones on both sides of UTC, since those are where
+ * Date arithmetic and toISOString() put transactions on the wrong day.
+ */
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  addDays,
+  formatDateKey,
+  fromDateKey,
+  fromStoredDate,
+  getDayDifference,
+  getMonthEndKey,
+  getMonthStartKey,
+  getTodayKey,
+  getTransactionDateKey,
+  isDateKey,
+  makeDateKey,
+  toDateKey,
+  toStoredDate
+} from '../src/utils/calendarDate';
+import { Timestamp } from './support/fakeFirestore';
+
+/**
+ * inTimezone Function
+ *
+ * Switches the process to another timezone for the rest of the test (restored in afterEach).
+ * @param {string} timezone - The IANA timezone name.
+ */
+const inTimezone = (timezone) => {
+  process.env.TZ = timezone;
+};
+
+afterEach(() => {
+  process.env.TZ = 'UTC';
+  vi.useRealTimers();
+});
+
+describe('today and local dates', () => {
+  it("uses the local day, not the UTC one, early in the morning east of UTC", () => {
+    inTimezone('Asia/Qatar'); // UTC+3
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 0, 1, 1, 30)); // 22:30 on Dec 31st in UTC
+
+    expect(getTodayKey()).toBe('2026-01-01');
+  });
+
+  it('uses the local day late in the evening west of UTC', () => {
+    inTimezone('America/New_York'); // UTC-5
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 0, 31, 22, 0)); // 03:00 on Feb 1st in UTC
+
+    expect(getTodayKey()).toBe('2026-01-31');
+  });
+
+  it('round-trips a date key through local midnight', () => {
+    inTimezone('Asia/Qatar');
+    const date = fromDateKey('2026-03-01');
+
+    expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2026, 2, 1, 0]);
+    expect(toDateKey(date)).toBe('2026-03-01');
+  });
+
+  it('formats a date key as its own day', () => {
+    inTimezone('America/New_York');
+
+    expect(formatDateKey('2026-01-01', { day: 'numeric', month: 'long', year: 'numeric' })).toMatch(/January 1, 2026|1 January 2026/);
+  });
+});
+
+describe('stored dates', () => {
+  it.each(['Asia/Qatar', 'America/New_York', 'Pacific/Kiritimati', 'Pacific/Pago_Pago'])('reads back the same day in %s', (timezone) => {
+    inTimezone(timezone);
+    const stored = toStoredDate('2026-01-01');
+
+    expect(stored.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    expect(fromStoredDate(stored)).toBe('2026-01-01');
+  });
+
+  it('prefers the stored date key and falls back to the stored date', () => {
+    inTimezone('America/New_York');
+    const date = Timestamp.fromDate(toStoredDate('2026-02-01'));
+
+    expect(getTransactionDateKey({ date, dateKey: '2026-02-01' })).toBe('2026-02-01');
+    expect(getTransactionDateKey({ date })).toBe('2026-02-01'); // Saved before dateKey existed
+  });
+});
+
+describe('date key arithmetic', () => {
+  it('rolls days over month and year ends', () => {
+    expect(addDays('2025-12-31', 1)).toBe('2026-01-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+    expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    expect(makeDateKey(2026, 12, 1)).toBe('2027-01-01');
+    expect(makeDateKey(2026, 0, 0)).toBe('2025-12-31');
+  });
+
+  it('finds the first and last day of a month', () => {
+    expect(getMonthStartKey(2026, -1)).toBe('2025-12-01');
+    expect(getMonthEndKey(2024, 1)).toBe('2024-02-29');
+    expect(getMonthEndKey(2026, 1)).toBe('2026-02-28');
+  });
+
+  it('counts whole days across a daylight saving change', () => {
+    inTimezone('America/New_York'); // Clocks go forward on March 8th, 2026
+
+    expect(getDayDifference('2026-03-07', '2026-03-09')).toBe(2);
+    expect(getDayDifference('2026-03-09', '2026-03-07')).toBe(-2);
+    expect(addDays('2026-03-07', 2)).toBe('2026-03-09');
+  });
+
+  it('only accepts real calendar days as date keys', () => {
+    expect(isDateKey('2026-02-28')).toBe(true);
+    expect(isDateKey('2026-02-30')).toBe(false);
+    expect(isDateKey('2026-13-01')).toBe(false);
+    expect(isDateKey('2026-1-5')).toBe(false);
+    expect(isDateKey('')).toBe(false);
+    expect(fromDateKey('2026-02-30')).toBeNull();
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * CSV Tests
+ *
+ * Covers writing CSV fields, including text that spreadsheet apps would otherwise run as a
+ * formula.
+ */
+import { describe, expect, it } from 'vitest';
+import { parseCSV, toCSV } from '../src/utils/csv';
+
+describe('toCSV', () => {
+  it('quotes fields with delimiters, quotes and line breaks', () => {
+    expect(toCSV([['a,b', 'say "hi"', 'two\nlines', null]])).toBe('"a,b","say ""hi""","two\nlines",');
+  });
+
+  it('writes text that starts like a formula as text', () => {
+    const row = ['=HYPERLINK("http://example.com","Refund")', '+971 ATM', '-fee', '@SUM(A1:A2)', '\tcell'];
+    expect(toCSV([row])).toBe(`"'=HYPERLINK(""http://example.com"",""Refund"")",'+971 ATM,'-fee,'@SUM(A1:A2),'\tcell`);
+  });
+
+  it('leaves numbers, and text with those characters further in, unchanged', () => {
+    expect(toCSV([[-12.5, '45.50', 'Coffee - large', 'a=b']])).toBe('-12.5,45.50,Coffee - large,a=b');
+  });
+
+  it('keeps signed numbers written as text numeric', () => {
+    expect(toCSV([['-12.50', '+3', '-.5', '-12.50 refund', '--1']])).toBe("-12.50,+3,-.5,'-12.50 refund,'--1");
+  });
+
+  it('reads its own output back', () => {
+    const rows = [['date', 'payee'], ['2026-01-10', 'Café, "Doha"']];
+    expect(parseCSV(toCSV(rows))).toEqual(rows);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Recurrence Tests
+ *
+ * Covers which occurrences of a recurring rule are due, including rules that have been running
+ * for longer than one pass's cap, and checks the dates come out the same in timezones on both
+ * sides of UTC.
+ */
+import { afterEach, describe, expect, it } from 'vitest';
+import { getDueOccurrences, getOccurrenceDate } from '../src/utils/recurrence';
+
+describe('getDueOccurrences', () => {
+  it('lists the occurrences after the last generated one, up to today', () => {
+    const rule = { frequency: 'monthly', interval: 1, startDate: '2026-01-31', lastGeneratedDate: '2026-02-28' };
+    expect(getDueOccurrences(rule, '2026-05-15')).toEqual(['2026-03-31', '2026-04-30']);
+  });
+
+  it('stops at the end date', () => {
+    const rule = { frequency: 'weekly', interval: 1, startDate: '2026-01-01', endDate: '2026-01-20' };
+    expect(getDueOccurrences(rule, '2026-03-01')).toEqual(['2026-01-01', '2026-01-08', '2026-01-15']);
+  });
+
+  it('keeps producing occurrences for a daily rule that has run for years', () => {
+    const rule = { frequency: 'daily', interval: 1, startDate: '2023-01-01', lastGeneratedDate: '2025-09-26' };
+    const due = getDueOccurrences(rule, '2026-10-19');
+    expect(due[0]).toBe('2025-09-27');
+    expect(due[due.length - 1]).toBe('2026-10-19');
+  });
+
+  it('returns the oldest occurrences first, a batch at a time, when none have been generated', () => {
+    const rule = { frequency: 'daily', interval: 1, startDate: '2023-01-01', lastGeneratedDate: null };
+    const firstBatch = getDueOccurrences(rule, '2026-10-19');
+    expect(firstBatch).toHaveLength(1000);
+    expect(firstBatch[0]).toBe('2023-01-01');
+    expect(firstBatch[firstBatch.length - 1]).toBe('2025-09-26');
+
+    const nextBatch = getDueOccurrences({ ...rule, lastGeneratedDate: firstBatch[firstBatch.length - 1] }, '2026-10-19');
+    expect(nextBatch[0]).toBe('2025-09-27');
+    expect(nextBatch[nextBatch.length - 1]).toBe('2026-10-19');
+  });
+});
+
+describe.each(['America/Los_Angeles', 'Pacific/Auckland'])('occurrence dates in %s', (timezone) => {
+  afterEach(() => {
+    process.env.TZ = 'UTC';
+  });
+
+  it('clamps monthly rules to short months and keeps daily rules on their days across DST changes', () => {
+    process.env.TZ = timezone;
+
+    const monthly = { frequency: 'monthly', interval: 1, startDate: '2026-01-31' };
+    expect([0, 1, 2, 3].map(index => getOccurrenceDate(monthly, index))).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+
+    // Both zones change their clocks in early April and late September/early October.
+    const daily = { frequency: 'daily', interval: 1, startDate: '2026-03-31' };
+    expect(getDueOccurrences(daily, '2026-04-08')).toHaveLength(9);
+    expect(getOccurrenceDate(daily, 183)).toBe('2026-09-30');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Firestore Security Rules Tests
+ *
+ * Runs the rules in firestore.rules (at the repository root) against the local Firestore
+ * emulator. Start it and run these tests with `pnpm test:rules`, which needs the Firebase CLI.
+ */
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, setDoc, Timestamp, updateDoc } from 'firebase/firestore';
+
+// A demo- project ID keeps the emulator from ever talking to a real project.
+const PROJECT_ID = 'demo-finance-tracker';
+const APP_ID = 'finance-tracker-test';
+const OWNER_UID = 'alice';
+const OTHER_UID = 'bob';
+
+// A transaction in the shape the app writes (see addTransaction in TransactionContext).
+const validTransaction = {
+  type: 'expense',
+  amount: 42.5,
+  category: 'Groceries',
+  note: 'Weekly shop',
+  accountId: 'default',
+  currency: 'QAR',
+  date: Timestamp.fromDate(new Date(Date.UTC(2026, 2, 14))),
+  dateKey: '2026-03-14',
+  createdAt: Timestamp.now(),
+};
+
+let testEnv;
+
+// Firestore handles for the owner, another signed-in user, and a signed-out visitor.
+const ownerDb = () => testEnv.authenticatedContext(OWNER_UID).firestore();
+const otherDb = () => testEnv.authenticatedContext(OTHER_UID).firestore();
+const signedOutDb = () => testEnv.unauthenticatedContext().firestore();
+
+// Paths to documents in a user's data.
+const transactionPath = (uid, id = 'tx1') => `artifacts/${APP_ID}/users/${uid}/transactions/${id}`;
+const settingsPath = (uid) => `artifacts/${APP_ID}/users/${uid}/settings/preferences`;
+
+/**
+ * seed Function
+ *
+ * Writes a document with the rules turned off, to set up the data a test reads or changes.
+ * @param {string} path - The document path.
+ * @param {object} data - The document data.
+ */
+const seed = (path, data) => testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../../../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+describe('user profiles', () => {
+  it('lets users read and write their own profile', async () => {
+    await assertSucceeds(setDoc(doc(ownerDb(), `users/${OWNER_UID}`), { uid: OWNER_UID, isAnonymous: true }));
+    await assertSucceeds(getDoc(doc(ownerDb(), `users/${OWNER_UID}`)));
+  });
+
+  it("denies access to another user's profile", async () => {
+    await seed(`users/${OWNER_UID}`, { uid: OWNER_UID });
+    await assertFails(getDoc(doc(otherDb(), `users/${OWNER_UID}`)));
+    await assertFails(setDoc(doc(otherDb(), `users/${OWNER_UID}`), { uid: OTHER_UID }));
+  });
+
+  it('denies signed-out visitors', async () => {
+    await seed(`users/${OWNER_UID}`, { uid: OWNER_UID });
+    await assertFails(getDoc(doc(signedOutDb(), `users/${OWNER_UID}`)));
+  });
+});
+
+describe('user data', () => {
+  it('lets users read and write their own settings, categories, and accounts', async () => {
+    await assertSucceeds(setDoc(doc(ownerDb(), settingsPath(OWNER_UID)), { baseCurrency: 'QAR' }));
+    await assertSucceeds(getDoc(doc(ownerDb(), settingsPath(OWNER_UID))));
+    await assertSucceeds(setDoc(doc(ownerDb(), `artifacts/${APP_ID}/users/${OWNER_UID}/categories/c1`), { name: 'Coffee', type: 'expense' }));
+    await assertSucceeds(setDoc(doc(ownerDb(), `artifacts/${APP_ID}/users/${OWNER_UID}/accounts/default`), { name: 'Cash' }));
+  });
+
+  it("denies reading or writing another user's data", async () => {
+    await seed(settingsPath(OWNER_UID), { baseCurrency: 'QAR' });
+    await seed(transactionPath(OWNER_UID), validTransaction);
+    await assertFails(getDoc(doc(otherDb(), settingsPath(OWNER_UID))));
+    await assertFails(setDoc(doc(otherDb(), settingsPath(OWNER_UID)), { baseCurrency: 'USD' }));
+    await assertFails(getDoc(doc(otherDb(), transactionPath(OWNER_UID))));
+    await assertFails(deleteDoc(doc(otherDb(), transactionPath(OWNER_UID))));
+  });
+
+  it('denies signed-out visitors', async () => {
+    await seed(transactionPath(OWNER_UID), validTransaction);
+    await assertFails(getDoc(doc(signedOutDb(), transactionPath(OWNER_UID))));
+    await assertFails(setDoc(doc(signedOutDb(), transactionPath(OWNER_UID, 'tx2')), validTransaction));
+  });
+
+  it('denies documents outside the user data paths', async () => {
+    await assertFails(setDoc(doc(ownerDb(), `artifacts/${APP_ID}/shared/config`), { open: true }));
+  });
+});
+
+describe('transaction schema', () => {
+  it('accepts income, expense, and transfer transactions', async () => {
+    await assertSucceeds(setDoc(doc(ownerDb(), transactionPath(OWNER_UID, 'income')), { ...validTransaction, type: 'income' }));
+    await assertSucceeds(setDoc(doc(ownerDb(), transactionPath(OWNER_UID, 'expense')), validTransaction));
+    await assertSucceeds(setDoc(doc(ownerDb(), transactionPath(OWNER_UID, 'transfer')), {
+      ...validTransaction,
+      type: 'transfer',
+      category: null,
+      transferId: 't1',
+      transferDirection: 'out',
+      counterpartAccountId: 'savings',
+    }));
+  });
+
+  it('rejects a zero, negative, or non-numeric amount', async () => {
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, amount: 0 }));
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, amount: -10 }));
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, amount: '42.50' }));
+  });
+
+  it('rejects an unknown type', async () => {
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, type: 'gift' }));
+  });
+
+  it('rejects a date that is not a timestamp', async () => {
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, date: '2026-03-14' }));
+  });
+
+  it('accepts a transaction without a date key but rejects a malformed one', async () => {
+    const { dateKey: _dateKey, ...withoutDateKey } = validTransaction;
+    await assertSucceeds(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), withoutDateKey));
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, dateKey: '14/03/2026' }));
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, dateKey: 20260314 }));
+  });
+
+  it('accepts up to 20 tags but rejects more, or tags that are not a list', async () => {
+    await assertSucceeds(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, tags: ['Trip to Doha 2026', 'reimbursable'] }));
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, tags: Array.from({ length: 21 }, (_, i) => `tag ${i}`) }));
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { ...validTransaction, tags: 'reimbursable' }));
+  });
+
+  it('rejects a transaction missing required fields', async () => {
+    const { amount: _amount, ...withoutAmount } = validTransaction;
+    await assertFails(setDoc(doc(ownerDb(), transactionPath(OWNER_UID)), withoutAmount));
+  });
+
+  it('checks updates against the schema too', async () => {
+    await seed(transactionPath(OWNER_UID), validTransaction);
+    await assertSucceeds(updateDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { amount: 50, note: 'Bigger shop' }));
+    await assertFails(updateDoc(doc(ownerDb(), transactionPath(OWNER_UID)), { amount: -50 }));
+  });
+
+  it('lets users delete their own transactions', async () => {
+    await seed(transactionPath(OWNER_UID), validTransaction);
+    await assertSucceeds(deleteDoc(doc(ownerDb(), transactionPath(OWNER_UID))));
+  });
+});
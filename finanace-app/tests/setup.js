@@ -0,0 +1,19 @@
+/**
+ * Test Setup
+ *
+ * Runs before every unit test file (see the 'unit' project in vite.config.js).
+ */
+import '@testing-library/jest-dom/vitest'; // DOM matchers such as toBeInTheDocument
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// Transaction dates are stored as UTC midnight, so the tests pin the time zone to keep day and
+// month boundaries the same on every machine. Tests about timezones switch it themselves and set
+// it back afterwards (see calendarDate.test.js and the calendar day tests of the provider), as UTC
+// is the one offset where a day can never shift.
+process.env.TZ = 'UTC';
+
+// Unmount everything rendered by the previous test.
+afterEach(() => {
+  cleanup();
+});
@@ -0,0 +1,70 @@
+/**
+ * Statement Parser Tests
+ *
+ * Covers reading OFX statements and the import IDs given to their entries, which are what
+ * keeps the same statement entry from being imported twice, and reading QIF dates.
+ */
+import { afterEach, describe, expect, it } from 'vitest';
+import { buildImportRowsFromStatement, parseOFX, parseQIF } from '../src/utils/statementParsers';
+
+const fallbackCategories = { income: 'Salary', expense: 'Shopping' };
+
+/**
+ * bankStatement Function
+ *
+ * Builds an OFX 1.x bank statement aggregate with one entry.
+ * @param {string} acctId - The account number.
+ * @param {string} fitId - The entry's FITID.
+ * @returns {string} The <STMTRS> aggregate.
+ */
+const bankStatement = (acctId, fitId) => `<STMTRS><CURDEF>QAR
+<BANKACCTFROM><BANKID>QNB<ACCTID>${acctId}<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST><STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260110<TRNAMT>-45.50<FITID>${fitId}<NAME>Coffee</STMTTRN></BANKTRANLIST>
+</STMTRS>`;
+
+describe('parseOFX', () => {
+  it('reads the entries with the account of their statement', () => {
+    const entries = parseOFX(`<OFX><BANKMSGSRSV1><STMTTRNRS>${bankStatement('111', 'A1')}</STMTTRNRS></BANKMSGSRSV1></OFX>`);
+
+    expect(entries).toEqual([expect.objectContaining({
+      date: '2026-01-10', amount: -45.5, payee: 'Coffee', fitId: 'A1', account: 'QNB/111', currency: 'QAR'
+    })]);
+  });
+
+  it('keeps the accounts of a file with several statements apart', () => {
+    const entries = parseOFX(`<OFX>${bankStatement('111', 'A1')}${bankStatement('222', 'B1')}</OFX>`);
+
+    expect(entries.map(entry => entry.account)).toEqual(['QNB/111', 'QNB/222']);
+  });
+});
+
+describe('buildImportRowsFromStatement', () => {
+  it('gives entries from two accounts that share a FITID different import IDs', () => {
+    const first = buildImportRowsFromStatement(parseOFX(`<OFX>${bankStatement('111', '20260110001')}</OFX>`), { fallbackCategories });
+    const second = buildImportRowsFromStatement(parseOFX(`<OFX>${bankStatement('222', '20260110001')}</OFX>`), { fallbackCategories });
+
+    expect(first[0].transaction.importId).toBe('fitid:QNB/111:20260110001');
+    expect(second[0].transaction.importId).toBe('fitid:QNB/222:20260110001');
+  });
+
+  it('gives the same entry the same import ID when the file is imported again', () => {
+    const statement = `<OFX>${bankStatement('111', 'A1')}</OFX>`;
+    const first = buildImportRowsFromStatement(parseOFX(statement), { fallbackCategories });
+    const again = buildImportRowsFromStatement(parseOFX(statement), { fallbackCategories });
+
+    expect(again[0].transaction.importId).toBe(first[0].transaction.importId);
+  });
+});
+
+describe('parseQIF', () => {
+  afterEach(() => {
+    process.env.TZ = 'UTC';
+  });
+
+  it('reads dates as calendar days whatever the timezone, and rejects impossible ones', () => {
+    process.env.TZ = 'Pacific/Auckland';
+    const entries = parseQIF("!Type:Bank\nD12/31'25\nT-20.00\nPCafe\n^\nD02/30'26\nT-5.00\n^", 'MDY');
+
+    expect(entries.map(entry => entry.date)).toEqual(['2025-12-31', null]);
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Auth Fake
+ *
+ * Replaces the useAuth hook in tests, so the TransactionProvider always sees the same signed-in
+ * user. The user object must keep its identity between renders, as it is an effect dependency.
+ */
+
+export const TEST_USER = { uid: 'test-user', isAnonymous: false, displayName: 'Test User', email: 'test@example.com' };
+
+export const useAuth = () => ({ currentUser: TEST_USER });
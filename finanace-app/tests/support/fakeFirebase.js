@@ -0,0 +1,12 @@
+/**
+ * Firebase App Fake
+ *
+ * Replaces src/firebase.js in tests, so no Firebase app is initialized. The Firestore calls made
+ * with `db` go to the in-memory fake in fakeFirestore.js.
+ */
+
+export const db = {};
+export const auth = {};
+export const provider = {};
+export const appId = 'test-app';
+export const firebaseConfig = {};
@@ -0,0 +1,293 @@
+/**
+ * In-Memory Firestore Fake
+ *
+ * Stands in for the parts of 'firebase/firestore' the app calls, so the TransactionProvider and
+ * the components using it can be tested without a network or the emulator. Tests replace the
+ * real module with this one (see vi.mock in the test files), seed documents with
+ * seedDocument, and read back what the app wrote with getStoredDocuments.
+ *
+ * Documents live in a Map keyed by their full path. Every write notifies the snapshot listeners
+ * on a microtask, like the real SDK, so tests wait for updates with waitFor.
+ */
+
+// documents: Every stored document's data, keyed by its full path (e.g. 'users/u1').
+const documents = new Map();
+// listeners: The active onSnapshot listeners ({ ref, onNext }).
+const listeners = new Set();
+// nextId: Counter behind the generated document IDs.
+let nextId = 0;
+
+/**
+ * Timestamp Class
+ *
+ * A point in time stored in a document, with the same API as Firestore's Timestamp.
+ */
+export class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(milliseconds) {
+    return new Timestamp(Math.floor(milliseconds / 1000), (milliseconds % 1000) * 1e6);
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.toMillis() === this.toMillis();
+  }
+}
+
+// --- Test helpers ---
+
+/**
+ * resetFakeFirestore Function
+ *
+ * Clears every document and listener; call it before each test.
+ */
+export const resetFakeFirestore = () => {
+  documents.clear();
+  listeners.clear();
+  nextId = 0;
+};
+
+/**
+ * seedDocument Function
+ *
+ * Stores a document directly, as if it had been written earlier, and notifies the listeners on
+ * that document or its collection (as Firestore only notifies listeners whose results change).
+ * @param {string} path - The document's full path.
+ * @param {object} data - The document's data.
+ */
+export const seedDocument = (path, data) => {
+  documents.set(path, { ...data });
+  notifyListeners(path);
+};
+
+/**
+ * getStoredDocuments Function
+ *
+ * Lists the documents stored directly in a collection.
+ * @param {string} collectionPath - The collection's full path.
+ * @returns {Array<object>} The documents' data, each with its `id`.
+ */
+export const getStoredDocuments = (collectionPath) => getCollectionDocuments(collectionPath)
+  .map(([path, data]) => ({ id: getId(path), ...data }));
+
+// --- Paths and references ---
+
+const getId = (path) => path.split('/').pop();
+const getParentPath = (path) => path.split('/').slice(0, -1).join('/');
+
+const getCollectionDocuments = (collectionPath) => [...documents.entries()]
+  .filter(([path]) => getParentPath(path) === collectionPath);
+
+const joinPath = (parent, segments) => [parent && parent.path, ...segments].filter(Boolean).join('/');
+
+export const getFirestore = () => ({});
+
+export const collection = (parent, ...segments) => ({ type: 'collection', path: joinPath(parent, segments) });
+
+export const doc = (parent, ...segments) => {
+  const path = segments.length === 0
+    ? `${parent.path}/generated-${++nextId}` // doc(collectionRef) picks a new ID
+    : joinPath(parent, segments);
+  return { type: 'document', path, id: getId(path) };
+};
+
+// --- Queries ---
+
+export const where = (field, op, value) => ({ kind: 'where', field, op, value });
+// The field path of a document's ID; matched against the document's ID rather than its data.
+export const documentId = () => '__name__';
+export const orderBy = (field, direction = 'asc') => ({ kind: 'orderBy', field, direction });
+export const limit = (count) => ({ kind: 'limit', count });
+export const startAfter = (snapshot) => ({ kind: 'startAfter', snapshot });
+
+export const query = (ref, ...constraints) => ({ ...ref, constraints: [...(ref.constraints || []), ...constraints] });
+
+// Timestamps are compared by their time; everything else by value.
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+const matchesFilter = (path, data, { field, op, value }) => {
+  const fieldValue = comparable(field === '__name__' ? getId(path) : data[field]);
+  const target = comparable(value);
+  if (fieldValue === undefined) return false; // Firestore never matches a missing field
+  switch (op) {
+    case '==': return fieldValue === target;
+    case '!=': return fieldValue !== target;
+    case '<': return fieldValue < target;
+    case '<=': return fieldValue <= target;
+    case '>': return fieldValue > target;
+    case '>=': return fieldValue >= target;
+    case 'in': return value.map(comparable).includes(fieldValue);
+    case 'array-contains': return Array.isArray(data[field]) && data[field].includes(value);
+    case 'array-contains-any': return Array.isArray(data[field]) && data[field].some(item => value.includes(item));
+    default: throw new Error(`Unsupported where operator: ${op}`);
+  }
+};
+
+const makeDocumentSnapshot = (path) => ({
+  id: getId(path),
+  ref: { type: 'document', path, id: getId(path) },
+  exists: () => documents.has(path),
+  data: () => (documents.has(path) ? { ...documents.get(path) } : undefined),
+  metadata: { hasPendingWrites: false, fromCache: false },
+});
+
+// Runs a collection or query reference against the stored documents.
+const runQuery = (ref) => {
+  const constraints = ref.constraints || [];
+  let results = getCollectionDocuments(ref.path)
+    .filter(([path, data]) => constraints.filter(c => c.kind === 'where').every(c => matchesFilter(path, data, c)));
+
+  constraints.filter(c => c.kind === 'orderBy').reverse().forEach(({ field, direction }) => {
+    const sign = direction === 'desc' ? -1 : 1;
+    results = [...results].sort(([, a], [, b]) => {
+      const left = comparable(a[field]);
+      const right = comparable(b[field]);
+      return left < right ? -sign : left > right ? sign : 0;
+    });
+  });
+
+  const cursor = constraints.find(c => c.kind === 'startAfter');
+  if (cursor) {
+    results = results.slice(results.findIndex(([path]) => path === cursor.snapshot.ref.path) + 1);
+  }
+  const limitConstraint = constraints.find(c => c.kind === 'limit');
+  if (limitConstraint) {
+    results = results.slice(0, limitConstraint.count);
+  }
+
+  const docs = results.map(([path]) => makeDocumentSnapshot(path));
+  return {
+    docs,
+    size: docs.length,
+    empty: docs.length === 0,
+    forEach: (callback) => docs.forEach(callback),
+    metadata: { hasPendingWrites: false, fromCache: false },
+  };
+};
+
+const makeSnapshot = (ref) => (ref.type === 'document' ? makeDocumentSnapshot(ref.path) : runQuery(ref));
+
+// --- Listeners ---
+
+// Notifies the listeners on a written document or its collection, or every listener if no path is given.
+function notifyListeners(path) {
+  listeners.forEach((listener) => {
+    if (path && listener.ref.path !== path && listener.ref.path !== getParentPath(path)) return;
+    queueMicrotask(() => {
+      if (listeners.has(listener)) listener.onNext(makeSnapshot(listener.ref));
+    });
+  });
+}
+
+export const onSnapshot = (ref, ...args) => {
+  // The options argument ({ includeMetadataChanges }) is optional and makes no difference here.
+  const onNext = typeof args[0] === 'function' ? args[0] : args[1];
+  const listener = { ref, onNext };
+  listeners.add(listener);
+  queueMicrotask(() => {
+    if (listeners.has(listener)) onNext(makeSnapshot(ref));
+  });
+  return () => listeners.delete(listener);
+};
+
+// --- Reads ---
+
+export const getDoc = async (ref) => makeDocumentSnapshot(ref.path);
+export const getDocs = async (ref) => runQuery(ref);
+
+export const sum = (field) => ({ kind: 'sum', field });
+export const count = () => ({ kind: 'count' });
+
+export const getAggregateFromServer = async (ref, spec) => {
+  const { docs } = runQuery(ref);
+  const totals = Object.fromEntries(Object.entries(spec).map(([name, aggregate]) => [
+    name,
+    aggregate.kind === 'count'
+      ? docs.length
+      : docs.reduce((total, snapshot) => total + (Number(snapshot.data()[aggregate.field]) || 0), 0)
+  ]));
+  return { data: () => totals };
+};
+
+// --- Writes ---
+
+const applySet = (ref, data, options = {}) => {
+  const existing = options.merge ? documents.get(ref.path) || {} : {};
+  documents.set(ref.path, { ...existing, ...data });
+};
+
+const applyUpdate = (ref, data) => {
+  if (!documents.has(ref.path)) throw new Error(`No document to update: ${ref.path}`);
+  documents.set(ref.path, { ...documents.get(ref.path), ...data });
+};
+
+const applyDelete = (ref) => {
+  documents.delete(ref.path);
+};
+
+export const setDoc = async (ref, data, options) => {
+  applySet(ref, data, options);
+  notifyListeners();
+};
+
+export const addDoc = async (collectionRef, data) => {
+  const ref = doc(collectionRef);
+  applySet(ref, data);
+  notifyListeners();
+  return ref;
+};
+
+export const updateDoc = async (ref, data) => {
+  applyUpdate(ref, data);
+  notifyListeners();
+};
+
+export const deleteDoc = async (ref) => {
+  applyDelete(ref);
+  notifyListeners();
+};
+
+export const writeBatch = () => {
+  const writes = [];
+  const batch = {
+    set: (ref, data, options) => { writes.push(() => applySet(ref, data, options)); return batch; },
+    update: (ref, data) => { writes.push(() => applyUpdate(ref, data)); return batch; },
+    delete: (ref) => { writes.push(() => applyDelete(ref)); return batch; },
+    commit: async () => {
+      writes.forEach(write => write());
+      notifyListeners();
+    },
+  };
+  return batch;
+};
+
+export const runTransaction = async (db, updateFunction) => {
+  const transaction = {
+    get: async (ref) => makeDocumentSnapshot(ref.path),
+    set: (ref, data, options) => { applySet(ref, data, options); return transaction; },
+    update: (ref, data) => { applyUpdate(ref, data); return transaction; },
+    delete: (ref) => { applyDelete(ref); return transaction; },
+  };
+  const result = await updateFunction(transaction);
+  notifyListeners();
+  return result;
+};
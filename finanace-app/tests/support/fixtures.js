@@ -0,0 +1,57 @@
+/**
+ * Test Fixtures
+ *
+ * Helpers for seeding the in-memory Firestore with the test user's data.
+ */
+import { Timestamp, seedDocument } from './fakeFirestore';
+import { appId } from './fakeFirebase';
+import { TEST_USER } from './fakeAuth';
+import { formatCurrency } from '../../src/utils/currency';
+import { toStoredDate } from '../../src/utils/calendarDate';
+
+// The test user's data path, as used by the TransactionContext.
+export const USER_PATH = `artifacts/${appId}/users/${TEST_USER.uid}`;
+
+/**
+ * seedTransaction Function
+ *
+ * Stores a transaction in the shape addTransaction writes it.
+ * @param {string} id - The document ID.
+ * @param {object} transaction - The transaction; `date` is a 'YYYY-MM-DD' string. Pass
+ * `dateKey: undefined` for a transaction saved before `dateKey` existed.
+ */
+export const seedTransaction = (id, { date, ...fields }) => {
+  seedDocument(`${USER_PATH}/transactions/${id}`, {
+    accountId: 'default',
+    currency: 'QAR',
+    note: null,
+    dateKey: date,
+    ...fields,
+    date: Timestamp.fromDate(toStoredDate(date)),
+    createdAt: Timestamp.now(),
+  });
+};
+
+/**
+ * seedCategory Function
+ *
+ * Stores a user-defined category.
+ * @param {string} id - The document ID.
+ * @param {string} name - The category name.
+ * @param {'income'|'expense'} type - The category type.
+ * @param {string} [parent] - The category it is a subcategory of, if any.
+ */
+export const seedCategory = (id, name, type, parent) => {
+  seedDocument(`${USER_PATH}/categories/${id}`, { name, type, ...(parent && { parent }), createdAt: Timestamp.now() });
+};
+
+/**
+ * formatAmount Function
+ *
+ * Formats an amount the way the app shows it, with whitespace normalized the same way
+ * toHaveTextContent normalizes the page's text (Intl puts a non-breaking space after the code).
+ * @param {number} amount - The amount.
+ * @param {string} [currency='QAR'] - The currency code.
+ * @returns {string} The formatted amount.
+ */
+export const formatAmount = (amount, currency = 'QAR') => formatCurrency(amount, currency).replace(/\s+/g, ' ');
@@ -0,0 +1,46 @@
+/**
+ * Tag Tests
+ *
+ * Covers tidying typed tags, adding them to a transaction without duplicates, and the
+ * autocomplete suggestions.
+ */
+import { describe, expect, it } from 'vitest';
+import { MAX_TAGS, addTag, getTagSuggestions, hasTag, normalizeTag } from '../src/utils/tags';
+
+describe('normalizeTag', () => {
+  it('trims spaces, drops a leading # and collapses runs of spaces', () => {
+    expect(normalizeTag('  #Trip   to Doha  ')).toBe('Trip to Doha');
+    expect(normalizeTag(' # ')).toBe('');
+  });
+});
+
+describe('addTag', () => {
+  it('ignores empty tags and tags that are already there, regardless of case', () => {
+    expect(addTag(['Trip'], '  ')).toEqual(['Trip']);
+    expect(addTag(['Trip'], 'trip')).toEqual(['Trip']);
+  });
+
+  it('takes the spelling of a tag used before', () => {
+    expect(addTag([], 'REIMBURSABLE', ['reimbursable'])).toEqual(['reimbursable']);
+  });
+
+  it(`stops at ${MAX_TAGS} tags`, () => {
+    const full = Array.from({ length: MAX_TAGS }, (_, i) => `tag ${i}`);
+    expect(addTag(full, 'one more')).toBe(full);
+  });
+});
+
+describe('getTagSuggestions', () => {
+  it('lists tags starting with the text first and leaves out chosen ones', () => {
+    const known = ['Business trip', 'reimbursable', 'Trip to Doha 2026', 'Trip to Oman'];
+    expect(getTagSuggestions('trip', known, ['Trip to Oman'])).toEqual(['Trip to Doha 2026', 'Business trip']);
+    expect(getTagSuggestions('', known, [])).toEqual([]);
+  });
+});
+
+describe('hasTag', () => {
+  it('matches regardless of case and handles transactions without tags', () => {
+    expect(hasTag({ tags: ['Trip'] }, 'trip')).toBe(true);
+    expect(hasTag({}, 'trip')).toBe(false);
+  });
+});
@@ -7,4 +7,27 @@ export default defineConfig({
   plugins: [react(),
   tailwindcss(),
   ],
+  test: {
+    projects: [
+      {
+        // Components and the TransactionProvider, against the in-memory Firestore fake.
+        extends: true,
+        test: {
+          name: 'unit',
+          environment: 'jsdom',
+          include: ['tests/**/*.test.{js,jsx}'],
+          exclude: ['tests/rules/**'],
+          setupFiles: ['./tests/setup.js'],
+        },
+      },
+      {
+        // Security rules, against the Firestore emulator (see the test:rules script).
+        test: {
+          name: 'rules',
+          environment: 'node',
+          include: ['tests/rules/**/*.test.js'],
+        },
+      },
+    ],
+  },
 })